@@ -0,0 +1,128 @@
+/**
+ * Ability score generation methods (archetype baseline or player rules) and species increases
+ * @module ability-scores
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { randInt, shuffleArray } from "./utils.js";
+
+/** World setting that controls how NPC ability scores are generated */
+export const ABILITY_METHOD_SETTING = "abilityMethod";
+
+/** Methods: archetype baseline with jitter, standard array, 27-point buy, or 4d6 drop lowest */
+export const ABILITY_METHODS = ["archetype", "standard", "pointbuy", "roll"];
+
+/** PHB standard array */
+export const STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
+
+/** PHB point buy: cost of each score and the total budget */
+export const POINT_BUY_COSTS = { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 };
+export const POINT_BUY_BUDGET = 27;
+
+const ABILITY_KEYS = ["str", "dex", "con", "int", "wis", "cha"];
+const POINT_BUY_MIN = 8;
+const POINT_BUY_MAX = 15;
+const SPECIES_SCORE_MAX = 20;
+
+/**
+ * Read the configured ability method
+ * @returns {string} One of ABILITY_METHODS
+ */
+export function getAbilityMethod() {
+  try {
+    const method = String(game.settings?.get(MODULE_ID, ABILITY_METHOD_SETTING) || "");
+    return ABILITY_METHODS.includes(method) ? method : "archetype";
+  } catch (err) {
+    console.warn("NPC Button: Failed to read the ability method setting.", err);
+    return "archetype";
+  }
+}
+
+/**
+ * Ability keys ordered by the archetype baseline, highest first (ties in random order)
+ * @param {Object} baseAbilities - Archetype base abilities
+ * @returns {string[]}
+ */
+export function getAbilityPriority(baseAbilities) {
+  return shuffleArray(ABILITY_KEYS).sort(
+    (a, b) => (Number(baseAbilities?.[b]) || 0) - (Number(baseAbilities?.[a]) || 0)
+  );
+}
+
+/**
+ * Generate ability scores with a player-rules method, following the archetype's priorities
+ * @param {Object} baseAbilities - Archetype base abilities
+ * @param {string} method - "standard", "pointbuy" or "roll"
+ * @returns {Object} Ability scores keyed by ability
+ */
+export function rollAbilityScores(baseAbilities, method) {
+  const priority = getAbilityPriority(baseAbilities);
+  if (method === "pointbuy") return buyAbilityScores(priority);
+  const scores = method === "roll"
+    ? Array.from({ length: ABILITY_KEYS.length }, roll4d6DropLowest).sort((a, b) => b - a)
+    : STANDARD_ARRAY.slice();
+  return Object.fromEntries(priority.map((key, index) => [key, scores[index]]));
+}
+
+/**
+ * Roll 4d6 and drop the lowest die
+ * @returns {number} 3-18
+ */
+export function roll4d6DropLowest() {
+  const dice = Array.from({ length: 4 }, () => randInt(1, 6)).sort((a, b) => a - b);
+  return dice[1] + dice[2] + dice[3];
+}
+
+/**
+ * Species ability score increases from a species item's AbilityScoreImprovement advancements
+ * (fixed increases, then free points on the highest scores within the advancement cap)
+ * @param {Object} speciesItem - Species item or item data
+ * @param {Object} abilities - Current scores keyed by ability
+ * @returns {Object} Increases keyed by ability; empty when the species grants none (2024 species)
+ */
+export function getSpeciesAbilityIncreases(speciesItem, abilities) {
+  const increases = {};
+  const advancements = Array.isArray(speciesItem?.system?.advancement) ? speciesItem.system.advancement : [];
+  for (const adv of advancements) {
+    const data = typeof adv?.toObject === "function" ? adv.toObject() : adv;
+    if (String(data?.type || "").toLowerCase() !== "abilityscoreimprovement") continue;
+    const config = data.configuration || {};
+    for (const [key, value] of Object.entries(config.fixed || {})) {
+      if (ABILITY_KEYS.includes(key) && Number(value)) increases[key] = (increases[key] || 0) + Number(value);
+    }
+    let points = Number(config.points) || 0;
+    const cap = Number(config.cap) || 2;
+    const locked = new Set(Array.isArray(config.locked) ? config.locked : []);
+    const ordered = ABILITY_KEYS
+      .filter((key) => !locked.has(key) && !config.fixed?.[key])
+      .sort((a, b) => (Number(abilities?.[b]) || 0) - (Number(abilities?.[a]) || 0));
+    for (const key of ordered) {
+      if (points <= 0) break;
+      const room = SPECIES_SCORE_MAX - (Number(abilities?.[key]) || 0) - (increases[key] || 0);
+      const add = Math.max(0, Math.min(cap, points, room));
+      if (!add) continue;
+      increases[key] = (increases[key] || 0) + add;
+      points -= add;
+    }
+  }
+  return increases;
+}
+
+// Spend the point-buy budget one step at a time, favouring high-priority abilities
+function buyAbilityScores(priority) {
+  const scores = Object.fromEntries(priority.map((key) => [key, POINT_BUY_MIN]));
+  let budget = POINT_BUY_BUDGET;
+  while (budget > 0) {
+    const options = priority.filter((key) => {
+      const next = scores[key] + 1;
+      return next <= POINT_BUY_MAX && POINT_BUY_COSTS[next] - POINT_BUY_COSTS[scores[key]] <= budget;
+    });
+    if (!options.length) break;
+    const weights = options.map((key) => (ABILITY_KEYS.length - priority.indexOf(key)) ** 2);
+    let roll = randInt(1, weights.reduce((sum, weight) => sum + weight, 0));
+    const key = options.find((_, index) => (roll -= weights[index]) <= 0) || options[0];
+    budget -= POINT_BUY_COSTS[scores[key] + 1] - POINT_BUY_COSTS[scores[key]];
+    scores[key] += 1;
+  }
+  return scores;
+}
@@ -0,0 +1,304 @@
+/**
+ * In-place rerolls for generated NPC actors (name, flavor, equipment, stat block)
+ * @module actor-reroll
+ */
+
+import { MODULE_ID, CR_VALUES, parseCrValue, getTierForCr, formatCrLabel } from "./constants.js";
+import { DATA_CACHE, loadData } from "./data-loader.js";
+import { t, tf } from "./i18n.js";
+import { cloneData, escapeHtml, pickRandom, withSeededRandom } from "./utils.js";
+import { normalizeArmorItems } from "./items.js";
+import { buildCrDriftNote } from "./cr-calculator.js";
+import { applySpeciesAbilityScoreIncreases } from "./species.js";
+import {
+  generateNpc,
+  buildActorData,
+  buildBiography,
+  buildUniqueName,
+  createUsedNames,
+  buildWeaponItem,
+  buildAmmoItemForWeapon,
+  buildRoleItems,
+  rollNpcFlavor,
+  tagGeneratedItems
+} from "./npc-generator.js";
+
+const EQUIPMENT_GROUPS = ["weapon", "ammo", "equipment"];
+const STAT_BLOCK_GROUPS = ["weapon", "ammo", "abilities", "equipment", "combat"];
+
+/**
+ * Register actor sheet header buttons for generated NPCs
+ */
+export function registerActorRerollHooks() {
+  // Legacy (Application v1) actor sheets
+  Hooks.on("getActorSheetHeaderButtons", (app, buttons) => {
+    const actor = app?.actor;
+    if (!canRerollActor(actor)) return;
+    buttons.unshift({
+      label: t("ui.reroll.headerButton", "Reroll"),
+      class: "npc-btn-reroll",
+      icon: "fas fa-dice",
+      onclick: () => openActorRerollDialog(actor)
+    });
+  });
+
+  // ApplicationV2 actor sheets
+  Hooks.on("getHeaderControlsApplicationV2", (app, controls) => {
+    const actor = app?.document;
+    if (actor?.documentName !== "Actor" || !canRerollActor(actor)) return;
+    if (!Array.isArray(controls) || controls.some((entry) => entry?.action === "npcButtonReroll")) return;
+    controls.push({
+      icon: "fa-solid fa-dice",
+      label: t("ui.reroll.headerButton", "Reroll"),
+      action: "npcButtonReroll",
+      visible: true,
+      onClick: () => openActorRerollDialog(actor)
+    });
+  });
+}
+
+/**
+ * Get the generator state stored on an actor
+ * @param {Actor} actor - Actor document
+ * @returns {Object|null}
+ */
+export function getActorNpcState(actor) {
+  const state = actor?.flags?.[MODULE_ID]?.npc;
+  return state && typeof state === "object" && state.archetype ? state : null;
+}
+
+/**
+ * Check whether an actor was generated by this module and can be rerolled by the current user
+ * @param {Actor} actor - Actor document
+ * @returns {boolean}
+ */
+export function canRerollActor(actor) {
+  return actor?.type === "npc" && actor.isOwner === true && !!getActorNpcState(actor);
+}
+
+/**
+ * Open the reroll dialog for an actor
+ * @param {Actor} actor - Actor document
+ */
+export function openActorRerollDialog(actor) {
+  const state = getActorNpcState(actor);
+  if (!state) {
+    ui.notifications?.warn(t("ui.reroll.warnNoState"));
+    return;
+  }
+  const currentTier = Math.max(1, Math.min(4, Number(state.tier) || 1));
+  const tierOptions = [1, 2, 3, 4]
+    .map((tier) => `<option value="${tier}"${tier === currentTier ? " selected" : ""}>${tier}</option>`)
+    .join("");
+  // An explicit target CR stays selected, so rerolls keep CRs the tiers cannot express (e.g. above 10)
+  const currentCr = parseCrValue(state.targetCr);
+  const crOptions = CR_VALUES
+    .map((cr) => `<option value="${cr}"${cr === currentCr ? " selected" : ""}>CR ${escapeHtml(formatCrLabel(cr))}</option>`)
+    .join("");
+  const run = (part) => async (html) => {
+    const tier = Number(html.find("select[name='rerollTier']").val()) || currentTier;
+    const cr = String(html.find("select[name='rerollCr']").val() || "");
+    await rerollActorPart(actor, part, { tier, cr });
+  };
+
+  new Dialog({
+    title: tf("ui.reroll.title", { name: actor.name }, "Reroll: {name}"),
+    content: `
+      <div style="display:flex;flex-direction:column;gap:0.5rem;">
+        <p style="margin:0;font-size:0.85rem;opacity:0.85;">${escapeHtml(t("ui.reroll.description"))}</p>
+        <div class="form-group">
+          <label>${escapeHtml(t("ui.reroll.fieldTier", "Tier for stat block"))}</label>
+          <select name="rerollTier">${tierOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>${escapeHtml(t("ui.dialog.fieldTargetCr", "Target CR"))}</label>
+          <select name="rerollCr">
+            <option value="">${escapeHtml(t("ui.dialog.targetCrByTier", "By tier"))}</option>
+            ${crOptions}
+          </select>
+        </div>
+      </div>
+    `,
+    buttons: {
+      name: { icon: '<i class="fas fa-signature"></i>', label: t("ui.reroll.buttonName", "Name"), callback: run("name") },
+      flavor: { icon: '<i class="fas fa-feather"></i>', label: t("ui.reroll.buttonFlavor", "Flavor"), callback: run("flavor") },
+      equipment: { icon: '<i class="fas fa-shield-halved"></i>', label: t("ui.reroll.buttonEquipment", "Equipment"), callback: run("equipment") },
+      statBlock: { icon: '<i class="fas fa-dice-d20"></i>', label: t("ui.reroll.buttonStatBlock", "Stat block"), callback: run("statBlock") }
+    },
+    default: "name"
+  }).render(true);
+}
+
+/**
+ * Reroll one part of a generated actor in place
+ * @param {Actor} actor - Actor document
+ * @param {"name"|"flavor"|"equipment"|"statBlock"} part - Part to reroll
+ * @param {Object} [options]
+ * @param {number} [options.tier] - New tier for stat block rerolls
+ * @param {number|string} [options.cr] - Target CR for stat block rerolls; overrides the tier, empty rolls the CR by tier
+ * @returns {Promise<boolean>} True when the actor was updated
+ */
+export async function rerollActorPart(actor, part, options = {}) {
+  const state = getActorNpcState(actor);
+  if (!state) {
+    ui.notifications?.warn(t("ui.reroll.warnNoState"));
+    return false;
+  }
+  try {
+    // Take a turn like a generation run so a seeded run in flight keeps its stream
+    const updated = await withSeededRandom("", () => runRerollActorPart(actor, state, part, options));
+    if (!updated) return false;
+    ui.notifications?.info(
+      tf("ui.reroll.infoRerolled", { name: actor.name, part: t(`ui.reroll.part.${part}`, part) })
+    );
+    return true;
+  } catch (err) {
+    console.error(`NPC Button: Failed to reroll ${part} for actor ${actor?.id}.`, err);
+    ui.notifications?.error(tf("ui.reroll.errorRerollFailed", { name: actor?.name || "" }));
+    return false;
+  }
+}
+
+async function runRerollActorPart(actor, state, part, options) {
+  await loadData();
+  if (part === "name") await rerollActorName(actor, state);
+  else if (part === "flavor") await rerollActorFlavor(actor, state);
+  else if (part === "equipment") await rerollActorEquipment(actor, state);
+  else if (part === "statBlock") await rerollActorStatBlock(actor, state, options);
+  else return false;
+  return true;
+}
+
+async function rerollActorName(actor, state) {
+  const oldName = actor.name;
+  const cultures = Object.keys(DATA_CACHE.names?.cultures || {});
+  const culture = cultures.includes(state.culture) ? state.culture : pickRandom(cultures);
+  const usedNames = createUsedNames();
+  for (const entry of game.actors || []) usedNames.add(entry.name);
+  const name = buildUniqueName(DATA_CACHE.names, culture, state.importantNpc, usedNames, state.gender);
+  await actor.update({ name, "prototypeToken.name": name });
+  await renamePlacedTokens(actor, oldName, name);
+}
+
+async function renamePlacedTokens(actor, oldName, name) {
+  if (!game.user?.isGM) return;
+  for (const scene of game.scenes || []) {
+    const updates = scene.tokens
+      .filter((token) => token.actorId === actor.id && token.name === oldName)
+      .map((token) => ({ _id: token.id, name }));
+    if (!updates.length) continue;
+    try {
+      await scene.updateEmbeddedDocuments("Token", updates);
+    } catch (err) {
+      console.warn(`NPC Button: Failed to rename tokens in scene ${scene.id}.`, err);
+    }
+  }
+}
+
+async function rerollActorFlavor(actor, state) {
+  const nextState = { ...state, ...rollNpcFlavor(DATA_CACHE.traits) };
+  const biography = buildBiography({
+    ...nextState,
+    cr: actor.system?.details?.cr ?? ""
+  });
+  const crNote = buildCrDriftNote(actor.flags?.[MODULE_ID]?.crCheck);
+  await actor.update({
+    "system.details.biography.value": [biography, crNote].filter(Boolean).join("\n"),
+    [`flags.${MODULE_ID}.npc`]: nextState
+  });
+}
+
+async function rerollActorEquipment(actor, state) {
+  const npc = { ...state, archetype: cloneData(state.archetype) };
+  const items = [];
+  const weaponItem = await buildWeaponItem(npc);
+  items.push(...tagGeneratedItems([weaponItem], "weapon"));
+  const ammoItem = await buildAmmoItemForWeapon(weaponItem, npc);
+  if (ammoItem) items.push(...tagGeneratedItems([ammoItem], "ammo"));
+  items.push(...tagGeneratedItems(await buildRoleItems(npc), "equipment"));
+  normalizeArmorItems(items);
+  await replaceGeneratedItems(actor, EQUIPMENT_GROUPS, items);
+}
+
+async function rerollActorStatBlock(actor, state, options) {
+  const targetCr = parseCrValue(options.cr);
+  const tier = targetCr !== null
+    ? getTierForCr(targetCr)
+    : Math.max(1, Math.min(4, Number(options.tier) || Number(state.tier) || 1));
+  // Keep class levels with their subclass and multiclass; levels follow the new CR, and an NPC that had
+  // no subclass yet may gain one. NPCs without class levels follow the class progression setting.
+  const classLevels = Array.isArray(state.classLevels) && state.classLevels.length ? state.classLevels : null;
+  const npc = generateNpc({
+    tier,
+    cr: targetCr,
+    subclass: classLevels?.[0]?.subclass || undefined,
+    multiclass: classLevels ? classLevels[1]?.className || "none" : undefined,
+    classProgression: classLevels ? "subclass" : undefined,
+    spellcasting: state.spellcasting,
+    abilityMethod: state.abilityMethod,
+    party: state.party,
+    faction: state.faction,
+    relationships: state.relationships,
+    location: state.location,
+    archetype: cloneData(state.archetype),
+    culture: state.culture,
+    gender: state.gender,
+    race: state.race,
+    budget: state.budget,
+    includeLoot: false,
+    includeSecret: false,
+    includeHook: false,
+    importantNpc: state.importantNpc,
+    usedNames: new Set()
+  });
+  // Keep identity and flavor; only the numbers and kit change
+  Object.assign(npc, {
+    name: actor.name,
+    className: state.className || npc.className,
+    appearance: state.appearance,
+    speech: state.speech,
+    motivation: state.motivation,
+    secret: state.secret,
+    hook: state.hook,
+    quirk: state.quirk,
+    rumor: state.rumor,
+    mannerism: state.mannerism
+  });
+
+  // Player-rules scores get the species increases again; archetype baselines already include them
+  const speciesItem = actor.items?.find((item) => ["race", "species"].includes(item.type));
+  applySpeciesAbilityScoreIncreases(npc, speciesItem);
+
+  const previousProvenance = actor.flags?.[MODULE_ID]?.provenance || {};
+  const actorData = await buildActorData(npc, actor.folder?.id || null, {
+    provenance: { speciesKey: previousProvenance.speciesKey }
+  });
+  const system = actorData.system || {};
+  const update = {
+    "system.abilities": system.abilities,
+    "system.skills": system.skills,
+    "system.attributes.ac.value": system.attributes?.ac?.value,
+    "system.attributes.hp": system.attributes?.hp,
+    "system.attributes.prof": system.attributes?.prof,
+    "system.attributes.spellcasting": system.attributes?.spellcasting || "",
+    "system.details.cr": system.details?.cr,
+    "system.details.spellLevel": system.details?.spellLevel || 0,
+    "system.details.biography.value": system.details?.biography?.value || "",
+    [`flags.${MODULE_ID}.npc`]: actorData.flags?.[MODULE_ID]?.npc || { ...state, tier },
+    [`flags.${MODULE_ID}.provenance`]: actorData.flags?.[MODULE_ID]?.provenance || previousProvenance,
+    [`flags.${MODULE_ID}.crCheck`]: actorData.flags?.[MODULE_ID]?.crCheck || null
+  };
+  if (system.spells) update["system.spells"] = system.spells;
+  if (system.resources) update["system.resources"] = system.resources;
+  await actor.update(update);
+  await replaceGeneratedItems(actor, STAT_BLOCK_GROUPS, actorData.items || []);
+}
+
+async function replaceGeneratedItems(actor, groups, items) {
+  const staleIds = actor.items
+    .filter((item) => groups.includes(item.flags?.[MODULE_ID]?.generatedGroup))
+    .map((item) => item.id);
+  if (staleIds.length) await actor.deleteEmbeddedDocuments("Item", staleIds);
+  const payload = (items || []).filter((item) => item && typeof item === "object");
+  if (payload.length) await actor.createEmbeddedDocuments("Item", payload);
+}
@@ -0,0 +1,171 @@
+/**
+ * Public module API for macros and other modules
+ * Available as game.modules.get("npc-button-5e").api
+ * @module api
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+  createNpcs,
+  createRivalParty,
+  createFaction,
+  createLocation,
+  linkFolderRelationships,
+  createShop,
+  createLoot,
+  createQuestBoard,
+  openNpcDialog
+} from "./ui.js";
+import { parseTextStatblocks } from "./statblock-parser.js";
+import { buildStatblockModel, renderStatblockHtml, renderStatblockMarkdown } from "./statblock-export.js";
+import { buildBlueprintBundle, importBlueprintBundle } from "./blueprint-bundle.js";
+import { getActiveLlmProvider, listLlmModels } from "./openai.js";
+
+/** API contract version, bumped on breaking changes to option or return shapes */
+export const API_VERSION = 1;
+
+/**
+ * Build the public API object
+ * @returns {Object}
+ */
+export function buildModuleApi() {
+  return Object.freeze({
+    version: API_VERSION,
+
+    /**
+     * Open the generator dialog
+     * @returns {Promise<void>}
+     */
+    openDialog: () => openNpcDialog(),
+
+    /**
+     * Generate one or more NPC actors
+     * @param {Object} [options] - See createNpcs in ui.js (count, tier, cr, spellcasting, abilityMethod, archetype, culture, gender, species, budget, folder, include* flags, importantNpc, relationships, aiFull, seed, preview)
+     * @returns {Promise<Actor[]>} Created actors
+     */
+    generateNpc: (options = {}) => createNpcs({ ...normalizeAiOptions(options), mode: "main" }),
+
+    /**
+     * Generate an encounter group sized by party level, party size and difficulty
+     * @param {Object} [options] - partyLevel, partySize, encounterDifficulty, encounterSpecies, encounterArchetype and the NPC options
+     * @returns {Promise<Actor[]>} Created actors (placed in a new Encounter-N folder)
+     */
+    generateEncounter: (options = {}) => createNpcs({
+      ...normalizeAiOptions(options),
+      encounterSpecies: options.encounterSpecies ?? options.species,
+      encounterArchetype: options.encounterArchetype ?? options.archetype,
+      encounterDifficulty: options.encounterDifficulty ?? options.difficulty,
+      mode: "encounter"
+    }),
+
+    /**
+     * Generate a rival adventuring party with complementary roles and linked members
+     * @param {Object} [options] - level, size, partyName, culture, gender, species, budget, abilityMethod, folder (parent of the party folder), include* flags, seed
+     * @returns {Promise<Actor[]>} Created members (placed in a folder named after the party)
+     */
+    generateRivalParty: (options = {}) => createRivalParty({ ...options, rememberSelection: false }),
+
+    /**
+     * Generate a faction journal with a ranked roster of member actors
+     * @param {Object} [options] - factionType, factionName, size, tier, culture, gender, species, budget, folder (parent of the roster folder), include* flags, seed
+     * @returns {Promise<{journal: JournalEntry|null, actors: Actor[]}>} Faction journal and created members
+     */
+    generateFaction: (options = {}) => createFaction({ ...options, rememberSelection: false }),
+
+    /**
+     * Generate a location (tavern, temple, market square, village) with staff, patrons, an optional shop and a journal
+     * @param {Object} [options] - locationType, locationName, patrons, includeShop, shopType, shopItemCount, shopAllowMagic, shopkeeperTier, tier, culture, gender, species, budget, folder (parent of the location folder), include* flags, seed
+     * @returns {Promise<{journal: JournalEntry|null, actors: Actor[], shop: Actor|null}>} Location journal, cast and shopkeeper
+     */
+    generateLocation: (options = {}) => createLocation({ ...options, rememberSelection: false }),
+
+    /**
+     * Link the generated NPCs of an actor folder with a relationship web and a relationship map journal
+     * @param {Object} [options] - folder (actor folder id)
+     * @returns {Promise<{journal: JournalEntry|null, actors: Actor[]}>} Relationship map journal and linked actors
+     */
+    linkRelationships: (options = {}) => linkFolderRelationships(options),
+
+    /**
+     * Generate a shopkeeper actor with stock
+     * @param {Object} [options] - shopType, itemCount, budget, shopName, allowMagic, shopkeeperTier, folder, importPayload, seed, preview
+     * @returns {Promise<Actor|null>} Created shopkeeper actor
+     */
+    generateShop: (options = {}) => createShop({ ...options, rememberSelection: false }),
+
+    /**
+     * Generate a loot container actor
+     * @param {Object} [options] - lootType, itemCount, budget, tier, allowMagic, includeCoins, uniqueOnly, importPayload, seed, preview
+     * @returns {Promise<Actor|null>} Created loot actor
+     */
+    generateLoot: (options = {}) => createLoot({ ...options, rememberSelection: false }),
+
+    /**
+     * List the models offered by the selected AI provider (OpenAI, Anthropic, Ollama, LM Studio, OpenAI-compatible)
+     * @returns {Promise<{provider: string, models: string[]}>} Provider id and model ids
+     */
+    listAiModels: async () => ({ provider: getActiveLlmProvider().id, models: await listLlmModels() }),
+
+    /**
+     * Generate a quest board journal via the AI provider, or build it from a ready payload
+     * @param {Object} [options] - count, partyLevel, partySize, difficulty, location, tone, boardTitle, customInstruction, payload
+     * @returns {Promise<JournalEntry|null>} Created journal entry
+     */
+    generateQuestBoard: (options = {}) => createQuestBoard(options),
+
+    /**
+     * Parse plain-text statblocks (Monster Manual layout) into import blueprints
+     * @param {string} text - One or more statblocks
+     * @returns {Object[]} Blueprints in the same shape as imported NPC JSON
+     */
+    parseStatblock: (text) => parseTextStatblocks(text),
+
+    /**
+     * Render an actor (or actor data) as a classic statblock
+     * @param {Actor|Object} actor - Actor document or actor creation data
+     * @param {"markdown"|"html"} [format="markdown"] - Output format
+     * @returns {string} Markdown text or a standalone HTML page
+     */
+    exportStatblock: (actor, format = "markdown") => {
+      const model = buildStatblockModel(actor);
+      return format === "html" ? renderStatblockHtml(model) : renderStatblockMarkdown(model);
+    },
+
+    /**
+     * Export the generated NPCs of an actor folder as a portable bundle (blueprint JSON with item compendium UUIDs)
+     * @param {Object} [options] - folder (actor folder id), or actors (Actor[]) and name
+     * @returns {Promise<Object>} Bundle, ready for JSON.stringify
+     */
+    exportBundle: (options = {}) => buildBlueprintBundle(options),
+
+    /**
+     * Import a bundle, resolving its items against this world's compendiums
+     * @param {Object|string} bundle - Bundle object or its JSON text
+     * @param {Object} [options] - folder (actor folder id; defaults to a new folder named after the bundle)
+     * @returns {Promise<{actors: Actor[], resolved: number, embedded: number, missing: number}>}
+     */
+    importBundle: (bundle, options = {}) => importBlueprintBundle(bundle, options)
+  });
+}
+
+/**
+ * Register the API on the module object
+ * @returns {Object|null} Registered API
+ */
+export function registerModuleApi() {
+  const module = game.modules?.get(MODULE_ID);
+  if (!module) return null;
+  const api = buildModuleApi();
+  module.api = api;
+  return api;
+}
+
+function normalizeAiOptions(options) {
+  const source = options && typeof options === "object" ? options : {};
+  const wantsAi = source.aiFull === true || source.includeAiFlavor === true || source.includeAiToken === true;
+  return {
+    ...source,
+    useAi: typeof source.useAi === "boolean" ? source.useAi : wantsAi,
+    rememberSelection: false
+  };
+}
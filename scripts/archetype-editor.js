@@ -0,0 +1,276 @@
+/**
+ * World-level editor for user-defined archetypes
+ * @module archetype-editor
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+  DATA_CACHE,
+  ARCHETYPE_ATTACK_STYLES,
+  ARCHETYPE_SPELLCASTING_MODES,
+  CUSTOM_ARCHETYPES_SETTING,
+  loadData,
+  refreshCustomArchetypes,
+  validateArchetypeEntry
+} from "./data-loader.js";
+import { t, tf } from "./i18n.js";
+import { cloneData } from "./utils.js";
+
+const ABILITY_KEYS = ["str", "dex", "con", "int", "wis", "cha"];
+const ALIGNMENTS = [
+  "Lawful Good", "Neutral Good", "Chaotic Good",
+  "Lawful Neutral", "Neutral", "Chaotic Neutral",
+  "Lawful Evil", "Neutral Evil", "Chaotic Evil"
+];
+const FALLBACK_SKILLS = [
+  "acr", "ani", "arc", "ath", "dec", "his", "ins", "itm", "inv",
+  "med", "nat", "prc", "prf", "per", "rel", "slt", "ste", "sur"
+];
+
+class ArchetypeEditorConfig extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    this.entries = readStoredArchetypes();
+    this.selectedIndex = this.entries.length ? 0 : -1;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-archetype-editor`,
+      title: t("ui.archetypeEditor.title", "Custom Archetypes"),
+      template: `modules/${MODULE_ID}/templates/archetype-editor.hbs`,
+      width: 640,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false
+    });
+  }
+
+  async _render(...args) {
+    await loadData();
+    return super._render(...args);
+  }
+
+  getData() {
+    const entry = this.entries[this.selectedIndex] || null;
+    const skillConfig = CONFIG?.DND5E?.skills || {};
+    const skillKeys = Object.keys(skillConfig).length ? Object.keys(skillConfig) : FALLBACK_SKILLS;
+    const shippedIds = new Set((DATA_CACHE.shippedArchetypes || []).map((archetype) => archetype.id));
+    return {
+      hasEntry: !!entry,
+      entries: this.entries.map((item, index) => ({
+        index,
+        label: item.name ? `${item.name} (${item.id || "?"})` : item.id || "?",
+        selected: index === this.selectedIndex
+      })),
+      shipped: (DATA_CACHE.shippedArchetypes || []).map((archetype) => ({
+        id: archetype.id,
+        label: t(`archetypes.${archetype.id}`, archetype.name)
+      })),
+      entry: entry
+        ? {
+          id: entry.id || "",
+          name: entry.name || "",
+          tags: (entry.tags || []).join(", "),
+          subclass: entry.subclass || "",
+          idConflict: shippedIds.has(entry.id)
+        }
+        : null,
+      abilities: ABILITY_KEYS.map((key) => ({
+        key,
+        label: CONFIG?.DND5E?.abilities?.[key]?.abbreviation || key.toUpperCase(),
+        value: entry?.baseAbilities?.[key] ?? 10
+      })),
+      skills: skillKeys.map((key) => ({
+        key,
+        label: game.i18n.localize(skillConfig[key]?.label || key),
+        checked: (entry?.skills || []).includes(key)
+      })),
+      attackStyles: ARCHETYPE_ATTACK_STYLES.map((style) => ({
+        value: style,
+        label: t(`ui.archetypeEditor.attackStyle.${style}`, style),
+        selected: entry?.attackStyle === style
+      })),
+      spellcastingModes: ARCHETYPE_SPELLCASTING_MODES.map((mode) => ({
+        value: mode,
+        label: t(`ui.archetypeEditor.spellcasting.${mode}`, mode),
+        selected: (entry?.spellcasting || "slots") === mode
+      })),
+      lootTables: Object.keys(DATA_CACHE.loot?.tables || {}).map((table) => ({
+        value: table,
+        selected: entry?.lootTable === table
+      })),
+      alignments: ALIGNMENTS.map((value) => ({
+        value,
+        checked: (entry?.alignmentPool || []).includes(value)
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("select[name='selectedIndex']").on("change", (event) => {
+      this._captureForm();
+      this.selectedIndex = Number(event.currentTarget.value);
+      this.render();
+    });
+    html.find("[data-editor-action]").on("click", (event) => {
+      event.preventDefault();
+      this._captureForm();
+      const action = String(event.currentTarget.dataset.editorAction || "");
+      if (action === "new") this._addEntry(createBlankArchetype());
+      else if (action === "copy") this._copyShipped(String(html.find("select[name='copyFrom']").val() || ""));
+      else if (action === "delete") this._deleteSelected();
+      this.render();
+    });
+  }
+
+  /**
+   * Store the visible field values back into the selected entry
+   */
+  _captureForm() {
+    const entry = this.entries[this.selectedIndex];
+    const form = this.form;
+    if (!entry || !form) return;
+    const data = new FormData(form);
+    entry.id = String(data.get("id") || "").trim().toLowerCase();
+    entry.name = String(data.get("name") || "").trim();
+    entry.tags = String(data.get("tags") || "")
+      .split(",")
+      .map((tag) => tag.trim().toLowerCase())
+      .filter(Boolean);
+    entry.baseAbilities = Object.fromEntries(
+      ABILITY_KEYS.map((key) => [key, Number(data.get(`ability.${key}`)) || 0])
+    );
+    entry.skills = data.getAll("skills").map(String);
+    entry.attackStyle = String(data.get("attackStyle") || "melee");
+    const lootTable = String(data.get("lootTable") || "");
+    if (lootTable) entry.lootTable = lootTable;
+    else delete entry.lootTable;
+    const subclass = String(data.get("subclass") || "").trim().toLowerCase();
+    if (subclass) entry.subclass = subclass;
+    else delete entry.subclass;
+    const spellcasting = String(data.get("spellcasting") || "slots");
+    if (spellcasting === "innate") entry.spellcasting = spellcasting;
+    else delete entry.spellcasting;
+    entry.alignmentPool = data.getAll("alignmentPool").map(String);
+  }
+
+  _addEntry(entry) {
+    this.entries.push(entry);
+    this.selectedIndex = this.entries.length - 1;
+  }
+
+  _copyShipped(id) {
+    const source = (DATA_CACHE.shippedArchetypes || []).find((archetype) => archetype.id === id);
+    if (!source) return;
+    const copy = cloneData(source);
+    copy.id = buildUniqueId(`${source.id}-custom`, this.entries);
+    copy.name = tf("ui.archetypeEditor.copyName", { name: source.name }, "{name} (custom)");
+    this._addEntry(copy);
+  }
+
+  _deleteSelected() {
+    if (this.selectedIndex < 0) return;
+    this.entries.splice(this.selectedIndex, 1);
+    this.selectedIndex = Math.min(this.selectedIndex, this.entries.length - 1);
+  }
+
+  async _updateObject() {
+    this._captureForm();
+    const errors = collectEditorErrors(this.entries);
+    if (errors.length) {
+      ui.notifications?.error(
+        tf("ui.archetypeEditor.errorInvalid", { details: errors.join("; ") }, "Archetypes not saved: {details}")
+      );
+      return;
+    }
+    try {
+      await game.settings.set(MODULE_ID, CUSTOM_ARCHETYPES_SETTING, JSON.stringify(this.entries));
+    } catch (err) {
+      console.error("NPC Button: Failed to save custom archetypes.", err);
+      ui.notifications?.error(t("ui.archetypeEditor.errorSave", "Failed to save custom archetypes."));
+      return;
+    }
+    refreshCustomArchetypes();
+    ui.notifications?.info(
+      tf("ui.archetypeEditor.saved", { count: this.entries.length }, "Saved {count} custom archetype(s).")
+    );
+    this.close();
+  }
+}
+
+/**
+ * Open the custom archetype editor (GM only)
+ */
+export function openArchetypeEditor() {
+  if (!game.user?.isGM) return;
+  new ArchetypeEditorConfig().render(true);
+}
+
+/**
+ * Register the custom archetype world setting and its settings menu
+ */
+export function registerArchetypeEditorSettings() {
+  game.settings.register(MODULE_ID, CUSTOM_ARCHETYPES_SETTING, {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "[]",
+    onChange: () => refreshCustomArchetypes()
+  });
+
+  game.settings.registerMenu(MODULE_ID, "customArchetypesMenu", {
+    name: `${MODULE_ID}.settings.customArchetypesMenu.name`,
+    label: `${MODULE_ID}.settings.customArchetypesMenu.label`,
+    hint: `${MODULE_ID}.settings.customArchetypesMenu.hint`,
+    icon: "fas fa-user-gear",
+    type: ArchetypeEditorConfig,
+    restricted: true
+  });
+}
+
+function readStoredArchetypes() {
+  try {
+    const parsed = JSON.parse(game.settings.get(MODULE_ID, CUSTOM_ARCHETYPES_SETTING) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry && typeof entry === "object") : [];
+  } catch (err) {
+    console.warn("NPC Button: Failed to read custom archetypes.", err);
+    return [];
+  }
+}
+
+function createBlankArchetype() {
+  return {
+    id: "",
+    name: "",
+    tags: [],
+    baseAbilities: Object.fromEntries(ABILITY_KEYS.map((key) => [key, 10])),
+    skills: [],
+    attackStyle: "melee",
+    alignmentPool: ["Neutral"]
+  };
+}
+
+function buildUniqueId(base, entries) {
+  const taken = new Set(entries.map((entry) => entry.id));
+  if (!taken.has(base)) return base;
+  let counter = 2;
+  while (taken.has(`${base}-${counter}`)) counter += 1;
+  return `${base}-${counter}`;
+}
+
+function collectEditorErrors(entries) {
+  const errors = [];
+  const shippedIds = new Set((DATA_CACHE.shippedArchetypes || []).map((archetype) => archetype.id));
+  const seen = new Set();
+  for (const [index, entry] of entries.entries()) {
+    const label = entry.name || entry.id || `#${index + 1}`;
+    const problems = validateArchetypeEntry(entry).map((field) => t(`ui.archetypeEditor.field.${field}`, field));
+    if (shippedIds.has(entry.id)) problems.push(t("ui.archetypeEditor.problemBuiltInId", "id used by a built-in archetype"));
+    else if (seen.has(entry.id)) problems.push(t("ui.archetypeEditor.problemDuplicateId", "duplicate id"));
+    seen.add(entry.id);
+    if (problems.length) errors.push(`${label}: ${problems.join(", ")}`);
+  }
+  return errors;
+}
@@ -0,0 +1,352 @@
+/**
+ * Portable NPC bundles: export a folder of generated actors as JSON and re-import it in another world
+ * @module blueprint-bundle
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { DATA_CACHE, loadData } from "./data-loader.js";
+import { collectAllItemPackNames, getCachedDocByName } from "./cache.js";
+import { ensureBundleFolder } from "./encounter.js";
+import { getPacks, getItemByNameFromPacks } from "./items.js";
+import { getSpeciesEntries, buildSpeciesItem } from "./species.js";
+import { runActorCreationPipeline } from "./actor-pipeline.js";
+import { t, tf } from "./i18n.js";
+import { cloneData, toItemData, normalizeUuid, saveTextFile, slugifyFileName, withSeededRandom, getContextFolder } from "./utils.js";
+
+export const BUNDLE_FORMAT = "npc-button-5e.bundle";
+export const BUNDLE_VERSION = 1;
+
+const SPECIES_ITEM_TYPES = new Set(["race", "species"]);
+
+// Pack kinds searched by name when an item's UUID does not resolve in this world
+const PACK_KINDS_BY_ITEM_TYPE = {
+  weapon: ["weapons", "loot"],
+  equipment: ["loot", "weapons"],
+  consumable: ["loot"],
+  tool: ["loot"],
+  loot: ["loot"],
+  container: ["loot"],
+  spell: ["spells"],
+  feat: ["classFeatures", "features"]
+};
+
+// Per-actor item state kept over the compendium copy
+const ITEM_OVERRIDE_KEYS = ["quantity", "equipped", "proficient", "prepared", "preparation", "method", "uses", "attuned"];
+
+// Generated features carry their own text and activities, so their data always travels with the bundle
+const EMBEDDED_ITEM_TYPES = new Set(["feat"]);
+
+/**
+ * Check whether parsed JSON is an NPC bundle
+ * @param {*} value - Parsed JSON
+ * @returns {boolean}
+ */
+export function isBlueprintBundle(value) {
+  return !!value && typeof value === "object" && value.format === BUNDLE_FORMAT && Array.isArray(value.actors);
+}
+
+/**
+ * Build a bundle from an actor folder (generated NPCs only) or an explicit actor list
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Actor folder id
+ * @param {Actor[]} [options.actors] - Actors to export instead of a folder
+ * @param {string} [options.name] - Bundle name (defaults to the folder name)
+ * @returns {Promise<Object>} Bundle ({format, version, name, actors, ...})
+ */
+export async function buildBlueprintBundle(options = {}) {
+  await loadData();
+  const folderId = String(options.folder || "").trim();
+  const folder = folderId ? game.folders?.get(folderId) : null;
+  const actors = Array.isArray(options.actors)
+    ? options.actors.filter(Boolean)
+    : (game.actors || []).filter((actor) => folder && actor.folder?.id === folder.id && actor.flags?.[MODULE_ID]?.npc);
+  const itemPacks = Array.from(collectAllItemPackNames());
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name: String(options.name || folder?.name || "").trim(),
+    moduleVersion: String(game.modules?.get(MODULE_ID)?.version || ""),
+    systemId: String(game.system?.id || ""),
+    systemVersion: String(game.system?.version || ""),
+    exportedAt: new Date().toISOString(),
+    actors: actors.map((actor) => buildBundleActor(actor, itemPacks))
+  };
+}
+
+/**
+ * Create actors from a bundle, resolving items against this world's compendiums.
+ * Items are looked up by UUID, then by name in the compendium cache and packs; embedded data is the fallback.
+ * @param {Object|string} source - Bundle from buildBlueprintBundle, or its JSON text
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Actor folder id (defaults to a new folder named after the bundle)
+ * @returns {Promise<{actors: Actor[], resolved: number, embedded: number, missing: number}>}
+ */
+export function importBlueprintBundle(source, options = {}) {
+  return withSeededRandom("", () => runImportBlueprintBundle(source, options));
+}
+
+async function runImportBlueprintBundle(source, options) {
+  const bundle = parseBundleSource(source);
+  if (!isBlueprintBundle(bundle)) throw new Error(t("ui.bundle.errorInvalidBundle"));
+  if (Number(bundle.version) > BUNDLE_VERSION) {
+    throw new Error(tf("ui.bundle.errorNewerVersion", { version: bundle.version }));
+  }
+  await loadData();
+
+  const folderId = String(options.folder || "").trim() || (await ensureBundleFolder(bundle.name));
+  const speciesEntries = await getSpeciesEntries().catch(() => []);
+  const counts = { resolved: 0, embedded: 0, missing: 0 };
+  const entries = bundle.actors.filter((entry) => entry && typeof entry === "object");
+  const built = [];
+  for (const entry of entries) {
+    built.push(await buildActorDataFromBundleEntry(entry, folderId, speciesEntries, counts));
+  }
+
+  const { createdActors, created } = await runActorCreationPipeline({
+    actorDataList: built.map((entry) => entry.actorData),
+    skippedWarnFallback: "Skipped {count} invalid bundle entries before actor creation.",
+    failedWarnFallback: "Failed to create {count} bundled NPC(s).",
+    i18nText: t,
+    i18nFormat: tf
+  });
+  if (createdActors.length) await relinkImportedActors(entries, created);
+  return { actors: createdActors, ...counts };
+}
+
+/**
+ * Export an actor folder as a bundle file
+ * @param {string} folderId - Actor folder id
+ * @returns {Promise<Object|null>} The saved bundle, or null when the folder holds no generated NPCs
+ */
+export async function exportFolderBundle(folderId) {
+  const bundle = await buildBlueprintBundle({ folder: folderId });
+  if (!bundle.actors.length) {
+    ui.notifications?.warn(t("ui.bundle.warnNoNpcs"));
+    return null;
+  }
+  const fileName = `${slugifyFileName(bundle.name, "npc-bundle")}.npc-bundle.json`;
+  if (!saveTextFile(JSON.stringify(bundle, null, 2), "application/json", fileName)) return null;
+  ui.notifications?.info(tf("ui.bundle.infoExported", { count: bundle.actors.length, name: bundle.name }));
+  return bundle;
+}
+
+/**
+ * Register the "Export NPC Bundle" entry in the actor folder context menu
+ */
+export function registerBlueprintBundleHooks() {
+  const addEntry = (options) => {
+    if (!Array.isArray(options) || options.some((entry) => entry?.name === "npc-button-5e.ui.bundle.contextMenu")) return;
+    options.push({
+      name: "npc-button-5e.ui.bundle.contextMenu",
+      icon: '<i class="fas fa-box-archive"></i>',
+      condition: (li) => getContextFolder(li)?.type === "Actor",
+      callback: async (li) => {
+        try {
+          await exportFolderBundle(getContextFolder(li)?.id);
+        } catch (err) {
+          console.error("NPC Button: Failed to export NPC bundle.", err);
+          ui.notifications?.error(t("ui.bundle.errorExportFailed"));
+        }
+      }
+    });
+  };
+  // v11/v12 actor sidebar, and the v13 folder menu shared by every directory
+  Hooks.on("getActorDirectoryFolderContext", (html, options) => addEntry(options));
+  Hooks.on("getFolderContextOptions", (app, options) => addEntry(options));
+}
+
+function buildBundleActor(actor, itemPacks) {
+  const data = toItemData(actor);
+  const moduleFlags = cloneData(data.flags?.[MODULE_ID] || {});
+  return {
+    sourceUuid: String(actor.uuid || ""),
+    name: data.name,
+    type: data.type,
+    img: data.img,
+    speciesKey: String(moduleFlags.provenance?.speciesKey || ""),
+    system: cloneData(data.system),
+    prototypeToken: cloneData(data.prototypeToken),
+    flags: { [MODULE_ID]: moduleFlags },
+    items: (data.items || []).map((item) => buildBundleItem(item, itemPacks))
+  };
+}
+
+function buildBundleItem(item, itemPacks) {
+  const uuid = getItemSourceUuid(item) || findCompendiumUuid(item, itemPacks);
+  const system = item.system || {};
+  const overrides = {};
+  for (const key of ITEM_OVERRIDE_KEYS) {
+    if (system[key] !== undefined) overrides[key] = cloneData(system[key]);
+  }
+  const entry = {
+    name: item.name,
+    type: item.type,
+    uuid,
+    overrides,
+    flags: cloneData(item.flags?.[MODULE_ID] || {})
+  };
+  if (!uuid || EMBEDDED_ITEM_TYPES.has(item.type)) entry.data = stripItemData(item);
+  return entry;
+}
+
+function getItemSourceUuid(item) {
+  return normalizeUuid(String(
+    item?._stats?.compendiumSource || item?.flags?.core?.sourceId || item?.flags?.dnd5e?.sourceId || ""
+  ).trim());
+}
+
+// Generated items rarely remember their source, so find the compendium entry with the same name and type
+function findCompendiumUuid(item, itemPacks) {
+  for (const packName of itemPacks) {
+    const doc = getCachedDocByName([packName], item?.name);
+    if (doc?._id && doc.type === item?.type) return `Compendium.${packName}.Item.${doc._id}`;
+  }
+  return "";
+}
+
+function stripItemData(item) {
+  const data = cloneData(item);
+  for (const key of ["_id", "_stats", "folder", "sort", "ownership"]) delete data[key];
+  return data;
+}
+
+async function buildActorDataFromBundleEntry(entry, folderId, speciesEntries, counts) {
+  const flags = cloneData(entry.flags || {});
+  const moduleFlags = flags[MODULE_ID] || {};
+  // Journals stay behind in the source world
+  if (moduleFlags.faction) moduleFlags.faction.journalUuid = "";
+  if (moduleFlags.location) moduleFlags.location.journalUuid = "";
+
+  const items = [];
+  for (const itemEntry of Array.isArray(entry.items) ? entry.items : []) {
+    const item = await resolveBundleItem(itemEntry, entry, speciesEntries, counts);
+    if (item) items.push(item);
+  }
+
+  const species = items.find((item) => SPECIES_ITEM_TYPES.has(item.type));
+  const speciesEntry = species
+    ? speciesEntries.find((candidate) => candidate.name.toLowerCase() === species.name.toLowerCase())
+    : null;
+  // Re-imported actors count as imports; the mode they were generated with is kept as sourceMode
+  const sourceProvenance = moduleFlags.provenance || {};
+  moduleFlags.provenance = {
+    ...sourceProvenance,
+    mode: "import",
+    sourceMode: String(sourceProvenance.sourceMode || sourceProvenance.mode || ""),
+    speciesKey: speciesEntry?.key || String(entry.speciesKey || "")
+  };
+  flags[MODULE_ID] = moduleFlags;
+
+  const system = cloneData(entry.system || {});
+  // The species item gets a new id on creation; relinked afterwards
+  if (system.details?.race) system.details.race = null;
+
+  const actorData = {
+    name: String(entry.name || t("common.unnamed")),
+    type: String(entry.type || "npc"),
+    img: entry.img,
+    system,
+    prototypeToken: cloneData(entry.prototypeToken || {}),
+    items,
+    flags,
+    folder: folderId || undefined
+  };
+  if (actorData.prototypeToken.name === undefined) actorData.prototypeToken.name = actorData.name;
+  return { actorData };
+}
+
+async function resolveBundleItem(itemEntry, actorEntry, speciesEntries, counts) {
+  if (!itemEntry || typeof itemEntry !== "object") return null;
+  const uuid = String(itemEntry.uuid || "").trim();
+  let data = itemEntry.data ? cloneData(itemEntry.data) : null;
+  if (data) {
+    counts.embedded += 1;
+  } else {
+    data = await findWorldItemData(itemEntry, actorEntry, speciesEntries);
+    if (!data) {
+      counts.missing += 1;
+      console.warn(`NPC Button: Bundle item "${itemEntry.name}" was not found in this world's compendiums.`);
+      return null;
+    }
+    counts.resolved += 1;
+  }
+
+  delete data._id;
+  data.name = String(itemEntry.name || data.name);
+  data.system = data.system || {};
+  for (const [key, value] of Object.entries(itemEntry.overrides || {})) data.system[key] = cloneData(value);
+  data.flags = data.flags || {};
+  data.flags[MODULE_ID] = { ...(data.flags[MODULE_ID] || {}), ...cloneData(itemEntry.flags || {}) };
+  if (uuid) {
+    data.flags.core = { ...(data.flags.core || {}), sourceId: data.flags.core?.sourceId || uuid };
+  }
+  return data;
+}
+
+async function findWorldItemData(itemEntry, actorEntry, speciesEntries) {
+  const uuid = normalizeUuid(String(itemEntry.uuid || "").trim());
+  if (uuid && typeof fromUuid === "function") {
+    try {
+      const doc = await fromUuid(uuid);
+      if (doc?.documentName === "Item") return cloneData(toItemData(doc));
+    } catch {
+      // the pack is missing here, fall back to a name lookup
+    }
+  }
+
+  if (SPECIES_ITEM_TYPES.has(itemEntry.type)) {
+    const speciesEntry =
+      speciesEntries.find((entry) => entry.key === actorEntry.speciesKey) ||
+      speciesEntries.find((entry) => entry.name.toLowerCase() === String(itemEntry.name || "").toLowerCase());
+    return speciesEntry ? buildSpeciesItem(speciesEntry) : null;
+  }
+
+  const kinds = PACK_KINDS_BY_ITEM_TYPE[itemEntry.type] || ["loot"];
+  const packs = Array.from(new Set(kinds.flatMap((kind) => getPacks(kind))));
+  const matchesType = (doc) => doc && (!itemEntry.type || doc.type === itemEntry.type);
+  const cached = DATA_CACHE.compendiumCache?.packs ? getCachedDocByName(packs, itemEntry.name) : null;
+  if (matchesType(cached)) return cloneData(cached);
+  const found = await getItemByNameFromPacks(packs, itemEntry.name);
+  return matchesType(found) ? cloneData(toItemData(found)) : null;
+}
+
+// Point species links at the new species items and relationships at the new actors
+async function relinkImportedActors(entries, created) {
+  const uuidMap = new Map();
+  entries.forEach((entry, index) => {
+    if (entry.sourceUuid && created[index]) uuidMap.set(entry.sourceUuid, created[index].uuid);
+  });
+
+  const updates = [];
+  for (const actor of created) {
+    if (!actor) continue;
+    const update = { _id: actor.id };
+    const species = Array.from(actor.items || []).find((item) => SPECIES_ITEM_TYPES.has(item.type));
+    if (species) update["system.details.race"] = species.id;
+    const relationships = actor.flags?.[MODULE_ID]?.npc?.relationships;
+    if (Array.isArray(relationships) && relationships.length) {
+      update[`flags.${MODULE_ID}.npc.relationships`] = relationships.map((entry) => ({
+        ...entry,
+        uuid: uuidMap.get(entry.uuid) || ""
+      }));
+    }
+    if (Object.keys(update).length > 1) updates.push(update);
+  }
+  if (!updates.length) return;
+  try {
+    await Actor.updateDocuments(updates);
+  } catch (err) {
+    console.warn("NPC Button: Failed to relink imported bundle actors.", err);
+  }
+}
+
+// JSON text that does not parse is reported like any other invalid bundle
+function parseBundleSource(source) {
+  if (typeof source !== "string") return source;
+  try {
+    return JSON.parse(source);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,292 @@
+/**
+ * Class levels, subclasses and simple multiclass splits for generated NPCs
+ * @module class-progression
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { chance, pickRandom } from "./utils.js";
+
+/** World setting that controls subclass/multiclass generation */
+export const CLASS_PROGRESSION_SETTING = "classProgression";
+
+/** Progression modes: class features only, add a subclass, or subclass plus occasional multiclass */
+export const CLASS_PROGRESSION_MODES = ["class", "subclass", "multiclass"];
+
+const MULTICLASS_CHANCE = 0.5;
+const MULTICLASS_MIN_LEVEL = 4;
+
+// Archetype tag -> class, in priority order (first match is the primary class)
+const TAG_CLASSES = [
+  ["nature", "Druid"],
+  ["brute", "Barbarian"],
+  ["monk", "Monk"],
+  ["holy", "Cleric"],
+  ["dark", "Warlock"],
+  ["knowledge", "Wizard"],
+  ["wilderness", "Ranger"],
+  ["criminal", "Rogue"],
+  ["martial", "Fighter"],
+  ["social", "Bard"],
+  ["caster", "Wizard"]
+];
+
+// Partner class when the archetype tags offer no second class
+const MULTICLASS_PARTNERS = {
+  Barbarian: "Fighter",
+  Bard: "Rogue",
+  Cleric: "Fighter",
+  Druid: "Ranger",
+  Fighter: "Rogue",
+  Monk: "Rogue",
+  Paladin: "Warlock",
+  Ranger: "Rogue",
+  Rogue: "Fighter",
+  Sorcerer: "Warlock",
+  Warlock: "Sorcerer",
+  Wizard: "Fighter"
+};
+
+/**
+ * Subclasses per class. `level` is the class level the subclass is chosen at; `tags` bias the
+ * automatic pick toward archetypes that share them. The id (with spaces) and name are matched
+ * against feature requirements in the classFeatures compendiums.
+ */
+export const SUBCLASSES = {
+  Barbarian: {
+    level: 3,
+    options: [
+      { id: "berserker", name: "Path of the Berserker", tags: ["brute", "martial"] },
+      { id: "totem-warrior", name: "Path of the Totem Warrior", tags: ["wilderness", "nature"] }
+    ]
+  },
+  Bard: {
+    level: 3,
+    options: [
+      { id: "lore", name: "College of Lore", tags: ["knowledge", "social"] },
+      { id: "valor", name: "College of Valor", tags: ["martial"] }
+    ]
+  },
+  Cleric: {
+    level: 1,
+    options: [
+      { id: "life", name: "Life Domain", tags: ["holy"] },
+      { id: "war", name: "War Domain", tags: ["martial", "law"] },
+      { id: "trickery", name: "Trickery Domain", tags: ["criminal", "dark"] },
+      { id: "knowledge", name: "Knowledge Domain", tags: ["knowledge"] }
+    ]
+  },
+  Druid: {
+    level: 2,
+    options: [
+      { id: "land", name: "Circle of the Land", tags: ["nature", "caster"] },
+      { id: "moon", name: "Circle of the Moon", tags: ["wilderness", "brute"] }
+    ]
+  },
+  Fighter: {
+    level: 3,
+    options: [
+      { id: "champion", name: "Champion", tags: ["martial", "brute"] },
+      { id: "battle-master", name: "Battle Master", tags: ["law"] },
+      { id: "eldritch-knight", name: "Eldritch Knight", tags: ["caster", "knowledge"] }
+    ]
+  },
+  Monk: {
+    level: 3,
+    options: [
+      { id: "open-hand", name: "Way of the Open Hand", tags: ["monk"] },
+      { id: "shadow", name: "Way of Shadow", tags: ["criminal", "dark"] }
+    ]
+  },
+  Paladin: {
+    level: 3,
+    options: [
+      { id: "devotion", name: "Oath of Devotion", tags: ["holy", "law"] },
+      { id: "vengeance", name: "Oath of Vengeance", tags: ["dark"] },
+      { id: "ancients", name: "Oath of the Ancients", tags: ["nature", "wilderness"] }
+    ]
+  },
+  Ranger: {
+    level: 3,
+    options: [
+      { id: "hunter", name: "Hunter", tags: ["wilderness", "martial"] },
+      { id: "beast-master", name: "Beast Master", tags: ["nature"] }
+    ]
+  },
+  Rogue: {
+    level: 3,
+    options: [
+      { id: "thief", name: "Thief", tags: ["criminal"] },
+      { id: "assassin", name: "Assassin", tags: ["dark"] },
+      { id: "arcane-trickster", name: "Arcane Trickster", tags: ["caster", "knowledge"] }
+    ]
+  },
+  Sorcerer: {
+    level: 1,
+    options: [
+      { id: "draconic", name: "Draconic Bloodline", tags: ["caster"] },
+      { id: "wild-magic", name: "Wild Magic", tags: ["caster"] }
+    ]
+  },
+  Warlock: {
+    level: 1,
+    options: [
+      { id: "fiend", name: "The Fiend", tags: ["dark"] },
+      { id: "archfey", name: "The Archfey", tags: ["social", "nature"] },
+      { id: "great-old-one", name: "The Great Old One", tags: ["knowledge"] }
+    ]
+  },
+  Wizard: {
+    level: 2,
+    options: [
+      { id: "evocation", name: "School of Evocation", tags: ["caster"] },
+      { id: "necromancy", name: "School of Necromancy", tags: ["dark"] },
+      { id: "abjuration", name: "School of Abjuration", tags: ["law", "holy"] },
+      { id: "divination", name: "School of Divination", tags: ["knowledge"] },
+      { id: "illusion", name: "School of Illusion", tags: ["criminal", "social"] }
+    ]
+  }
+};
+
+/**
+ * Read the configured progression mode
+ * @returns {string} One of CLASS_PROGRESSION_MODES
+ */
+export function getClassProgressionMode() {
+  try {
+    const mode = String(game.settings?.get(MODULE_ID, CLASS_PROGRESSION_SETTING) || "");
+    return CLASS_PROGRESSION_MODES.includes(mode) ? mode : "class";
+  } catch (err) {
+    console.warn("NPC Button: Failed to read the class progression setting.", err);
+    return "class";
+  }
+}
+
+/**
+ * Classes suggested by archetype tags, in priority order without duplicates
+ * @param {string[]} tags - Archetype tags
+ * @returns {string[]}
+ */
+export function getTagClasses(tags) {
+  const list = Array.isArray(tags) ? tags : [];
+  const out = [];
+  for (const [tag, className] of TAG_CLASSES) {
+    if (list.includes(tag) && !out.includes(className)) out.push(className);
+  }
+  return out;
+}
+
+/**
+ * Class level an NPC of this CR would have (monster-manual NPCs run roughly 1.5 levels per CR)
+ * @param {number} cr - Challenge rating
+ * @returns {number} Level 1-20
+ */
+export function getNpcClassLevel(cr) {
+  return Math.max(1, Math.min(20, Math.round((Number(cr) || 0) * 1.5 + 1)));
+}
+
+/**
+ * Find a subclass of a class by id or name (case-insensitive)
+ * @param {string} className - Class name
+ * @param {string} value - Subclass id or name
+ * @returns {{id: string, name: string, tags: string[]}|null}
+ */
+export function findSubclass(className, value) {
+  const key = String(value || "").trim().toLowerCase();
+  if (!key) return null;
+  const options = SUBCLASSES[className]?.options || [];
+  return options.find((option) => option.id === key || option.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Roll class levels for an NPC. Returns null in "class" mode (plain class features, no levels)
+ * unless a subclass or multiclass is requested explicitly.
+ * @param {Object} params
+ * @param {Object} params.archetype - Archetype data (optional `subclass` id or name)
+ * @param {string} params.className - Primary class
+ * @param {number} params.cr - Challenge rating
+ * @param {string} [params.subclass] - Subclass id/name to force, or "none"
+ * @param {string} [params.multiclass] - Secondary class to force, or "none"
+ * @param {string} [params.mode] - Progression mode; defaults to the world setting
+ * @param {number} [params.level] - Total class level; defaults to the level for the CR
+ * @returns {Array<{className: string, level: number, subclass: string|null}>|null}
+ */
+export function rollClassProgression({ archetype, className, cr, subclass, multiclass, level, mode = getClassProgressionMode() }) {
+  const forced = (subclass && subclass !== "none") || (multiclass && multiclass !== "none");
+  if (mode === "class" && !forced) return null;
+
+  const total = Number(level) ? Math.max(1, Math.min(20, Math.round(Number(level)))) : getNpcClassLevel(cr);
+  const tags = Array.isArray(archetype?.tags) ? archetype.tags : [];
+  let secondary = null;
+  if (multiclass && multiclass !== "none") {
+    secondary = multiclass === className ? null : String(multiclass);
+  } else if (mode === "multiclass" && multiclass !== "none" && total >= MULTICLASS_MIN_LEVEL && chance(MULTICLASS_CHANCE)) {
+    secondary = getTagClasses(tags).find((name) => name !== className) || MULTICLASS_PARTNERS[className] || null;
+  }
+  const secondaryLevel = secondary ? Math.max(1, Math.min(Math.floor(total / 3), total - 1)) : 0;
+  const primaryLevel = total - secondaryLevel;
+
+  const primary = { className, level: primaryLevel, subclass: null };
+  const progression = SUBCLASSES[className];
+  if (subclass !== "none" && progression && primaryLevel >= progression.level) {
+    const chosen = findSubclass(className, subclass) || findSubclass(className, archetype?.subclass) || pickSubclass(className, tags);
+    primary.subclass = chosen?.name || null;
+  }
+  const out = [primary];
+  if (secondary) out.push({ className: secondary, level: secondaryLevel, subclass: null });
+  return out;
+}
+
+/**
+ * Format class levels for display ("Paladin 7 (Oath of Vengeance) / Rogue 2")
+ * @param {Array<{className: string, level: number, subclass: string|null}>} classLevels
+ * @returns {string}
+ */
+export function formatClassLevels(classLevels) {
+  return (Array.isArray(classLevels) ? classLevels : [])
+    .map((entry) => `${entry.className} ${entry.level}${entry.subclass ? ` (${entry.subclass})` : ""}`)
+    .join(" / ");
+}
+
+/**
+ * Lowercase subclass names a feature's requirements must name to belong to a subclass
+ * ("war domain", and "fiend" for "The Fiend"); bare ids like "war" would also hit "Warlock 3"
+ * @param {string} className - Class name
+ * @param {string} subclassName - Subclass name
+ * @returns {string[]}
+ */
+export function getSubclassNeedles(className, subclassName) {
+  const name = String(findSubclass(className, subclassName)?.name || subclassName || "").trim().toLowerCase();
+  if (!name) return [];
+  return Array.from(new Set([name, name.replace(/^the\s+/, "")]));
+}
+
+/**
+ * Whether a feature's requirements name one of the subclass needles as whole words ("War Domain 6")
+ * @param {string} requirements - Feature requirements
+ * @param {string[]} needles - Needles from getSubclassNeedles
+ * @returns {boolean}
+ */
+export function requirementsNameSubclass(requirements, needles) {
+  const text = String(requirements || "").toLowerCase();
+  return (needles || []).some((needle) => {
+    const escaped = needle.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+    return new RegExp(`(?:^|[^a-z])${escaped}(?![a-z])`).test(text);
+  });
+}
+
+/**
+ * Class level a feature requires, read from its requirements text ("Paladin 7", "Oath of Devotion 3")
+ * @param {string} requirements - Feature requirements
+ * @returns {number} Level, 1 when none is given
+ */
+export function getRequirementLevel(requirements) {
+  const matches = String(requirements || "").match(/\d+/g);
+  return matches ? Number(matches[matches.length - 1]) || 1 : 1;
+}
+
+// Prefer subclasses sharing an archetype tag; otherwise any subclass of the class
+function pickSubclass(className, tags) {
+  const options = SUBCLASSES[className]?.options || [];
+  const matching = options.filter((option) => option.tags.some((tag) => tags.includes(tag)));
+  return pickRandom(matching.length ? matching : options) || null;
+}
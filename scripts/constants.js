@@ -128,32 +128,129 @@ export const MAGIC_ITEM_CHANCE = {
 };
 
 /**
- * Monster Statistics by Challenge Rating (based on DMG p.274)
+ * DMG "Monster Statistics by Challenge Rating" (p.274), one row per CR from 0 to 30.
+ * hp and dpr are the DMG hit point and damage-per-round bands. npcHp is the generator's baseline hit points,
+ * kept below the band for humanoid NPCs (the CR check raises it when set to correct hit points).
+ * The generator, the AI import defaults and the CR check all read this table.
+ */
+export const DMG_MONSTER_STATS = [
+  { cr: 0, npcHp: 4, prof: 2, ac: 13, hp: [1, 6], atk: 3, dpr: [0, 1], dc: 13 },
+  { cr: 0.125, npcHp: 10, prof: 2, ac: 13, hp: [7, 35], atk: 3, dpr: [2, 3], dc: 13 },
+  { cr: 0.25, npcHp: 18, prof: 2, ac: 13, hp: [36, 49], atk: 3, dpr: [4, 5], dc: 13 },
+  { cr: 0.5, npcHp: 28, prof: 2, ac: 13, hp: [50, 70], atk: 3, dpr: [6, 8], dc: 13 },
+  { cr: 1, npcHp: 39, prof: 2, ac: 13, hp: [71, 85], atk: 3, dpr: [9, 14], dc: 13 },
+  { cr: 2, npcHp: 52, prof: 2, ac: 13, hp: [86, 100], atk: 3, dpr: [15, 20], dc: 13 },
+  { cr: 3, npcHp: 65, prof: 2, ac: 13, hp: [101, 115], atk: 4, dpr: [21, 26], dc: 13 },
+  { cr: 4, npcHp: 78, prof: 2, ac: 14, hp: [116, 130], atk: 5, dpr: [27, 32], dc: 14 },
+  { cr: 5, npcHp: 91, prof: 3, ac: 15, hp: [131, 145], atk: 6, dpr: [33, 38], dc: 15 },
+  { cr: 6, npcHp: 104, prof: 3, ac: 15, hp: [146, 160], atk: 6, dpr: [39, 44], dc: 15 },
+  { cr: 7, npcHp: 117, prof: 3, ac: 15, hp: [161, 175], atk: 6, dpr: [45, 50], dc: 15 },
+  { cr: 8, npcHp: 130, prof: 3, ac: 16, hp: [176, 190], atk: 7, dpr: [51, 56], dc: 16 },
+  { cr: 9, npcHp: 145, prof: 4, ac: 16, hp: [191, 205], atk: 7, dpr: [57, 62], dc: 16 },
+  { cr: 10, npcHp: 160, prof: 4, ac: 17, hp: [206, 220], atk: 7, dpr: [63, 68], dc: 16 },
+  { cr: 11, npcHp: 175, prof: 4, ac: 17, hp: [221, 235], atk: 8, dpr: [69, 74], dc: 17 },
+  { cr: 12, npcHp: 190, prof: 4, ac: 17, hp: [236, 250], atk: 8, dpr: [75, 80], dc: 17 },
+  { cr: 13, npcHp: 205, prof: 5, ac: 18, hp: [251, 265], atk: 8, dpr: [81, 86], dc: 18 },
+  { cr: 14, npcHp: 220, prof: 5, ac: 18, hp: [266, 280], atk: 8, dpr: [87, 92], dc: 18 },
+  { cr: 15, npcHp: 235, prof: 5, ac: 18, hp: [281, 295], atk: 8, dpr: [93, 98], dc: 18 },
+  { cr: 16, npcHp: 250, prof: 5, ac: 18, hp: [296, 310], atk: 9, dpr: [99, 104], dc: 18 },
+  { cr: 17, npcHp: 265, prof: 6, ac: 19, hp: [311, 325], atk: 10, dpr: [105, 110], dc: 19 },
+  { cr: 18, npcHp: 280, prof: 6, ac: 19, hp: [326, 340], atk: 10, dpr: [111, 116], dc: 19 },
+  { cr: 19, npcHp: 295, prof: 6, ac: 19, hp: [341, 355], atk: 10, dpr: [117, 122], dc: 19 },
+  { cr: 20, npcHp: 310, prof: 6, ac: 19, hp: [356, 400], atk: 10, dpr: [123, 140], dc: 19 },
+  { cr: 21, npcHp: 335, prof: 7, ac: 19, hp: [401, 445], atk: 11, dpr: [141, 158], dc: 20 },
+  { cr: 22, npcHp: 370, prof: 7, ac: 19, hp: [446, 490], atk: 11, dpr: [159, 176], dc: 20 },
+  { cr: 23, npcHp: 405, prof: 7, ac: 19, hp: [491, 535], atk: 11, dpr: [177, 194], dc: 20 },
+  { cr: 24, npcHp: 440, prof: 7, ac: 19, hp: [536, 580], atk: 12, dpr: [195, 212], dc: 21 },
+  { cr: 25, npcHp: 475, prof: 8, ac: 19, hp: [581, 625], atk: 12, dpr: [213, 230], dc: 21 },
+  { cr: 26, npcHp: 510, prof: 8, ac: 19, hp: [626, 670], atk: 12, dpr: [231, 248], dc: 21 },
+  { cr: 27, npcHp: 545, prof: 8, ac: 19, hp: [671, 715], atk: 13, dpr: [249, 266], dc: 22 },
+  { cr: 28, npcHp: 580, prof: 8, ac: 19, hp: [716, 760], atk: 13, dpr: [267, 284], dc: 22 },
+  { cr: 29, npcHp: 615, prof: 9, ac: 19, hp: [761, 805], atk: 13, dpr: [285, 302], dc: 22 },
+  { cr: 30, npcHp: 650, prof: 9, ac: 19, hp: [806, 850], atk: 14, dpr: [303, 320], dc: 23 }
+];
+
+/**
+ * Generator stats by challenge rating, derived from DMG_MONSTER_STATS.
  * Keys are CR as a number (fractional for sub-1 CRs).
- * hp = expected hit points, ac = expected armor class, prof = proficiency bonus
+ * hp = baseline NPC hit points, ac = expected armor class, prof = proficiency bonus,
+ * dpr = middle of the damage-per-round band
  */
-export const MONSTER_STATS_BY_CR = {
-  0:      { hp: 4,   ac: 13, prof: 2 },
-  0.125:  { hp: 10,  ac: 13, prof: 2 },
-  0.25:   { hp: 18,  ac: 13, prof: 2 },
-  0.5:    { hp: 28,  ac: 13, prof: 2 },
-  1:      { hp: 39,  ac: 13, prof: 2 },
-  2:      { hp: 52,  ac: 13, prof: 2 },
-  3:      { hp: 65,  ac: 13, prof: 2 },
-  4:      { hp: 78,  ac: 14, prof: 2 },
-  5:      { hp: 91,  ac: 15, prof: 3 },
-  6:      { hp: 104, ac: 15, prof: 3 },
-  7:      { hp: 117, ac: 15, prof: 3 },
-  8:      { hp: 130, ac: 16, prof: 3 },
-  9:      { hp: 145, ac: 16, prof: 4 },
-  10:     { hp: 160, ac: 17, prof: 4 }
-};
+export const MONSTER_STATS_BY_CR = Object.fromEntries(
+  DMG_MONSTER_STATS.map((row) => [row.cr, {
+    hp: row.npcHp,
+    ac: row.ac,
+    prof: row.prof,
+    dpr: (row.dpr[0] + row.dpr[1]) / 2
+  }])
+);
+
+/** Highest CR reached by the tier tables; explicit target CRs above it use the extended scaling */
+export const TIER_CR_MAX = 10;
+
+/** All valid challenge ratings in ascending order */
+export const CR_VALUES = Object.keys(MONSTER_STATS_BY_CR).map(Number).sort((a, b) => a - b);
+
+/**
+ * Parse a challenge rating ("1/4", "0.5", 12) into a valid CR number.
+ * Values between table entries snap down to the nearest lower CR.
+ * @param {*} value - Raw CR value
+ * @returns {number|null} CR from 0 to 30, or null when empty/invalid
+ */
+export function parseCrValue(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text || text === "auto") return null;
+  let n;
+  if (text.includes("/")) {
+    const [num, den] = text.split("/").map(Number);
+    n = den ? num / den : NaN;
+  } else {
+    n = Number(text);
+  }
+  if (!Number.isFinite(n) || n < 0) return null;
+  let best = CR_VALUES[0];
+  for (const cr of CR_VALUES) {
+    if (cr <= n + 1e-9) best = cr;
+    else break;
+  }
+  return best;
+}
+
+/**
+ * Format a challenge rating the way stat blocks print it (1/8, 1/4, 1/2, 1..30)
+ * @param {*} value - Challenge rating
+ * @returns {string} Label, or "" when the value is not a number
+ */
+export function formatCrLabel(value) {
+  const cr = Number(value);
+  if (!Number.isFinite(cr)) return "";
+  if (cr > 0 && cr < 1) {
+    const fractions = { 0.125: "1/8", 0.25: "1/4", 0.5: "1/2" };
+    return fractions[cr] || String(cr);
+  }
+  return String(cr);
+}
+
+/**
+ * Map a challenge rating to the generator tier (1-4) whose CR range contains it.
+ * CRs above the tier tables map to tier 4.
+ * @param {number} cr - Challenge rating
+ * @returns {number}
+ */
+export function getTierForCr(cr) {
+  const n = Number(cr) || 0;
+  if (n <= 0.5) return 1;
+  if (n <= 3) return 2;
+  if (n <= 6) return 3;
+  return 4;
+}
 
 /**
  * Get DMG-based monster stats for a numeric CR value.
  * Falls back to the nearest lower CR entry when the exact CR is not found.
  * @param {number} cr - Challenge rating
- * @returns {{hp: number, ac: number, prof: number}}
+ * @returns {{hp: number, ac: number, prof: number, dpr: number}}
  */
 export function getMonsterStatsByCr(cr) {
   const n = Number(cr);
@@ -0,0 +1,310 @@
+/**
+ * Challenge rating check for finished actor data, following the DMG "Creating a Monster" math
+ * @module cr-calculator
+ */
+
+import { MODULE_ID, CR_VALUES, DMG_MONSTER_STATS, parseCrValue, formatCrLabel } from "./constants.js";
+import { escapeHtml } from "./utils.js";
+
+/** World setting that controls the CR check */
+export const CR_CHECK_SETTING = "crCheck";
+
+/** CR check modes: off, warn only, or warn and auto-correct HP, damage or both */
+export const CR_CHECK_MODES = ["off", "warn", "hp", "damage", "both"];
+
+/** Largest drift (in CR steps) that passes without a warning */
+export const CR_DRIFT_TOLERANCE = 1;
+
+/**
+ * Read the configured CR check mode
+ * @returns {string} One of CR_CHECK_MODES
+ */
+export function getCrCheckMode() {
+  try {
+    const mode = String(game.settings?.get(MODULE_ID, CR_CHECK_SETTING) || "");
+    return CR_CHECK_MODES.includes(mode) ? mode : "off";
+  } catch (err) {
+    console.warn("NPC Button: Failed to read the CR check setting.", err);
+    return "off";
+  }
+}
+
+/**
+ * Compute defensive, offensive and effective CR from finished actor data.
+ * Offense uses the best equipped weapon times the Multiattack count (plus one attack for
+ * Legendary Actions); spell damage is not counted, but a caster's save DC stands in for the
+ * attack bonus when it is relatively higher.
+ * @param {Object} actorData - Actor creation data (system + items)
+ * @returns {Object|null} Report, or null when the actor has no usable CR/HP
+ */
+export function calculateActorCr(actorData) {
+  const system = actorData?.system || {};
+  const attributes = system.attributes || {};
+  const declaredCr = parseCrValue(system.details?.cr);
+  const hp = Number(attributes.hp?.max);
+  if (declaredCr === null || !Number.isFinite(hp) || hp <= 0) return null;
+
+  const ac = Number(attributes.ac?.value) || 10;
+  const prof = Number(attributes.prof) || 2;
+  const items = Array.isArray(actorData.items) ? actorData.items : [];
+  const attack = findBestWeaponAttack(items, system.abilities, prof);
+  const attacks = getAttacksPerRound(items);
+  const damagePerRound = attack ? Math.max(0, attack.average) * attacks : 0;
+  const saveDc = getSpellSaveDc(system, items, prof);
+
+  const defensiveBase = findHpIndex(hp);
+  const defensiveIndex = clampIndex(defensiveBase + stepShift(ac - DMG_MONSTER_STATS[defensiveBase].ac));
+
+  const offensiveBase = findDprIndex(damagePerRound);
+  const expected = DMG_MONSTER_STATS[offensiveBase];
+  const attackShift = stepShift((attack?.bonus ?? expected.atk) - expected.atk);
+  const dcShift = saveDc ? stepShift(saveDc - expected.dc) : -Infinity;
+  const offensiveIndex = clampIndex(offensiveBase + Math.max(attackShift, dcShift));
+
+  const declaredIndex = getCrIndex(declaredCr);
+  const effectiveIndex = clampIndex(Math.round((defensiveIndex + offensiveIndex) / 2));
+  return {
+    declaredCr,
+    defensiveCr: CR_VALUES[defensiveIndex],
+    offensiveCr: CR_VALUES[offensiveIndex],
+    effectiveCr: CR_VALUES[effectiveIndex],
+    drift: effectiveIndex - declaredIndex,
+    hp,
+    ac,
+    attackBonus: attack?.bonus ?? null,
+    saveDc,
+    attacks,
+    damagePerRound: Math.round(damagePerRound)
+  };
+}
+
+/**
+ * Check actor data against its declared CR, optionally auto-correct HP/damage, and record the result.
+ * Stores the report in flags[MODULE_ID].crCheck and appends a biography note when the drift
+ * still exceeds CR_DRIFT_TOLERANCE.
+ * @param {Object} actorData - Actor creation data (mutated)
+ * @param {string} [mode] - CR check mode; defaults to the world setting
+ * @returns {Object|null} Final report, or null when the check is off or not applicable
+ */
+export function applyCrCheck(actorData, mode = getCrCheckMode()) {
+  if (mode === "off") return null;
+  let report = calculateActorCr(actorData);
+  if (!report) return null;
+
+  const corrected = [];
+  if (hasCrDrift(report)) {
+    // A single knob has to carry the whole drift; with both, each side aims at the declared CR
+    const declaredIndex = getCrIndex(report.declaredCr);
+    const hpTarget = mode === "both" ? declaredIndex : declaredIndex * 2 - getCrIndex(report.offensiveCr);
+    const damageTarget = mode === "both" ? declaredIndex : declaredIndex * 2 - getCrIndex(report.defensiveCr);
+    if ((mode === "hp" || mode === "both") && correctActorHp(actorData, report, clampIndex(hpTarget))) {
+      corrected.push("hp");
+    }
+    if ((mode === "damage" || mode === "both") && correctActorDamage(actorData, report, clampIndex(damageTarget))) {
+      corrected.push("damage");
+    }
+    if (corrected.length) {
+      report = { ...calculateActorCr(actorData), correctedFrom: report.effectiveCr };
+    }
+  }
+  report.corrected = corrected;
+
+  const flags = actorData.flags?.[MODULE_ID];
+  if (flags) flags.crCheck = report;
+  const biography = actorData.system?.details?.biography;
+  const note = buildCrDriftNote(report);
+  if (biography && note) biography.value = [biography.value, note].filter(Boolean).join("\n");
+  return report;
+}
+
+/**
+ * Whether a report drifts far enough from the declared CR to warn about
+ * @param {Object|null} report - Report from calculateActorCr/applyCrCheck
+ * @returns {boolean}
+ */
+export function hasCrDrift(report) {
+  return !!report && Math.abs(Number(report.drift) || 0) > CR_DRIFT_TOLERANCE;
+}
+
+/**
+ * Build the biography note for a drifting CR report
+ * @param {Object|null} report - Report from calculateActorCr/applyCrCheck
+ * @returns {string} HTML paragraph, or "" when the report is within tolerance
+ */
+export function buildCrDriftNote(report) {
+  if (!hasCrDrift(report)) return "";
+  const e = escapeHtml;
+  const direction = report.drift > 0 ? "stronger" : "weaker";
+  return `<p><strong>CR Check:</strong> Plays like CR ${e(formatCrLabel(report.effectiveCr))} ` +
+    `(defense CR ${e(formatCrLabel(report.defensiveCr))}, offense CR ${e(formatCrLabel(report.offensiveCr))}), ` +
+    `${direction} than the declared CR ${e(formatCrLabel(report.declaredCr))}.</p>`;
+}
+
+// Move HP to the middle of the row that yields the target defensive CR at this AC
+function correctActorHp(actorData, report, targetDefense) {
+  const hpData = actorData.system?.attributes?.hp;
+  if (!hpData) return false;
+  let rowIndex = targetDefense;
+  for (let i = 0; i < DMG_MONSTER_STATS.length; i++) {
+    if (clampIndex(i + stepShift(report.ac - DMG_MONSTER_STATS[i].ac)) >= targetDefense) {
+      rowIndex = i;
+      break;
+    }
+  }
+  const [min, max] = DMG_MONSTER_STATS[rowIndex].hp;
+  const hp = Math.max(1, Math.round((min + max) / 2));
+  if (hp === hpData.max) return false;
+  hpData.max = hp;
+  hpData.value = hp;
+  return true;
+}
+
+// Add a flat bonus to the best weapon so the round's damage hits the target offensive CR
+function correctActorDamage(actorData, report, targetOffense) {
+  const items = Array.isArray(actorData.items) ? actorData.items : [];
+  const attack = findBestWeaponAttack(items, actorData.system?.abilities, Number(actorData.system?.attributes?.prof) || 2);
+  if (!attack) return false;
+  const attackShift = stepShift(attack.bonus - DMG_MONSTER_STATS[targetOffense].atk);
+  const rowIndex = clampIndex(targetOffense - attackShift);
+  const [min, max] = DMG_MONSTER_STATS[rowIndex].dpr;
+  const perAttack = ((min + max) / 2) / Math.max(1, report.attacks);
+  const delta = Math.max(1 - Math.round(attack.average), Math.round(perAttack - attack.average));
+  if (!delta) return false;
+  return addWeaponDamageBonus(attack.item, delta);
+}
+
+function addWeaponDamageBonus(item, delta) {
+  const damage = item?.system?.damage;
+  if (!damage) return false;
+  const base = damage.base;
+  if (base && Number(base.number) > 0 && Number(base.denomination) > 0) {
+    const current = String(base.bonus ?? "").trim();
+    base.bonus = current ? `${current} ${delta < 0 ? "-" : "+"} ${Math.abs(delta)}` : String(delta);
+    return true;
+  }
+  const part = Array.isArray(damage.parts) ? damage.parts[0] : null;
+  if (Array.isArray(part) && part[0]) {
+    part[0] = `${part[0]} ${delta < 0 ? "-" : "+"} ${Math.abs(delta)}`;
+    return true;
+  }
+  return false;
+}
+
+function findBestWeaponAttack(items, abilities, prof) {
+  let best = null;
+  for (const item of items) {
+    if (String(item?.type || "").toLowerCase() !== "weapon") continue;
+    const mod = getAbilityMod(abilities, getWeaponAbility(item, abilities));
+    const dice = getWeaponDamageAverage(item, mod);
+    if (dice === null) continue;
+    const magic = Number(item.system?.magicalBonus) || 0;
+    const average = dice + magic;
+    if (!best || average > best.average) {
+      best = { item, average, bonus: prof + mod + magic };
+    }
+  }
+  return best;
+}
+
+function getWeaponAbility(item, abilities) {
+  const system = item?.system || {};
+  const explicit = String(system.ability || "").trim();
+  if (explicit && explicit !== "none") return explicit;
+  const properties = system.properties;
+  const hasFinesse = Array.isArray(properties)
+    ? properties.includes("fin")
+    : properties instanceof Set
+      ? properties.has("fin")
+      : !!properties?.fin;
+  if (hasFinesse) {
+    return getAbilityMod(abilities, "dex") > getAbilityMod(abilities, "str") ? "dex" : "str";
+  }
+  const weaponType = String(system.type?.value || system.weaponType || "");
+  const ranged = system.actionType === "rwak" || weaponType.endsWith("R");
+  return ranged ? "dex" : "str";
+}
+
+// Average damage of one hit: dnd5e 4.x base damage, or the first legacy damage part
+function getWeaponDamageAverage(item, mod) {
+  const damage = item?.system?.damage || {};
+  const base = damage.base;
+  if (base && Number(base.number) > 0 && Number(base.denomination) > 0) {
+    const bonus = averageFormula(String(base.bonus ?? ""), mod);
+    return Number(base.number) * (Number(base.denomination) + 1) / 2 + mod + bonus;
+  }
+  const part = Array.isArray(damage.parts) ? damage.parts[0] : null;
+  const formula = Array.isArray(part) ? String(part[0] || "") : "";
+  if (!formula) return null;
+  return averageFormula(formula, mod);
+}
+
+// Average of a simple dice formula ("2d6 + 3", "1d8 + @mod"); unknown terms count as 0
+function averageFormula(formula, mod) {
+  const text = formula.replace(/\s+/g, "");
+  if (!text) return 0;
+  let total = 0;
+  for (const [, sign, term] of text.matchAll(/([+-]?)([^+-]+)/g)) {
+    const factor = sign === "-" ? -1 : 1;
+    const dice = term.match(/^(\d*)d(\d+)$/i);
+    let value = 0;
+    if (dice) value = (Number(dice[1]) || 1) * (Number(dice[2]) + 1) / 2;
+    else if (term === "@mod") value = mod;
+    else if (Number.isFinite(Number(term))) value = Number(term);
+    total += factor * value;
+  }
+  return total;
+}
+
+function getAttacksPerRound(items) {
+  let attacks = 1;
+  let legendary = false;
+  for (const item of items) {
+    const name = String(item?.name || "").toLowerCase();
+    if (name === "multiattack") {
+      const text = String(item.system?.description?.value || "");
+      const match = text.match(/makes\s+(\d+|two|three|four)\s+/i);
+      const words = { two: 2, three: 3, four: 4 };
+      const count = match ? Number(match[1]) || words[match[1].toLowerCase()] : 2;
+      attacks = Math.max(attacks, count || 1);
+    } else if (name === "legendary actions") {
+      legendary = true;
+    }
+  }
+  return attacks + (legendary ? 1 : 0);
+}
+
+function getSpellSaveDc(system, items, prof) {
+  const ability = String(system?.attributes?.spellcasting || "");
+  if (!ability) return null;
+  if (!items.some((item) => item?.type === "spell")) return null;
+  return 8 + prof + getAbilityMod(system.abilities, ability);
+}
+
+function getAbilityMod(abilities, key) {
+  const score = Number(abilities?.[key]?.value);
+  return Number.isFinite(score) ? Math.floor((score - 10) / 2) : 0;
+}
+
+function findHpIndex(hp) {
+  const index = DMG_MONSTER_STATS.findIndex((row) => hp <= row.hp[1]);
+  return index === -1 ? DMG_MONSTER_STATS.length - 1 : index;
+}
+
+function findDprIndex(dpr) {
+  const index = DMG_MONSTER_STATS.findIndex((row) => dpr < row.dpr[1] + 1);
+  return index === -1 ? DMG_MONSTER_STATS.length - 1 : index;
+}
+
+function getCrIndex(cr) {
+  const index = CR_VALUES.indexOf(cr);
+  return index === -1 ? 0 : index;
+}
+
+// One CR step for every two points above or below the expected value
+function stepShift(difference) {
+  return Math.trunc((Number(difference) || 0) / 2);
+}
+
+function clampIndex(index) {
+  return Math.max(0, Math.min(DMG_MONSTER_STATS.length - 1, index));
+}
@@ -5,15 +5,35 @@
 
 import { MODULE_ID, COMPENDIUM_CACHE_FILE } from "./constants.js";
 import { tf } from "./i18n.js";
+import { cloneData } from "./utils.js";
+import { NAME_ENGINE_TYPES } from "./name-engine.js";
 
 /** Global data cache */
 export const DATA_CACHE = { loaded: false };
 
+/** World setting holding user-defined archetypes (JSON array) */
+export const CUSTOM_ARCHETYPES_SETTING = "customArchetypes";
+
+/** World setting holding user-defined name cultures (JSON array) */
+export const CUSTOM_NAME_CULTURES_SETTING = "customNameCultures";
+
+/** Name list fields of a user-defined culture */
+export const NAME_CULTURE_LIST_FIELDS = ["male", "female", "neutral", "surnames", "titles"];
+
+/** Allowed archetype attack styles */
+export const ARCHETYPE_ATTACK_STYLES = ["melee", "ranged", "mixed", "caster"];
+
+/** Allowed archetype spellcasting modes: spell slots or innate at-will/per-day spells */
+export const ARCHETYPE_SPELLCASTING_MODES = ["slots", "innate"];
+
+const ARCHETYPE_ABILITY_KEYS = ["str", "dex", "con", "int", "wis", "cha"];
+const ARCHETYPE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
 /** Promise for ongoing load operation - prevents race conditions */
 let LOAD_PROMISE = null;
 
 /**
- * Load all module data (names, traits, archetypes, loot, species, cache)
+ * Load all module data (names, traits, archetypes, loot, lair, spells, parties, factions, locations, species, cache)
  * Uses promise-based locking to prevent duplicate loading
  * @returns {Promise<void>}
  */
@@ -23,17 +43,29 @@ export async function loadData() {
 
   LOAD_PROMISE = (async () => {
     try {
-      const [names, traits, archetypes, loot] = await Promise.all([
+      const [names, traits, archetypes, loot, lair, spells, parties, factions, locations] = await Promise.all([
         fetchJson("names"),
         fetchJson("traits"),
         fetchJson("archetypes"),
-        fetchJson("loot")
+        fetchJson("loot"),
+        fetchJson("lair"),
+        fetchJson("spells"),
+        fetchJson("parties"),
+        fetchJson("factions"),
+        fetchJson("locations")
       ]);
 
-      DATA_CACHE.names = names;
+      DATA_CACHE.shippedNames = names;
+      DATA_CACHE.names = mergeCustomNameCultures(names, getCustomNameCultures());
       DATA_CACHE.traits = traits;
-      DATA_CACHE.archetypes = archetypes;
+      DATA_CACHE.shippedArchetypes = archetypes;
+      DATA_CACHE.archetypes = mergeCustomArchetypes(archetypes, getCustomArchetypes());
       DATA_CACHE.loot = loot;
+      DATA_CACHE.lair = lair;
+      DATA_CACHE.spells = spells;
+      DATA_CACHE.parties = parties;
+      DATA_CACHE.factions = factions;
+      DATA_CACHE.locations = locations;
 
       // Import getSpeciesEntries lazily to avoid circular dependency
       const { getSpeciesEntries } = await import("./species.js");
@@ -114,8 +146,21 @@ export function validateDataCache() {
   if (!Array.isArray(DATA_CACHE.traits?.appearance) || !DATA_CACHE.traits.appearance.length) {
     problems.push("traits.appearance");
   }
+  if (!Array.isArray(DATA_CACHE.spells?.spells) || !DATA_CACHE.spells.spells.length) {
+    problems.push("spells.spells");
+  }
+  if (!Array.isArray(DATA_CACHE.factions?.types) || !DATA_CACHE.factions.types.length) {
+    problems.push("factions.types");
+  }
+  if (!Array.isArray(DATA_CACHE.locations?.types) || !DATA_CACHE.locations.types.length) {
+    problems.push("locations.types");
+  }
   if (!Array.isArray(DATA_CACHE.archetypes) || !DATA_CACHE.archetypes.length) {
     problems.push("archetypes");
+  } else {
+    for (const [index, archetype] of DATA_CACHE.archetypes.entries()) {
+      if (validateArchetypeEntry(archetype).length) problems.push(`archetypes[${archetype?.id || index}]`);
+    }
   }
 
   if (problems.length) {
@@ -125,6 +170,158 @@ export function validateDataCache() {
   }
 }
 
+/**
+ * Validate one archetype entry (shipped or user-defined)
+ * @param {Object} entry - Archetype data
+ * @returns {string[]} Problem descriptions, empty when valid
+ */
+export function validateArchetypeEntry(entry) {
+  const problems = [];
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return ["entry"];
+  if (!ARCHETYPE_ID_PATTERN.test(String(entry.id || ""))) problems.push("id");
+  if (!String(entry.name || "").trim()) problems.push("name");
+  if (!isStringArray(entry.tags)) problems.push("tags");
+  const abilities = entry.baseAbilities;
+  if (
+    !abilities ||
+    typeof abilities !== "object" ||
+    ARCHETYPE_ABILITY_KEYS.some((key) => {
+      const value = Number(abilities[key]);
+      return !Number.isInteger(value) || value < 1 || value > 30;
+    })
+  ) {
+    problems.push("baseAbilities");
+  }
+  const knownSkills = CONFIG?.DND5E?.skills ? Object.keys(CONFIG.DND5E.skills) : null;
+  if (!isStringArray(entry.skills) || (knownSkills && entry.skills.some((skill) => !knownSkills.includes(skill)))) {
+    problems.push("skills");
+  }
+  if (!ARCHETYPE_ATTACK_STYLES.includes(entry.attackStyle)) problems.push("attackStyle");
+  if (entry.lootTable !== undefined && typeof entry.lootTable !== "string") problems.push("lootTable");
+  if (entry.subclass !== undefined && typeof entry.subclass !== "string") problems.push("subclass");
+  if (entry.spellcasting !== undefined && !ARCHETYPE_SPELLCASTING_MODES.includes(entry.spellcasting)) {
+    problems.push("spellcasting");
+  }
+  if (!isStringArray(entry.alignmentPool) || !entry.alignmentPool.length) problems.push("alignmentPool");
+  return problems;
+}
+
+/**
+ * Read user-defined archetypes from the world setting, dropping invalid entries
+ * @returns {Object[]}
+ */
+export function getCustomArchetypes() {
+  return readValidatedSettingEntries(CUSTOM_ARCHETYPES_SETTING, validateArchetypeEntry, "custom archetype");
+}
+
+/**
+ * Merge user-defined archetypes after the shipped ones; ids already taken by shipped data are skipped
+ * @param {Object[]} shipped - Archetypes from data/archetypes.json
+ * @param {Object[]} custom - User-defined archetypes
+ * @returns {Object[]}
+ */
+export function mergeCustomArchetypes(shipped, custom) {
+  const out = Array.isArray(shipped) ? shipped.slice() : [];
+  const seen = new Set(out.map((entry) => entry?.id));
+  for (const entry of custom || []) {
+    if (seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    out.push({ ...entry, custom: true });
+  }
+  return out;
+}
+
+/**
+ * Re-apply custom archetypes to an already loaded cache (after the setting changes)
+ */
+export function refreshCustomArchetypes() {
+  if (!DATA_CACHE.loaded || !Array.isArray(DATA_CACHE.shippedArchetypes)) return;
+  DATA_CACHE.archetypes = mergeCustomArchetypes(DATA_CACHE.shippedArchetypes, getCustomArchetypes());
+}
+
+/**
+ * Validate one user-defined name culture
+ * @param {Object} entry - Culture data ({ id, label, male, female, neutral, surnames, titles })
+ * @returns {string[]} Problem descriptions, empty when valid
+ */
+export function validateNameCultureEntry(entry) {
+  const problems = [];
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return ["entry"];
+  if (!ARCHETYPE_ID_PATTERN.test(String(entry.id || ""))) problems.push("id");
+  if (!String(entry.label || "").trim()) problems.push("label");
+  for (const field of NAME_CULTURE_LIST_FIELDS) {
+    if (entry[field] !== undefined && !isStringArray(entry[field])) problems.push(field);
+  }
+  const givenCount = ["male", "female", "neutral"].reduce(
+    (sum, field) => sum + (Array.isArray(entry[field]) ? entry[field].length : 0),
+    0
+  );
+  if (!givenCount) problems.push("givenNames");
+  if (entry.generator !== undefined && entry.generator !== null) {
+    const type = typeof entry.generator === "string" ? entry.generator : entry.generator?.type;
+    if (!NAME_ENGINE_TYPES.includes(type)) problems.push("generator");
+  }
+  return problems;
+}
+
+/**
+ * Read user-defined name cultures from the world setting, dropping invalid entries
+ * @returns {Object[]}
+ */
+export function getCustomNameCultures() {
+  return readValidatedSettingEntries(CUSTOM_NAME_CULTURES_SETTING, validateNameCultureEntry, "name culture");
+}
+
+/**
+ * Merge user-defined cultures into a names data object; ids already taken by shipped cultures are skipped
+ * @param {Object} shipped - Data from data/names.json
+ * @param {Object[]} custom - User-defined cultures
+ * @returns {Object} New names object
+ */
+export function mergeCustomNameCultures(shipped, custom) {
+  const out = { ...(shipped || {}), cultures: { ...(shipped?.cultures || {}) } };
+  for (const entry of custom || []) {
+    if (Object.prototype.hasOwnProperty.call(out.cultures, entry.id)) continue;
+    const culture = { label: String(entry.label).trim(), custom: true };
+    for (const field of NAME_CULTURE_LIST_FIELDS) {
+      if (Array.isArray(entry[field]) && entry[field].length) culture[field] = entry[field].slice();
+    }
+    if (entry.generator) culture.generator = cloneData(entry.generator);
+    out.cultures[entry.id] = culture;
+  }
+  return out;
+}
+
+/**
+ * Re-apply custom name cultures to an already loaded cache (after the setting changes)
+ */
+export function refreshCustomNameCultures() {
+  if (!DATA_CACHE.loaded || !DATA_CACHE.shippedNames) return;
+  DATA_CACHE.names = mergeCustomNameCultures(DATA_CACHE.shippedNames, getCustomNameCultures());
+}
+
+function readValidatedSettingEntries(settingKey, validate, label) {
+  let parsed = [];
+  try {
+    parsed = JSON.parse(game.settings?.get(MODULE_ID, settingKey) || "[]");
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Failed to parse ${label} setting`, err);
+    return [];
+  }
+  if (!Array.isArray(parsed)) return [];
+  return parsed.filter((entry) => {
+    const problems = validate(entry);
+    if (problems.length) {
+      console.warn(`${MODULE_ID} | Skipping invalid ${label} "${entry?.id}": ${problems.join(", ")}`);
+    }
+    return !problems.length;
+  });
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === "string" && item.trim());
+}
+
 /**
  * Reset the load promise (useful for testing or forced reload)
  */
@@ -3,7 +3,8 @@
  * @module encounter
  */
 
-import { MODULE_ID, CR_BY_TIER } from "./constants.js";
+import { MODULE_ID, CR_BY_TIER, CR_VALUES, TIER_CR_MAX } from "./constants.js";
+import { random } from "./utils.js";
 
 const SHOP_TYPE_FOLDER_LABEL_KEYS = {
   market: "ui.shop.folderTypeMarket",
@@ -126,7 +127,12 @@ const CR_XP = {
   0: 10, 0.125: 25, 0.25: 50, 0.5: 100,
   1: 200, 2: 450, 3: 700, 4: 1100,
   5: 1800, 6: 2300, 7: 2900, 8: 3900,
-  9: 5000, 10: 5900
+  9: 5000, 10: 5900, 11: 7200, 12: 8400,
+  13: 10000, 14: 11500, 15: 13000, 16: 15000,
+  17: 18000, 18: 20000, 19: 22000, 20: 25000,
+  21: 33000, 22: 41000, 23: 50000, 24: 62000,
+  25: 75000, 26: 90000, 27: 105000, 28: 120000,
+  29: 135000, 30: 155000
 };
 
 /**
@@ -177,7 +183,7 @@ function parseCr(cr) {
  * @param {number} cr
  * @returns {number}
  */
-function getXpForCr(cr) {
+export function getXpForCr(cr) {
   if (CR_XP[cr] !== undefined) return CR_XP[cr];
   // Find nearest lower
   const keys = Object.keys(CR_XP).map(Number).sort((a, b) => a - b);
@@ -189,6 +195,31 @@ function getXpForCr(cr) {
   return CR_XP[best] || 10;
 }
 
+/**
+ * Get the highest CR whose XP value fits within an XP budget.
+ * @param {number} xp
+ * @returns {number}
+ */
+function getHighestCrForXp(xp) {
+  let best = 0;
+  for (const cr of CR_VALUES) {
+    if (getXpForCr(cr) <= xp) best = cr;
+    else break;
+  }
+  return best;
+}
+
+/**
+ * Move a CR up or down the CR ladder by a number of steps.
+ * @param {number} cr
+ * @param {number} steps
+ * @returns {number}
+ */
+function shiftCr(cr, steps) {
+  const index = Math.max(0, CR_VALUES.indexOf(cr));
+  return CR_VALUES[Math.max(0, Math.min(CR_VALUES.length - 1, index + steps))];
+}
+
 /**
  * Pick a representative CR for a tier (middle of the CR range).
  * @param {number} tier
@@ -217,7 +248,8 @@ export function buildEncounterCount(options) {
 
   const budget = getPartyXpBudget(partyLevel, partySize, difficulty);
   const tier = getTierForLevel(partyLevel);
-  const typicalCr = getTypicalCrForTier(tier);
+  // High-level parties face NPCs past the tier tables, a few CR below their level
+  const typicalCr = partyLevel > TIER_CR_MAX ? Math.max(getTypicalCrForTier(tier), partyLevel - 3) : getTypicalCrForTier(tier);
   const xpPerNpc = getXpForCr(typicalCr);
 
   if (xpPerNpc <= 0) return Math.max(1, partySize);
@@ -237,13 +269,14 @@ export function buildEncounterCount(options) {
  * Build an encounter plan with tier and boss assignments using XP budget.
  * Allocates CR/tier per NPC to fit within the party's XP budget,
  * with a boss NPC getting a higher tier/CR for hard/deadly encounters.
+ * When the budget supports NPCs above the tier tables (CR 11+), entries also carry an explicit `cr`.
  * Keeps the same function signature for backward compatibility.
  * @param {number} count - Number of NPCs
  * @param {Object} options - Options
  * @param {number} options.partyLevel - Party level (1-20)
  * @param {number} options.partySize - Party size (1-8)
  * @param {string} options.difficulty - Difficulty (easy, medium, hard, deadly)
- * @returns {Array<{tier: number, importantNpc: boolean}>}
+ * @returns {Array<{tier: number, importantNpc: boolean, cr?: number}>}
  */
 export function buildEncounterPlan(count, options) {
   const total = Math.max(1, Number(count) || 1);
@@ -257,6 +290,8 @@ export function buildEncounterPlan(count, options) {
   const perNpcXp = total > 0 ? budget / (total * multiplier) : budget;
 
   const baseTier = getTierForLevel(partyLevel);
+  const fittedCr = getHighestCrForXp(perNpcXp * 1.15);
+  const highCr = fittedCr > TIER_CR_MAX;
   const hasBoss = (difficulty === "hard" || difficulty === "deadly") && total > 1 && partySize >= 3;
   const bossIndex = hasBoss ? 0 : -1;
 
@@ -268,7 +303,12 @@ export function buildEncounterPlan(count, options) {
     if (isBoss) {
       // Boss gets higher tier — spend ~40% of remaining budget on them
       const bossTier = Math.min(4, baseTier + 1);
-      plan.push({ tier: bossTier, importantNpc: true });
+      if (highCr) plan.push({ tier: 4, importantNpc: true, cr: shiftCr(fittedCr, 2) });
+      else plan.push({ tier: bossTier, importantNpc: true });
+    } else if (highCr) {
+      // Past the tier tables: use the fitted CR directly, with the same chance of one step lower
+      const cr = total >= 4 && random() < 0.25 ? shiftCr(fittedCr, -1) : fittedCr;
+      plan.push({ tier: 4, importantNpc: false, cr });
     } else {
       // Find the tier whose typical CR XP fits within the per-NPC budget
       let tier = baseTier;
@@ -280,7 +320,7 @@ export function buildEncounterPlan(count, options) {
         }
       }
       // Add slight variety: ~25% chance of one tier lower for groups of 4+
-      if (total >= 4 && Math.random() < 0.25) {
+      if (total >= 4 && random() < 0.25) {
         tier = Math.max(1, tier - 1);
       }
       tier = Math.max(1, Math.min(4, tier));
@@ -314,6 +354,87 @@ export async function ensureEncounterFolder() {
   }
 }
 
+/**
+ * Create an actor folder for a rival party, named after the party ("The Iron Wolves", "The Iron Wolves 2")
+ * @param {string} partyName - Party name
+ * @param {string|null} [parentId] - Actor folder to nest it in
+ * @returns {Promise<string|null>} Folder ID or null
+ */
+export async function ensurePartyFolder(partyName, parentId = null) {
+  return createNamedActorFolder(partyName, "Rival Party", parentId);
+}
+
+/**
+ * Create an actor folder for a faction roster, named after the faction
+ * @param {string} factionName - Faction name
+ * @param {string|null} [parentId] - Actor folder to nest it in
+ * @returns {Promise<string|null>} Folder ID or null
+ */
+export async function ensureFactionFolder(factionName, parentId = null) {
+  return createNamedActorFolder(factionName, "Faction", parentId);
+}
+
+/**
+ * Create an actor folder for a location's cast and shop, named after the location
+ * @param {string} locationName - Location name
+ * @param {string|null} [parentId] - Actor folder to nest it in
+ * @returns {Promise<string|null>} Folder ID or null
+ */
+export async function ensureLocationFolder(locationName, parentId = null) {
+  return createNamedActorFolder(locationName, "Location", parentId);
+}
+
+/**
+ * Create an actor folder for an imported NPC bundle, named after the bundle
+ * @param {string} bundleName - Bundle name
+ * @returns {Promise<string|null>} Folder ID or null
+ */
+export async function ensureBundleFolder(bundleName) {
+  return createNamedActorFolder(bundleName, "Imported NPCs");
+}
+
+// New actor folder with a free name: the base name, then "Name 2", "Name 3"...
+async function createNamedActorFolder(value, fallbackName, parentId = null) {
+  if (!game.user?.isGM || typeof Folder?.create !== "function") return null;
+  const baseName = String(value || "").trim().slice(0, 64) || fallbackName;
+  const names = new Set(
+    (game.folders || []).filter((folder) => folder.type === "Actor").map((folder) => String(folder.name || ""))
+  );
+  let name = baseName;
+  for (let next = 2; names.has(name); next++) name = `${baseName} ${next}`;
+  const parent = parentId ? game.folders?.get(parentId) : null;
+  try {
+    const created = await Folder.create({ name, type: "Actor", folder: parent?.type === "Actor" ? parent.id : null });
+    return created?.id || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the module's journal folder marked with a flag, creating it with the given name on first use
+ * @param {string} flagKey - Module flag marking the folder (e.g. "factionFolder")
+ * @param {string} name - Folder name for a new folder
+ * @returns {Promise<string|null>} Folder ID or null
+ */
+export async function ensureFlaggedJournalFolder(flagKey, name) {
+  const existingFlagged = (game.folders || []).find(
+    (folder) => folder.type === "JournalEntry" && folder.flags?.[MODULE_ID]?.[flagKey]
+  );
+  if (existingFlagged) return existingFlagged.id;
+
+  const created = await Folder.create({
+    name,
+    type: "JournalEntry",
+    flags: {
+      [MODULE_ID]: {
+        [flagKey]: true
+      }
+    }
+  });
+  return created?.id || null;
+}
+
 /**
  * Ensure a shop folder exists, creating one if needed
  * @param {string} [shopType] - Shop type key for folder naming
@@ -0,0 +1,238 @@
+/**
+ * Factions and organizations: faction profiles, ranked rosters and the faction journal
+ * @module faction
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { DATA_CACHE } from "./data-loader.js";
+import { ensureFlaggedJournalFolder } from "./encounter.js";
+import { t } from "./i18n.js";
+import { escapeHtml, generateId, pickRandom, pickRandomN } from "./utils.js";
+
+/** Faction ranks, highest first */
+export const FACTION_RANKS = ["leader", "lieutenant", "member"];
+
+/** Allowed roster sizes */
+export const FACTION_SIZE_MIN = 3;
+export const FACTION_SIZE_MAX = 20;
+
+// One lieutenant per this many members below the leader, up to the cap
+const MEMBERS_PER_LIEUTENANT = 4;
+const LIEUTENANT_MAX = 4;
+
+/**
+ * Faction types from data/factions.json
+ * @returns {Object[]}
+ */
+export function getFactionTypes() {
+  return Array.isArray(DATA_CACHE.factions?.types) ? DATA_CACHE.factions.types : [];
+}
+
+/**
+ * Find a faction type by id; "random" or an unknown id picks a random type
+ * @param {string} id - Faction type id
+ * @returns {Object|null}
+ */
+export function resolveFactionType(id) {
+  const types = getFactionTypes();
+  return types.find((type) => type.id === id) || pickRandom(types) || null;
+}
+
+/**
+ * Ranks for a roster of the given size: one leader, about one lieutenant per four members, the rest rank-and-file
+ * @param {number} size - Roster size
+ * @returns {string[]} Rank per member, highest first
+ */
+export function buildFactionRanks(size) {
+  const count = Math.max(FACTION_SIZE_MIN, Math.min(FACTION_SIZE_MAX, Number(size) || 8));
+  const lieutenants = Math.max(1, Math.min(LIEUTENANT_MAX, Math.round((count - 1) / MEMBERS_PER_LIEUTENANT)));
+  return [
+    "leader",
+    ...Array.from({ length: lieutenants }, () => "lieutenant"),
+    ...Array.from({ length: count - 1 - lieutenants }, () => "member")
+  ];
+}
+
+/**
+ * Tier of a rank: the leader one tier above the faction, rank-and-file one below
+ * @param {string} rank - One of FACTION_RANKS
+ * @param {number} tier - Faction tier 1-4
+ * @returns {number}
+ */
+export function getFactionRankTier(rank, tier) {
+  const base = Math.max(1, Math.min(4, Number(tier) || 1));
+  if (rank === "leader") return Math.min(4, base + 1);
+  if (rank === "member") return Math.max(1, base - 1);
+  return base;
+}
+
+/**
+ * Pick an archetype for a rank: the type's archetype ids first, then archetypes sharing its tags
+ * @param {Object} type - Faction type
+ * @param {string} rank - One of FACTION_RANKS
+ * @param {Object[]} archetypes - Available archetypes
+ * @returns {Object|null}
+ */
+export function pickFactionArchetype(type, rank, archetypes) {
+  const pool = Array.isArray(archetypes) ? archetypes : [];
+  const ids = Array.isArray(type?.archetypes?.[rank]) ? type.archetypes[rank] : [];
+  const listed = pool.filter((archetype) => ids.includes(archetype.id));
+  if (listed.length) return pickRandom(listed);
+  const tags = Array.isArray(type?.tags) ? type.tags : [];
+  const tagged = pool.filter((archetype) => (archetype.tags || []).some((tag) => tags.includes(tag)));
+  return pickRandom(tagged.length ? tagged : pool) || null;
+}
+
+/**
+ * Build a faction profile: name, goals, resources, secrets and headquarters
+ * @param {Object} type - Faction type
+ * @param {string} [name] - Faction name (random from the type's words when empty)
+ * @returns {Object} Profile ({id, type, typeName, name, goals, resources, secrets, headquarters})
+ */
+export function buildFactionProfile(type, name) {
+  const adjective = pickRandom(type?.adjectives);
+  const noun = pickRandom(type?.nouns);
+  const fallbackName = adjective && noun ? `The ${adjective} ${noun}` : String(type?.name || "The Faction");
+  return {
+    id: generateId(),
+    type: String(type?.id || ""),
+    typeName: String(type?.name || ""),
+    name: String(name || "").trim() || fallbackName,
+    goals: pickRandomN(type?.goals || [], 2),
+    resources: pickRandomN(type?.resources || [], 2),
+    secrets: pickRandomN(type?.secrets || [], 1),
+    headquarters: pickRandom(type?.headquarters) || ""
+  };
+}
+
+/**
+ * Rank title for a faction type ("Guildmaster", "Shadow Captain", "Cutpurse")
+ * @param {Object} type - Faction type
+ * @param {string} rank - One of FACTION_RANKS
+ * @returns {string}
+ */
+export function getFactionRankTitle(type, rank) {
+  return String(type?.ranks?.[rank] || t(`ui.faction.rank.${rank}`, rank));
+}
+
+/**
+ * Journal HTML for a faction: profile sections and the roster linked to the member actors
+ * @param {Object} profile - Faction profile from buildFactionProfile
+ * @param {Array<{name: string, uuid: string, rank: string, title: string, archetype: string}>} members - Roster, highest rank first
+ * @returns {string}
+ */
+export function buildFactionJournalHtml(profile, members) {
+  const list = (values) => `<ul>${(values || []).map((value) => `<li>${escapeHtml(value)}</li>`).join("")}</ul>`;
+  const section = (key, fallback, body) => `<h2>${escapeHtml(t(key, fallback))}</h2>${body}`;
+  const roster = FACTION_RANKS.map((rank) => {
+    const ranked = (members || []).filter((member) => member.rank === rank);
+    if (!ranked.length) return "";
+    const items = ranked.map((member) => {
+      const link = member.uuid ? `@UUID[${member.uuid}]{${escapeHtml(member.name)}}` : escapeHtml(member.name);
+      return `<li><strong>${escapeHtml(member.title)}</strong>: ${link}${member.archetype ? ` (${escapeHtml(member.archetype)})` : ""}</li>`;
+    });
+    return `<h3>${escapeHtml(t(`ui.faction.rank.${rank}`, rank))}</h3><ul>${items.join("")}</ul>`;
+  }).join("");
+
+  return [
+    `<p><em>${escapeHtml(t(`ui.faction.types.${profile.type}`, profile.typeName))}</em></p>`,
+    section("ui.faction.labelGoals", "Goals", list(profile.goals)),
+    section("ui.faction.labelResources", "Resources", list(profile.resources)),
+    section("ui.faction.labelHeadquarters", "Headquarters", `<p>${escapeHtml(profile.headquarters || "-")}</p>`),
+    section("ui.faction.labelSecrets", "Secrets", `<section class="secret" id="secret-${profile.id}">${list(profile.secrets)}</section>`),
+    section("ui.faction.labelRoster", "Roster", roster)
+  ].join("");
+}
+
+/**
+ * Plan the ranked roster: one member per rank, its tier and archetype by rank, and the faction membership
+ * stored on the NPC (`npc.faction`) and the actor (`flags.npc-button-5e.faction`)
+ * @param {Object} type - Faction type
+ * @param {Object} profile - Faction profile from buildFactionProfile
+ * @param {Object} options
+ * @param {number} options.size - Roster size
+ * @param {number} options.tier - Faction tier 1-4
+ * @param {Object[]} options.archetypes - Available archetypes
+ * @returns {Array<{npc: Object, flags: Object}>} Member specs, highest rank first
+ */
+export function planFactionMembers(type, profile, { size, tier, archetypes }) {
+  return buildFactionRanks(size).map((rank) => {
+    const membership = {
+      id: profile.id,
+      name: profile.name,
+      type: profile.type,
+      rank,
+      title: getFactionRankTitle(type, rank)
+    };
+    return {
+      npc: {
+        tier: getFactionRankTier(rank, tier),
+        archetype: pickFactionArchetype(type, rank, archetypes) || archetypes[0],
+        importantNpc: rank === "leader",
+        faction: membership
+      },
+      flags: { faction: { ...membership } }
+    };
+  });
+}
+
+/**
+ * Create the faction journal and point every member at it (`flags.npc-button-5e.faction.journalUuid`)
+ * @param {Object} profile - Faction profile from buildFactionProfile
+ * @param {Actor[]} actors - Created members
+ * @returns {Promise<JournalEntry|null>} Journal, or null when it could not be created
+ */
+export async function createFactionJournal(profile, actors) {
+  let journal = null;
+  try {
+    journal = await createFactionJournalEntry(profile, actors);
+  } catch (err) {
+    console.error("NPC Button: Failed to create faction journal.", err);
+    ui.notifications?.error(t("ui.faction.errorJournalFailed"));
+  }
+  if (journal?.uuid) {
+    try {
+      await Actor.updateDocuments(
+        actors.map((actor) => ({ _id: actor.id, [`flags.${MODULE_ID}.faction.journalUuid`]: journal.uuid }))
+      );
+    } catch (err) {
+      console.warn("NPC Button: Failed to link faction members to the journal.", err);
+    }
+  }
+  return journal;
+}
+
+async function createFactionJournalEntry(profile, actors) {
+  const members = actors.map((actor) => {
+    const membership = actor.getFlag?.(MODULE_ID, "faction") || actor.flags?.[MODULE_ID]?.faction || {};
+    const archetype = actor.flags?.[MODULE_ID]?.npc?.archetype;
+    return {
+      name: actor.name,
+      uuid: actor.uuid,
+      rank: membership.rank || "member",
+      title: membership.title || "",
+      archetype: archetype ? t(`archetypes.${archetype.id}`, archetype.name) : ""
+    };
+  });
+  const folderId = await ensureFlaggedJournalFolder("factionFolder", t("ui.faction.folderName", "Factions"));
+  const journal = await JournalEntry.create({
+    name: profile.name,
+    folder: folderId || null,
+    flags: {
+      [MODULE_ID]: {
+        faction: { ...profile, memberUuids: members.map((member) => member.uuid) }
+      }
+    },
+    pages: [
+      {
+        name: profile.name,
+        type: "text",
+        text: { format: 1, content: buildFactionJournalHtml(profile, members) }
+      }
+    ]
+  });
+  if (journal?.sheet?.render) {
+    journal.sheet.render(true);
+  }
+  return journal;
+}
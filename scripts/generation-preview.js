@@ -0,0 +1,185 @@
+/**
+ * Dry-run preview dialog for generated NPCs, shop stock and loot before any document is created
+ * @module generation-preview
+ */
+
+import { t, tf } from "./i18n.js";
+import { escapeHtml } from "./utils.js";
+
+/**
+ * Open a preview table where each row can be rerolled or dropped
+ * @param {Object} config - Dialog configuration
+ * @param {string} config.title - Dialog title
+ * @param {string} [config.description] - Note shown above the table
+ * @param {string} [config.summary] - Extra summary line (e.g. rolled coins)
+ * @param {string[]} config.columns - Column labels
+ * @param {Array<{cells: string[], payload: *, canReroll?: boolean}>} config.rows - Initial rows
+ * @param {Function} [config.onReroll] - async (payload, index) => replacement row or null
+ * @param {Function} [config.onExport] - (payload) => void; adds an export button to each row
+ * @param {string} [config.confirmLabel] - Confirm button label
+ * @returns {Promise<Array|null>} Payloads of kept rows in order, or null when cancelled
+ */
+export async function openGenerationPreviewDialog({
+  title,
+  description = "",
+  summary = "",
+  columns = [],
+  rows = [],
+  onReroll = null,
+  onExport = null,
+  confirmLabel = ""
+} = {}) {
+  const state = (Array.isArray(rows) ? rows : []).map((row) => normalizePreviewRow(row));
+  const viewportWidth = Number(globalThis?.innerWidth || 1400);
+  const viewportHeight = Number(globalThis?.innerHeight || 900);
+  const dialogWidth = Math.max(420, Math.min(1300, viewportWidth - 48));
+  const dialogHeight = Math.max(320, Math.min(860, viewportHeight - 56));
+  const canReroll = typeof onReroll === "function";
+  const canExport = typeof onExport === "function";
+
+  const content = `
+    <style>
+      .npc-btn-gen-preview { display:flex; flex-direction:column; gap:0.5rem; height:100%; min-height:0; overflow:hidden; }
+      .npc-btn-gen-preview__note { margin:0; opacity:0.88; font-size:0.84rem; }
+      .npc-btn-gen-preview__summary { margin:0; font-size:0.83rem; font-weight:600; }
+      .npc-btn-gen-preview__table-wrap { flex:1 1 auto; min-height:0; overflow:auto; overscroll-behavior:contain; border:1px solid rgba(255,255,255,0.12); border-radius:8px; }
+      .npc-btn-gen-preview table { width:100%; border-collapse:collapse; font-size:clamp(0.74rem, 0.68rem + 0.2vw, 0.82rem); }
+      .npc-btn-gen-preview th, .npc-btn-gen-preview td { padding:0.35rem 0.45rem; border-bottom:1px solid rgba(255,255,255,0.1); vertical-align:top; text-align:left; overflow-wrap:anywhere; }
+      .npc-btn-gen-preview thead th { position:sticky; top:0; background:#1d2233; z-index:1; }
+      .npc-btn-gen-preview tr.is-dropped td { opacity:0.4; text-decoration:line-through; }
+      .npc-btn-gen-preview tr.is-dropped td.npc-btn-gen-preview__actions { opacity:1; text-decoration:none; }
+      .npc-btn-gen-preview__actions { white-space:nowrap; width:1%; }
+      .npc-btn-gen-preview__actions button { width:auto; min-width:2rem; margin:0 0 0 0.25rem; padding:0 0.4rem; line-height:1.6rem; }
+    </style>
+    <div class="npc-btn-gen-preview">
+      ${description ? `<p class="npc-btn-gen-preview__note">${escapeHtml(description)}</p>` : ""}
+      ${summary ? `<p class="npc-btn-gen-preview__summary">${escapeHtml(summary)}</p>` : ""}
+      <p class="npc-btn-gen-preview__summary" data-preview-count></p>
+      <div class="npc-btn-gen-preview__table-wrap">
+        <table>
+          <thead>
+            <tr>
+              ${columns.map((label) => `<th>${escapeHtml(label)}</th>`).join("")}
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${state.length
+              ? state.map((row, index) => renderPreviewRow(row, index, canReroll, canExport)).join("")
+              : `<tr><td colspan="${columns.length + 1}" style="text-align:center;opacity:0.75;">${escapeHtml(t("ui.generationPreview.noRows", "Nothing to preview."))}</td></tr>`}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `;
+
+  return await new Promise((resolve) => {
+    let settled = false;
+    const finish = (value) => {
+      if (settled) return;
+      settled = true;
+      resolve(value);
+    };
+
+    new Dialog({
+      title,
+      content,
+      width: dialogWidth,
+      height: dialogHeight,
+      resizable: true,
+      render: (html) => {
+        const app = html.closest(".app.window-app.dialog");
+        app.find("form").css({ display: "flex", flexDirection: "column", height: "100%", minHeight: 0, overflow: "hidden" });
+        app.find(".window-content").css({ display: "flex", flexDirection: "column", minHeight: 0, overflow: "hidden" });
+        app.find(".dialog-content").css({ display: "flex", flexDirection: "column", flex: "1 1 auto", minHeight: 0, overflow: "hidden" });
+
+        const countLine = html.find("[data-preview-count]");
+        const updateCount = () => {
+          const kept = state.filter((row) => !row.dropped).length;
+          countLine.text(tf("ui.generationPreview.summary", { kept, total: state.length }, "Keeping {kept} of {total}"));
+          app.find(".dialog-buttons button[data-button='confirm']").prop("disabled", kept === 0);
+        };
+        updateCount();
+
+        html.on("click", "button[data-preview-action]", async (event) => {
+          event.preventDefault();
+          const button = $(event.currentTarget);
+          const index = Number(button.attr("data-preview-index"));
+          const row = state[index];
+          if (!row || row.busy) return;
+          const action = String(button.attr("data-preview-action") || "");
+
+          if (action === "export") {
+            if (canExport) onExport(row.payload);
+            return;
+          }
+          if (action === "drop") {
+            row.dropped = !row.dropped;
+          } else if (action === "reroll" && canReroll && row.canReroll && !row.dropped) {
+            row.busy = true;
+            button.prop("disabled", true);
+            try {
+              const replacement = await onReroll(row.payload, index);
+              if (replacement) state[index] = normalizePreviewRow(replacement);
+              else ui.notifications?.warn(t("ui.generationPreview.warnRerollFailed", "Could not reroll this row."));
+            } catch (err) {
+              console.warn("NPC Button: Preview reroll failed.", err);
+              ui.notifications?.warn(t("ui.generationPreview.warnRerollFailed", "Could not reroll this row."));
+            } finally {
+              row.busy = false;
+            }
+          }
+
+          html.find(`tr[data-preview-row='${index}']`).replaceWith(renderPreviewRow(state[index], index, canReroll, canExport));
+          updateCount();
+        });
+      },
+      buttons: {
+        confirm: {
+          label: confirmLabel || t("ui.generationPreview.buttonCreate", "Create"),
+          callback: () => finish(state.filter((row) => !row.dropped).map((row) => row.payload))
+        },
+        cancel: {
+          label: t("common.cancel"),
+          callback: () => finish(null)
+        }
+      },
+      default: "confirm",
+      close: () => finish(null)
+    }).render(true);
+  });
+}
+
+function normalizePreviewRow(row) {
+  const source = row && typeof row === "object" ? row : {};
+  return {
+    cells: Array.isArray(source.cells) ? source.cells.map((cell) => String(cell ?? "")) : [],
+    payload: source.payload,
+    canReroll: source.canReroll !== false,
+    dropped: false,
+    busy: false
+  };
+}
+
+function renderPreviewRow(row, index, canReroll, canExport = false) {
+  const exportButton = canExport
+    ? `<button type="button" data-preview-action="export" data-preview-index="${index}" title="${escapeHtml(t("ui.generationPreview.buttonExport", "Export statblock"))}"><i class="fas fa-file-export"></i></button>`
+    : "";
+  const rerollButton = canReroll && row.canReroll
+    ? `<button type="button" data-preview-action="reroll" data-preview-index="${index}" title="${escapeHtml(t("ui.generationPreview.buttonReroll", "Reroll"))}"${row.dropped ? " disabled" : ""}><i class="fas fa-dice"></i></button>`
+    : "";
+  const dropLabel = row.dropped
+    ? t("ui.generationPreview.buttonRestore", "Restore")
+    : t("ui.generationPreview.buttonDrop", "Drop");
+  const dropIcon = row.dropped ? "fa-rotate-left" : "fa-xmark";
+  return `
+    <tr data-preview-row="${index}" class="${row.dropped ? "is-dropped" : ""}">
+      ${row.cells.map((cell) => `<td>${escapeHtml(cell || "-")}</td>`).join("")}
+      <td class="npc-btn-gen-preview__actions">
+        ${exportButton}
+        ${rerollButton}
+        <button type="button" data-preview-action="drop" data-preview-index="${index}" title="${escapeHtml(dropLabel)}"><i class="fas ${dropIcon}"></i></button>
+      </td>
+    </tr>
+  `;
+}
@@ -358,7 +358,10 @@ export function validateAndNormalizeImportedBlueprint(input, entryIndex = 0) {
     "rumor",
     "mannerism",
     "budget",
-    "culture"
+    "culture",
+    "size",
+    "creatureType",
+    "senses"
   ]) {
     requireString(field);
   }
@@ -367,7 +370,18 @@ export function validateAndNormalizeImportedBlueprint(input, entryIndex = 0) {
     requireNumeric(field);
   }
 
-  for (const field of ["features", "spells", "actions", "appearance"]) {
+  for (const field of [
+    "features",
+    "spells",
+    "actions",
+    "appearance",
+    "languages",
+    "saves",
+    "damageVulnerabilities",
+    "damageResistances",
+    "damageImmunities",
+    "conditionImmunities"
+  ]) {
     normalized[field] = normalizeStrictStringArray(normalized[field], field, 20, 140);
   }
 
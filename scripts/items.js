@@ -19,7 +19,8 @@ import {
   generateId,
   getItemPriceValue,
   pickByBudget,
-  getBudgetPriceRange
+  getBudgetPriceRange,
+  random
 } from "./utils.js";
 import {
   getCachedDoc,
@@ -440,7 +441,7 @@ export async function samplePricesFromDocuments(pack, candidates, limit = 10) {
   const pool = candidates.slice();
   const toSample = [];
   while (pool.length && toSample.length < limit) {
-    const idx = Math.floor(Math.random() * pool.length);
+    const idx = Math.floor(random() * pool.length);
     toSample.push(pool.splice(idx, 1)[0]);
   }
 
@@ -0,0 +1,352 @@
+/**
+ * Legendary action options, lair actions and regional effects for boss NPCs
+ * @module legendary
+ */
+
+import { MODULE_ID, TIER_CR_MAX } from "./constants.js";
+import { DATA_CACHE } from "./data-loader.js";
+import { buildBasicAbilityActivities } from "./items.js";
+import { escapeHtml, pickRandom, pickRandomN } from "./utils.js";
+
+/** World setting that controls lair actions for legendary bosses */
+export const BOSS_LAIR_SETTING = "bossLairActions";
+
+/** Lair modes: none, lair actions, or lair actions plus regional effects */
+export const BOSS_LAIR_MODES = ["off", "lair", "regional"];
+
+const LEGENDARY_ACTION_COUNT = 3;
+const LEGENDARY_RESISTANCE_COUNT = 3;
+const LAIR_INITIATIVE = 20;
+const LAIR_ACTION_COUNT = 3;
+const REGIONAL_EFFECT_COUNT = 3;
+
+/**
+ * Read the configured lair mode
+ * @returns {string} One of BOSS_LAIR_MODES
+ */
+export function getBossLairMode() {
+  try {
+    const mode = String(game.settings?.get(MODULE_ID, BOSS_LAIR_SETTING) || "");
+    return BOSS_LAIR_MODES.includes(mode) ? mode : "off";
+  } catch (err) {
+    console.warn("NPC Button: Failed to read the lair action setting.", err);
+    return "off";
+  }
+}
+
+/**
+ * Build legendary action option items tied to the NPC's kit.
+ * Each option is a feat with a `legendary` activity that spends `resources.legact`.
+ * @param {Object} npc - NPC data
+ * @param {Object} [kit]
+ * @param {Object} [kit.weapon] - Main weapon item data (for the Attack option)
+ * @param {Object[]} [kit.spells] - Spell item data (a cantrip becomes the Cast a Cantrip option)
+ * @returns {Object[]} Feat item data
+ */
+export function buildLegendaryActionItems(npc, kit = {}) {
+  const tier = Number(npc?.tier) || 1;
+  const cr = Number(npc?.cr) || 0;
+  const weapon = kit.weapon || null;
+  const weaponName = weapon?.name ? escapeHtml(weapon.name) : "weapon";
+  const items = [];
+
+  const attack = buildLegendaryFeat(
+    "Attack",
+    `<p>This creature makes one attack with its ${weaponName}.</p>`,
+    weapon ? "attack" : "utility",
+    1
+  );
+  if (weapon) applyWeaponAttack(getOnlyActivity(attack), weapon);
+  items.push(attack);
+
+  items.push(buildLegendaryFeat(
+    "Move",
+    tier >= 4
+      ? "<p>This creature moves up to its speed without provoking opportunity attacks.</p>"
+      : "<p>This creature moves up to half its speed.</p>",
+    "utility",
+    1
+  ));
+
+  const cantrip = pickCantrip(kit.spells);
+  if (cantrip) {
+    const uuid = getSpellSourceUuid(cantrip);
+    const cast = buildLegendaryFeat(
+      "Cast a Cantrip",
+      `<p>This creature casts ${buildSpellReference(cantrip)}.</p>`,
+      uuid ? "cast" : "utility",
+      1
+    );
+    if (uuid) applySpellCast(getOnlyActivity(cast), cantrip, uuid);
+    items.push(cast);
+  } else {
+    items.push(buildLegendaryFeat(
+      "Detect",
+      "<p>This creature makes a Wisdom (Perception) check.</p>",
+      "utility",
+      1
+    ));
+  }
+
+  if (cr > TIER_CR_MAX) {
+    const strike = buildLegendaryFeat(
+      "Strike Twice (Costs 2 Actions)",
+      `<p>This creature makes two attacks with its ${weaponName}.</p>`,
+      weapon ? "attack" : "utility",
+      2
+    );
+    if (weapon) applyWeaponAttack(getOnlyActivity(strike), weapon);
+    items.push(strike);
+  }
+  return items;
+}
+
+/**
+ * Build lair action items (and regional effects) picked by archetype tags
+ * @param {Object} npc - NPC data
+ * @param {string} [mode] - Lair mode; defaults to the world setting
+ * @returns {Object[]} Feat item data, empty when the mode is off
+ */
+export function buildLairItems(npc, mode = getBossLairMode()) {
+  if (mode === "off") return [];
+  const tags = npc?.archetype?.tags || npc?.archetypeTags || [];
+  const data = DATA_CACHE.lair || {};
+  const items = [];
+
+  const actions = pickRandomN(collectTaggedEntries(data.lairActions, tags, LAIR_ACTION_COUNT), LAIR_ACTION_COUNT);
+  if (actions.length) {
+    items.push(buildPassiveFeat(
+      "Lair Actions",
+      [
+        `<p>On initiative count ${LAIR_INITIATIVE} (losing initiative ties), this creature takes a lair action to cause one of the following effects.`,
+        "It can't use the same effect two rounds in a row.</p>",
+        "<ul>",
+        ...actions.map((entry) => `<li>${escapeHtml(entry.name)}</li>`),
+        "</ul>"
+      ].join("\n")
+    ));
+    const dc = getLairSaveDc(npc);
+    const cr = Number(npc?.cr) || 0;
+    for (const entry of actions) items.push(buildLairActionFeat(entry, dc, cr));
+  }
+
+  if (mode === "regional") {
+    const effects = pickRandomN(collectTaggedEntries(data.regionalEffects, tags, REGIONAL_EFFECT_COUNT), REGIONAL_EFFECT_COUNT);
+    if (effects.length) {
+      items.push(buildPassiveFeat(
+        "Regional Effects",
+        [
+          "<p>The region containing this creature's lair is warped by its presence, which creates the following effects:</p>",
+          "<ul>",
+          ...effects.map((effect) => `<li>${escapeHtml(effect)}</li>`),
+          "</ul>",
+          "<p>If this creature dies, these effects fade over 1d10 days.</p>"
+        ].join("\n")
+      ));
+    }
+  }
+  return items;
+}
+
+/**
+ * Build the Legendary Resistance fallback feat; each use spends `resources.legres`
+ * @returns {Object} Feat item data
+ */
+export function buildLegendaryResistanceItem() {
+  const item = buildPassiveFeat(
+    `Legendary Resistance (${LEGENDARY_RESISTANCE_COUNT}/Day)`,
+    "<p>If this creature fails a saving throw, it can choose to succeed instead.</p>"
+  );
+  item.system.activities = buildBasicAbilityActivities(item.name, "special");
+  setResourceConsumption(getOnlyActivity(item), "resources.legres.value", 1);
+  return item;
+}
+
+/**
+ * Derive actor legendary/lair resources from its items
+ * @param {Object[]} items - Actor item data
+ * @returns {Object|null} Value for system.resources, or null when the actor has none
+ */
+export function buildLegendaryResources(items) {
+  let legendary = false;
+  let resistance = false;
+  let lair = false;
+  for (const item of Array.isArray(items) ? items : []) {
+    if (/legendary resistance/i.test(String(item?.name || ""))) resistance = true;
+    for (const activity of Object.values(item?.system?.activities || {})) {
+      const type = activity?.activation?.type;
+      if (type === "legendary") legendary = true;
+      if (type === "lair") lair = true;
+      if ((activity?.consumption?.targets || []).some((target) => target?.target === "resources.legres.value")) {
+        resistance = true;
+      }
+    }
+  }
+  if (!legendary && !resistance && !lair) return null;
+  const resources = {};
+  if (legendary) resources.legact = buildResourcePool(LEGENDARY_ACTION_COUNT);
+  if (resistance) resources.legres = buildResourcePool(LEGENDARY_RESISTANCE_COUNT);
+  if (lair) resources.lair = { value: true, initiative: LAIR_INITIATIVE };
+  return resources;
+}
+
+// value/max for older dnd5e, spent for 4.x
+function buildResourcePool(max) {
+  return { value: max, max, spent: 0 };
+}
+
+function buildLegendaryFeat(name, description, activityType, cost) {
+  const item = buildPassiveFeat(name, description);
+  item.system.activities = buildBasicAbilityActivities(name, "legendary");
+  const activity = getOnlyActivity(item);
+  activity.type = activityType;
+  activity.activation.value = cost;
+  setResourceConsumption(activity, "resources.legact.value", cost);
+  return item;
+}
+
+function buildLairActionFeat(entry, dc, cr) {
+  const dice = scaleDice(entry.damage, cr);
+  const description = String(entry.description || "")
+    .replaceAll("{dc}", String(dc))
+    .replaceAll("{damage}", dice ? `${averageDice(dice)} (${dice})` : "");
+  const item = buildPassiveFeat(String(entry.name || "Lair Action"), `<p>${escapeHtml(description)}</p>`);
+  item.system.activities = buildBasicAbilityActivities(item.name, "lair");
+  const activity = getOnlyActivity(item);
+  activity.consumption.spellSlot = false;
+  const part = dice ? buildDamagePart(dice, entry.damageType) : null;
+  if (entry.damageType === "healing" && part) {
+    activity.type = "heal";
+    activity.healing = part;
+  } else if (entry.save) {
+    activity.type = "save";
+    activity.save = { ability: [String(entry.save)], dc: { calculation: "", formula: String(dc) } };
+    activity.damage = { onSave: "half", parts: part ? [part] : [] };
+  }
+  return item;
+}
+
+function buildPassiveFeat(name, description) {
+  return {
+    name,
+    type: "feat",
+    system: {
+      description: { value: description },
+      type: { value: "monster", subtype: "" },
+      activation: { type: "", cost: null },
+      duration: {},
+      target: {},
+      range: {},
+      uses: {},
+      actionType: "",
+      damage: { parts: [] }
+    }
+  };
+}
+
+function getOnlyActivity(item) {
+  return Object.values(item.system.activities)[0];
+}
+
+function setResourceConsumption(activity, target, cost) {
+  activity.consumption.spellSlot = false;
+  activity.consumption.targets = [{ type: "attribute", target, value: String(cost), scaling: {} }];
+}
+
+// Point the attack activity at the weapon's own damage, so the legendary attack matches the kit
+function applyWeaponAttack(activity, weapon) {
+  const system = weapon.system || {};
+  const ranged = system.actionType === "rwak" || String(system.type?.value || "").endsWith("R");
+  activity.attack = {
+    ability: String(system.ability || ""),
+    bonus: "",
+    critical: { threshold: null },
+    flat: false,
+    type: { value: ranged ? "ranged" : "melee", classification: "weapon" }
+  };
+  activity.range = { ...activity.range, value: system.range?.value ?? "", units: system.range?.units || "ft" };
+  activity.target.affects = { count: "1", type: "creature", choice: false, special: "" };
+  const base = system.damage?.base;
+  const legacy = Array.isArray(system.damage?.parts) ? system.damage.parts[0] : null;
+  let part = null;
+  if (base && Number(base.number) > 0 && Number(base.denomination) > 0) {
+    part = buildDamagePart(`${base.number}d${base.denomination}`, Array.from(base.types || [])[0]);
+    part.bonus = ["@mod", String(base.bonus || "").trim()].filter(Boolean).join(" + ");
+  } else if (Array.isArray(legacy) && legacy[0]) {
+    part = buildDamagePart("", legacy[1]);
+    part.custom = { enabled: true, formula: String(legacy[0]) };
+  }
+  activity.damage = { critical: { bonus: "" }, includeBase: false, parts: part ? [part] : [] };
+}
+
+// Cast activity for the NPC's own cantrip; the spell stays out of the spellbook since the actor already has it
+function applySpellCast(activity, spell, uuid) {
+  activity.spell = {
+    ability: String(spell.system?.ability || ""),
+    challenge: { attack: null, save: null, override: false },
+    level: null,
+    properties: ["vocal", "somatic", "material"],
+    spellbook: false,
+    uuid
+  };
+}
+
+function buildDamagePart(dice, type) {
+  const match = String(dice || "").match(/^(\d+)d(\d+)$/);
+  return {
+    number: match ? Number(match[1]) : null,
+    denomination: match ? Number(match[2]) : null,
+    bonus: "",
+    types: type && type !== "healing" ? [String(type)] : [],
+    custom: { enabled: false, formula: "" },
+    scaling: { mode: "", number: null, formula: "" }
+  };
+}
+
+// Lair damage doubles its dice past the tier tables so it stays relevant at high CR
+function scaleDice(dice, cr) {
+  const match = String(dice || "").match(/^(\d+)d(\d+)$/);
+  if (!match) return "";
+  const count = Number(match[1]) * (cr > TIER_CR_MAX ? 2 : 1);
+  return `${count}d${match[2]}`;
+}
+
+function averageDice(dice) {
+  const [count, faces] = dice.split("d").map(Number);
+  return Math.floor(count * (faces + 1) / 2);
+}
+
+function getLairSaveDc(npc) {
+  const scores = Object.values(npc?.abilities || {}).map(Number).filter(Number.isFinite);
+  const best = scores.length ? Math.max(...scores) : 10;
+  return 8 + (Number(npc?.prof) || 2) + Math.floor((best - 10) / 2);
+}
+
+// Entries for the NPC's tags, topped up with the defaults when the tags offer too few
+function collectTaggedEntries(table, tags, wanted) {
+  if (!table || typeof table !== "object") return [];
+  const pool = [];
+  for (const tag of tags) {
+    if (tag !== "default" && Array.isArray(table[tag])) pool.push(...table[tag]);
+  }
+  if (pool.length < wanted && Array.isArray(table.default)) pool.push(...table.default);
+  return pool;
+}
+
+function pickCantrip(spells) {
+  const cantrips = (Array.isArray(spells) ? spells : [])
+    .filter((item) => item?.type === "spell" && Number(item.system?.level) === 0);
+  const offensive = cantrips.filter((item) => Object.values(item.system?.activities || {})
+    .some((activity) => activity?.type === "attack" || activity?.type === "save"));
+  return pickRandom(offensive.length ? offensive : cantrips) || null;
+}
+
+function buildSpellReference(spell) {
+  const name = escapeHtml(spell.name || "a cantrip");
+  const uuid = getSpellSourceUuid(spell);
+  return uuid ? `@UUID[${uuid}]{${name}}` : `<em>${name}</em>`;
+}
+
+function getSpellSourceUuid(spell) {
+  return String(spell?._stats?.compendiumSource || spell?.flags?.core?.sourceId || "");
+}
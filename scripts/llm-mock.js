@@ -0,0 +1,284 @@
+/**
+ * Offline mock LLM server: canned chat, model and image responses plus scripted failures (429, 5xx, timeouts,
+ * malformed JSON) for exercising the AI flows without network access
+ * @module llm-mock
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { fetchOptionalJson } from "./data-loader.js";
+import { cloneData } from "./utils.js";
+
+/** Setting key holding the active mock scenario */
+export const MOCK_LLM_SCENARIO_SETTING = "mockLlmScenario";
+
+/** Default mock scenario */
+export const DEFAULT_MOCK_LLM_SCENARIO = "success";
+
+/**
+ * Mock scenarios.
+ * `flaky` fails the first attempt of each request with a retryable status, `noJsonMode` rejects
+ * `response_format` like servers without a JSON mode, `timeout` never answers, `random` picks one per request.
+ */
+export const MOCK_LLM_SCENARIOS = [
+  "success",
+  "flaky",
+  "rateLimited",
+  "serverError",
+  "timeout",
+  "malformedJson",
+  "markdownWrapped",
+  "noJsonMode",
+  "random"
+];
+
+const MOCK_LATENCY_MS = 150;
+// Cap for the timeout scenario when the caller passes no abort signal
+const MOCK_HANG_MAX_MS = 60000;
+const FLAKY_STATUSES = [429, 503];
+// 64x64 placeholder token (gold ring on a violet disc)
+const MOCK_TOKEN_PNG_BASE64 =
+  "iVBORw0KGgoAAAANSUhEUgAAAEAAAABACAYAAACqaXHeAAAA3klEQVR42u3bwRHCMAwF0RRKIQzVUA6V0EaoAMYmjmNJTzO+Z9e6xPraNqWm1ft131tOOeBUQkZBh5NxNviyIno++nF7Np0wIkYBHxWSFnxJEVeA94i4BH4WeKuIEvBTJawKP0XC6vCnS4gA/0tCGfjhEiLCD5UQFf6bhDK3P6QLosMf6oIMt3+oC7LA/90FpQVkg++WQAABhQVkhW+WQAABBBBAAAEEEFBWgH8BAgggwJsgAZ7FDUaMxgxHjccFJERkhKTE5AQlRWWFpcXlLUxYmbE0ZW3O4qTVWZW7Po2HB3By4sIkAAAAAElFTkSuQmCC";
+
+let mockDataPromise = null;
+const flakyAttempts = new Map();
+
+/**
+ * Drop-in `fetch` replacement that answers OpenAI-style requests from canned data
+ * @param {string} url - Request URL (`.../models`, `.../chat/completions` or `.../images/generations`)
+ * @param {RequestInit} [init] - Request options; `signal` aborts the simulated latency and the timeout scenario
+ * @returns {Promise<Response>}
+ */
+export async function mockLlmFetch(url, init = {}) {
+  const signal = init.signal;
+  await waitOrAbort(MOCK_LATENCY_MS, signal);
+
+  const path = String(url || "").split("?")[0].replace(/\/+$/, "");
+  const bodyText = typeof init.body === "string" ? init.body : "";
+  const scenario = resolveScenario(getMockLlmScenario());
+
+  if (scenario === "timeout") {
+    await waitOrAbort(MOCK_HANG_MAX_MS, signal);
+    return errorResponse(504, "Mock gateway timeout");
+  }
+  if (scenario === "rateLimited") return errorResponse(429, "Rate limit reached for mock-model (mock).");
+  if (scenario === "serverError") return errorResponse(500, "The mock server had an error while processing your request.");
+  if (scenario === "flaky") {
+    const key = `${path}|${bodyText}`;
+    const attempt = flakyAttempts.get(key) || 0;
+    if (attempt === 0) {
+      flakyAttempts.set(key, 1);
+      return errorResponse(mockPick(FLAKY_STATUSES), "Temporary mock failure, retry the request.");
+    }
+    flakyAttempts.delete(key);
+  }
+
+  const data = await loadMockData();
+  if (path.endsWith("/models")) {
+    const models = Array.isArray(data.models) ? data.models : ["mock-model"];
+    return jsonResponse({ object: "list", data: models.map((id) => ({ id, object: "model", owned_by: "mock" })) });
+  }
+  if (path.endsWith("/images/generations")) {
+    return jsonResponse({ created: Math.floor(Date.now() / 1000), data: [{ b64_json: MOCK_TOKEN_PNG_BASE64 }] });
+  }
+  if (!path.endsWith("/chat/completions")) {
+    return errorResponse(404, `Unknown mock endpoint: ${path}`);
+  }
+
+  let body = {};
+  try {
+    body = JSON.parse(bodyText || "{}");
+  } catch {
+    return errorResponse(400, "Mock server could not parse the request body.");
+  }
+  if (scenario === "noJsonMode" && body.response_format) {
+    return errorResponse(400, "'response_format' of type 'json_object' is not supported with this model.");
+  }
+
+  const messages = Array.isArray(body.messages) ? body.messages : [];
+  const system = String(messages.find((m) => m?.role === "system")?.content || "");
+  const user = String(messages.find((m) => m?.role === "user")?.content || "");
+  let content = JSON.stringify(buildMockChatPayload(data, system, user));
+  if (scenario === "malformedJson") {
+    content = mockPick(data.malformed) || content.slice(0, Math.floor(content.length / 2));
+  } else if (scenario === "markdownWrapped") {
+    content = `Here is the requested JSON:\n\n\`\`\`json\n${JSON.stringify(JSON.parse(content), null, 2)}\n\`\`\`\n\nLet me know if you need changes.`;
+  }
+
+  return jsonResponse({
+    id: `mock-${Date.now()}`,
+    object: "chat.completion",
+    model: String(body.model || "mock-model"),
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+  });
+}
+
+/**
+ * Get the configured mock scenario
+ * @returns {string} One of MOCK_LLM_SCENARIOS
+ */
+export function getMockLlmScenario() {
+  let value = DEFAULT_MOCK_LLM_SCENARIO;
+  try {
+    value = String(game.settings?.get(MODULE_ID, MOCK_LLM_SCENARIO_SETTING) || DEFAULT_MOCK_LLM_SCENARIO);
+  } catch {
+    // Setting not registered yet
+  }
+  return MOCK_LLM_SCENARIOS.includes(value) ? value : DEFAULT_MOCK_LLM_SCENARIO;
+}
+
+function resolveScenario(scenario) {
+  if (scenario !== "random") return scenario;
+  return mockPick(MOCK_LLM_SCENARIOS.filter((id) => id !== "random"));
+}
+
+function loadMockData() {
+  if (!mockDataPromise) {
+    mockDataPromise = fetchOptionalJson("mock-llm").then((data) => data || {});
+  }
+  return mockDataPromise;
+}
+
+// The request kind is recognised from the system prompt each AI flow sends
+function buildMockChatPayload(data, system, user) {
+  if (/NPC flavor/i.test(system)) return buildMockFlavor(data.flavor || {}, user);
+  if (/NPC blueprint/i.test(system)) return buildMockFullNpc(data.fullNpc || {}, user);
+  if (/quest board/i.test(system)) return buildMockQuestBoard(data.questBoard || {}, user);
+  return { message: "Mock response", echo: user.slice(0, 200) };
+}
+
+function buildMockFlavor(pools, user) {
+  let npc = {};
+  try {
+    npc = JSON.parse(user)?.npc || {};
+  } catch {
+    // Non-JSON prompt: fill placeholders with generic words
+  }
+  const name = String(npc.name || "").trim() || mockPick(pools.names) || "Mock Stranger";
+  const vars = {
+    name,
+    race: String(npc.race || "").trim() || "stranger",
+    className: String(npc.className || "").trim() || "adventurer"
+  };
+  const line = (key) => fillTemplate(mockPick(pools[key]) || "", vars);
+  return {
+    name,
+    appearance: mockPickN(pools.appearance || [], 3),
+    speech: line("speech"),
+    motivation: line("motivation"),
+    secret: npc.includeSecret === false ? "" : line("secret"),
+    hook: npc.includeHook === false ? "" : line("hook"),
+    quirk: line("quirk"),
+    rumor: line("rumor"),
+    mannerism: line("mannerism")
+  };
+}
+
+function buildMockFullNpc(pools, user) {
+  const preferredRace = readPromptValue(user, "Preferred race");
+  const preferredClass = readPromptValue(user, "Preferred class/archetype");
+  const tier = Math.min(4, Math.max(1, Number(readPromptValue(user, "Tier target")) || 1));
+  const templates = Array.isArray(pools.templates) ? pools.templates : [];
+  const template =
+    templates.find((entry) => preferredClass && preferredClass.toLowerCase().includes(String(entry.class).toLowerCase())) ||
+    mockPick(templates) ||
+    {};
+  const level = mockRandInt([1, 5, 11, 17][tier - 1], [4, 10, 16, 20][tier - 1]);
+  const con = Number(template.stats?.CON || 10);
+  return {
+    name: mockPick(pools.names) || "Mock Adventurer",
+    race: preferredRace || mockPick(pools.races) || "Human",
+    class: template.class || preferredClass || "Fighter",
+    background: template.background || "Folk Hero",
+    alignment: template.alignment || "Neutral",
+    level,
+    stats: template.stats || {},
+    ac: template.ac || 12,
+    hp: level * (5 + Math.floor((con - 10) / 2)) + 4,
+    speed: template.speed || "30 ft.",
+    features: template.features || [],
+    items: template.items || [],
+    spells: template.spells || [],
+    actions: template.actions || [],
+    personality: template.personality || "",
+    description: template.description || "",
+    ...(pools.extras || {})
+  };
+}
+
+function buildMockQuestBoard(pools, user) {
+  const count = Math.min(20, Math.max(1, Number(readPromptValue(user, "Quest count")) || 3));
+  const partyLevel = Math.min(20, Math.max(1, Number(readPromptValue(user, "Party level")) || 3));
+  const templates = Array.isArray(pools.quests) ? pools.quests : [];
+  const quests = [];
+  for (let i = 0; i < count && templates.length; i++) {
+    const quest = cloneData(templates[i % templates.length]);
+    if (i >= templates.length) quest.title = `${quest.title} (${Math.floor(i / templates.length) + 1})`;
+    quest.reward.gold = Number(quest.reward?.gold || 0) * partyLevel;
+    quests.push(quest);
+  }
+  return {
+    boardTitle: readPromptValue(user, "Preferred board title") || mockPick(pools.titles) || "Mock Quest Board",
+    boardSummary: mockPick(pools.summaries) || "",
+    quests
+  };
+}
+
+// Reads "- Label: value" lines from a generation prompt; "Any" counts as no preference
+function readPromptValue(prompt, label) {
+  const escaped = label.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+  const match = String(prompt || "").match(new RegExp(`^- ${escaped}: (.+)$`, "m"));
+  const value = String(match?.[1] || "").trim();
+  return value && value.toLowerCase() !== "any" ? value : "";
+}
+
+// Mock draws use Math.random so they never consume the seeded generator of a concurrent generation run
+function mockPick(list) {
+  return Array.isArray(list) && list.length ? list[Math.floor(Math.random() * list.length)] : null;
+}
+
+function mockPickN(list, count) {
+  const pool = Array.isArray(list) ? list.slice() : [];
+  const out = [];
+  while (out.length < count && pool.length) {
+    out.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+  }
+  return out;
+}
+
+function mockRandInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function fillTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (token, key) => (key in vars ? vars[key] : token));
+}
+
+function jsonResponse(payload, status = 200) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+function errorResponse(status, message) {
+  return jsonResponse({ error: { message, type: "mock_error", code: status } }, status);
+}
+
+function waitOrAbort(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timerId);
+      reject(abortError());
+    };
+    const timerId = setTimeout(() => {
+      signal?.removeEventListener?.("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener?.("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * LLM provider adapters: endpoint, auth, JSON mode and model listing for each supported API
+ * @module llm-providers
+ */
+
+import { mockLlmFetch } from "./llm-mock.js";
+
+/** Default provider id */
+export const DEFAULT_LLM_PROVIDER = "openai";
+
+// Local servers answer slowly on consumer hardware, so they get a longer request timeout
+const CLOUD_TIMEOUT_MS = 25000;
+const LOCAL_TIMEOUT_MS = 120000;
+// Short enough that the mock timeout scenario exhausts its retries in seconds
+const MOCK_TIMEOUT_MS = 3000;
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS = 4096;
+const JSON_ONLY_INSTRUCTION = "Return raw JSON object only. No markdown.";
+
+/**
+ * Provider adapters.
+ * `jsonMode` is "responseFormat" (OpenAI `response_format: json_object`, retried without it when the server rejects it)
+ * or "prompt" (JSON requested in the system prompt only). `local` providers need no API key and may use
+ * plain HTTP on loopback and private network hosts. A `fetch` function replaces the network transport.
+ */
+export const LLM_PROVIDERS = {
+  openai: {
+    id: "openai",
+    label: "OpenAI",
+    defaultBaseUrl: "https://api.openai.com/v1",
+    defaultModel: "gpt-4o-mini",
+    trustedHosts: ["api.openai.com"],
+    requiresApiKey: true,
+    local: false,
+    supportsImages: true,
+    jsonMode: "responseFormat",
+    timeoutMs: CLOUD_TIMEOUT_MS,
+    buildHeaders: buildBearerHeaders,
+    buildChatBody: buildOpenAiChatBody,
+    parseChatResponse: parseOpenAiChatResponse
+  },
+  anthropic: {
+    id: "anthropic",
+    label: "Anthropic",
+    defaultBaseUrl: "https://api.anthropic.com/v1",
+    defaultModel: "claude-3-5-haiku-latest",
+    trustedHosts: ["api.anthropic.com"],
+    requiresApiKey: true,
+    local: false,
+    supportsImages: false,
+    jsonMode: "prompt",
+    timeoutMs: CLOUD_TIMEOUT_MS,
+    chatPath: "/messages",
+    buildHeaders: buildAnthropicHeaders,
+    buildChatBody: buildAnthropicChatBody,
+    parseChatResponse: parseAnthropicChatResponse
+  },
+  ollama: {
+    id: "ollama",
+    label: "Ollama",
+    defaultBaseUrl: "http://localhost:11434/v1",
+    defaultModel: "llama3.1",
+    trustedHosts: [],
+    requiresApiKey: false,
+    local: true,
+    supportsImages: false,
+    jsonMode: "responseFormat",
+    timeoutMs: LOCAL_TIMEOUT_MS,
+    buildHeaders: buildBearerHeaders,
+    buildChatBody: buildOpenAiChatBody,
+    parseChatResponse: parseOpenAiChatResponse
+  },
+  lmstudio: {
+    id: "lmstudio",
+    label: "LM Studio",
+    defaultBaseUrl: "http://localhost:1234/v1",
+    defaultModel: "local-model",
+    trustedHosts: [],
+    requiresApiKey: false,
+    local: true,
+    supportsImages: false,
+    // LM Studio accepts only json_schema response formats
+    jsonMode: "prompt",
+    timeoutMs: LOCAL_TIMEOUT_MS,
+    buildHeaders: buildBearerHeaders,
+    buildChatBody: buildOpenAiChatBody,
+    parseChatResponse: parseOpenAiChatResponse
+  },
+  openaiCompatible: {
+    id: "openaiCompatible",
+    label: "OpenAI-compatible server",
+    defaultBaseUrl: "http://localhost:8080/v1",
+    defaultModel: "local-model",
+    trustedHosts: [],
+    requiresApiKey: false,
+    local: true,
+    supportsImages: false,
+    jsonMode: "responseFormat",
+    timeoutMs: LOCAL_TIMEOUT_MS,
+    buildHeaders: buildBearerHeaders,
+    buildChatBody: buildOpenAiChatBody,
+    parseChatResponse: parseOpenAiChatResponse
+  },
+  mock: {
+    id: "mock",
+    label: "Mock (offline testing)",
+    defaultBaseUrl: "http://localhost/mock/v1",
+    defaultModel: "mock-model",
+    trustedHosts: [],
+    requiresApiKey: false,
+    local: true,
+    supportsImages: true,
+    jsonMode: "responseFormat",
+    timeoutMs: MOCK_TIMEOUT_MS,
+    fetch: mockLlmFetch,
+    buildHeaders: buildBearerHeaders,
+    buildChatBody: buildOpenAiChatBody,
+    parseChatResponse: parseOpenAiChatResponse
+  }
+};
+
+/**
+ * Get a provider adapter by id, falling back to OpenAI
+ * @param {string} id - Provider id
+ * @returns {Object}
+ */
+export function getLlmProvider(id) {
+  return LLM_PROVIDERS[id] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+}
+
+/**
+ * Build a chat request for a provider
+ * @param {Object} provider - Provider adapter
+ * @param {Object} params
+ * @param {string} params.baseUrl - Normalized base URL
+ * @param {string} params.apiKey - API key (may be empty for local providers)
+ * @param {string} params.model - Model name
+ * @param {string} params.system - System prompt
+ * @param {string} params.user - User prompt
+ * @param {number} [params.temperature] - Sampling temperature
+ * @param {boolean} [params.forcePromptJson] - Ask for JSON in the prompt even when the provider has a JSON mode
+ * @returns {{url: string, headers: Object, body: Object}}
+ */
+export function buildLlmChatRequest(provider, params) {
+  const jsonMode = params.forcePromptJson ? "prompt" : provider.jsonMode;
+  const system = jsonMode === "prompt" ? `${params.system} ${JSON_ONLY_INSTRUCTION}`.trim() : params.system;
+  return {
+    url: `${params.baseUrl}${provider.chatPath || "/chat/completions"}`,
+    headers: provider.buildHeaders(params.apiKey),
+    body: provider.buildChatBody({ ...params, system, jsonMode })
+  };
+}
+
+/**
+ * Build the model listing request for a provider (every supported API serves `GET {baseUrl}/models`)
+ * @param {Object} provider - Provider adapter
+ * @param {{baseUrl: string, apiKey: string}} params
+ * @returns {{url: string, headers: Object}}
+ */
+export function buildLlmModelsRequest(provider, params) {
+  return {
+    url: `${params.baseUrl}/models`,
+    headers: provider.buildHeaders(params.apiKey)
+  };
+}
+
+/**
+ * Read model ids from a `/models` response (`{data: [{id}]}`, or Ollama's `{models: [{name}]}`)
+ * @param {Object} payload - Parsed response body
+ * @returns {string[]} Sorted model ids
+ */
+export function parseLlmModelsResponse(payload) {
+  const list = Array.isArray(payload?.data) ? payload.data : Array.isArray(payload?.models) ? payload.models : [];
+  const ids = list.map((entry) => String(entry?.id || entry?.name || "").trim()).filter(Boolean);
+  return Array.from(new Set(ids)).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Check whether a host is loopback or on a private network (where local LLM servers run)
+ * @param {string} host - URL hostname
+ * @returns {boolean}
+ */
+export function isLocalNetworkHost(host) {
+  const value = String(host || "").toLowerCase().replace(/^\[|\]$/g, "");
+  if (["localhost", "127.0.0.1", "::1"].includes(value) || value.endsWith(".local")) return true;
+  if (/^10\./.test(value) || /^192\.168\./.test(value) || /^127\./.test(value)) return true;
+  const match = value.match(/^172\.(\d+)\./);
+  return !!match && Number(match[1]) >= 16 && Number(match[1]) <= 31;
+}
+
+function buildBearerHeaders(apiKey) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  return headers;
+}
+
+function buildAnthropicHeaders(apiKey) {
+  return {
+    "Content-Type": "application/json",
+    "x-api-key": apiKey,
+    "anthropic-version": ANTHROPIC_VERSION,
+    // Foundry calls the API from the browser
+    "anthropic-dangerous-direct-browser-access": "true"
+  };
+}
+
+function buildOpenAiChatBody({ model, system, user, temperature, jsonMode }) {
+  const body = {
+    model,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user }
+    ]
+  };
+  if (Number.isFinite(temperature)) body.temperature = temperature;
+  if (jsonMode === "responseFormat") body.response_format = { type: "json_object" };
+  return body;
+}
+
+function buildAnthropicChatBody({ model, system, user, temperature }) {
+  const body = {
+    model,
+    max_tokens: ANTHROPIC_MAX_TOKENS,
+    system,
+    messages: [{ role: "user", content: user }]
+  };
+  if (Number.isFinite(temperature)) body.temperature = temperature;
+  return body;
+}
+
+function parseOpenAiChatResponse(payload) {
+  return String(payload?.choices?.[0]?.message?.content || "").trim();
+}
+
+function parseAnthropicChatResponse(payload) {
+  const blocks = Array.isArray(payload?.content) ? payload.content : [];
+  return blocks
+    .filter((block) => block?.type === "text")
+    .map((block) => String(block.text || ""))
+    .join("")
+    .trim();
+}
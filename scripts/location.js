@@ -0,0 +1,226 @@
+/**
+ * Locations (tavern, temple, market square, village): profiles, staff and patrons, and the location journal
+ * @module location
+ */
+
+import { MODULE_ID } from "./constants.js";
+import { DATA_CACHE } from "./data-loader.js";
+import { ensureFlaggedJournalFolder } from "./encounter.js";
+import { t } from "./i18n.js";
+import { escapeHtml, generateId, pickRandom, pickRandomN } from "./utils.js";
+
+/** Allowed patron counts */
+export const LOCATION_PATRONS_MIN = 0;
+export const LOCATION_PATRONS_MAX = 10;
+
+/**
+ * Location types from data/locations.json
+ * @returns {Object[]}
+ */
+export function getLocationTypes() {
+  return Array.isArray(DATA_CACHE.locations?.types) ? DATA_CACHE.locations.types : [];
+}
+
+/**
+ * Find a location type by id; "random" or an unknown id picks a random type
+ * @param {string} id - Location type id
+ * @returns {Object|null}
+ */
+export function resolveLocationType(id) {
+  const types = getLocationTypes();
+  return types.find((type) => type.id === id) || pickRandom(types) || null;
+}
+
+/**
+ * Build a location profile: name, description, notable features and rumors
+ * @param {Object} type - Location type
+ * @param {string} [name] - Location name (random from the type's words when empty)
+ * @returns {Object} Profile ({id, type, typeName, name, description, features, rumors})
+ */
+export function buildLocationProfile(type, name) {
+  const adjective = pickRandom(type?.adjectives);
+  const noun = pickRandom((type?.nouns || []).filter((entry) => entry !== adjective));
+  const fallbackName = adjective && noun
+    ? String(type?.nameFormat || "The {adjective} {noun}").replace("{adjective}", adjective).replace("{noun}", noun)
+    : String(type?.name || "The Location");
+  return {
+    id: generateId(),
+    type: String(type?.id || ""),
+    typeName: String(type?.name || ""),
+    name: String(name || "").trim() || fallbackName,
+    description: pickRandom(type?.descriptions) || "",
+    features: pickRandomN(type?.features || [], 3),
+    rumors: pickRandomN(type?.rumors || [], 3)
+  };
+}
+
+/**
+ * Plan the cast of a location: every staff role of the type, then patrons
+ * @param {Object} type - Location type
+ * @param {number} patronCount - Number of patrons
+ * @returns {Array<{group: string, role: string, archetypeIds: string[]}>}
+ */
+export function planLocationCast(type, patronCount) {
+  const staff = (Array.isArray(type?.staff) ? type.staff : []).map((entry) => ({
+    group: "staff",
+    role: String(entry.role || ""),
+    archetypeIds: Array.isArray(entry.archetypes) ? entry.archetypes : []
+  }));
+  const count = Math.max(LOCATION_PATRONS_MIN, Math.min(LOCATION_PATRONS_MAX, Number(patronCount) || 0));
+  const patrons = Array.from({ length: count }, () => ({
+    group: "patron",
+    role: "",
+    archetypeIds: Array.isArray(type?.patrons) ? type.patrons : []
+  }));
+  return [...staff, ...patrons];
+}
+
+/**
+ * Pick an archetype for a cast slot from its ids, falling back to any archetype
+ * @param {string[]} archetypeIds - Preferred archetype ids
+ * @param {Object[]} archetypes - Available archetypes
+ * @returns {Object|null}
+ */
+export function pickLocationArchetype(archetypeIds, archetypes) {
+  const pool = Array.isArray(archetypes) ? archetypes : [];
+  const listed = pool.filter((archetype) => (archetypeIds || []).includes(archetype.id));
+  return pickRandom(listed.length ? listed : pool) || null;
+}
+
+/**
+ * Journal HTML for a location: description, features, rumors, staff and patrons linked to their actors
+ * @param {Object} profile - Location profile from buildLocationProfile
+ * @param {Array<{name: string, uuid: string, group: string, role: string}>} members - Cast actors
+ * @param {{name: string, uuid: string}|null} [shop] - Shopkeeper actor, if a shop was created
+ * @returns {string}
+ */
+export function buildLocationJournalHtml(profile, members, shop = null) {
+  const ref = (entry) => (entry.uuid ? `@UUID[${entry.uuid}]{${escapeHtml(entry.name)}}` : escapeHtml(entry.name));
+  const list = (values) => `<ul>${(values || []).map((value) => `<li>${value}</li>`).join("")}</ul>`;
+  const section = (key, fallback, body) => `<h2>${escapeHtml(t(key, fallback))}</h2>${body}`;
+  const staff = (members || []).filter((member) => member.group === "staff");
+  const patrons = (members || []).filter((member) => member.group === "patron");
+
+  return [
+    `<p><em>${escapeHtml(t(`ui.location.types.${profile.type}`, profile.typeName))}</em></p>`,
+    `<p>${escapeHtml(profile.description)}</p>`,
+    section("ui.location.labelFeatures", "Notable Features", list(profile.features.map(escapeHtml))),
+    section("ui.location.labelRumors", "Rumors", list(profile.rumors.map(escapeHtml))),
+    staff.length
+      ? section("ui.location.labelStaff", "Staff", list(staff.map((member) => `<strong>${escapeHtml(member.role)}</strong>: ${ref(member)}`)))
+      : "",
+    patrons.length ? section("ui.location.labelPatrons", "Patrons", list(patrons.map(ref))) : "",
+    shop ? section("ui.location.labelShop", "Shop", `<p>${ref(shop)}</p>`) : ""
+  ].join("");
+}
+
+/**
+ * Plan the cast as member specs: staff and patrons with an archetype per slot and the location membership
+ * stored on the NPC (`npc.location`) and the actor (`flags.npc-button-5e.location`)
+ * @param {Object} type - Location type
+ * @param {Object} profile - Location profile from buildLocationProfile
+ * @param {Object} options
+ * @param {number} options.patrons - Number of patrons
+ * @param {number} options.tier - Tier 1-4
+ * @param {Object[]} options.archetypes - Available archetypes
+ * @returns {Array<{npc: Object, flags: Object}>} Member specs, staff first
+ */
+export function planLocationMembers(type, profile, { patrons, tier, archetypes }) {
+  return planLocationCast(type, patrons).map((slot) => {
+    const membership = {
+      id: profile.id,
+      name: profile.name,
+      type: profile.type,
+      group: slot.group,
+      role: slot.role
+    };
+    return {
+      npc: {
+        tier,
+        archetype: pickLocationArchetype(slot.archetypeIds, archetypes) || archetypes[0],
+        location: membership
+      },
+      flags: { location: { ...membership } }
+    };
+  });
+}
+
+/**
+ * Create the location journal and point the cast and the shopkeeper at it
+ * (`flags.npc-button-5e.location.journalUuid`)
+ * @param {Object} profile - Location profile from buildLocationProfile
+ * @param {Actor[]} actors - Created cast
+ * @param {Actor|null} [shop] - Created shopkeeper
+ * @returns {Promise<JournalEntry|null>} Journal, or null when it could not be created
+ */
+export async function createLocationJournal(profile, actors, shop = null) {
+  let journal = null;
+  try {
+    journal = await createLocationJournalEntry(profile, actors, shop);
+  } catch (err) {
+    console.error("NPC Button: Failed to create location journal.", err);
+    ui.notifications?.error(t("ui.location.errorJournalFailed"));
+  }
+  if (!journal?.uuid) return journal;
+  const updates = actors.map((actor) => ({
+    _id: actor.id,
+    [`flags.${MODULE_ID}.location.journalUuid`]: journal.uuid
+  }));
+  if (shop) {
+    updates.push({
+      _id: shop.id,
+      [`flags.${MODULE_ID}.location`]: {
+        id: profile.id,
+        name: profile.name,
+        type: profile.type,
+        group: "shop",
+        role: "",
+        journalUuid: journal.uuid
+      }
+    });
+  }
+  try {
+    await Actor.updateDocuments(updates);
+  } catch (err) {
+    console.warn("NPC Button: Failed to link location actors to the journal.", err);
+  }
+  return journal;
+}
+
+async function createLocationJournalEntry(profile, actors, shop) {
+  const members = actors.map((actor) => {
+    const membership = actor.flags?.[MODULE_ID]?.location || {};
+    return {
+      name: actor.name,
+      uuid: actor.uuid,
+      group: membership.group || "patron",
+      role: membership.role || ""
+    };
+  });
+  const shopEntry = shop ? { name: shop.name, uuid: shop.uuid } : null;
+  const folderId = await ensureFlaggedJournalFolder("locationFolder", t("ui.location.folderName", "Locations"));
+  const journal = await JournalEntry.create({
+    name: profile.name,
+    folder: folderId || null,
+    flags: {
+      [MODULE_ID]: {
+        location: {
+          ...profile,
+          memberUuids: members.map((member) => member.uuid),
+          shopUuid: shopEntry?.uuid || null
+        }
+      }
+    },
+    pages: [
+      {
+        name: profile.name,
+        type: "text",
+        text: { format: 1, content: buildLocationJournalHtml(profile, members, shopEntry) }
+      }
+    ]
+  });
+  if (journal?.sheet?.render) {
+    journal.sheet.render(true);
+  }
+  return journal;
+}
@@ -1,7 +1,17 @@
 import { MODULE_ID } from "./constants.js";
 import { t } from "./i18n.js";
 import { registerOpenAiSettings } from "./openai.js";
-import { addNpcButton, showChangelogIfUpdated } from "./ui.js";
+import { addNpcButton, showChangelogIfUpdated, registerRelationshipFolderHooks } from "./ui.js";
+import { registerModuleApi } from "./api.js";
+import { registerActorRerollHooks } from "./actor-reroll.js";
+import { registerStatblockExportHooks } from "./statblock-export.js";
+import { registerBlueprintBundleHooks } from "./blueprint-bundle.js";
+import { registerArchetypeEditorSettings } from "./archetype-editor.js";
+import { registerNameCultureEditorSettings } from "./name-culture-editor.js";
+import { CR_CHECK_SETTING, CR_CHECK_MODES } from "./cr-calculator.js";
+import { BOSS_LAIR_SETTING, BOSS_LAIR_MODES } from "./legendary.js";
+import { CLASS_PROGRESSION_SETTING, CLASS_PROGRESSION_MODES } from "./class-progression.js";
+import { ABILITY_METHOD_SETTING, ABILITY_METHODS } from "./ability-scores.js";
 
 let npcButtonObserver = null;
 let ensureButtonTimeout = null;
@@ -88,7 +98,71 @@ function ensureNpcButtonInActorsSidebar(contextHtml = null) {
 
 Hooks.once("init", () => {
   registerOpenAiSettings();
-
+  registerArchetypeEditorSettings();
+  registerNameCultureEditorSettings();
+
+  game.settings.register(MODULE_ID, "worldUniqueNames", {
+    name: `${MODULE_ID}.settings.worldUniqueNames.name`,
+    hint: `${MODULE_ID}.settings.worldUniqueNames.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false
+  });
+  game.settings.register(MODULE_ID, "worldUniqueNamesJournals", {
+    name: `${MODULE_ID}.settings.worldUniqueNamesJournals.name`,
+    hint: `${MODULE_ID}.settings.worldUniqueNamesJournals.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: Boolean,
+    default: false
+  });
+  game.settings.register(MODULE_ID, CR_CHECK_SETTING, {
+    name: `${MODULE_ID}.settings.crCheck.name`,
+    hint: `${MODULE_ID}.settings.crCheck.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(CR_CHECK_MODES.map((mode) => [mode, `${MODULE_ID}.settings.crCheck.choices.${mode}`])),
+    default: "off"
+  });
+  game.settings.register(MODULE_ID, BOSS_LAIR_SETTING, {
+    name: `${MODULE_ID}.settings.bossLairActions.name`,
+    hint: `${MODULE_ID}.settings.bossLairActions.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(BOSS_LAIR_MODES.map((mode) => [mode, `${MODULE_ID}.settings.bossLairActions.choices.${mode}`])),
+    default: "off"
+  });
+  game.settings.register(MODULE_ID, CLASS_PROGRESSION_SETTING, {
+    name: `${MODULE_ID}.settings.classProgression.name`,
+    hint: `${MODULE_ID}.settings.classProgression.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(
+      CLASS_PROGRESSION_MODES.map((mode) => [mode, `${MODULE_ID}.settings.classProgression.choices.${mode}`])
+    ),
+    default: "class"
+  });
+  game.settings.register(MODULE_ID, ABILITY_METHOD_SETTING, {
+    name: `${MODULE_ID}.settings.abilityMethod.name`,
+    hint: `${MODULE_ID}.settings.abilityMethod.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(
+      ABILITY_METHODS.map((method) => [method, `${MODULE_ID}.settings.abilityMethod.choices.${method}`])
+    ),
+    default: "archetype"
+  });
   game.settings.register(MODULE_ID, "lastFolderId", {
     scope: "client",
     config: false,
@@ -113,6 +187,12 @@ Hooks.once("init", () => {
     type: String,
     default: ""
   });
+
+  registerModuleApi();
+  registerActorRerollHooks();
+  registerStatblockExportHooks();
+  registerBlueprintBundleHooks();
+  registerRelationshipFolderHooks();
 });
 
 Hooks.once("ready", () => {
@@ -120,6 +200,7 @@ Hooks.once("ready", () => {
     ui.notifications?.warn(t("main.warnWrongSystem"));
   }
   showChangelogIfUpdated();
+  Hooks.callAll(`${MODULE_ID}.apiReady`, game.modules.get(MODULE_ID)?.api);
   scheduleEnsureNpcButton(null, { immediate: true });
   setTimeout(() => scheduleEnsureNpcButton(), 250);
   setTimeout(() => scheduleEnsureNpcButton(), 1000);
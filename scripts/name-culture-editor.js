@@ -0,0 +1,258 @@
+/**
+ * World-level editor for user-defined name cultures
+ * @module name-culture-editor
+ */
+
+import { MODULE_ID } from "./constants.js";
+import {
+  DATA_CACHE,
+  CUSTOM_NAME_CULTURES_SETTING,
+  NAME_CULTURE_LIST_FIELDS,
+  loadData,
+  refreshCustomNameCultures,
+  validateNameCultureEntry
+} from "./data-loader.js";
+import { t, tf } from "./i18n.js";
+import { capitalize, cloneData } from "./utils.js";
+
+// Generator choices offered in the editor; syllable engines need parts and are configured in names.json
+const GENERATOR_CHOICES = ["", "markov", "markov-always"];
+
+class NameCultureEditorConfig extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    this.entries = readStoredCultures();
+    this.selectedIndex = this.entries.length ? 0 : -1;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-name-culture-editor`,
+      title: t("ui.nameCultureEditor.title", "Custom Name Cultures"),
+      template: `modules/${MODULE_ID}/templates/name-culture-editor.hbs`,
+      width: 600,
+      height: "auto",
+      closeOnSubmit: false,
+      submitOnChange: false
+    });
+  }
+
+  async _render(...args) {
+    await loadData();
+    return super._render(...args);
+  }
+
+  getData() {
+    const entry = this.entries[this.selectedIndex] || null;
+    const shippedCultures = DATA_CACHE.shippedNames?.cultures || {};
+    return {
+      hasEntry: !!entry,
+      entries: this.entries.map((item, index) => ({
+        index,
+        label: item.label ? `${item.label} (${item.id || "?"})` : item.id || "?",
+        selected: index === this.selectedIndex
+      })),
+      shipped: Object.keys(shippedCultures).map((id) => ({ id, label: capitalize(id) })),
+      entry: entry
+        ? {
+          id: entry.id || "",
+          label: entry.label || "",
+          idConflict: Object.prototype.hasOwnProperty.call(shippedCultures, entry.id)
+        }
+        : null,
+      keepGenerator: getGeneratorChoice(entry) === "keep",
+      generators: GENERATOR_CHOICES.map((value) => ({
+        value,
+        label: t(`ui.nameCultureEditor.generator.${value || "none"}`, value || "none"),
+        selected: value === getGeneratorChoice(entry)
+      })),
+      lists: NAME_CULTURE_LIST_FIELDS.map((field) => ({
+        field,
+        label: t(`ui.nameCultureEditor.field.${field}`, field),
+        value: (entry?.[field] || []).join("\n"),
+        count: (entry?.[field] || []).length
+      }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("select[name='selectedIndex']").on("change", (event) => {
+      this._captureForm();
+      this.selectedIndex = Number(event.currentTarget.value);
+      this.render();
+    });
+    html.find("[data-editor-action]").on("click", (event) => {
+      event.preventDefault();
+      this._captureForm();
+      const action = String(event.currentTarget.dataset.editorAction || "");
+      if (action === "new") this._addEntry(createBlankCulture());
+      else if (action === "copy") this._copyShipped(String(html.find("select[name='copyFrom']").val() || ""));
+      else if (action === "delete") this._deleteSelected();
+      this.render();
+    });
+  }
+
+  /**
+   * Store the visible field values back into the selected entry
+   */
+  _captureForm() {
+    const entry = this.entries[this.selectedIndex];
+    const form = this.form;
+    if (!entry || !form) return;
+    const data = new FormData(form);
+    entry.id = String(data.get("id") || "").trim().toLowerCase();
+    entry.label = String(data.get("label") || "").trim();
+    for (const field of NAME_CULTURE_LIST_FIELDS) {
+      entry[field] = parseNameList(data.get(field));
+    }
+    const generator = String(data.get("generator") || "");
+    if (generator === "markov") entry.generator = { type: "markov", mode: "fallback" };
+    else if (generator === "markov-always") entry.generator = { type: "markov", mode: "always" };
+    else if (generator !== "keep") delete entry.generator;
+  }
+
+  _addEntry(entry) {
+    this.entries.push(entry);
+    this.selectedIndex = this.entries.length - 1;
+  }
+
+  _copyShipped(id) {
+    const shipped = DATA_CACHE.shippedNames;
+    const source = shipped?.cultures?.[id];
+    if (!source) return;
+    const copy = createBlankCulture();
+    copy.id = buildUniqueId(`${id}-custom`, this.entries);
+    copy.label = tf("ui.nameCultureEditor.copyName", { name: capitalize(id) }, "{name} (custom)");
+    if (Array.isArray(source)) {
+      copy.neutral = source.slice();
+    } else {
+      copy.male = Array.isArray(source.male) ? source.male.slice() : [];
+      copy.female = Array.isArray(source.female) ? source.female.slice() : [];
+    }
+    copy.surnames = Array.isArray(shipped.surnames) ? shipped.surnames.slice() : [];
+    copy.titles = Array.isArray(shipped.titles) ? shipped.titles.slice() : [];
+    if (shipped.generators?.[id]) copy.generator = cloneData(shipped.generators[id]);
+    this._addEntry(copy);
+  }
+
+  _deleteSelected() {
+    if (this.selectedIndex < 0) return;
+    this.entries.splice(this.selectedIndex, 1);
+    this.selectedIndex = Math.min(this.selectedIndex, this.entries.length - 1);
+  }
+
+  async _updateObject() {
+    this._captureForm();
+    const errors = collectEditorErrors(this.entries);
+    if (errors.length) {
+      ui.notifications?.error(
+        tf("ui.nameCultureEditor.errorInvalid", { details: errors.join("; ") }, "Name cultures not saved: {details}")
+      );
+      return;
+    }
+    try {
+      await game.settings.set(MODULE_ID, CUSTOM_NAME_CULTURES_SETTING, JSON.stringify(this.entries));
+    } catch (err) {
+      console.error("NPC Button: Failed to save custom name cultures.", err);
+      ui.notifications?.error(t("ui.nameCultureEditor.errorSave", "Failed to save custom name cultures."));
+      return;
+    }
+    refreshCustomNameCultures();
+    ui.notifications?.info(
+      tf("ui.nameCultureEditor.saved", { count: this.entries.length }, "Saved {count} custom name culture(s).")
+    );
+    this.close();
+  }
+}
+
+/**
+ * Open the custom name culture editor (GM only)
+ */
+export function openNameCultureEditor() {
+  if (!game.user?.isGM) return;
+  new NameCultureEditorConfig().render(true);
+}
+
+/**
+ * Register the custom name culture world setting and its settings menu
+ */
+export function registerNameCultureEditorSettings() {
+  game.settings.register(MODULE_ID, CUSTOM_NAME_CULTURES_SETTING, {
+    scope: "world",
+    config: false,
+    type: String,
+    default: "[]",
+    onChange: () => refreshCustomNameCultures()
+  });
+
+  game.settings.registerMenu(MODULE_ID, "customNameCulturesMenu", {
+    name: `${MODULE_ID}.settings.customNameCulturesMenu.name`,
+    label: `${MODULE_ID}.settings.customNameCulturesMenu.label`,
+    hint: `${MODULE_ID}.settings.customNameCulturesMenu.hint`,
+    icon: "fas fa-signature",
+    type: NameCultureEditorConfig,
+    restricted: true
+  });
+}
+
+function readStoredCultures() {
+  try {
+    const parsed = JSON.parse(game.settings.get(MODULE_ID, CUSTOM_NAME_CULTURES_SETTING) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((entry) => entry && typeof entry === "object") : [];
+  } catch (err) {
+    console.warn("NPC Button: Failed to read custom name cultures.", err);
+    return [];
+  }
+}
+
+function getGeneratorChoice(entry) {
+  const generator = entry?.generator;
+  if (!generator) return "";
+  const type = typeof generator === "string" ? generator : generator.type;
+  if (type !== "markov") return "keep";
+  return generator.mode === "always" ? "markov-always" : "markov";
+}
+
+function createBlankCulture() {
+  return { id: "", label: "", male: [], female: [], neutral: [], surnames: [], titles: [] };
+}
+
+// One name per line; commas also split so pasted lists work
+function parseNameList(value) {
+  const seen = new Set();
+  return String(value || "")
+    .split(/[\n,]/)
+    .map((name) => name.trim())
+    .filter((name) => {
+      if (!name || seen.has(name)) return false;
+      seen.add(name);
+      return true;
+    });
+}
+
+function buildUniqueId(base, entries) {
+  const taken = new Set(entries.map((entry) => entry.id));
+  if (!taken.has(base)) return base;
+  let counter = 2;
+  while (taken.has(`${base}-${counter}`)) counter += 1;
+  return `${base}-${counter}`;
+}
+
+function collectEditorErrors(entries) {
+  const errors = [];
+  const shippedCultures = DATA_CACHE.shippedNames?.cultures || {};
+  const seen = new Set();
+  for (const [index, entry] of entries.entries()) {
+    const label = entry.label || entry.id || `#${index + 1}`;
+    const problems = validateNameCultureEntry(entry).map((field) => t(`ui.nameCultureEditor.field.${field}`, field));
+    if (Object.prototype.hasOwnProperty.call(shippedCultures, entry.id)) {
+      problems.push(t("ui.nameCultureEditor.problemBuiltInId", "id used by a built-in culture"));
+    } else if (seen.has(entry.id)) {
+      problems.push(t("ui.nameCultureEditor.problemDuplicateId", "duplicate id"));
+    }
+    seen.add(entry.id);
+    if (problems.length) errors.push(`${label}: ${problems.join(", ")}`);
+  }
+  return errors;
+}
@@ -0,0 +1,158 @@
+/**
+ * Procedural name engines (Markov chain and syllable templates) used as a culture name source
+ * @module name-engine
+ */
+
+import { random, pickRandom, chance } from "./utils.js";
+
+/** Supported procedural engine types */
+export const NAME_ENGINE_TYPES = ["markov", "syllables"];
+
+const MARKOV_DEFAULT_ORDER = 2;
+const MARKOV_MIN_TRAINING_NAMES = 8;
+const MARKOV_MAX_ATTEMPTS = 24;
+const NAME_MIN_LENGTH = 3;
+const NAME_MAX_LENGTH = 12;
+const START = "^";
+const END = "$";
+
+// Trained models per names data object, so a cache refresh drops stale models
+const MODEL_CACHE = new WeakMap();
+
+/**
+ * Resolve the procedural engine config for a culture
+ * Configs live in names.generators[culture] or on an object culture entry as `generator`.
+ * @param {Object} names - Names data
+ * @param {string} culture - Culture id
+ * @returns {{type: string, mode: string, order: number, syllables: Object|null}|null}
+ */
+export function getCultureNameEngine(names, culture) {
+  const key = String(culture || "").trim();
+  const entry = names?.cultures?.[key];
+  const raw = names?.generators?.[key] ?? (entry && !Array.isArray(entry) ? entry.generator : null);
+  const config = typeof raw === "string" ? { type: raw } : raw;
+  if (!config || typeof config !== "object") return null;
+  const type = String(config.type || "").trim().toLowerCase();
+  if (!NAME_ENGINE_TYPES.includes(type)) return null;
+  if (type === "syllables" && !hasSyllableParts(config.syllables)) return null;
+  return {
+    type,
+    mode: config.mode === "always" ? "always" : "fallback",
+    order: Math.max(1, Math.min(4, Number(config.order) || MARKOV_DEFAULT_ORDER)),
+    syllables: type === "syllables" ? config.syllables : null
+  };
+}
+
+/**
+ * Generate one procedural given name
+ * @param {Object} engine - Config from getCultureNameEngine
+ * @param {Object} context
+ * @param {Object} context.names - Names data (model cache key)
+ * @param {string} context.culture - Culture id
+ * @param {string} context.gender - Normalized gender (male/female/random)
+ * @param {string[]} context.trainingNames - Culture names for the requested gender
+ * @returns {string} Generated name, or "" when the engine has nothing to work with
+ */
+export function generateProceduralName(engine, { names, culture, gender, trainingNames }) {
+  if (!engine) return "";
+  if (engine.type === "syllables") return generateSyllableName(engine.syllables, gender);
+  const model = getMarkovModel(names, `${culture}|${gender}|${engine.order}`, trainingNames, engine.order);
+  return model ? generateMarkovName(model) : "";
+}
+
+/**
+ * Build a character-level Markov model from a list of names
+ * @param {string[]} trainingNames - Names to learn from
+ * @param {number} [order] - Context length in characters
+ * @returns {{order: number, transitions: Map<string, string[]>, known: Set<string>}|null}
+ */
+export function buildMarkovModel(trainingNames, order = MARKOV_DEFAULT_ORDER) {
+  const cleaned = Array.from(new Set(
+    (trainingNames || [])
+      .map((name) => String(name || "").trim().toLowerCase())
+      .filter((name) => /^[\p{L}'-]+$/u.test(name))
+  ));
+  if (cleaned.length < MARKOV_MIN_TRAINING_NAMES) return null;
+
+  const transitions = new Map();
+  for (const name of cleaned) {
+    const padded = START.repeat(order) + name + END;
+    for (let i = order; i < padded.length; i++) {
+      const context = padded.slice(i - order, i);
+      if (!transitions.has(context)) transitions.set(context, []);
+      // Duplicates keep the observed frequency
+      transitions.get(context).push(padded[i]);
+    }
+  }
+  return { order, transitions, known: new Set(cleaned) };
+}
+
+/**
+ * Generate a name from a Markov model
+ * @param {Object} model - Model from buildMarkovModel
+ * @returns {string}
+ */
+export function generateMarkovName(model) {
+  if (!model) return "";
+  for (let attempt = 0; attempt < MARKOV_MAX_ATTEMPTS; attempt++) {
+    let context = START.repeat(model.order);
+    let result = "";
+    for (let step = 0; step < NAME_MAX_LENGTH + 1; step++) {
+      const next = pickRandom(model.transitions.get(context) || [END]);
+      if (next === END) break;
+      result += next;
+      context = (context + next).slice(-model.order);
+    }
+    if (result.length < NAME_MIN_LENGTH || result.length > NAME_MAX_LENGTH) continue;
+    // Prefer new names; the pool already covers the known ones
+    if (model.known.has(result) && attempt < MARKOV_MAX_ATTEMPTS - 1) continue;
+    return capitalizeName(result);
+  }
+  return "";
+}
+
+/**
+ * Generate a name from syllable parts
+ * @param {Object} parts - { start[], middle[], end[], maleEnd[], femaleEnd[], middleChance }
+ * @param {string} gender - Normalized gender (male/female/random)
+ * @returns {string}
+ */
+export function generateSyllableName(parts, gender = "random") {
+  if (!hasSyllableParts(parts)) return "";
+  const endings = (gender === "male" && parts.maleEnd?.length)
+    ? parts.maleEnd
+    : (gender === "female" && parts.femaleEnd?.length)
+      ? parts.femaleEnd
+      : [...(parts.end || []), ...(parts.maleEnd || []), ...(parts.femaleEnd || [])];
+  const middleChance = Number.isFinite(Number(parts.middleChance)) ? Number(parts.middleChance) : 0.35;
+  let name = pickRandom(parts.start);
+  if (Array.isArray(parts.middle) && parts.middle.length && chance(middleChance)) {
+    name += pickRandom(parts.middle);
+    if (random() < middleChance / 3) name += pickRandom(parts.middle);
+  }
+  name += pickRandom(endings) || "";
+  return capitalizeName(name.toLowerCase());
+}
+
+function getMarkovModel(names, key, trainingNames, order) {
+  const cacheOwner = names && typeof names === "object" ? names : null;
+  let models = cacheOwner ? MODEL_CACHE.get(cacheOwner) : null;
+  if (cacheOwner && !models) {
+    models = new Map();
+    MODEL_CACHE.set(cacheOwner, models);
+  }
+  if (models?.has(key)) return models.get(key);
+  const model = buildMarkovModel(trainingNames, order);
+  models?.set(key, model);
+  return model;
+}
+
+function hasSyllableParts(parts) {
+  if (!parts || typeof parts !== "object") return false;
+  const hasEnd = ["end", "maleEnd", "femaleEnd"].some((key) => Array.isArray(parts[key]) && parts[key].length);
+  return Array.isArray(parts.start) && parts.start.length > 0 && hasEnd;
+}
+
+function capitalizeName(value) {
+  return String(value || "").replace(/(^|[-' ])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase());
+}
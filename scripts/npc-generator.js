@@ -4,6 +4,7 @@
  */
 
 import {
+  MODULE_ID,
   CR_BY_TIER,
   PROF_BY_TIER,
   BASE_AC,
@@ -14,10 +15,47 @@ import {
   HP_MINIMUM,
   MAGIC_ITEM_CHANCE,
   getMonsterStatsByCr,
+  parseCrValue,
+  getTierForCr,
+  TIER_CR_MAX,
   BOSS_HP_MULTIPLIER,
   BOSS_AC_BONUS
 } from "./constants.js";
 import { DATA_CACHE } from "./data-loader.js";
+import { getCultureNameEngine, generateProceduralName } from "./name-engine.js";
+import { applyCrCheck } from "./cr-calculator.js";
+import { ABILITY_METHODS, getAbilityMethod, rollAbilityScores } from "./ability-scores.js";
+import {
+  rollClassProgression,
+  formatClassLevels,
+  getTagClasses,
+  getSubclassNeedles,
+  requirementsNameSubclass,
+  getRequirementLevel,
+  getNpcClassLevel
+} from "./class-progression.js";
+import {
+  getSpellListClass,
+  getCasterLevel,
+  getMaxSpellLevelForClass,
+  getShippedClassSpellNames,
+  getRegistryClassSpellUuids,
+  getSpellRoleWeights,
+  pickSpellsByRole,
+  getPreparedSpellCount,
+  getCantripsKnownCount,
+  resolveSpellcastingMode,
+  applyInnateSpellcasting,
+  buildInnateSpellcastingItem
+} from "./spell-lists.js";
+import {
+  buildLegendaryActionItems,
+  buildLairItems,
+  buildLegendaryResistanceItem,
+  buildLegendaryResources
+} from "./legendary.js";
+import { buildRelationshipsLine } from "./relationships.js";
+import { parseSenseEntry } from "./species.js";
 import {
   pickRandom,
   pickRandomN,
@@ -26,7 +64,8 @@ import {
   chance,
   cloneData,
   toItemData,
-  escapeHtml
+  escapeHtml,
+  getActiveSeed
 } from "./utils.js";
 import {
   getPacks,
@@ -44,7 +83,8 @@ import {
   getRandomItemByKeywordsWithBudget,
   getItemByNameFromPacks,
   addUniqueItem,
-  pickItemFromKeywords
+  pickItemFromKeywords,
+  buildBasicAbilityActivities
 } from "./items.js";
 import {
   getCachedDoc,
@@ -61,11 +101,27 @@ import { t } from "./i18n.js";
 const LOOKUP_CACHE_MAX_CLASS_KEYS = 128;
 const LOOKUP_CACHE_MAX_AI_INDEX_KEYS = 48;
 const AI_ITEM_RESOLVE_MAX_CONCURRENCY = 4;
+const PROCEDURAL_NAME_TRIES = 40;
 const ALL_ALIGNMENTS = [
   "Lawful Good", "Neutral Good", "Chaotic Good",
   "Lawful Neutral", "Neutral", "Chaotic Neutral",
   "Lawful Evil", "Neutral Evil", "Chaotic Evil"
 ];
+const AI_ITEM_GROUP_TO_GENERATED_GROUP = {
+  weapons: "weapon",
+  armor: "equipment",
+  equipment: "equipment",
+  consumables: "loot",
+  loot: "loot",
+  spells: "abilities",
+  features: "abilities"
+};
+// Statblock damage qualifiers ("from nonmagical attacks not made with silvered weapons") to dnd5e bypass keys
+const DAMAGE_BYPASS_PATTERNS = [
+  [/\bnonmagical\b/, "mgc"],
+  [/\bsilvered\b/, "sil"],
+  [/\badamantine\b/, "ada"]
+];
 const NPC_GENERATOR_LOOKUP_CACHE = {
   source: null,
   spellPackNamesKey: "",
@@ -87,11 +143,23 @@ function ensureNpcGeneratorLookupCacheState() {
 /**
  * Generate an NPC with all stats and traits
  * @param {Object} options - Generation options
+ * @param {number|string} [options.cr] - Explicit target CR (0-30); overrides the tier CR roll and sets the tier
+ * @param {string} [options.subclass] - Subclass id/name to force, or "none" (default: class progression setting)
+ * @param {string} [options.multiclass] - Secondary class to force, or "none" (default: class progression setting)
+ * @param {string} [options.spellcasting] - "slots" or "innate" (default: the archetype's `spellcasting`, else slots)
+ * @param {string} [options.abilityMethod] - archetype, standard, pointbuy or roll (default: ability method setting)
+ * @param {string} [options.classProgression] - class, subclass or multiclass (default: class progression setting)
+ * @param {number} [options.classLevel] - Total class level (default: from the CR)
+ * @param {Object} [options.party] - Rival party data ({id, name, role, companions}) shown in the biography
+ * @param {Object} [options.faction] - Faction membership ({id, name, type, rank, title}) shown in the biography
+ * @param {Object[]} [options.relationships] - Relationships to other NPCs ({type, label, name, uuid}) shown in the biography
+ * @param {Object} [options.location] - Location the NPC belongs to ({id, name, type, group, role}) shown in the biography
  * @returns {Object} Generated NPC data
  */
 export function generateNpc(options) {
+  const targetCr = parseCrValue(options.cr);
+  const tier = targetCr !== null ? getTierForCr(targetCr) : options.tier;
   const {
-    tier,
     archetype,
     culture,
     gender,
@@ -108,18 +176,28 @@ export function generateNpc(options) {
 
   const name = buildUniqueName(names, culture, importantNpc, usedNames, gender);
 
-  const appearance = pickRandomN(traits?.appearance || [], 2 + randInt(0, 2));
-  const speech = pickRandomOr(traits?.speech, "Plainspoken");
-  const motivation = pickRandomOr(traits?.motivations, "Survival");
+  const { appearance, speech, motivation, quirk } = rollNpcFlavor(traits);
   const secret = includeSecret ? pickRandomOr(traits?.secrets, null) : null;
   const hook = includeHook ? pickRandomOr(traits?.hooks, null) : null;
-  const quirk = pickRandomOr(traits?.quirks, "Unremarkable");
   const className = getClassForArchetype(archetype);
 
-  const abilities = applyTierToAbilities(varyBaseAbilities(archetype.baseAbilities), tier, importantNpc);
+  const cr = targetCr !== null ? targetCr : rollCrByTier(tier);
+  const classLevels = rollClassProgression({
+    archetype,
+    className,
+    cr,
+    subclass: options.subclass,
+    multiclass: options.multiclass,
+    level: options.classLevel,
+    ...(options.classProgression ? { mode: options.classProgression } : {})
+  });
+  const abilityMethod = ABILITY_METHODS.includes(options.abilityMethod) ? options.abilityMethod : getAbilityMethod();
+  const baseAbilities = abilityMethod === "archetype"
+    ? varyBaseAbilities(archetype.baseAbilities)
+    : rollAbilityScores(archetype.baseAbilities, abilityMethod);
+  const abilities = applyTierToAbilities(baseAbilities, tier, importantNpc, cr);
   const prime = getPrimeAbilities(abilities);
 
-  const cr = rollCrByTier(tier);
   const crStats = getMonsterStatsByCr(cr);
 
   const hpVariance = randInt(0, Math.max(1, Math.round(crStats.hp * 0.15)));
@@ -136,10 +214,17 @@ export function generateNpc(options) {
     name,
     archetype,
     className,
+    classLevels,
+    spellcasting: resolveSpellcastingMode(archetype, options.spellcasting),
+    party: options.party || null,
+    faction: options.faction || null,
+    relationships: Array.isArray(options.relationships) ? options.relationships : [],
+    location: options.location || null,
     attackStyle: archetype?.attackStyle || "",
     archetypeTags: Array.isArray(archetype?.tags) ? archetype.tags.slice() : [],
     tier,
     cr,
+    targetCr,
     prof,
     ac,
     hp,
@@ -148,6 +233,7 @@ export function generateNpc(options) {
     gender: normalizeGenderValue(gender),
     race,
     budget,
+    abilityMethod,
     abilities,
     prime,
     appearance,
@@ -164,6 +250,42 @@ export function generateNpc(options) {
   };
 }
 
+/**
+ * Roll flavor traits (appearance, speech, motivation, quirk)
+ * @param {Object} traits - Traits data
+ * @returns {{appearance: string[], speech: string, motivation: string, quirk: string}}
+ */
+export function rollNpcFlavor(traits) {
+  return {
+    appearance: pickRandomN(traits?.appearance || [], 2 + randInt(0, 2)),
+    speech: pickRandomOr(traits?.speech, "Plainspoken"),
+    motivation: pickRandomOr(traits?.motivations, "Survival"),
+    quirk: pickRandomOr(traits?.quirks, "Unremarkable")
+  };
+}
+
+/**
+ * Create the used-name set for a generation run
+ * With the world uniqueness setting on, it is seeded with actor names (and optionally journal names) from the world.
+ * @returns {Set<string>}
+ */
+export function createUsedNames() {
+  const usedNames = new Set();
+  if (!game.settings?.get(MODULE_ID, "worldUniqueNames")) return usedNames;
+  for (const actor of game.actors || []) {
+    if (actor?.name) usedNames.add(actor.name);
+  }
+  if (game.settings.get(MODULE_ID, "worldUniqueNamesJournals")) {
+    for (const journal of game.journal || []) {
+      if (journal?.name) usedNames.add(journal.name);
+      for (const page of journal?.pages || []) {
+        if (page?.name) usedNames.add(page.name);
+      }
+    }
+  }
+  return usedNames;
+}
+
 /**
  * Build unique name for NPC
  * @param {Object} names - Names data
@@ -177,14 +299,35 @@ export function buildUniqueName(names, culture, importantNpc, usedNames, gender
   const tries = 12;
   const genderValue = normalizeGenderValue(gender);
   const namePool = getCultureNamePoolByGender(names, culture, genderValue);
-  for (let i = 0; i < tries; i++) {
-    const firstName = pickRandomOr(namePool, "Nameless");
-    const surname = chance(0.6) ? pickRandomOr(names?.surnames, "") : "";
-    const title = importantNpc && chance(0.4) ? pickRandomOr(names?.titles, "") : "";
+  const cultureEntry = names?.cultures?.[String(culture || "").trim()];
+  const surnamePool = getCultureListOr(cultureEntry, "surnames", names?.surnames);
+  const titlePool = getCultureListOr(cultureEntry, "titles", names?.titles);
+  const engine = getCultureNameEngine(names, culture);
+  const engineContext = { names, culture, gender: genderValue, trainingNames: namePool };
+  const tryName = (firstName) => {
+    const surname = chance(0.6) ? pickRandomOr(surnamePool, "") : "";
+    const title = importantNpc && chance(0.4) ? pickRandomOr(titlePool, "") : "";
     const full = [title, firstName, surname].filter(Boolean).join(" ");
-    if (!usedNames || !usedNames.has(full)) {
-      if (usedNames) usedNames.add(full);
-      return full;
+    // A title alone does not make a name distinct ("Ser Bram Ashford" vs "Bram Ashford")
+    const core = [firstName, surname].filter(Boolean).join(" ");
+    if (usedNames && (usedNames.has(full) || usedNames.has(core))) return "";
+    if (usedNames) usedNames.add(full).add(core);
+    return full;
+  };
+
+  // Fixed pool first (unless the engine replaces it), then the procedural engine once the pool runs dry
+  if (engine?.mode !== "always" || !namePool.length) {
+    for (let i = 0; i < tries; i++) {
+      const full = tryName(pickRandomOr(namePool, "Nameless"));
+      if (full) return full;
+    }
+  }
+  if (engine) {
+    for (let i = 0; i < PROCEDURAL_NAME_TRIES; i++) {
+      const firstName = generateProceduralName(engine, engineContext);
+      if (!firstName) break;
+      const full = tryName(firstName);
+      if (full) return full;
     }
   }
   const fallback = `Nameless ${randInt(1, 999)}`;
@@ -204,16 +347,17 @@ function getCultureNamePoolByGender(names, culture, gender) {
   if (cultureEntry && typeof cultureEntry === "object") {
     const buckets = [];
     if (gender === "male") {
-      buckets.push(cultureEntry.male, cultureEntry.m, cultureEntry.masculine);
+      buckets.push(cultureEntry.male, cultureEntry.m, cultureEntry.masculine, cultureEntry.neutral);
     } else if (gender === "female") {
-      buckets.push(cultureEntry.female, cultureEntry.f, cultureEntry.feminine);
+      buckets.push(cultureEntry.female, cultureEntry.f, cultureEntry.feminine, cultureEntry.neutral);
     } else {
       buckets.push(
         cultureEntry.random,
         cultureEntry.any,
         cultureEntry.all,
         cultureEntry.male,
-        cultureEntry.female
+        cultureEntry.female,
+        cultureEntry.neutral
       );
     }
     const merged = buckets.flatMap((bucket) => (Array.isArray(bucket) ? bucket : []));
@@ -230,6 +374,11 @@ function getCultureNamePoolByGender(names, culture, gender) {
   return [];
 }
 
+function getCultureListOr(cultureEntry, field, fallback) {
+  const list = cultureEntry && !Array.isArray(cultureEntry) ? cultureEntry[field] : null;
+  return Array.isArray(list) && list.length ? list : fallback;
+}
+
 function normalizeGenderValue(value) {
   const normalized = String(value || "").trim().toLowerCase();
   if (["male", "m", "man"].includes(normalized)) return "male";
@@ -242,17 +391,19 @@ function normalizeGenderValue(value) {
  * @param {Object} abilities - Base abilities
  * @param {number} tier - Tier level
  * @param {boolean} importantNpc - Whether NPC is a boss
+ * @param {number} [cr] - Challenge rating; CRs above the tier tables add +2 per 5 CR
  * @returns {Object}
  */
-export function applyTierToAbilities(abilities, tier, importantNpc) {
-  const bonus = (tier - 1) * 2 + (importantNpc ? 2 : 0);
+export function applyTierToAbilities(abilities, tier, importantNpc, cr = 0) {
+  const highCrBonus = Number(cr) > TIER_CR_MAX ? Math.ceil((Number(cr) - TIER_CR_MAX) / 5) * 2 : 0;
+  const bonus = (tier - 1) * 2 + (importantNpc ? 2 : 0) + highCrBonus;
   const ordered = Object.entries(abilities).sort((a, b) => b[1] - a[1]);
 
   let remaining = bonus;
   for (let i = 0; i < ordered.length && remaining > 0; i++) {
     const key = ordered[i][0];
     const add = Math.min(2, remaining);
-    abilities[key] += add;
+    abilities[key] = Math.min(30, abilities[key] + add);
     remaining -= add;
   }
 
@@ -386,9 +537,11 @@ export function buildLoot(archetype, tier) {
  * Build actor data from NPC
  * @param {Object} npc - Generated NPC
  * @param {string|null} folderId - Folder ID
+ * @param {Object} [options]
+ * @param {Object} [options.provenance] - Extra provenance fields (see buildNpcProvenance)
  * @returns {Promise<Object>}
  */
-export async function buildActorData(npc, folderId = null) {
+export async function buildActorData(npc, folderId = null, options = {}) {
   const alignPool = npc.archetype?.alignmentPool;
   const alignment = Array.isArray(alignPool) && alignPool.length
     ? pickRandom(alignPool)
@@ -396,17 +549,18 @@ export async function buildActorData(npc, folderId = null) {
 
   const items = [];
   const weaponItem = await buildWeaponItem(npc);
-  items.push(weaponItem);
+  items.push(...tagGeneratedItems([weaponItem], "weapon"));
   const ammoItem = await buildAmmoItemForWeapon(weaponItem, npc);
-  if (ammoItem) items.push(ammoItem);
-  items.push(...(await buildRoleAbilityItems(npc)));
-  items.push(...(await buildRoleItems(npc)));
+  if (ammoItem) items.push(...tagGeneratedItems([ammoItem], "ammo"));
+  items.push(...tagGeneratedItems(await buildRoleAbilityItems(npc), "abilities"));
+  items.push(...tagGeneratedItems(await buildRoleItems(npc), "equipment"));
 
   // Combat features: Multiattack, Legendary Actions, Legendary Resistance
-  items.push(...(await buildCombatFeatureItems(npc)));
+  const spells = items.filter((item) => item?.type === "spell");
+  items.push(...tagGeneratedItems(await buildCombatFeatureItems(npc, { weapon: weaponItem, spells }), "combat"));
 
   // Iconic class bonus action / signature features from compendium
-  items.push(...(await buildClassBonusActionFeatures(npc)));
+  items.push(...tagGeneratedItems(await buildClassBonusActionFeatures(npc), "combat"));
 
   if (npc.loot) {
     const lootItems = [];
@@ -414,7 +568,7 @@ export async function buildActorData(npc, folderId = null) {
       lootItems.push(await buildLootItem(name, npc));
     }
     lootItems.push(...(await buildRandomLootExtras(npc, lootItems)));
-    items.push(...lootItems);
+    items.push(...tagGeneratedItems(lootItems, "loot"));
   }
 
   normalizeArmorItems(items);
@@ -426,14 +580,16 @@ export async function buildActorData(npc, folderId = null) {
     alignment,
     currency: npc.loot ? npc.loot.coins : { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 },
     spellLevel: npc.spellCasterLevel || 0,
-    abilityFallback: 10
+    abilityFallback: 10,
+    provenance: { mode: "local", ...options?.provenance }
   });
 
-  // Add spell slots for caster NPCs
-  if (npc.archetype?.tags?.includes("caster")) {
-    actorData.system.spells = buildSpellSlots(npc.tier, npc.importantNpc);
+  // Add spell slots for caster NPCs; innate casters use per-day spell uses instead
+  if (npc.archetype?.tags?.includes("caster") && npc.spellcasting !== "innate") {
+    actorData.system.spells = buildSpellSlots(npc.tier, npc.importantNpc, npc.cr);
   }
 
+  applyCrCheck(actorData);
   return actorData;
 }
 
@@ -443,22 +599,31 @@ export async function buildActorData(npc, folderId = null) {
  * @param {string|null} folderId - Folder ID
  * @param {Object} [options]
  * @param {boolean} [options.collectMatchDetails=false] - Include per-item compendium match details
+ * @param {Object} [options.provenance] - Extra provenance fields (see buildNpcProvenance)
  * @returns {Promise<{actorData: Object, resolvedItems: number, missingItems: number, matchDetails: Object[]}>}
  */
 export async function buildActorDataFromAiBlueprint(blueprint, folderId = null, options = {}) {
   const npc = normalizeAiBlueprintForActor(blueprint);
   const { items, resolvedItems, missingItems, matchDetails } = await resolveAiBlueprintItems(npc, options);
 
-  if (!items.some((item) => String(item?.type || "").toLowerCase() === "weapon")) {
+  // Text statblocks: traits and actions as written, unless a compendium item of the same name was found
+  const hasStatblock = npc.statblockFeatures.length > 0;
+  items.push(...tagGeneratedItems(buildStatblockFeatureItems(npc.statblockFeatures, items), "abilities"));
+
+  if (!hasStatblock && !items.some((item) => String(item?.type || "").toLowerCase() === "weapon")) {
     const fallbackWeapon = await buildWeaponItem(npc);
-    if (fallbackWeapon) items.push(fallbackWeapon);
+    if (fallbackWeapon) items.push(...tagGeneratedItems([fallbackWeapon], "weapon"));
   }
 
   // Combat features: Multiattack, Legendary Actions, Legendary Resistance
-  items.push(...(await buildCombatFeatureItems(npc)));
+  const kit = {
+    weapon: items.find((item) => String(item?.type || "").toLowerCase() === "weapon") || null,
+    spells: items.filter((item) => item?.type === "spell")
+  };
+  items.push(...tagGeneratedItems(withoutTakenNames(await buildCombatFeatureItems(npc, kit), items), "combat"));
 
   // Iconic class bonus action / signature features from compendium
-  items.push(...(await buildClassBonusActionFeatures(npc)));
+  items.push(...tagGeneratedItems(withoutTakenNames(await buildClassBonusActionFeatures(npc), items), "combat"));
 
   normalizeArmorItems(items);
 
@@ -472,18 +637,135 @@ export async function buildActorDataFromAiBlueprint(blueprint, folderId = null,
     alignment,
     currency: npc.currency || { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 },
     spellLevel: 0,
-    abilityFallback: 10
+    abilityFallback: 10,
+    provenance: { mode: "ai", ...options?.provenance }
   });
 
   // Add spell slots if AI NPC is a caster
   const isCasterAi = npc.archetypeTags?.includes("caster") || npc.archetype?.tags?.includes("caster");
   if (isCasterAi) {
-    actorData.system.spells = buildSpellSlots(npc.tier, npc.importantNpc);
+    actorData.system.spells = buildSpellSlots(npc.tier, npc.importantNpc, npc.cr);
   }
+  applyStatblockTraits(actorData, npc);
 
+  applyCrCheck(actorData);
   return { actorData, resolvedItems, missingItems, matchDetails };
 }
 
+function buildStatblockFeatureItems(features, existingItems) {
+  const taken = new Set((existingItems || []).map((item) => String(item?.name || "").trim().toLowerCase()));
+  const out = [];
+  for (const feature of features || []) {
+    const key = feature.name.toLowerCase();
+    if (taken.has(key)) continue;
+    taken.add(key);
+    const description = feature.description
+      .split("\n")
+      .map((line) => `<p>${escapeHtml(line)}</p>`)
+      .join("");
+    const item = {
+      name: feature.name,
+      type: "feat",
+      system: {
+        description: { value: description },
+        type: { value: "monster", subtype: "" },
+        activation: { type: feature.activation, cost: feature.activation ? 1 : null },
+        duration: {},
+        target: {},
+        range: {},
+        uses: {},
+        actionType: "",
+        damage: { parts: [] }
+      }
+    };
+    if (feature.activation) item.system.activities = buildBasicAbilityActivities(feature.name, feature.activation);
+    out.push(item);
+  }
+  return out;
+}
+
+function withoutTakenNames(items, existingItems) {
+  const taken = new Set((existingItems || []).map((item) => String(item?.name || "").trim().toLowerCase()));
+  return (items || []).filter((item) => !taken.has(String(item?.name || "").trim().toLowerCase()));
+}
+
+// Size, creature type, saves, damage and condition traits, senses and languages from a text statblock
+function applyStatblockTraits(actorData, npc) {
+  const system = actorData.system;
+  if (npc.size) system.traits.size = npc.size;
+  if (npc.creatureType) system.details.type = { value: npc.creatureType, subtype: "" };
+
+  // Listed saves replace the class defaults
+  if (npc.saves?.length) {
+    for (const [key, ability] of Object.entries(system.abilities || {})) {
+      ability.proficient = npc.saves.includes(key) ? 1 : 0;
+    }
+  }
+  const damageTypes = new Set(Object.keys(CONFIG?.DND5E?.damageTypes || {}));
+  for (const [field, key] of [["damageVulnerabilities", "dv"], ["damageResistances", "dr"], ["damageImmunities", "di"]]) {
+    if (npc[field]?.length) system.traits[key] = buildDamageTraitData(npc[field], damageTypes);
+  }
+  if (npc.conditionImmunities?.length) {
+    const conditions = new Set(Object.keys(CONFIG?.DND5E?.conditionTypes || {}));
+    const value = [];
+    const custom = [];
+    for (const entry of npc.conditionImmunities) {
+      const key = entry.toLowerCase();
+      if (conditions.has(key)) value.push(key);
+      else custom.push(entry);
+    }
+    system.traits.ci = { value, custom: custom.join("; ") };
+  }
+
+  const senses = {};
+  for (const part of String(npc.senses || "").split(/[,;]/)) {
+    const parsed = parseSenseEntry(part);
+    if (parsed) senses[parsed.type] = parsed.range;
+  }
+  if (Object.keys(senses).length) system.attributes.senses = { ...senses, units: "ft" };
+
+  if (npc.languages.length) {
+    const known = collectLanguageKeys(CONFIG?.DND5E?.languages);
+    const value = [];
+    const custom = [];
+    for (const language of npc.languages) {
+      const key = language.toLowerCase();
+      if (known.has(key)) value.push(key);
+      else custom.push(language);
+    }
+    system.traits.languages = { value, custom: custom.join("; ") };
+  }
+}
+
+// "slashing from nonmagical attacks" -> type "slashing" with the magical bypass; unknown entries stay custom text
+function buildDamageTraitData(entries, damageTypes) {
+  const value = [];
+  const bypasses = new Set();
+  const custom = [];
+  for (const entry of entries) {
+    const text = entry.toLowerCase();
+    const type = text.split(/\s+/)[0];
+    if (!damageTypes.has(type)) {
+      custom.push(entry);
+      continue;
+    }
+    if (!value.includes(type)) value.push(type);
+    for (const [pattern, bypass] of DAMAGE_BYPASS_PATTERNS) {
+      if (pattern.test(text)) bypasses.add(bypass);
+    }
+  }
+  return { value, bypasses: Array.from(bypasses), custom: custom.join("; ") };
+}
+
+// dnd5e nests languages in groups ({ standard: { children: { common: ... } } })
+function collectLanguageKeys(config, out = new Set()) {
+  for (const [key, entry] of Object.entries(config || {})) {
+    if (entry && typeof entry === "object" && entry.children) collectLanguageKeys(entry.children, out);
+    else out.add(key);
+  }
+  return out;
+}
+
 function buildBaseActorDataPayload(npc, options = {}) {
   const folderId = options.folderId || null;
   const items = Array.isArray(options.items) ? options.items : [];
@@ -501,6 +783,7 @@ function buildBaseActorDataPayload(npc, options = {}) {
   const spellcastingAbility = getSpellcastingAbility(className);
   const skillsData = buildSkillsData(npc.skillIds || npc.archetype?.skills || [], className);
   const abilityData = buildAbilityValueData(npc?.abilities || {}, abilityFallback);
+  const resources = buildLegendaryResources(items);
 
   return {
     name: npc.name,
@@ -535,12 +818,97 @@ function buildBaseActorDataPayload(npc, options = {}) {
         size: "med",
         languages: { value: [] }
       },
+      ...(resources ? { resources } : {}),
       currency
     },
-    items
+    items,
+    flags: {
+      [MODULE_ID]: {
+        npc: buildNpcStateSnapshot(npc),
+        provenance: buildNpcProvenance(npc, options.provenance)
+      }
+    }
+  };
+}
+
+/**
+ * Build provenance flags describing how an actor was generated
+ * @param {Object} npc - Generated or normalized AI NPC
+ * @param {Object} [extra] - Caller-known fields: mode (local/ai/import), speciesKey, archetypeId, gender, seed
+ * @returns {Object}
+ */
+export function buildNpcProvenance(npc, extra = {}) {
+  const source = extra && typeof extra === "object" ? extra : {};
+  return {
+    archetypeId: String(source.archetypeId || npc?.archetype?.id || ""),
+    tier: Number(npc?.tier) || 1,
+    cr: Number(npc?.cr) || 0,
+    culture: String(npc?.culture || ""),
+    gender: normalizeGenderValue(source.gender || npc?.gender),
+    speciesKey: String(source.speciesKey || ""),
+    budget: String(npc?.budget || "normal"),
+    boss: !!npc?.importantNpc,
+    mode: String(source.mode || "local"),
+    seed: String(source.seed ?? getActiveSeed()),
+    moduleVersion: String(game.modules?.get(MODULE_ID)?.version || "")
   };
 }
 
+/**
+ * Build the generation state stored on actors for in-place rerolls
+ * @param {Object} npc - Generated or normalized AI NPC
+ * @returns {Object}
+ */
+export function buildNpcStateSnapshot(npc) {
+  const archetype = npc?.archetype && typeof npc.archetype === "object" ? cloneData(npc.archetype) : null;
+  return {
+    archetype,
+    className: npc?.className || "",
+    classLevels: Array.isArray(npc?.classLevels) ? cloneData(npc.classLevels) : null,
+    spellcasting: npc?.spellcasting || "slots",
+    abilityMethod: npc?.abilityMethod || "archetype",
+    party: npc?.party ? cloneData(npc.party) : null,
+    faction: npc?.faction ? cloneData(npc.faction) : null,
+    relationships: Array.isArray(npc?.relationships) ? cloneData(npc.relationships) : [],
+    location: npc?.location ? cloneData(npc.location) : null,
+    tier: Number(npc?.tier) || 1,
+    targetCr: npc?.targetCr ?? null,
+    culture: String(npc?.culture || ""),
+    gender: String(npc?.gender || "random"),
+    race: String(npc?.race || ""),
+    budget: String(npc?.budget || "normal"),
+    appearance: Array.isArray(npc?.appearance) ? npc.appearance.slice() : [],
+    speech: npc?.speech || "",
+    motivation: npc?.motivation || "",
+    secret: npc?.secret || null,
+    hook: npc?.hook || null,
+    quirk: npc?.quirk || "",
+    rumor: npc?.rumor || null,
+    mannerism: npc?.mannerism || null,
+    importantNpc: !!npc?.importantNpc
+  };
+}
+
+/**
+ * Mark items with the generator group they came from so rerolls can replace them in place
+ * @param {Object[]} items - Item data
+ * @param {string} group - weapon, ammo, abilities, equipment, combat or loot
+ * @returns {Object[]} The same items, without empty entries
+ */
+export function tagGeneratedItems(items, group) {
+  const out = [];
+  for (const item of items || []) {
+    if (!item || typeof item !== "object") continue;
+    item.flags = item.flags && typeof item.flags === "object" ? item.flags : {};
+    item.flags[MODULE_ID] = item.flags[MODULE_ID] && typeof item.flags[MODULE_ID] === "object"
+      ? item.flags[MODULE_ID]
+      : {};
+    item.flags[MODULE_ID].generatedGroup = group;
+    out.push(item);
+  }
+  return out;
+}
+
 function buildAbilityValueData(rawAbilities, fallback = 10) {
   const out = {};
   for (const [key, value] of Object.entries(rawAbilities || {})) {
@@ -617,9 +985,9 @@ function normalizeAiBlueprintForActor(blueprint) {
     archetypeTags: tags,
     tier,
     cr: normalizeCrForActor(source.cr, tier),
-    prof: clampRange(source.prof, 2, 6, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).prof),
-    ac: clampRange(source.ac, 10, 24, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).ac),
-    hp: clampRange(source.hp, 4, 400, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).hp),
+    prof: clampRange(source.prof, 2, 9, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).prof),
+    ac: clampRange(source.ac, 5, 30, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).ac),
+    hp: clampRange(source.hp, 1, 850, getMonsterStatsByCr(normalizeCrForActor(source.cr, tier)).hp),
     speed: parseSpeedFeetForActor(source.speed, 30),
     culture: String(source.culture || "").trim(),
     alignment: String(source.alignment || "").trim(),
@@ -641,10 +1009,34 @@ function normalizeAiBlueprintForActor(blueprint) {
     includeHook: source.includeHook !== false,
     importantNpc: !!source.importantNpc,
     tokenImg: String(source.tokenImg || "").trim() || "",
-    aiItems: normalizeAiItemGroups(source.aiItems || aiItemSource)
+    aiItems: normalizeAiItemGroups(source.aiItems || aiItemSource),
+    statblockFeatures: normalizeStatblockFeaturesForActor(source.statblockFeatures),
+    size: String(source.size || "").trim(),
+    creatureType: String(source.creatureType || "").trim().toLowerCase(),
+    senses: String(source.senses || "").trim(),
+    languages: normalizeStringArrayForActor(source.languages, 12, 60),
+    saves: normalizeStringArrayForActor(source.saves, 6, 12).map((key) => key.toLowerCase()),
+    damageVulnerabilities: normalizeStringArrayForActor(source.damageVulnerabilities, 16, 80),
+    damageResistances: normalizeStringArrayForActor(source.damageResistances, 16, 80),
+    damageImmunities: normalizeStringArrayForActor(source.damageImmunities, 16, 80),
+    conditionImmunities: normalizeStringArrayForActor(source.conditionImmunities, 16, 80)
   };
 }
 
+function normalizeStatblockFeaturesForActor(rawFeatures) {
+  if (!Array.isArray(rawFeatures)) return [];
+  const activations = ["", "action", "bonus", "reaction", "legendary", "lair", "mythic"];
+  return rawFeatures
+    .filter((entry) => entry && typeof entry === "object")
+    .map((entry) => ({
+      name: String(entry.name || "").replace(/\s+/g, " ").trim().slice(0, 100),
+      description: String(entry.description || "").trim().slice(0, 4000),
+      activation: activations.includes(entry.activation) ? entry.activation : ""
+    }))
+    .filter((entry) => entry.name && entry.description)
+    .slice(0, 40);
+}
+
 async function resolveAiBlueprintItems(npc, options = {}) {
   const aiItems = npc.aiItems || {};
   const budget = npc.budget || "normal";
@@ -761,7 +1153,7 @@ async function resolveAiBlueprintItems(npc, options = {}) {
       continue;
     }
     addedNames.add(dedupeName);
-    items.push(item);
+    items.push(...tagGeneratedItems([item], AI_ITEM_GROUP_TO_GENERATED_GROUP[group?.key] || "equipment"));
     resolvedItems += 1;
     if (collectMatchDetails) {
       matchDetails.push({
@@ -1046,12 +1438,12 @@ function normalizeAbilityScoresForActor(rawAbilities, tier) {
   const source = rawAbilities && typeof rawAbilities === "object" ? rawAbilities : {};
   const base = 9 + clampRange(tier, 1, 4, 1);
   return {
-    str: clampRange(source.str ?? source.STR, 6, 22, base + 1),
-    dex: clampRange(source.dex ?? source.DEX, 6, 22, base),
-    con: clampRange(source.con ?? source.CON, 6, 22, base + 1),
-    int: clampRange(source.int ?? source.INT, 6, 22, base),
-    wis: clampRange(source.wis ?? source.WIS, 6, 22, base),
-    cha: clampRange(source.cha ?? source.CHA, 6, 22, base)
+    str: clampRange(source.str ?? source.STR, 1, 30, base + 1),
+    dex: clampRange(source.dex ?? source.DEX, 1, 30, base),
+    con: clampRange(source.con ?? source.CON, 1, 30, base + 1),
+    int: clampRange(source.int ?? source.INT, 1, 30, base),
+    wis: clampRange(source.wis ?? source.WIS, 1, 30, base),
+    cha: clampRange(source.cha ?? source.CHA, 1, 30, base)
   };
 }
 
@@ -1640,8 +2032,25 @@ export function buildBiography(npc) {
   const e = escapeHtml;
   const lines = [];
   lines.push(`<p><strong>Role:</strong> ${e(npc.archetype.name)} (Tier ${e(npc.tier)}, CR ${e(npc.cr)})</p>`);
-  if (npc.className) lines.push(`<p><strong>Class:</strong> ${e(npc.className)}</p>`);
+  const classLabel = Array.isArray(npc.classLevels) && npc.classLevels.length
+    ? formatClassLevels(npc.classLevels)
+    : npc.className;
+  if (classLabel) lines.push(`<p><strong>Class:</strong> ${e(classLabel)}</p>`);
   lines.push(`<p><strong>Race:</strong> ${e(npc.race)}</p>`);
+  if (npc.faction?.name) {
+    lines.push(`<p><strong>Faction:</strong> ${e(npc.faction.name)} (${e(npc.faction.title)})</p>`);
+  }
+  if (npc.location?.name) {
+    lines.push(`<p><strong>Location:</strong> ${e(npc.location.name)} (${e(npc.location.role || "Patron")})</p>`);
+  }
+  if (npc.party?.name) {
+    lines.push(`<p><strong>Party:</strong> ${e(npc.party.name)} (${e(npc.party.role)})</p>`);
+    for (const companion of npc.party.companions || []) {
+      lines.push(`<p><strong>${e(companion.name)}</strong> (${e(companion.role)}): ${e(companion.relation)}</p>`);
+    }
+  }
+  const relationshipsLine = buildRelationshipsLine(npc.relationships);
+  if (relationshipsLine) lines.push(relationshipsLine);
   lines.push(`<p><strong>Appearance:</strong> ${(npc.appearance || []).map(e).join(", ")}</p>`);
   lines.push(`<p><strong>Speech:</strong> ${e(npc.speech)}</p>`);
   lines.push(`<p><strong>Motivation:</strong> ${e(npc.motivation)}</p>`);
@@ -1777,14 +2186,31 @@ export function applyAbilitySaveProficiencies(abilityData, proficientSaves) {
 
 /**
  * Build spell slot allocation for a caster NPC.
- * Models a half- to full-caster slot progression based on tier.
+ * Models a half- to full-caster slot progression based on tier; CRs above the
+ * tier tables follow the full-caster table up to 9th level.
  * @param {number} tier - NPC tier (1-4)
  * @param {boolean} importantNpc - Whether NPC is a boss
+ * @param {number} [cr] - Challenge rating
  * @returns {Object} Foundry-compatible spells object
  */
-export function buildSpellSlots(tier, importantNpc) {
+export function buildSpellSlots(tier, importantNpc, cr = 0) {
   const bonus = importantNpc ? 1 : 0;
   const slots = {};
+  const level = Number(cr) || 0;
+
+  if (level > TIER_CR_MAX) {
+    const slot = (max) => ({ value: max, max, override: null });
+    slots.spell1 = slot(4 + bonus);
+    slots.spell2 = slot(3 + bonus);
+    slots.spell3 = slot(3 + bonus);
+    slots.spell4 = slot(3);
+    slots.spell5 = slot(2 + bonus);
+    slots.spell6 = slot(level >= 19 ? 2 : 1);
+    if (level >= 13 || importantNpc) slots.spell7 = slot(level >= 20 ? 2 : 1);
+    if (level >= 15) slots.spell8 = slot(1);
+    if (level >= 17) slots.spell9 = slot(1);
+    return slots;
+  }
 
   if (tier >= 1) slots.spell1 = { value: 3 + bonus, max: 3 + bonus, override: null };
   if (tier >= 1) slots.spell2 = { value: 2 + bonus, max: 2 + bonus, override: null };
@@ -1800,11 +2226,13 @@ export function buildSpellSlots(tier, importantNpc) {
 // ========== Combat Feature Items ==========
 
 /**
- * Build combat feature items based on NPC tier and boss status.
- * - Tier 2+: Multiattack (2 weapon attacks)
- * - Tier 3+ boss: Legendary Actions (3/day)
- * - Tier 4 boss: Legendary Resistance (3/day)
+ * Build combat feature items based on NPC tier, CR and boss status.
+ * - Tier 2+: Multiattack (2 weapon attacks, 3 at tier 3+, 4 at CR 17+)
+ * - Tier 3+ boss or any CR 20+ NPC: Legendary Resistance (3/day)
+ * - Tier 3+ boss or any CR 20+ NPC: Legendary Actions with usable options (attack, move, cantrip or detect,
+ *   plus a 2-action strike at CR 11+) and, when enabled in settings, lair actions and regional effects
  * @param {Object} npc - NPC data
+ * @param {Object} [kit] - { weapon, spells } the legendary options are built from
  * @returns {Object[]} Array of feature item data objects
  */
 /**
@@ -1832,11 +2260,13 @@ function findCombatFeatureDoc(packs, lookupKey, canonicalName) {
   return null;
 }
 
-export async function buildCombatFeatureItems(npc) {
+export async function buildCombatFeatureItems(npc, kit = {}) {
   const items = [];
   const tier = npc?.tier || 1;
+  const cr = Number(npc?.cr) || 0;
   const isBoss = !!npc?.importantNpc;
-  const attackCount = tier >= 3 ? 3 : 2;
+  const isLegendary = (isBoss && tier >= 3) || cr >= 20;
+  const attackCount = getWeaponAttacksPerRound(tier, cr);
   const featurePacks = getPacks("features");
 
   // Multiattack for tier 2+ (most MM NPCs above CR 1 have this)
@@ -1870,8 +2300,8 @@ export async function buildCombatFeatureItems(npc) {
     }
   }
 
-  // Legendary Resistance for tier 3+ boss (3/day, standard MM pattern)
-  if (isBoss && tier >= 3) {
+  // Legendary Resistance for tier 3+ boss or CR 20+ (3/day, standard MM pattern)
+  if (isLegendary) {
     const compendiumLR = findCombatFeatureDoc(featurePacks, "legendaryResistance", "Legendary Resistance");
     if (compendiumLR) {
       const item = cloneItemData(compendiumLR);
@@ -1881,28 +2311,13 @@ export async function buildCombatFeatureItems(npc) {
       }
       items.push(ensureActivities(item));
     } else {
-      items.push({
-        name: "Legendary Resistance (3/Day)",
-        type: "feat",
-        system: {
-          description: {
-            value: "<p>If this creature fails a saving throw, it can choose to succeed instead.</p>"
-          },
-          type: { value: "monster", subtype: "" },
-          activation: { type: "special", cost: null },
-          duration: {},
-          target: {},
-          range: {},
-          uses: { value: 3, max: "3", per: "day", recovery: "" },
-          actionType: "",
-          damage: { parts: [] }
-        }
-      });
+      items.push(buildLegendaryResistanceItem());
     }
   }
 
-  // Legendary Actions for tier 3+ boss (3 per round, standard MM pattern)
-  if (isBoss && tier >= 3) {
+  // Legendary Actions for tier 3+ boss or CR 20+ (3 per round, standard MM pattern)
+  if (isLegendary) {
+    const options = buildLegendaryActionItems(npc, kit);
     const compendiumLA = findCombatFeatureDoc(featurePacks, "legendaryActions", "Legendary Actions");
     if (compendiumLA) {
       const item = cloneItemData(compendiumLA);
@@ -1911,10 +2326,6 @@ export async function buildCombatFeatureItems(npc) {
       }
       items.push(ensureActivities(item));
     } else {
-      const legendaryCost2Desc = tier >= 4
-        ? "<p>This creature moves up to its speed without provoking opportunity attacks.</p>"
-        : "<p>This creature moves up to half its speed.</p>";
-
       items.push({
         name: "Legendary Actions",
         type: "feat",
@@ -1925,23 +2336,24 @@ export async function buildCombatFeatureItems(npc) {
               "Only one legendary action can be used at a time and only at the end of another creature's turn.",
               "Spent legendary actions are regained at the start of each turn.</p>",
               "<ul>",
-              "<li><strong>Attack (Costs 1 Action).</strong> <p>This creature makes one weapon attack.</p></li>",
-              `<li><strong>Move (Costs 1 Action).</strong> ${legendaryCost2Desc}</li>`,
-              "<li><strong>Detect (Costs 1 Action).</strong> <p>This creature makes a Wisdom (Perception) check.</p></li>",
+              ...options.map((option) => `<li>${escapeHtml(option.name)}</li>`),
               "</ul>"
             ].join("\n")
           },
           type: { value: "monster", subtype: "" },
-          activation: { type: "legendary", cost: 1 },
+          activation: { type: "", cost: null },
           duration: {},
           target: {},
           range: {},
-          uses: { value: 3, max: "3", per: "round", recovery: "" },
+          uses: {},
           actionType: "",
           damage: { parts: [] }
         }
       });
     }
+    // Usable options spend resources.legact; lair actions follow the world setting
+    items.push(...options);
+    items.push(...buildLairItems(npc));
   }
 
   return items;
@@ -2033,30 +2445,26 @@ export function getWeaponByStyle(style) {
 }
 
 /**
- * Get damage dice by tier
+ * Get weapon damage dice for an NPC, sized so a round of attacks lands in the DMG damage-per-round band for its CR
  * @param {number} tier - Tier level
  * @param {string} base - Weapon base type
+ * @param {number} [cr] - Challenge rating
  * @returns {string}
  */
-export function getDamageByTier(tier, base) {
-  if (base === "bow") {
-    if (tier <= 1) return "1d6 + 2";
-    if (tier === 2) return "1d8 + 3";
-    if (tier === 3) return "2d6 + 3";
-    return "2d8 + 4";
-  }
-
-  if (base === "dagger") {
-    if (tier <= 1) return "1d4 + 2";
-    if (tier === 2) return "1d6 + 3";
-    if (tier === 3) return "2d4 + 3";
-    return "2d6 + 4";
-  }
+export function getDamageByTier(tier, base, cr = 0) {
+  const perAttack = getMonsterStatsByCr(cr).dpr / getWeaponAttacksPerRound(tier, cr);
+  // Daggers and bows keep smaller dice; low targets step down so one die does not overshoot
+  let die = base === "dagger" ? 4 : base === "bow" ? 6 : 8;
+  while (die > 4 && (die + 1) / 2 > perAttack) die -= 2;
+  const count = Math.max(1, Math.round((perAttack * 0.6) / ((die + 1) / 2)));
+  const bonus = Math.max(0, Math.round(perAttack - count * (die + 1) / 2));
+  return bonus ? `${count}d${die} + ${bonus}` : `${count}d${die}`;
+}
 
-  if (tier <= 1) return "1d6 + 2";
-  if (tier === 2) return "1d8 + 3";
-  if (tier === 3) return "2d6 + 3";
-  return "2d8 + 4";
+// Weapon attacks per round: Multiattack from tier 2 (2, 3 at tier 3+, 4 at CR 17+)
+function getWeaponAttacksPerRound(tier, cr) {
+  if ((Number(tier) || 1) < 2) return 1;
+  return Number(cr) >= 17 ? 4 : tier >= 3 ? 3 : 2;
 }
 
 /**
@@ -2091,18 +2499,7 @@ export function getClassForArchetype(archetype) {
   if (id === "sorcerer") return "Sorcerer";
   if (id === "necromancer") return "Wizard";
   // Tag-based fallback
-  if (tags.includes("nature")) return "Druid";
-  if (tags.includes("brute")) return "Barbarian";
-  if (tags.includes("monk")) return "Monk";
-  if (tags.includes("holy")) return "Cleric";
-  if (tags.includes("dark")) return "Warlock";
-  if (tags.includes("knowledge")) return "Wizard";
-  if (tags.includes("wilderness")) return "Ranger";
-  if (tags.includes("criminal")) return "Rogue";
-  if (tags.includes("martial")) return "Fighter";
-  if (tags.includes("social")) return "Bard";
-  if (tags.includes("caster")) return "Wizard";
-  return "Fighter";
+  return getTagClasses(tags)[0] || "Fighter";
 }
 
 /**
@@ -2208,7 +2605,7 @@ export async function buildWeaponItem(npc) {
 
   const weapon = getWeaponByStyle(style);
   const ability = weapon.ability;
-  const damage = getDamageByTier(npc.tier, weapon.base);
+  const damage = getDamageByTier(npc.tier, weapon.base, npc.cr);
 
   return {
     name: weapon.name,
@@ -2306,38 +2703,94 @@ export async function buildRoleAbilityItems(npc) {
 }
 
 /**
- * Build spell items for caster
+ * Build spell items for caster.
+ * Spells come from the class spell list (the dnd5e registry when available, otherwise the
+ * shipped mapping) with a role bias from archetype tags, and counts follow the caster level.
+ * Falls back to keyword matching when no class list entries are found in the spell packs.
+ * Innate casters get a short at-will/X-per-day list and an Innate Spellcasting trait.
  * @param {Object} npc - NPC data
  * @returns {Promise<Object[]>}
  */
 export async function buildSpellItems(npc) {
   const tags = npc.archetype.tags || [];
-  const maxLevel = getMaxSpellLevelByTier(npc.tier);
-  const spellCount = getSpellCountByTier(npc.tier, npc.importantNpc);
-  const cantripCount = getCantripCountByTier(npc.tier);
+  const className = npc.className || getClassForArchetype(npc.archetype);
+  const listClass = getSpellListClass(className);
+  const ability = getSpellcastingAbility(className) || getSpellcastingAbility(listClass);
+  // Only the caster class's own levels count, so half-casters and multiclass NPCs stop early
+  const classLevel =
+    (npc.classLevels || []).find((entry) => entry.className === className)?.level || getNpcClassLevel(npc.cr);
+  const maxLevel = Math.min(getMaxSpellLevelByTier(npc.tier, npc.cr), getMaxSpellLevelForClass(className, classLevel));
+
+  let out = [];
+  const classSpells = await getClassSpellCandidates(listClass, maxLevel);
+  if (classSpells.cantrips.length || classSpells.leveled.length) {
+    const casterLevel = getCasterLevel(className, classLevel);
+    const abilityMod = Math.floor(((Number(npc.abilities?.[ability]) || 10) - 10) / 2);
+    const weights = getSpellRoleWeights(tags);
+    out = await loadSpellEntries([
+      ...pickSpellsByRole(classSpells.cantrips, getCantripsKnownCount(listClass, casterLevel), weights),
+      ...pickSpellsByRole(classSpells.leveled, getPreparedSpellCount(listClass, casterLevel, abilityMod), weights)
+    ]);
+  }
+
   const keywords = getSpellKeywords(tags);
+  if (!out.length) {
+    out = await loadSpellEntries([
+      ...pickRandomN(await getCantripCandidates(keywords), getCantripCountByTier(npc.tier, npc.cr)),
+      ...pickRandomN(await getSpellCandidates(maxLevel, keywords), getSpellCountByTier(npc.tier, npc.importantNpc, npc.cr))
+    ]);
+  }
+  if (!out.length) {
+    out = buildCachedSpellItemsFallback(maxLevel, keywords, getSpellCountByTier(npc.tier, npc.importantNpc, npc.cr));
+  }
+  out = out.map((item) => applySpellAbility(item, ability));
+  if (npc.spellcasting !== "innate") return out;
+  const innate = applyInnateSpellcasting(out);
+  const trait = buildInnateSpellcastingItem(npc, ability, innate);
+  return trait ? [trait, ...innate] : innate;
+}
 
-  const out = [];
+/**
+ * Get spell candidates on a class spell list, split into cantrips and leveled spells.
+ * Uses the dnd5e spell list registry when it has the class, otherwise data/spells.json names.
+ * @param {string} className - Class whose list to use
+ * @param {number} maxLevel - Max spell level
+ * @returns {Promise<{cantrips: Array, leveled: Array}>}
+ */
+export async function getClassSpellCandidates(className, maxLevel) {
+  const uuids = getRegistryClassSpellUuids(className);
+  const names = uuids ? null : getShippedClassSpellNames(className);
+  const cantrips = [];
+  const leveled = [];
+  if (!uuids && !names.size) return { cantrips, leveled };
 
-  // Get cantrips (level 0)
-  const cantripCandidates = await getCantripCandidates(keywords);
-  const chosenCantrips = pickRandomN(cantripCandidates, cantripCount);
-  for (const entry of chosenCantrips) {
-    const cached = getCachedDoc(entry.pack, entry._id);
-    if (cached) {
-      out.push(cloneItemData(cached));
-      continue;
-    }
-    const pack = game.packs?.get(entry.pack);
+  const seen = new Set();
+  for (const packName of await getSpellPackNames()) {
+    const pack = game.packs?.get(packName);
     if (!pack) continue;
-    const doc = await pack.getDocument(entry._id);
-    if (doc) out.push(doc.toObject());
+    const index = await getPackIndex(pack, ["type", "name", "system.level"]);
+    for (const entry of index) {
+      if (entry.type !== "spell") continue;
+      const name = String(entry.name || "").toLowerCase();
+      const onList = uuids
+        ? uuids.has(entry.uuid || `Compendium.${pack.collection}.Item.${entry._id}`)
+        : names.has(name);
+      if (!onList || seen.has(name)) continue;
+      const level = Number(entry.system?.level ?? 0);
+      if (!Number.isFinite(level) || level > maxLevel) continue;
+      seen.add(name);
+      const record = { ...entry, pack: pack.collection };
+      if (level === 0) cantrips.push(record);
+      else leveled.push(record);
+    }
   }
 
-  // Get leveled spells (1+)
-  const candidates = await getSpellCandidates(maxLevel, keywords);
-  const chosen = pickRandomN(candidates, spellCount);
-  for (const entry of chosen) {
+  return { cantrips: preferLocalizedNamedEntries(cantrips), leveled: preferLocalizedNamedEntries(leveled) };
+}
+
+async function loadSpellEntries(entries) {
+  const out = [];
+  for (const entry of entries) {
     const cached = getCachedDoc(entry.pack, entry._id);
     if (cached) {
       out.push(cloneItemData(cached));
@@ -2348,28 +2801,37 @@ export async function buildSpellItems(npc) {
     const doc = await pack.getDocument(entry._id);
     if (doc) out.push(doc.toObject());
   }
+  return out;
+}
 
-  if (out.length) return out;
-  return buildCachedSpellItemsFallback(maxLevel, keywords, spellCount);
+// Spell attack and save DC use the caster's class ability rather than the actor default
+function applySpellAbility(item, ability) {
+  if (!ability || item?.type !== "spell") return item;
+  item.system = { ...(item.system || {}), ability };
+  return item;
 }
 
 /**
  * Get spell count by tier (leveled spells only, 1+)
  * @param {number} tier - Tier level
  * @param {boolean} importantNpc - Whether NPC is boss
+ * @param {number} [cr] - Challenge rating; +1 spell per 5 CR above the tier tables
  * @returns {number}
  */
-export function getSpellCountByTier(tier, importantNpc) {
-  const base = tier <= 1 ? 3 : tier === 2 ? 4 : tier === 3 ? 5 : 6;
+export function getSpellCountByTier(tier, importantNpc, cr = 0) {
+  const highCr = Math.max(0, Math.ceil(((Number(cr) || 0) - TIER_CR_MAX) / 5));
+  const base = (tier <= 1 ? 3 : tier === 2 ? 4 : tier === 3 ? 5 : 6) + highCr;
   return importantNpc ? base + 2 : base;
 }
 
 /**
  * Get cantrip count by tier
  * @param {number} tier - Tier level
+ * @param {number} [cr] - Challenge rating
  * @returns {number}
  */
-export function getCantripCountByTier(tier) {
+export function getCantripCountByTier(tier, cr = 0) {
+  if ((Number(cr) || 0) >= 17) return 5;
   if (tier <= 1) return 2;
   if (tier === 2) return 3;
   if (tier === 3) return 3;
@@ -2383,10 +2845,15 @@ export function getCantripCountByTier(tier) {
  * Tier 2 (CR 1-3): up to 3rd level spells
  * Tier 3 (CR 4-6): up to 5th level spells (Fireball, Counterspell, etc.)
  * Tier 4 (CR 7-10): up to 7th level spells (Forcecage, etc.)
+ * Explicit CR 15+: 8th level, CR 17+: 9th level
  * @param {number} tier - Tier level
+ * @param {number} [cr] - Challenge rating
  * @returns {number}
  */
-export function getMaxSpellLevelByTier(tier) {
+export function getMaxSpellLevelByTier(tier, cr = 0) {
+  const level = Number(cr) || 0;
+  if (level >= 17) return 9;
+  if (level >= 15) return 8;
   if (tier <= 1) return 2;
   if (tier === 2) return 3;
   if (tier === 3) return 5;
@@ -2603,11 +3070,17 @@ export function getFeatureKeywords(tags, attackStyle) {
 }
 
 /**
- * Build class feature items
+ * Build class feature items.
+ * With class levels (subclass/multiclass progression) features are limited to the levels the NPC
+ * has, and subclass features come from the subclass's own requirements.
  * @param {Object} npc - NPC data
  * @returns {Promise<Object[]>}
  */
 export async function buildClassFeatureItems(npc) {
+  if (Array.isArray(npc.classLevels) && npc.classLevels.length) {
+    const progressionFeatures = await buildProgressionFeatureItems(npc);
+    if (progressionFeatures.length) return progressionFeatures;
+  }
   const className = getClassForArchetype(npc.archetype);
   const count = npc.importantNpc ? 2 : 1;
   const out = [];
@@ -2615,19 +3088,8 @@ export async function buildClassFeatureItems(npc) {
   const candidates = await getClassFeatureCandidates(className);
   const picked = pickRandomN(candidates, count);
   for (const entry of picked) {
-    const cached = getCachedDoc(entry.pack, entry._id);
-    if (cached) {
-      const item = cloneItemData(cached);
-      out.push(ensureActivities(item));
-      continue;
-    }
-    const pack = game.packs?.get(entry.pack);
-    if (!pack) continue;
-    const doc = await pack.getDocument(entry._id);
-    if (doc) {
-      const item = doc.toObject();
-      out.push(ensureActivities(item));
-    }
+    const item = await loadClassFeatureItem(entry);
+    if (item) out.push(item);
   }
 
   if (out.length) return out;
@@ -2639,6 +3101,78 @@ export async function buildClassFeatureItems(npc) {
   return cachedFallback ? [ensureActivities(cloneItemData(cachedFallback))] : out;
 }
 
+async function buildProgressionFeatureItems(npc) {
+  const out = [];
+  const taken = new Set();
+  const addPicked = async (candidates, count) => {
+    const fresh = candidates.filter((entry) => !taken.has(normalizeLookupKey(entry.name)));
+    for (const entry of pickRandomN(fresh, count)) {
+      const item = await loadClassFeatureItem(entry);
+      if (!item) continue;
+      taken.add(normalizeLookupKey(item.name));
+      out.push(item);
+    }
+  };
+
+  for (const [index, entry] of npc.classLevels.entries()) {
+    const withinLevel = (feature) => getRequirementLevel(feature.system?.requirements) <= entry.level;
+    if (entry.subclass) {
+      const subclassFeatures = await getSubclassFeatureCandidates(entry.className, entry.subclass);
+      await addPicked(subclassFeatures.filter(withinLevel), npc.tier >= 3 ? 2 : 1);
+    }
+    const classFeatures = (await getClassFeatureCandidates(entry.className))
+      .filter((feature) => String(feature.system?.requirements || "").toLowerCase().includes(entry.className.toLowerCase()))
+      .filter(withinLevel);
+    await addPicked(classFeatures, index === 0 && npc.importantNpc ? 2 : 1);
+  }
+  return out;
+}
+
+async function loadClassFeatureItem(entry) {
+  const cached = getCachedDoc(entry.pack, entry._id);
+  if (cached) return ensureActivities(cloneItemData(cached));
+  const pack = game.packs?.get(entry.pack);
+  if (!pack) return null;
+  const doc = await pack.getDocument(entry._id);
+  return doc ? ensureActivities(doc.toObject()) : null;
+}
+
+/**
+ * Get subclass feature candidates (features whose requirements name the subclass)
+ * @param {string} className - Class name
+ * @param {string} subclassName - Subclass name
+ * @returns {Promise<Array>}
+ */
+export async function getSubclassFeatureCandidates(className, subclassName) {
+  ensureNpcGeneratorLookupCacheState();
+  const packs = getPacks("classFeatures");
+  const needles = getSubclassNeedles(className, subclassName);
+  const cacheKey = `${packs.join("|")}|subclass:${needles.join(",")}`;
+  if (NPC_GENERATOR_LOOKUP_CACHE.classFeatureCandidatesByKey.has(cacheKey)) {
+    return NPC_GENERATOR_LOOKUP_CACHE.classFeatureCandidatesByKey.get(cacheKey).slice();
+  }
+
+  const matches = [];
+  for (const packName of packs) {
+    const pack = game.packs?.get(packName);
+    if (!pack) continue;
+    const index = await getPackIndex(pack, ["type", "name", "system.requirements"]);
+    for (const entry of index) {
+      if (entry.type !== "feat") continue;
+      const requirements = String(entry.system?.requirements || "").toLowerCase();
+      if (requirementsNameSubclass(requirements, needles)) {
+        matches.push({ ...entry, pack: pack.collection });
+      }
+    }
+  }
+
+  if (NPC_GENERATOR_LOOKUP_CACHE.classFeatureCandidatesByKey.size >= LOOKUP_CACHE_MAX_CLASS_KEYS) {
+    NPC_GENERATOR_LOOKUP_CACHE.classFeatureCandidatesByKey.clear();
+  }
+  NPC_GENERATOR_LOOKUP_CACHE.classFeatureCandidatesByKey.set(cacheKey, matches);
+  return matches.slice();
+}
+
 /**
  * Get class feature candidates
  * @param {string} className - Class name
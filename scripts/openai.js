@@ -1,10 +1,21 @@
 /**
- * OpenAI integration for NPC flavor generation
+ * AI integration for NPC flavor, full NPC, quest board and token generation (OpenAI and other LLM providers)
  * @module openai
  */
 
-import { MODULE_ID } from "./constants.js";
-import { t } from "./i18n.js";
+import { MODULE_ID, getMonsterStatsByCr } from "./constants.js";
+import { t, tf } from "./i18n.js";
+import { escapeHtml, pauseSeededRandom } from "./utils.js";
+import {
+  DEFAULT_LLM_PROVIDER,
+  LLM_PROVIDERS,
+  getLlmProvider,
+  buildLlmChatRequest,
+  buildLlmModelsRequest,
+  parseLlmModelsResponse,
+  isLocalNetworkHost
+} from "./llm-providers.js";
+import { DEFAULT_MOCK_LLM_SCENARIO, MOCK_LLM_SCENARIOS, MOCK_LLM_SCENARIO_SETTING } from "./llm-mock.js";
 
 const OPENAI_DEFAULT_MODEL = "gpt-4o-mini";
 const OPENAI_DEFAULT_IMAGE_MODEL = "gpt-image-1-mini";
@@ -15,7 +26,6 @@ const OPENAI_MAX_RETRIES = 2;
 const OPENAI_RETRY_BASE_DELAY_MS = 500;
 const OPENAI_RETRY_MAX_DELAY_MS = 4000;
 const OPENAI_RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504]);
-const OPENAI_TRUSTED_BASE_URL_HOSTS = new Set(["api.openai.com"]);
 const AI_FULL_ATTACK_STYLES = ["melee", "ranged", "caster", "mixed"];
 const AI_FULL_TAGS = [
   "martial",
@@ -49,16 +59,18 @@ const AI_FULL_CLASSES = [
 
 const SETTING_KEYS = {
   enabled: "openAiEnabled",
+  provider: "llmProvider",
   model: "openAiModel",
   imageModel: "openAiImageModel",
   baseUrl: "openAiBaseUrl",
   allowCustomBaseUrl: "openAiAllowCustomBaseUrl",
   maxBatch: "openAiMaxBatch",
-  apiKey: "openAiApiKey"
+  apiKey: "openAiApiKey",
+  providerApiKeys: "llmProviderApiKeys"
 };
 
 /**
- * OpenAI API key settings form
+ * AI provider settings form: API key and model, with the model list loaded from the provider
  */
 class OpenAiApiKeyConfig extends FormApplication {
   static get defaultOptions() {
@@ -72,25 +84,51 @@ class OpenAiApiKeyConfig extends FormApplication {
   }
 
   getData() {
-    const key = getOpenAiApiKey();
+    const provider = getActiveLlmProvider();
+    const key = getLlmApiKey(provider);
     return {
       hasKey: !!key,
-      keyPreview: maskApiKey(key)
+      keyPreview: maskApiKey(key),
+      providerLabel: t(`settings.llmProvider.choices.${provider.id}`, provider.label),
+      requiresApiKey: provider.requiresApiKey,
+      model: getLlmModel(provider),
+      modelsListId: `${MODULE_ID}-llm-models`
     };
   }
 
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action='list-models']").on("click", async (event) => {
+      event.preventDefault();
+      try {
+        const models = await listLlmModels();
+        html.find("datalist").html(models.map((id) => `<option value="${escapeHtml(id)}"></option>`).join(""));
+        ui.notifications?.info(tf("openai.apiKeyForm.modelsLoaded", { count: models.length }));
+      } catch (err) {
+        console.warn("NPC Button: Failed to list AI provider models.", err);
+        ui.notifications?.warn(tf("openai.apiKeyForm.modelsFailed", { reason: String(err?.message || err) }));
+      }
+    });
+  }
+
   async _updateObject(event, formData) {
     const inputKey = String(formData.apiKey || "").trim();
     const clearKey = formData.clearKey === true || formData.clearKey === "on";
+    const model = String(formData.model || "").trim();
+    const provider = getActiveLlmProvider();
+
+    if (model && model !== getLlmModel(provider)) {
+      await game.settings.set(MODULE_ID, SETTING_KEYS.model, model);
+    }
 
     if (inputKey) {
-      await game.settings.set(MODULE_ID, SETTING_KEYS.apiKey, inputKey);
+      await setLlmApiKey(provider, inputKey);
       ui.notifications?.info(t("openai.apiKeyForm.saved"));
       return;
     }
 
     if (clearKey) {
-      await game.settings.set(MODULE_ID, SETTING_KEYS.apiKey, "");
+      await setLlmApiKey(provider, "");
       ui.notifications?.info(t("openai.apiKeyForm.cleared"));
     }
   }
@@ -118,6 +156,19 @@ export function registerOpenAiSettings() {
     default: true
   });
 
+  game.settings.register(MODULE_ID, SETTING_KEYS.provider, {
+    name: `${MODULE_ID}.settings.llmProvider.name`,
+    hint: `${MODULE_ID}.settings.llmProvider.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(
+      Object.keys(LLM_PROVIDERS).map((id) => [id, `${MODULE_ID}.settings.llmProvider.choices.${id}`])
+    ),
+    default: DEFAULT_LLM_PROVIDER
+  });
+
   game.settings.register(MODULE_ID, SETTING_KEYS.model, {
     name: `${MODULE_ID}.settings.openAiModel.name`,
     hint: `${MODULE_ID}.settings.openAiModel.hint`,
@@ -125,7 +176,7 @@ export function registerOpenAiSettings() {
     config: true,
     restricted: true,
     type: String,
-    default: OPENAI_DEFAULT_MODEL
+    default: ""
   });
 
   game.settings.register(MODULE_ID, SETTING_KEYS.imageModel, {
@@ -145,12 +196,12 @@ export function registerOpenAiSettings() {
     config: true,
     restricted: true,
     type: String,
-    default: OPENAI_DEFAULT_BASE_URL
+    default: ""
   });
 
   game.settings.register(MODULE_ID, SETTING_KEYS.allowCustomBaseUrl, {
-    name: "Allow custom OpenAI base URL (unsafe)",
-    hint: "Disabled by default for security. Enable only if you trust the endpoint because it will receive your API key.",
+    name: "Allow custom AI provider base URL (unsafe)",
+    hint: "Disabled by default for security. Enable only if you trust the endpoint because it will receive your API key. Local providers on localhost or a private network do not need this, but never receive a key saved for OpenAI or Anthropic unless it is enabled.",
     scope: "world",
     config: true,
     restricted: true,
@@ -168,6 +219,19 @@ export function registerOpenAiSettings() {
     default: OPENAI_DEFAULT_MAX_BATCH
   });
 
+  game.settings.register(MODULE_ID, MOCK_LLM_SCENARIO_SETTING, {
+    name: `${MODULE_ID}.settings.mockLlmScenario.name`,
+    hint: `${MODULE_ID}.settings.mockLlmScenario.hint`,
+    scope: "world",
+    config: true,
+    restricted: true,
+    type: String,
+    choices: Object.fromEntries(
+      MOCK_LLM_SCENARIOS.map((id) => [id, `${MODULE_ID}.settings.mockLlmScenario.choices.${id}`])
+    ),
+    default: DEFAULT_MOCK_LLM_SCENARIO
+  });
+
   game.settings.register(MODULE_ID, SETTING_KEYS.apiKey, {
     scope: "client",
     config: false,
@@ -175,6 +239,14 @@ export function registerOpenAiSettings() {
     default: ""
   });
 
+  // Keys for providers other than OpenAI, by provider id (OpenAI keeps the original setting)
+  game.settings.register(MODULE_ID, SETTING_KEYS.providerApiKeys, {
+    scope: "client",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   game.settings.registerMenu(MODULE_ID, "openAiApiKeyConfig", {
     name: `${MODULE_ID}.settings.openAiApiKeyMenu.name`,
     label: `${MODULE_ID}.settings.openAiApiKeyMenu.label`,
@@ -186,12 +258,13 @@ export function registerOpenAiSettings() {
 }
 
 /**
- * Check if OpenAI integration is enabled
+ * Check if AI integration is enabled (an API key exists, or the provider is a local server without one)
  * @returns {boolean}
  */
 export function isOpenAiEnabled() {
   if (!game.user?.isGM) return false;
-  return !!getOpenAiApiKey();
+  const provider = getActiveLlmProvider();
+  return !provider.requiresApiKey || !!getLlmApiKey(provider);
 }
 
 /**
@@ -199,15 +272,28 @@ export function isOpenAiEnabled() {
  * @returns {string}
  */
 export function getOpenAiApiKey() {
-  return String(game.settings?.get(MODULE_ID, SETTING_KEYS.apiKey) || "").trim();
+  return getLlmApiKey(getLlmProvider("openai"));
+}
+
+/**
+ * Get the API key saved for a provider (local client setting; each provider has its own key)
+ * @param {Object} provider - Provider adapter
+ * @returns {string}
+ */
+export function getLlmApiKey(provider) {
+  if (provider.id === "openai") {
+    return String(game.settings?.get(MODULE_ID, SETTING_KEYS.apiKey) || "").trim();
+  }
+  const keys = game.settings?.get(MODULE_ID, SETTING_KEYS.providerApiKeys) || {};
+  return String(keys[provider.id] || "").trim();
 }
 
 /**
- * Check if current GM client is ready for OpenAI calls
+ * Check if current GM client is ready for AI calls
  * @returns {boolean}
  */
 export function isOpenAiConfigured() {
-  return !!(game.user?.isGM && isOpenAiEnabled() && getOpenAiApiKey());
+  return !!(game.user?.isGM && isOpenAiEnabled());
 }
 
 /**
@@ -220,31 +306,113 @@ export function getOpenAiMaxBatch() {
   return Math.max(1, Math.min(50, Number.isFinite(maxBatch) ? maxBatch : OPENAI_DEFAULT_MAX_BATCH));
 }
 
-function getOpenAiBaseUrl() {
-  const rawBaseUrl = String(game.settings?.get(MODULE_ID, SETTING_KEYS.baseUrl) || OPENAI_DEFAULT_BASE_URL);
-  const allowCustomBaseUrl = !!game.settings?.get(MODULE_ID, SETTING_KEYS.allowCustomBaseUrl);
-  return normalizeBaseUrl(rawBaseUrl, { allowCustomBaseUrl });
+/**
+ * Get the selected LLM provider adapter
+ * @returns {Object} Provider from LLM_PROVIDERS
+ */
+export function getActiveLlmProvider() {
+  return getLlmProvider(String(game.settings?.get(MODULE_ID, SETTING_KEYS.provider) || DEFAULT_LLM_PROVIDER));
 }
 
 /**
- * Generate NPC flavor fields via OpenAI
- * @param {Object} npc - NPC generation object
- * @returns {Promise<Object|null>} Partial NPC fields or null
+ * Check whether the selected provider can generate token images
+ * @returns {boolean}
  */
-export async function generateNpcFlavorWithOpenAi(npc) {
-  if (!npc) return null;
+export function isAiTokenImageSupported() {
+  return getActiveLlmProvider().supportsImages === true;
+}
+
+/**
+ * List the models offered by the selected provider
+ * @returns {Promise<string[]>} Model ids
+ */
+export async function listLlmModels() {
+  const { provider, apiKey, baseUrl } = getLlmConnection();
+  const request = buildLlmModelsRequest(provider, { baseUrl, apiKey });
+  const response = await fetchWithTimeoutRetry(
+    request.url,
+    { method: "GET", headers: request.headers },
+    {
+      timeoutMs: OPENAI_TIMEOUT_MS,
+      maxRetries: OPENAI_MAX_RETRIES,
+      errorLabel: t("openai.errorRequestFailed"),
+      fetchImpl: provider.fetch
+    }
+  );
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    const reason = cleanErrorText(errorText) || response.statusText || t("openai.errorRequestFailed");
+    throw new Error(`${response.status}: ${reason}`);
+  }
+  return parseLlmModelsResponse(await response.json());
+}
+
+// Settings saved while only OpenAI existed hold OpenAI defaults; other providers use their own
+function getLlmModel(provider) {
+  const value = String(game.settings?.get(MODULE_ID, SETTING_KEYS.model) || "").trim();
+  if (!value || (provider.id !== "openai" && value === OPENAI_DEFAULT_MODEL)) return provider.defaultModel;
+  return value;
+}
+
+function getLlmBaseUrl(provider) {
+  const value = String(game.settings?.get(MODULE_ID, SETTING_KEYS.baseUrl) || "").trim();
+  const rawBaseUrl = !value || (provider.id !== "openai" && value === OPENAI_DEFAULT_BASE_URL)
+    ? provider.defaultBaseUrl
+    : value;
+  const allowCustomBaseUrl = !!game.settings?.get(MODULE_ID, SETTING_KEYS.allowCustomBaseUrl);
+  return normalizeBaseUrl(rawBaseUrl, { provider, allowCustomBaseUrl });
+}
+
+async function setLlmApiKey(provider, apiKey) {
+  if (provider.id === "openai") {
+    await game.settings.set(MODULE_ID, SETTING_KEYS.apiKey, apiKey);
+    return;
+  }
+  const keys = { ...(game.settings.get(MODULE_ID, SETTING_KEYS.providerApiKeys) || {}) };
+  if (apiKey) keys[provider.id] = apiKey;
+  else delete keys[provider.id];
+  await game.settings.set(MODULE_ID, SETTING_KEYS.providerApiKeys, keys);
+}
+
+function getLlmConnection() {
   if (!game.user?.isGM) {
     throw new Error(t("openai.errorGmOnlyGeneration"));
   }
-
-  const apiKey = getOpenAiApiKey();
-  if (!apiKey) {
+  const provider = getActiveLlmProvider();
+  const apiKey = getLlmApiKey(provider);
+  if (provider.requiresApiKey && !apiKey) {
     throw new Error(t("openai.errorApiKeyMissing"));
   }
+  return {
+    provider,
+    apiKey: guardLocalApiKey(provider, apiKey),
+    model: getLlmModel(provider),
+    baseUrl: getLlmBaseUrl(provider)
+  };
+}
 
-  const model = String(game.settings?.get(MODULE_ID, SETTING_KEYS.model) || OPENAI_DEFAULT_MODEL).trim() || OPENAI_DEFAULT_MODEL;
-  const baseUrl = getOpenAiBaseUrl();
-  const endpoint = `${baseUrl}/chat/completions`;
+// Local and LAN hosts skip the custom base URL check, so they never receive a key saved for a cloud provider
+// unless the unsafe custom endpoint setting is on
+function guardLocalApiKey(provider, apiKey) {
+  if (!apiKey || !provider.local) return apiKey;
+  if (game.settings?.get(MODULE_ID, SETTING_KEYS.allowCustomBaseUrl)) return apiKey;
+  const cloudKeys = Object.values(LLM_PROVIDERS)
+    .filter((entry) => !entry.local)
+    .map((entry) => getLlmApiKey(entry))
+    .filter(Boolean);
+  if (!cloudKeys.includes(apiKey)) return apiKey;
+  console.warn(`NPC Button: Not sending a cloud provider API key to a local server (${provider.label}).`);
+  return "";
+}
+
+/**
+ * Generate NPC flavor fields via OpenAI
+ * @param {Object} npc - NPC generation object
+ * @returns {Promise<Object|null>} Partial NPC fields or null
+ */
+export async function generateNpcFlavorWithOpenAi(npc) {
+  if (!npc) return null;
+  const connection = getLlmConnection();
 
   const language = getInterfaceLanguageContext();
   const systemPrompt = [
@@ -258,11 +426,6 @@ export async function generateNpcFlavorWithOpenAi(npc) {
     "Do not use markdown. Do not add extra keys."
   ].join(" ");
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`
-  };
-
   let feedbackIssues = [];
   let previousFlavor = null;
   let bestFlavor = null;
@@ -273,17 +436,11 @@ export async function generateNpcFlavorWithOpenAi(npc) {
       feedbackIssues,
       previousFlavor
     });
-    const requestData = {
-      model,
-      temperature: attempt === 0 ? 0.65 : 0.45,
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt }
-      ]
-    };
-
-    const content = await requestOpenAiChatCompletion(endpoint, headers, requestData);
+    const content = await requestLlmCompletion(connection, {
+      system: systemPrompt,
+      user: userPrompt,
+      temperature: attempt === 0 ? 0.65 : 0.45
+    });
     if (!content) {
       throw new Error(t("openai.errorEmptyResponse"));
     }
@@ -309,18 +466,7 @@ export async function generateNpcFlavorWithOpenAi(npc) {
  * @returns {Promise<Object|null>} Normalized full NPC blueprint
  */
 export async function generateFullNpcWithOpenAi(context = {}) {
-  if (!game.user?.isGM) {
-    throw new Error(t("openai.errorGmOnlyGeneration"));
-  }
-
-  const apiKey = getOpenAiApiKey();
-  if (!apiKey) {
-    throw new Error(t("openai.errorApiKeyMissing"));
-  }
-
-  const model = String(game.settings?.get(MODULE_ID, SETTING_KEYS.model) || OPENAI_DEFAULT_MODEL).trim() || OPENAI_DEFAULT_MODEL;
-  const baseUrl = getOpenAiBaseUrl();
-  const endpoint = `${baseUrl}/chat/completions`;
+  const connection = getLlmConnection();
 
   const language = getInterfaceLanguageContext();
   const systemPrompt = [
@@ -340,22 +486,11 @@ export async function generateFullNpcWithOpenAi(context = {}) {
     "Do not include markdown or explanation text."
   ].join(" ");
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`
-  };
-
-  const requestData = {
-    model,
-    temperature: 0.6,
-    response_format: { type: "json_object" },
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: buildFullNpcPrompt(context, { manualCodeBlock: false }) }
-    ]
-  };
-
-  const content = await requestOpenAiChatCompletion(endpoint, headers, requestData);
+  const content = await requestLlmCompletion(connection, {
+    system: systemPrompt,
+    user: buildFullNpcPrompt(context, { manualCodeBlock: false }),
+    temperature: 0.6
+  });
   if (!content) {
     throw new Error(t("openai.errorEmptyResponse"));
   }
@@ -421,6 +556,7 @@ export function buildManualEncounterNpcPrompt(context = {}) {
     "Context preferences:",
     `- NPC count: ${count}`,
     `- Tier target: ${tier}`,
+    ...buildTargetCrPromptLines(context),
     `- Suggested level: ${suggestedLevel}`,
     `- Preferred race: ${sanitizeFlavorText(context.race || "", 60) || "Any"}`,
     `- Preferred gender: ${formatGenderPreference(context.gender)}`,
@@ -441,18 +577,7 @@ export function buildManualEncounterNpcPrompt(context = {}) {
  * @returns {Promise<Object>} Normalized quest board payload
  */
 export async function generateQuestBoardWithOpenAi(context = {}) {
-  if (!game.user?.isGM) {
-    throw new Error(t("openai.errorGmOnlyGeneration"));
-  }
-
-  const apiKey = getOpenAiApiKey();
-  if (!apiKey) {
-    throw new Error(t("openai.errorApiKeyMissing"));
-  }
-
-  const model = String(game.settings?.get(MODULE_ID, SETTING_KEYS.model) || OPENAI_DEFAULT_MODEL).trim() || OPENAI_DEFAULT_MODEL;
-  const baseUrl = getOpenAiBaseUrl();
-  const endpoint = `${baseUrl}/chat/completions`;
+  const connection = getLlmConnection();
 
   const language = getInterfaceLanguageContext();
   const systemPrompt = [
@@ -466,22 +591,11 @@ export async function generateQuestBoardWithOpenAi(context = {}) {
     "Do not include markdown or explanations."
   ].join(" ");
 
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`
-  };
-
-  const requestData = {
-    model,
-    temperature: 0.7,
-    response_format: { type: "json_object" },
-    messages: [
-      { role: "system", content: systemPrompt },
-      { role: "user", content: buildQuestBoardPrompt(context, { manualCodeBlock: false }) }
-    ]
-  };
-
-  const content = await requestOpenAiChatCompletion(endpoint, headers, requestData);
+  const content = await requestLlmCompletion(connection, {
+    system: systemPrompt,
+    user: buildQuestBoardPrompt(context, { manualCodeBlock: false }),
+    temperature: 0.7
+  });
   if (!content) {
     throw new Error(t("openai.errorEmptyResponse"));
   }
@@ -510,21 +624,17 @@ export async function generateNpcTokenImageWithOpenAi(npc) {
     throw new Error(t("openai.errorGmOnlyTokenGeneration"));
   }
 
-  const apiKey = getOpenAiApiKey();
-  if (!apiKey) {
-    throw new Error(t("openai.errorApiKeyMissing"));
+  const provider = getActiveLlmProvider();
+  if (!provider.supportsImages) {
+    throw new Error(tf("openai.errorImagesUnsupported", { provider: provider.label }));
   }
+  const { apiKey, baseUrl } = getLlmConnection();
 
   const model =
     String(game.settings?.get(MODULE_ID, SETTING_KEYS.imageModel) || OPENAI_DEFAULT_IMAGE_MODEL).trim() ||
     OPENAI_DEFAULT_IMAGE_MODEL;
-  const baseUrl = getOpenAiBaseUrl();
   const endpoint = `${baseUrl}/images/generations`;
-
-  const headers = {
-    "Content-Type": "application/json",
-    Authorization: `Bearer ${apiKey}`
-  };
+  const headers = provider.buildHeaders(apiKey);
 
   const requestData = {
     model,
@@ -533,7 +643,7 @@ export async function generateNpcTokenImageWithOpenAi(npc) {
     prompt: buildTokenPrompt(npc)
   };
 
-  const imagePayload = await requestOpenAiImageGeneration(endpoint, headers, requestData);
+  const imagePayload = await requestOpenAiImageGeneration(endpoint, headers, requestData, provider.fetch);
   const file = await imagePayloadToFile(imagePayload, buildTokenFilename(npc));
   if (!file) {
     throw new Error(t("openai.errorNoUsableImageData"));
@@ -600,6 +710,7 @@ function buildFullNpcPrompt(context = {}, options = {}) {
     "",
     "Context preferences:",
     `- Tier target: ${tier}`,
+    ...buildTargetCrPromptLines(context),
     `- Suggested level: ${suggestedLevel}`,
     `- Preferred race: ${sanitizeFlavorText(context.race || "", 60) || "Any"}`,
     `- Preferred gender: ${formatGenderPreference(context.gender)}`,
@@ -923,9 +1034,9 @@ function normalizeAiFullNpc(data, context = {}) {
     background: sanitizeFlavorText(source.background, 80) || "None",
     cr: normalizeCr(source.cr, tier),
     ac: clampNumber(source.ac, 10, 24, crBasedDefaultAc(normalizeCr(source.cr, tier))),
-    hp: clampNumber(source.hp, 4, 400, crBasedDefaultHp(normalizeCr(source.cr, tier))),
+    hp: clampNumber(source.hp, 4, 800, crBasedDefaultHp(normalizeCr(source.cr, tier))),
     speed: parseSpeedToFeet(source.speed, 30),
-    prof: clampNumber(source.prof, 2, 6, crBasedDefaultProf(normalizeCr(source.cr, tier))),
+    prof: clampNumber(source.prof, 2, 9, crBasedDefaultProf(normalizeCr(source.cr, tier))),
     culture: sanitizeFlavorText(source.culture, 50) || sanitizeFlavorText(context.culture, 50) || "",
     budget: sanitizeFlavorText(source.budget, 20) || sanitizeFlavorText(context.budget, 20) || "normal",
     abilities: normalizeAbilityScores(stats, defaultAbilities),
@@ -973,30 +1084,10 @@ function normalizeAiFullNpc(data, context = {}) {
   };
 }
 
-/**
- * Compact CR-based stat lookups for AI normalization defaults (DMG p.274).
- * These mirror the full table in constants.js but are kept self-contained
- * to avoid circular module imports.
- */
-const CR_STAT_TABLE = [
-  [0, 4, 13, 2], [0.125, 10, 13, 2], [0.25, 18, 13, 2], [0.5, 28, 13, 2],
-  [1, 39, 13, 2], [2, 52, 13, 2], [3, 65, 13, 2], [4, 78, 14, 2],
-  [5, 91, 15, 3], [6, 104, 15, 3], [7, 117, 15, 3], [8, 130, 16, 3],
-  [9, 145, 16, 4], [10, 160, 17, 4]
-];
-
-function crStatLookup(cr) {
-  const n = Number(cr);
-  if (!Number.isFinite(n) || n <= 0) return CR_STAT_TABLE[0];
-  for (let i = CR_STAT_TABLE.length - 1; i >= 0; i--) {
-    if (CR_STAT_TABLE[i][0] <= n) return CR_STAT_TABLE[i];
-  }
-  return CR_STAT_TABLE[0];
-}
-
-function crBasedDefaultHp(cr) { return crStatLookup(cr)[1]; }
-function crBasedDefaultAc(cr) { return crStatLookup(cr)[2]; }
-function crBasedDefaultProf(cr) { return crStatLookup(cr)[3]; }
+// AI normalization defaults come from the same CR table as locally generated NPCs
+function crBasedDefaultHp(cr) { return getMonsterStatsByCr(cr).hp; }
+function crBasedDefaultAc(cr) { return getMonsterStatsByCr(cr).ac; }
+function crBasedDefaultProf(cr) { return getMonsterStatsByCr(cr).prof; }
 
 function normalizeClassName(value) {
   const raw = sanitizeFlavorText(value, 40);
@@ -1097,6 +1188,13 @@ function levelToTier(level) {
   return 4;
 }
 
+function buildTargetCrPromptLines(context) {
+  const value = context?.targetCr;
+  if (value === null || value === undefined || value === "") return [];
+  const cr = sanitizeFlavorText(String(value), 8);
+  return cr ? [`- Target challenge rating: ${cr} (set "cr" to this value and scale stats to it)`] : [];
+}
+
 function tierToLevel(tier) {
   const safe = clampNumber(tier, 1, 4, 1);
   if (safe === 1) return 3;
@@ -1337,7 +1435,7 @@ function sanitizePathSegment(value) {
     .trim();
 }
 
-async function requestOpenAiImageGeneration(endpoint, headers, requestData) {
+async function requestOpenAiImageGeneration(endpoint, headers, requestData, fetchImpl) {
   const response = await fetchWithTimeoutRetry(
     endpoint,
     {
@@ -1348,7 +1446,8 @@ async function requestOpenAiImageGeneration(endpoint, headers, requestData) {
     {
       timeoutMs: OPENAI_TIMEOUT_MS,
       maxRetries: OPENAI_MAX_RETRIES,
-      errorLabel: t("openai.errorImageRequestFailed")
+      errorLabel: t("openai.errorImageRequestFailed"),
+      fetchImpl
     }
   );
 
@@ -1426,31 +1525,34 @@ async function ensureDataDirectory(path) {
 }
 
 function normalizeBaseUrl(baseUrl, options = {}) {
-  const clean = String(baseUrl || "").trim() || OPENAI_DEFAULT_BASE_URL;
+  const provider = options.provider || getLlmProvider(DEFAULT_LLM_PROVIDER);
+  const clean = String(baseUrl || "").trim() || provider.defaultBaseUrl;
   let parsed = null;
   try {
     parsed = new URL(clean);
   } catch {
     throw new Error(
-      t("openai.errorInvalidBaseUrl", "Invalid OpenAI base URL. Use a full URL like https://api.openai.com/v1.")
+      t("openai.errorInvalidBaseUrl", "Invalid AI provider base URL. Use a full URL like https://api.openai.com/v1.")
     );
   }
 
   const protocol = String(parsed.protocol || "").toLowerCase();
   const host = String(parsed.hostname || "").toLowerCase();
   const isLoopback = host === "localhost" || host === "127.0.0.1" || host === "::1" || host === "[::1]";
-  if (protocol !== "https:" && !(isLoopback && protocol === "http:")) {
+  // Local servers run on the GM's machine or LAN, usually without TLS
+  const isLocalServer = provider.local && isLocalNetworkHost(host);
+  if (protocol !== "https:" && !((isLoopback || isLocalServer) && protocol === "http:")) {
     throw new Error(
-      t("openai.errorInsecureBaseUrl", "OpenAI base URL must use HTTPS (HTTP is allowed only for localhost).")
+      t("openai.errorInsecureBaseUrl", "AI provider base URL must use HTTPS (HTTP is allowed only for localhost, and for local providers on a private network).")
     );
   }
 
   const allowCustomBaseUrl = options.allowCustomBaseUrl === true;
-  if (!OPENAI_TRUSTED_BASE_URL_HOSTS.has(host) && !allowCustomBaseUrl) {
+  if (!provider.trustedHosts.includes(host) && !isLocalServer && !allowCustomBaseUrl) {
     throw new Error(
       t(
         "openai.errorUnsafeCustomBaseUrl",
-        "Custom OpenAI base URL is blocked to protect your API key. Enable the unsafe custom endpoint setting only if you trust the endpoint."
+        "Custom AI provider base URL is blocked to protect your API key. Enable the unsafe custom endpoint setting only if you trust the endpoint."
       )
     );
   }
@@ -1741,58 +1843,44 @@ function cleanErrorText(rawError) {
   }
 }
 
-async function requestOpenAiChatCompletion(endpoint, headers, requestData, signal) {
-  const firstResponse = await fetchWithTimeoutRetry(
-    endpoint,
-    {
-      method: "POST",
-      headers,
-      body: JSON.stringify(requestData),
-      signal
-    },
-    {
-      timeoutMs: OPENAI_TIMEOUT_MS,
-      maxRetries: OPENAI_MAX_RETRIES,
-      errorLabel: t("openai.errorRequestFailed")
-    }
-  );
+// One chat completion through the provider adapter; a server that rejects the JSON mode is asked again with a prompt-only JSON request
+async function requestLlmCompletion(connection, { system, user, temperature }, signal) {
+  const { provider } = connection;
+  const send = (forcePromptJson) => {
+    const request = buildLlmChatRequest(provider, { ...connection, system, user, temperature, forcePromptJson });
+    return fetchWithTimeoutRetry(
+      request.url,
+      {
+        method: "POST",
+        headers: request.headers,
+        body: JSON.stringify(request.body),
+        signal
+      },
+      {
+        timeoutMs: provider.timeoutMs,
+        maxRetries: OPENAI_MAX_RETRIES,
+        errorLabel: t("openai.errorRequestFailed"),
+        fetchImpl: provider.fetch
+      }
+    );
+  };
+
+  const firstResponse = await send(false);
   if (firstResponse.ok) {
-    const payload = await firstResponse.json();
-    return String(payload?.choices?.[0]?.message?.content || "").trim();
+    return provider.parseChatResponse(await firstResponse.json());
   }
 
   const firstErrText = await firstResponse.text().catch(() => "");
   const firstErrReason = cleanErrorText(firstErrText);
   const unsupportedResponseFormat =
+    provider.jsonMode === "responseFormat" &&
     firstResponse.status === 400 &&
     /response[_\s-]?format|json[_\s-]?object/i.test(firstErrReason);
 
   if (unsupportedResponseFormat) {
-    const fallbackData = {
-      ...requestData,
-      messages: [
-        ...(requestData.messages || []),
-        { role: "system", content: "Return raw JSON object only. No markdown." }
-      ]
-    };
-    delete fallbackData.response_format;
-    const secondResponse = await fetchWithTimeoutRetry(
-      endpoint,
-      {
-        method: "POST",
-        headers,
-        body: JSON.stringify(fallbackData),
-        signal
-      },
-      {
-        timeoutMs: OPENAI_TIMEOUT_MS,
-        maxRetries: OPENAI_MAX_RETRIES,
-        errorLabel: t("openai.errorRequestFailed")
-      }
-    );
+    const secondResponse = await send(true);
     if (secondResponse.ok) {
-      const payload = await secondResponse.json();
-      return String(payload?.choices?.[0]?.message?.content || "").trim();
+      return provider.parseChatResponse(await secondResponse.json());
     }
     const secondErrText = await secondResponse.text().catch(() => "");
     const secondReason = cleanErrorText(secondErrText) || secondResponse.statusText || t("openai.errorRequestFailed");
@@ -1803,7 +1891,13 @@ async function requestOpenAiChatCompletion(endpoint, headers, requestData, signa
   throw new Error(`${firstResponse.status}: ${reason}`);
 }
 
-async function fetchWithTimeoutRetry(url, requestInit = {}, options = {}) {
+// Requests (up to the timeout per attempt, plus retries) run outside the seeded run so they do not block other generation
+function fetchWithTimeoutRetry(url, requestInit = {}, options = {}) {
+  return pauseSeededRandom(() => requestWithTimeoutRetry(url, requestInit, options));
+}
+
+// `options.fetchImpl` swaps the transport (the mock provider answers without network access)
+async function requestWithTimeoutRetry(url, requestInit = {}, options = {}) {
   const timeoutMs = clampNumber(options.timeoutMs, 1000, 120000, OPENAI_TIMEOUT_MS);
   const maxRetries = clampNumber(options.maxRetries, 0, 5, OPENAI_MAX_RETRIES);
   const errorLabel = String(options.errorLabel || t("openai.errorRequestFailed"));
@@ -1812,10 +1906,8 @@ async function fetchWithTimeoutRetry(url, requestInit = {}, options = {}) {
     const timeoutState = { timedOut: false };
     const { signal, cleanup } = createRequestSignalWithTimeout(timeoutMs, requestInit.signal, timeoutState);
     try {
-      const response = await fetch(url, {
-        ...requestInit,
-        signal
-      });
+      const init = { ...requestInit, signal };
+      const response = await (options.fetchImpl ? options.fetchImpl(url, init) : fetch(url, init));
       if (OPENAI_RETRYABLE_STATUSES.has(response.status) && attempt < maxRetries) {
         await consumeResponseSafely(response);
         await delay(getRetryDelayMs(attempt));
@@ -0,0 +1,143 @@
+/**
+ * Relationship webs between NPCs of one batch or folder
+ * @module relationships
+ */
+
+import { escapeHtml, pickRandom, shuffleArray, randInt } from "./utils.js";
+
+/**
+ * Relationship types with the label from each side ("Ada owes money to Bram", "Bram is owed money by Ada").
+ * `weight` biases the pick; symmetric types use the same label on both sides.
+ */
+export const RELATIONSHIP_TYPES = {
+  sibling: { from: "sibling of", to: "sibling of", weight: 2 },
+  rival: { from: "rival of", to: "rival of", weight: 3 },
+  debtor: { from: "owes money to", to: "is owed money by", weight: 2 },
+  lover: { from: "lover of", to: "lover of", weight: 1 },
+  employer: { from: "employs", to: "works for", weight: 2 },
+  informant: { from: "informant for", to: "handler of", weight: 1 }
+};
+
+// Links per NPC: every NPC gets at least one, nobody gets more than the cap
+const MAX_LINKS_PER_NPC = 3;
+
+/**
+ * Build a random relationship web for a group: every member gets one link, some get a second or third
+ * @param {number} count - Group size
+ * @returns {Array<{from: number, to: number, type: string}>} Links between member indexes
+ */
+export function buildRelationshipWeb(count) {
+  const size = Math.max(0, Number(count) || 0);
+  if (size < 2) return [];
+  const links = [];
+  const degree = new Array(size).fill(0);
+  const linked = new Set();
+  const hasLover = new Set();
+  const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+  const addLink = (from, to) => {
+    if (from === to || linked.has(pairKey(from, to))) return false;
+    if (degree[from] >= MAX_LINKS_PER_NPC || degree[to] >= MAX_LINKS_PER_NPC) return false;
+    const types = Object.keys(RELATIONSHIP_TYPES).filter(
+      (type) => type !== "lover" || (!hasLover.has(from) && !hasLover.has(to))
+    );
+    const type = pickWeightedType(types);
+    links.push({ from, to, type });
+    linked.add(pairKey(from, to));
+    degree[from] += 1;
+    degree[to] += 1;
+    if (type === "lover") {
+      hasLover.add(from);
+      hasLover.add(to);
+    }
+    return true;
+  };
+
+  // First pass: link every unlinked member, preferring partners that are also unlinked
+  for (const index of shuffleArray(Array.from({ length: size }, (_, i) => i))) {
+    if (degree[index]) continue;
+    const others = Array.from({ length: size }, (_, i) => i).filter((i) => i !== index && degree[i] < MAX_LINKS_PER_NPC);
+    const fresh = others.filter((i) => !degree[i]);
+    const partner = pickRandom(fresh.length ? fresh : others);
+    if (partner !== undefined) addLink(index, partner);
+  }
+
+  // Second pass: a few extra links so the web is not just pairs
+  const extra = randInt(0, Math.floor(size / 2));
+  for (let attempt = 0, added = 0; added < extra && attempt < extra * 4; attempt++) {
+    if (addLink(randInt(0, size - 1), randInt(0, size - 1))) added += 1;
+  }
+  return links;
+}
+
+/**
+ * Relationships of one member, from that member's side
+ * @param {Array<{from: number, to: number, type: string}>} links - Web from buildRelationshipWeb
+ * @param {number} index - Member index
+ * @param {Array<{name: string, uuid?: string}>} members - Members in web order
+ * @returns {Array<{type: string, label: string, name: string, uuid: string}>}
+ */
+export function getMemberRelationships(links, index, members) {
+  const out = [];
+  for (const link of links || []) {
+    if (link.from !== index && link.to !== index) continue;
+    const outgoing = link.from === index;
+    const other = members?.[outgoing ? link.to : link.from];
+    out.push({
+      type: link.type,
+      label: RELATIONSHIP_TYPES[link.type]?.[outgoing ? "from" : "to"] || link.type,
+      name: String(other?.name || ""),
+      uuid: String(other?.uuid || "")
+    });
+  }
+  return out;
+}
+
+/**
+ * Biography line listing relationships ("Relationships: rival of Bram Ashford, works for Mira Vell")
+ * @param {Array<{label: string, name: string}>} relationships - Relationships of one NPC
+ * @returns {string} HTML paragraph, empty without relationships
+ */
+export function buildRelationshipsLine(relationships) {
+  const list = Array.isArray(relationships) ? relationships.filter((entry) => entry?.name) : [];
+  if (!list.length) return "";
+  const text = list.map((entry) => `${escapeHtml(entry.label)} ${escapeHtml(entry.name)}`).join(", ");
+  return `<p><strong>Relationships:</strong> ${text}</p>`;
+}
+
+/**
+ * Replace the relationships line of a biography, or append one when it has none
+ * @param {string} biography - Biography HTML
+ * @param {Array<{label: string, name: string}>} relationships - Relationships of the NPC
+ * @returns {string} Updated biography HTML
+ */
+export function applyRelationshipsToBiography(biography, relationships) {
+  const line = buildRelationshipsLine(relationships);
+  const html = String(biography || "");
+  const pattern = /<p><strong>Relationships:<\/strong>[\s\S]*?<\/p>/;
+  if (pattern.test(html)) return html.replace(pattern, line).replace(/\n{2,}/g, "\n");
+  return line ? [html, line].filter(Boolean).join("\n") : html;
+}
+
+/**
+ * Journal HTML listing every link of a web once, with links to the actors
+ * @param {Array<{from: number, to: number, type: string}>} links - Web from buildRelationshipWeb
+ * @param {Array<{name: string, uuid?: string}>} members - Members in web order
+ * @returns {string}
+ */
+export function buildRelationshipMapHtml(links, members) {
+  const ref = (member) => (member?.uuid
+    ? `@UUID[${member.uuid}]{${escapeHtml(member.name)}}`
+    : escapeHtml(member?.name || ""));
+  const items = (links || []).map((link) => {
+    const label = RELATIONSHIP_TYPES[link.type]?.from || link.type;
+    return `<li>${ref(members?.[link.from])} <em>${escapeHtml(label)}</em> ${ref(members?.[link.to])}</li>`;
+  });
+  return `<ul>${items.join("")}</ul>`;
+}
+
+function pickWeightedType(types) {
+  const total = types.reduce((sum, type) => sum + RELATIONSHIP_TYPES[type].weight, 0);
+  let roll = randInt(1, total);
+  return types.find((type) => (roll -= RELATIONSHIP_TYPES[type].weight) <= 0) || types[0];
+}
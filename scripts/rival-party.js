@@ -0,0 +1,157 @@
+/**
+ * Rival adventuring parties: complementary roles, party names and member relationships
+ * @module rival-party
+ */
+
+import { CR_VALUES, getTierForCr } from "./constants.js";
+import { DATA_CACHE } from "./data-loader.js";
+import { generateId, pickRandom, shuffleArray } from "./utils.js";
+import { getAbilityMethod } from "./ability-scores.js";
+import { getClassProgressionMode } from "./class-progression.js";
+
+/** Core party roles, filled in this order */
+export const PARTY_ROLES = ["tank", "healer", "striker", "controller"];
+
+/** Allowed rival party sizes */
+export const PARTY_SIZE_MIN = 2;
+export const PARTY_SIZE_MAX = 8;
+
+// Roles for members past the first four (no second healer)
+const EXTRA_ROLES = ["striker", "controller", "tank"];
+
+// Archetype tag tests per role: the strict test first, then a looser fallback
+const ROLE_FILTERS = {
+  tank: [
+    (tags) => tags.includes("martial") && (tags.includes("brute") || tags.includes("law")),
+    (tags) => tags.includes("martial")
+  ],
+  healer: [
+    (tags) => tags.includes("holy") && tags.includes("caster"),
+    (tags) => tags.includes("holy")
+  ],
+  striker: [
+    (tags) => ["criminal", "wilderness", "monk"].some((tag) => tags.includes(tag)) && !tags.includes("caster"),
+    (tags) => !tags.includes("caster")
+  ],
+  controller: [
+    (tags) => tags.includes("caster") && !tags.includes("holy"),
+    (tags) => tags.includes("caster")
+  ]
+};
+
+/**
+ * Roles for a party of the given size: tank, healer, striker, controller, then random extras
+ * @param {number} size - Party size
+ * @returns {string[]}
+ */
+export function buildPartyRoles(size) {
+  const count = Math.max(PARTY_SIZE_MIN, Math.min(PARTY_SIZE_MAX, Number(size) || 4));
+  const roles = PARTY_ROLES.slice(0, count);
+  while (roles.length < count) roles.push(pickRandom(EXTRA_ROLES));
+  return roles;
+}
+
+/**
+ * Pick one archetype per role, avoiding repeats while the pool allows
+ * @param {string[]} roles - Party roles
+ * @param {Object[]} archetypes - Available archetypes
+ * @returns {Object[]} Archetypes in role order
+ */
+export function pickPartyArchetypes(roles, archetypes) {
+  const pool = shuffleArray(Array.isArray(archetypes) ? archetypes : []);
+  const used = new Set();
+  return roles.map((role) => {
+    for (const test of ROLE_FILTERS[role] || []) {
+      const matching = pool.filter((archetype) => test(Array.isArray(archetype.tags) ? archetype.tags : []));
+      const fresh = matching.filter((archetype) => !used.has(archetype.id));
+      const pick = fresh[0] || matching[0];
+      if (pick) {
+        used.add(pick.id);
+        return pick;
+      }
+    }
+    return pickRandom(pool);
+  });
+}
+
+/**
+ * CR for rival adventurers of a class level (inverse of getNpcClassLevel)
+ * @param {number} level - Party level 1-20
+ * @returns {number} Nearest valid CR
+ */
+export function getRivalPartyCr(level) {
+  const target = (Math.max(1, Math.min(20, Number(level) || 1)) - 1) / 1.5;
+  return CR_VALUES.reduce((best, cr) => (Math.abs(cr - target) < Math.abs(best - target) ? cr : best), CR_VALUES[0]);
+}
+
+/**
+ * Random party name from data/parties.json ("The Crimson Blades")
+ * @returns {string}
+ */
+export function buildPartyName() {
+  const adjective = pickRandom(DATA_CACHE.parties?.names?.adjectives);
+  const noun = pickRandom(DATA_CACHE.parties?.names?.nouns);
+  return adjective && noun ? `The ${adjective} ${noun}` : "The Rival Company";
+}
+
+/**
+ * Link party members: each gets the party, its role and a relationship to every companion
+ * @param {Array<{name: string, role: string}>} members - Members in party order
+ * @param {string} partyName - Shared party name
+ * @returns {Object[]} Party data per member ({id, name, role, companions}), in the same order
+ */
+export function buildPartyLinks(members, partyName) {
+  const id = generateId();
+  const relations = DATA_CACHE.parties?.relations || [];
+  return members.map((member, index) => ({
+    id,
+    name: partyName,
+    role: member.role,
+    companions: members
+      .filter((_, other) => other !== index)
+      .map((companion) => ({
+        name: companion.name,
+        role: companion.role,
+        relation: pickRandom(relations) || "travels with"
+      }))
+  }));
+}
+
+/**
+ * Plan the party roster: one member per role, with the generateNpc options that make it a rival adventurer
+ * @param {Object} options
+ * @param {number} options.size - Party size
+ * @param {number} options.level - Class level of every member
+ * @param {Object[]} options.archetypes - Available archetypes
+ * @param {string} [options.abilityMethod] - Ability method (default: setting, standard array for "archetype")
+ * @returns {Array<{npc: Object, role: string}>} Member specs in party order
+ */
+export function planRivalPartyMembers({ size, level, archetypes, abilityMethod }) {
+  const roles = buildPartyRoles(size);
+  const cr = getRivalPartyCr(level);
+  const tier = getTierForCr(cr);
+  // Rival adventurers follow player rules: real class levels with subclasses and PC ability scores
+  const abilitySetting = getAbilityMethod();
+  const method = abilityMethod ? String(abilityMethod) : abilitySetting === "archetype" ? "standard" : abilitySetting;
+  const progressionSetting = getClassProgressionMode();
+  const classProgression = progressionSetting === "class" ? "subclass" : progressionSetting;
+  return pickPartyArchetypes(roles, archetypes).map((archetype, index) => ({
+    role: roles[index],
+    npc: { tier, cr, archetype: archetype || archetypes[0], classLevel: level, classProgression, abilityMethod: method }
+  }));
+}
+
+/**
+ * Store the party links on planned members once their names are known
+ * @param {Array<{generated: Object, role: string}>} planned - Planned members in party order
+ * @param {string} partyName - Party name
+ */
+export function linkPlannedPartyMembers(planned, partyName) {
+  const links = buildPartyLinks(
+    planned.map((entry) => ({ name: entry.generated.name, role: entry.role })),
+    partyName
+  );
+  planned.forEach((entry, index) => {
+    entry.generated.party = links[index];
+  });
+}
@@ -6,6 +6,7 @@
 import { COMPENDIUMS } from "./constants.js";
 import { DATA_CACHE } from "./data-loader.js";
 import { getPackIndex } from "./cache.js";
+import { getSpeciesAbilityIncreases } from "./ability-scores.js";
 import { pickRandom, normalizeUuid, cloneData, toItemData, escapeHtml } from "./utils.js";
 
 /** Promise for ongoing species load - prevents race condition */
@@ -347,6 +348,24 @@ export async function applySpeciesAdvancements(actor, speciesItem) {
   }
 }
 
+/**
+ * Add species ability score increases (AbilityScoreImprovement advancements) to a generated NPC's scores.
+ * Runs before the actor data is built so saves, spell DCs, attacks and the CR check see the final scores.
+ * Only player-rules ability methods use this; archetype baselines already include them.
+ * @param {Object} npc - Generated NPC; `npc.abilities` is updated in place
+ * @param {Object} speciesItem - Species item, item data or document
+ * @returns {Object} Applied increases keyed by ability
+ */
+export function applySpeciesAbilityScoreIncreases(npc, speciesItem) {
+  if (!npc?.abilities || !speciesItem) return {};
+  if (!npc.abilityMethod || npc.abilityMethod === "archetype") return {};
+  const increases = getSpeciesAbilityIncreases(speciesItem, npc.abilities);
+  for (const [key, value] of Object.entries(increases)) {
+    npc.abilities[key] = Math.min(30, (Number(npc.abilities[key]) || 10) + value);
+  }
+  return increases;
+}
+
 /**
  * Normalize species/advancement size to a valid dnd5e actor size key
  * @param {*} value - Raw size value
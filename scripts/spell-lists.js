@@ -0,0 +1,303 @@
+/**
+ * Class spell lists, spell roles and caster-level spell counts
+ * @module spell-lists
+ */
+
+import { DATA_CACHE, ARCHETYPE_SPELLCASTING_MODES } from "./data-loader.js";
+import { escapeHtml, random } from "./utils.js";
+
+/** Spell roles used to bias selection */
+export const SPELL_ROLES = ["damage", "control", "support", "utility"];
+
+/** Upper bound for prepared/known leveled spells on a generated NPC */
+export const MAX_PREPARED_SPELLS = 15;
+
+// Innate lists stay short, like Monster Manual stat blocks
+const INNATE_CANTRIP_MAX = 3;
+const INNATE_SPELL_MAX = 6;
+
+const ABILITY_NAMES = {
+  str: "Strength",
+  dex: "Dexterity",
+  con: "Constitution",
+  int: "Intelligence",
+  wis: "Wisdom",
+  cha: "Charisma"
+};
+
+// Archetype tag -> role weights (summed across matching tags, on top of BASE_ROLE_WEIGHTS)
+const TAG_ROLE_WEIGHTS = {
+  holy: { support: 4, damage: 1 },
+  dark: { damage: 3, control: 2 },
+  knowledge: { utility: 3, control: 1 },
+  social: { control: 4, utility: 1 },
+  wilderness: { control: 2, support: 1, damage: 1 },
+  nature: { control: 2, support: 2 },
+  martial: { damage: 2, support: 1 },
+  brute: { damage: 3 },
+  criminal: { utility: 2, control: 1 }
+};
+const BASE_ROLE_WEIGHTS = { damage: 2, control: 1, support: 1, utility: 1 };
+
+// Spells known by level for "known" casters (PHB tables, index = class level - 1)
+const SPELLS_KNOWN = {
+  Bard: [4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 15, 15, 16, 18, 19, 19, 20, 22, 22, 22],
+  Sorcerer: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 12, 13, 13, 14, 14, 15, 15, 15, 15],
+  Warlock: [2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14, 15, 15],
+  Ranger: [0, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11]
+};
+
+// Cantrips known as [count at level 1, at level 4, at level 10]
+const CANTRIPS_KNOWN = {
+  Bard: [2, 3, 4],
+  Cleric: [3, 4, 5],
+  Druid: [2, 3, 4],
+  Paladin: [0, 0, 0],
+  Ranger: [0, 0, 0],
+  Sorcerer: [4, 5, 6],
+  Warlock: [2, 3, 4],
+  Wizard: [3, 4, 5]
+};
+
+// Classes without their own list cast from the wizard list as third-casters (Eldritch Knight, Arcane Trickster)
+const FALLBACK_LIST_CLASS = "Wizard";
+const THIRD_CASTER_DIVISOR = 3;
+// Classes on the half-caster slot table
+const HALF_CASTERS = new Set(["Paladin", "Ranger"]);
+const HALF_CASTER_DIVISOR = 2;
+const MAX_SPELL_LEVEL = 9;
+
+/**
+ * Class whose spell list a caster NPC draws from
+ * @param {string} className - NPC class
+ * @returns {string} The class itself when it has a spell list, otherwise "Wizard"
+ */
+export function getSpellListClass(className) {
+  return CANTRIPS_KNOWN[className] ? className : FALLBACK_LIST_CLASS;
+}
+
+/**
+ * Effective caster level for spell counts
+ * @param {string} className - NPC class
+ * @param {number} level - Class level
+ * @returns {number} Level 1-20; a third of the class level for classes without a spell list
+ */
+export function getCasterLevel(className, level) {
+  const classLevel = Math.max(1, Math.min(20, Number(level) || 1));
+  return CANTRIPS_KNOWN[className] ? classLevel : Math.max(1, Math.ceil(classLevel / THIRD_CASTER_DIVISOR));
+}
+
+/**
+ * Highest spell level a class reaches at a class level (PHB slot tables).
+ * Full casters and warlocks (mystic arcanum) use the full-caster table, paladins and rangers
+ * the half-caster table, classes without a spell list the third-caster table.
+ * @param {string} className - NPC class
+ * @param {number} level - Levels in this class only (multiclass NPCs pass the caster class's share)
+ * @returns {number} Spell level 1-9; generated casters always keep 1st-level spells
+ */
+export function getMaxSpellLevelForClass(className, level) {
+  const classLevel = Math.max(1, Math.min(20, Number(level) || 1));
+  let tableLevel = classLevel;
+  if (HALF_CASTERS.has(className)) tableLevel = Math.ceil(classLevel / HALF_CASTER_DIVISOR);
+  else if (!CANTRIPS_KNOWN[className]) tableLevel = Math.ceil(classLevel / THIRD_CASTER_DIVISOR);
+  return Math.max(1, Math.min(MAX_SPELL_LEVEL, Math.ceil(tableLevel / 2)));
+}
+
+/**
+ * Lowercase names of the shipped spells on a class list
+ * @param {string} className - Class name
+ * @returns {Set<string>}
+ */
+export function getShippedClassSpellNames(className) {
+  const key = String(className || "").toLowerCase();
+  const spells = Array.isArray(DATA_CACHE.spells?.spells) ? DATA_CACHE.spells.spells : [];
+  return new Set(
+    spells
+      .filter((spell) => Array.isArray(spell.classes) && spell.classes.includes(key))
+      .map((spell) => String(spell.name).toLowerCase())
+  );
+}
+
+/**
+ * Spell UUIDs on a class list registered by the dnd5e system (dnd5e 4.x), if any
+ * @param {string} className - Class name
+ * @returns {Set<string>|null}
+ */
+export function getRegistryClassSpellUuids(className) {
+  try {
+    const list = globalThis.dnd5e?.registry?.spellLists?.forType?.("class", String(className || "").toLowerCase());
+    const uuids = list?.uuids;
+    return uuids?.size ? uuids : null;
+  } catch (err) {
+    console.warn("NPC Button: Failed to read the class spell list registry.", err);
+    return null;
+  }
+}
+
+/**
+ * Role of a spell by name from the shipped mapping
+ * @param {string} name - Spell name
+ * @returns {string} One of SPELL_ROLES; "utility" when the spell is unknown
+ */
+export function getSpellRole(name) {
+  const key = String(name || "").toLowerCase();
+  const spells = Array.isArray(DATA_CACHE.spells?.spells) ? DATA_CACHE.spells.spells : [];
+  const found = spells.find((spell) => String(spell.name).toLowerCase() === key);
+  return SPELL_ROLES.includes(found?.role) ? found.role : "utility";
+}
+
+/**
+ * Role weights for an archetype's tags
+ * @param {string[]} tags - Archetype tags
+ * @returns {Object<string, number>}
+ */
+export function getSpellRoleWeights(tags) {
+  const weights = { ...BASE_ROLE_WEIGHTS };
+  for (const tag of Array.isArray(tags) ? tags : []) {
+    for (const [role, weight] of Object.entries(TAG_ROLE_WEIGHTS[tag] || {})) {
+      weights[role] += weight;
+    }
+  }
+  return weights;
+}
+
+/**
+ * Pick spells without replacement, weighting each by the weight of its role
+ * @param {Array} entries - Candidate spell entries
+ * @param {number} count - Number to pick
+ * @param {Object<string, number>} weights - Role weights
+ * @param {function(Object): string} [roleOf] - Role resolver; defaults to a lookup by entry name
+ * @returns {Array}
+ */
+export function pickSpellsByRole(entries, count, weights, roleOf = (entry) => getSpellRole(entry?.name)) {
+  const pool = (Array.isArray(entries) ? entries : []).map((entry) => ({
+    entry,
+    weight: Math.max(0, Number(weights?.[roleOf(entry)]) || 0) || 1
+  }));
+  const out = [];
+  while (out.length < count && pool.length) {
+    const total = pool.reduce((sum, item) => sum + item.weight, 0);
+    let roll = random() * total;
+    let index = pool.findIndex((item) => (roll -= item.weight) < 0);
+    if (index < 0) index = pool.length - 1;
+    out.push(pool.splice(index, 1)[0].entry);
+  }
+  return out;
+}
+
+/**
+ * Number of leveled spells a caster of this class and level prepares or knows
+ * @param {string} className - Class name
+ * @param {number} level - Caster class level
+ * @param {number} abilityMod - Spellcasting ability modifier
+ * @returns {number} 1 to MAX_PREPARED_SPELLS
+ */
+export function getPreparedSpellCount(className, level, abilityMod) {
+  const casterLevel = Math.max(1, Math.min(20, Number(level) || 1));
+  const mod = Number(abilityMod) || 0;
+  let count;
+  if (SPELLS_KNOWN[className]) count = SPELLS_KNOWN[className][casterLevel - 1];
+  else if (className === "Paladin") count = Math.floor(casterLevel / 2) + mod;
+  else count = casterLevel + mod;
+  return Math.max(1, Math.min(MAX_PREPARED_SPELLS, count));
+}
+
+/**
+ * Number of cantrips a caster of this class and level knows
+ * @param {string} className - Class name
+ * @param {number} level - Caster class level
+ * @returns {number}
+ */
+export function getCantripsKnownCount(className, level) {
+  const table = CANTRIPS_KNOWN[getSpellListClass(className)];
+  const casterLevel = Number(level) || 1;
+  return casterLevel >= 10 ? table[2] : casterLevel >= 4 ? table[1] : table[0];
+}
+
+/**
+ * Resolve the spellcasting mode for an NPC
+ * @param {Object} archetype - Archetype data (optional `spellcasting`: "slots" or "innate")
+ * @param {string} [option] - Per-generation override; anything else uses the archetype
+ * @returns {string} One of ARCHETYPE_SPELLCASTING_MODES
+ */
+export function resolveSpellcastingMode(archetype, option) {
+  const forced = String(option || "").toLowerCase();
+  if (ARCHETYPE_SPELLCASTING_MODES.includes(forced)) return forced;
+  return archetype?.spellcasting === "innate" ? "innate" : "slots";
+}
+
+/**
+ * Turn spell items into an innate list: cantrips at will, leveled spells with uses per day
+ * (1/day for the highest level and 6th+, 2/day for 3rd-5th, 3/day below). Spell activities
+ * spend the item's uses instead of slots.
+ * @param {Object[]} items - Spell item data
+ * @returns {Object[]} Trimmed and converted items
+ */
+export function applyInnateSpellcasting(items) {
+  const spells = (items || []).filter((item) => item?.type === "spell");
+  const cantrips = spells.filter((item) => getItemSpellLevel(item) === 0).slice(0, INNATE_CANTRIP_MAX);
+  const leveled = spells.filter((item) => getItemSpellLevel(item) > 0).slice(0, INNATE_SPELL_MAX);
+  const topLevel = Math.max(0, ...leveled.map(getItemSpellLevel));
+
+  for (const item of cantrips) {
+    item.system.preparation = { ...(item.system.preparation || {}), mode: "atwill", prepared: true };
+  }
+  for (const item of leveled) {
+    const level = getItemSpellLevel(item);
+    const perDay = level >= topLevel || level >= 6 ? 1 : level >= 3 ? 2 : 3;
+    item.system.preparation = { ...(item.system.preparation || {}), mode: "innate", prepared: true };
+    item.system.uses = Object.assign(item.system.uses || {}, { value: perDay, max: String(perDay), per: "day" });
+    for (const activity of Object.values(item.system.activities || {})) {
+      if (!activity?.consumption) continue;
+      activity.consumption.spellSlot = false;
+      activity.consumption.targets = [{ type: "itemUses", target: "", value: "1", scaling: {} }];
+    }
+  }
+  return [...cantrips, ...leveled];
+}
+
+/**
+ * Build the passive "Innate Spellcasting" trait listing the innate spells
+ * @param {Object} npc - NPC data (uses `abilities` and `prof`)
+ * @param {string} ability - Spellcasting ability key
+ * @param {Object[]} spells - Innate spell items from applyInnateSpellcasting
+ * @returns {Object|null} Feat item data, or null without spells
+ */
+export function buildInnateSpellcastingItem(npc, ability, spells) {
+  if (!spells?.length) return null;
+  const mod = Math.floor(((Number(npc?.abilities?.[ability]) || 10) - 10) / 2);
+  const dc = 8 + (Number(npc?.prof) || 2) + mod;
+  const groups = new Map();
+  for (const item of spells) {
+    const max = Number(item.system?.uses?.max) || 0;
+    const label = max ? `${max}/day each` : "At will";
+    if (!groups.has(label)) groups.set(label, []);
+    groups.get(label).push(escapeHtml(item.name));
+  }
+  const lines = Array.from(groups.entries())
+    .sort(([a], [b]) => (a === "At will" ? -1 : b === "At will" ? 1 : b.localeCompare(a)))
+    .map(([label, names]) => `<p><em>${label}:</em> ${names.join(", ")}</p>`);
+  const abilityName = ABILITY_NAMES[ability] || "Charisma";
+  return {
+    name: "Innate Spellcasting",
+    type: "feat",
+    system: {
+      description: {
+        value: `<p>This creature's innate spellcasting ability is ${abilityName} (spell save DC ${dc}). ` +
+          `It can innately cast the following spells, requiring no material components:</p>${lines.join("")}`
+      },
+      type: { value: "monster", subtype: "" },
+      activation: { type: "", cost: null },
+      duration: {},
+      target: {},
+      range: {},
+      uses: {},
+      actionType: "",
+      damage: { parts: [] }
+    }
+  };
+}
+
+function getItemSpellLevel(item) {
+  return Number(item?.system?.level ?? 0) || 0;
+}
@@ -0,0 +1,520 @@
+/**
+ * Export NPCs as classic 5e statblocks in Markdown or standalone printable HTML
+ * @module statblock-export
+ */
+
+import { formatCrLabel } from "./constants.js";
+import { getXpForCr } from "./encounter.js";
+import { t, tf } from "./i18n.js";
+import { escapeHtml, saveTextFile, slugifyFileName } from "./utils.js";
+
+const ABILITY_KEYS = ["str", "dex", "con", "int", "wis", "cha"];
+
+const SIZE_LABELS = { tiny: "Tiny", sm: "Small", med: "Medium", lg: "Large", huge: "Huge", grg: "Gargantuan" };
+
+// Skill fallbacks when CONFIG.DND5E is unavailable (labels stay English, like the rest of the statblock)
+const SKILLS = {
+  acr: { label: "Acrobatics", ability: "dex" },
+  ani: { label: "Animal Handling", ability: "wis" },
+  arc: { label: "Arcana", ability: "int" },
+  ath: { label: "Athletics", ability: "str" },
+  dec: { label: "Deception", ability: "cha" },
+  his: { label: "History", ability: "int" },
+  ins: { label: "Insight", ability: "wis" },
+  itm: { label: "Intimidation", ability: "cha" },
+  inv: { label: "Investigation", ability: "int" },
+  med: { label: "Medicine", ability: "wis" },
+  nat: { label: "Nature", ability: "int" },
+  prc: { label: "Perception", ability: "wis" },
+  prf: { label: "Performance", ability: "cha" },
+  per: { label: "Persuasion", ability: "cha" },
+  rel: { label: "Religion", ability: "int" },
+  slt: { label: "Sleight of Hand", ability: "dex" },
+  ste: { label: "Stealth", ability: "dex" },
+  sur: { label: "Survival", ability: "wis" }
+};
+
+const SENSES = ["blindsight", "darkvision", "tremorsense", "truesight"];
+const MOVEMENT = ["walk", "burrow", "climb", "fly", "swim"];
+
+// Feature sections by activation type, in statblock order; anything else is a trait
+const ACTION_SECTIONS = [
+  { key: "action", title: "Actions" },
+  { key: "bonus", title: "Bonus Actions" },
+  { key: "reaction", title: "Reactions" },
+  { key: "legendary", title: "Legendary Actions" },
+  { key: "lair", title: "Lair Actions" },
+  { key: "mythic", title: "Mythic Actions" }
+];
+
+/**
+ * Collect everything a statblock prints from an actor or from actor data built by buildActorData
+ * @param {Actor|Object} source - Actor document or actor creation data
+ * @returns {Object} Statblock model for renderStatblockMarkdown / renderStatblockHtml
+ */
+export function buildStatblockModel(source) {
+  const isDocument = source?.documentName === "Actor";
+  const system = (isDocument ? source.system : source?.system) || {};
+  const items = isDocument
+    ? Array.from(source.items || []).map((item) => ({ name: item.name, type: item.type, system: item.system }))
+    : (Array.isArray(source?.items) ? source.items : []);
+  const attributes = system.attributes || {};
+  const details = system.details || {};
+  const prof = Number(attributes.prof) || 2;
+
+  const scores = Object.fromEntries(ABILITY_KEYS.map((key) => [key, Number(system.abilities?.[key]?.value) || 10]));
+  const mods = Object.fromEntries(ABILITY_KEYS.map((key) => [key, abilityMod(scores[key])]));
+  const saves = ABILITY_KEYS
+    .filter((key) => Number(system.abilities?.[key]?.proficient) > 0)
+    .map((key) => `${capitalize(key)} ${signed(mods[key] + prof)}`);
+
+  const skillBonus = {};
+  const skills = [];
+  for (const [key, skill] of Object.entries(system.skills || {})) {
+    const info = getSkillInfo(key, skill);
+    const level = Number(skill?.value) || 0;
+    skillBonus[key] = (mods[info.ability] ?? 0) + Math.floor(level * prof);
+    if (level > 0) skills.push(`${info.label} ${signed(skillBonus[key])}`);
+  }
+  skills.sort((a, b) => a.localeCompare(b));
+
+  const cr = Number(details.cr);
+  const features = items.filter((item) => item?.type === "feat");
+  const sections = ACTION_SECTIONS.map((section) => ({
+    title: section.title,
+    entries: [
+      ...(section.key === "action" ? items.filter((item) => item?.type === "weapon").map((item) => describeWeapon(item, mods, prof)) : []),
+      ...features.filter((item) => getActivationType(item) === section.key).map((item) => describeFeature(item))
+    ]
+  })).filter((section) => section.entries.length);
+  const actionKeys = new Set(ACTION_SECTIONS.map((section) => section.key));
+
+  return {
+    name: String(source?.name || ""),
+    meta: buildMetaLine(system),
+    armorClass: buildArmorClass(attributes, items),
+    hitPoints: buildHitPoints(attributes.hp),
+    speed: buildSpeed(attributes.movement),
+    scores,
+    mods,
+    saves,
+    skills,
+    senses: buildSenses(attributes.senses, 10 + (skillBonus.prc ?? mods.wis)),
+    languages: buildLanguages(system.traits?.languages),
+    challenge: Number.isFinite(cr) ? `${formatCrLabel(cr)} (${getXpForCr(cr).toLocaleString("en-US")} XP)` : "",
+    proficiencyBonus: signed(prof),
+    traits: features.filter((item) => !actionKeys.has(getActivationType(item))).map((item) => describeFeature(item)),
+    sections,
+    spells: buildSpellLines(items, system.spells),
+    biography: htmlToParagraphs(details.biography?.value)
+  };
+}
+
+/**
+ * Render a statblock as Markdown (Obsidian / homebrew friendly)
+ * @param {Object} model - Model from buildStatblockModel
+ * @returns {string}
+ */
+export function renderStatblockMarkdown(model) {
+  const lines = [`## ${model.name}`];
+  if (model.meta) lines.push(`*${model.meta}*`);
+  lines.push("", "---", "");
+  for (const [label, value] of getHeaderRows(model).slice(0, 3)) lines.push(`- **${label}** ${value}`);
+  lines.push(
+    "",
+    "| STR | DEX | CON | INT | WIS | CHA |",
+    "|:---:|:---:|:---:|:---:|:---:|:---:|",
+    `| ${ABILITY_KEYS.map((key) => `${model.scores[key]} (${signed(model.mods[key])})`).join(" | ")} |`,
+    ""
+  );
+  for (const [label, value] of getHeaderRows(model).slice(3)) lines.push(`- **${label}** ${value}`);
+  lines.push("", "---", "");
+
+  const entry = (item) => `***${item.name}.*** ${item.text.join("\n\n")}`;
+  for (const trait of model.traits) lines.push(entry(trait), "");
+  if (model.spells.length) lines.push("***Spells.***", "", ...model.spells.map((line) => `- ${line}`), "");
+  for (const section of model.sections) {
+    lines.push(`### ${section.title}`, "");
+    for (const item of section.entries) lines.push(entry(item), "");
+  }
+  if (model.biography.length) lines.push("### Description", "", ...model.biography.flatMap((paragraph) => [paragraph.markdown, ""]));
+  return `${lines.join("\n").replace(/\n{3,}/g, "\n\n").trim()}\n`;
+}
+
+/**
+ * Render a statblock as a standalone printable HTML page
+ * @param {Object} model - Model from buildStatblockModel
+ * @returns {string}
+ */
+export function renderStatblockHtml(model) {
+  const e = escapeHtml;
+  const property = ([label, value]) => `<p class="property"><strong>${e(label)}</strong> ${e(value)}</p>`;
+  const entry = (item) => item.text
+    .map((text, i) => `<p>${i === 0 ? `<strong><em>${e(item.name)}.</em></strong> ` : ""}${e(text)}</p>`)
+    .join("");
+  const rows = getHeaderRows(model);
+
+  const body = [
+    `<h1>${e(model.name)}</h1>`,
+    model.meta ? `<p class="meta">${e(model.meta)}</p>` : "",
+    "<hr>",
+    ...rows.slice(0, 3).map(property),
+    "<hr>",
+    `<table class="abilities"><tr>${ABILITY_KEYS.map((key) => `<th>${key.toUpperCase()}</th>`).join("")}</tr>`,
+    `<tr>${ABILITY_KEYS.map((key) => `<td>${model.scores[key]} (${signed(model.mods[key])})</td>`).join("")}</tr></table>`,
+    "<hr>",
+    ...rows.slice(3).map(property),
+    "<hr>",
+    ...model.traits.map(entry),
+    model.spells.length ? `<p><strong><em>Spells.</em></strong></p><ul>${model.spells.map((line) => `<li>${e(line)}</li>`).join("")}</ul>` : "",
+    ...model.sections.map((section) => `<h2>${e(section.title)}</h2>${section.entries.map(entry).join("")}`),
+    model.biography.length
+      ? `<h2>Description</h2>${model.biography.map((paragraph) => `<p>${paragraph.html}</p>`).join("")}`
+      : ""
+  ].join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${e(model.name)}</title>
+<style>
+  body { margin: 2rem auto; max-width: 42rem; padding: 0 1rem; font: 15px/1.4 Georgia, "Times New Roman", serif; color: #111; }
+  .statblock { padding: 0.75rem 1rem; background: #fdf1dc; border-top: 4px solid #e69a28; border-bottom: 4px solid #e69a28; }
+  h1, h2 { margin: 0.4rem 0 0.1rem; color: #7a200d; font-variant: small-caps; }
+  h1 { font-size: 1.8rem; }
+  h2 { font-size: 1.3rem; border-bottom: 1px solid #7a200d; }
+  hr { border: 0; height: 3px; margin: 0.5rem 0; background: linear-gradient(to right, #7a200d, transparent); }
+  p { margin: 0.3rem 0; }
+  .meta { font-style: italic; margin-top: 0; }
+  .property { color: #7a200d; margin: 0.1rem 0; }
+  .property strong { color: #7a200d; }
+  .abilities { width: 100%; text-align: center; color: #7a200d; border-collapse: collapse; }
+  @media print { body { margin: 0; } .statblock { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<div class="statblock">
+${body}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open the export dialog for an actor or actor data: download Markdown or HTML, copy Markdown, print
+ * @param {Actor|Object} source - Actor document or actor creation data
+ */
+export function openStatblockExportDialog(source) {
+  if (!source) return;
+  let model;
+  try {
+    model = buildStatblockModel(source);
+  } catch (err) {
+    console.error("NPC Button: Failed to build statblock export.", err);
+    ui.notifications?.error(t("ui.statblockExport.errorBuildFailed"));
+    return;
+  }
+  const name = model.name || t("common.unnamed");
+  const fileName = slugifyFileName(name, "statblock");
+
+  new Dialog({
+    title: tf("ui.statblockExport.title", { name }, "Export Statblock: {name}"),
+    content: `<p style="font-size:0.85rem;opacity:0.85;">${escapeHtml(t("ui.statblockExport.description"))}</p>`,
+    buttons: {
+      markdown: {
+        icon: '<i class="fab fa-markdown"></i>',
+        label: t("ui.statblockExport.buttonMarkdown", "Markdown"),
+        callback: () => saveTextFile(renderStatblockMarkdown(model), "text/markdown", `${fileName}.md`)
+      },
+      html: {
+        icon: '<i class="fas fa-file-code"></i>',
+        label: t("ui.statblockExport.buttonHtml", "HTML"),
+        callback: () => saveTextFile(renderStatblockHtml(model), "text/html", `${fileName}.html`)
+      },
+      copy: {
+        icon: '<i class="fas fa-copy"></i>',
+        label: t("ui.statblockExport.buttonCopy", "Copy Markdown"),
+        callback: async () => {
+          try {
+            await game.clipboard.copyPlainText(renderStatblockMarkdown(model));
+            ui.notifications?.info(t("ui.statblockExport.infoCopied"));
+          } catch (err) {
+            console.warn("NPC Button: Failed to copy statblock.", err);
+            ui.notifications?.warn(t("ui.statblockExport.warnCopyFailed"));
+          }
+        }
+      },
+      print: {
+        icon: '<i class="fas fa-print"></i>',
+        label: t("ui.statblockExport.buttonPrint", "Print"),
+        callback: () => printHtml(renderStatblockHtml(model))
+      }
+    },
+    default: "markdown"
+  }).render(true);
+}
+
+/**
+ * Register the "Export Statblock" entry in the actor directory context menu
+ */
+export function registerStatblockExportHooks() {
+  const addEntry = (options) => {
+    if (!Array.isArray(options) || options.some((entry) => entry?.name === "npc-button-5e.ui.statblockExport.contextMenu")) return;
+    options.push({
+      name: "npc-button-5e.ui.statblockExport.contextMenu",
+      icon: '<i class="fas fa-file-export"></i>',
+      condition: (li) => canExportActor(getContextActor(li)),
+      callback: (li) => openStatblockExportDialog(getContextActor(li))
+    });
+  };
+  // v11/v12 sidebar, and the v13 ApplicationV2 directory
+  Hooks.on("getActorDirectoryEntryContext", (html, options) => addEntry(options));
+  Hooks.on("getActorContextOptions", (app, options) => addEntry(options));
+}
+
+function canExportActor(actor) {
+  return actor?.type === "npc" && actor.testUserPermission?.(game.user, "OBSERVER") === true;
+}
+
+function getContextActor(li) {
+  const element = li?.[0] || li;
+  const id = element?.dataset?.entryId || element?.dataset?.documentId || "";
+  return id ? game.actors?.get(id) || null : null;
+}
+
+function getHeaderRows(model) {
+  return [
+    ["Armor Class", model.armorClass],
+    ["Hit Points", model.hitPoints],
+    ["Speed", model.speed],
+    ["Saving Throws", model.saves.join(", ")],
+    ["Skills", model.skills.join(", ")],
+    ["Senses", model.senses],
+    ["Languages", model.languages || "-"],
+    ["Challenge", model.challenge],
+    ["Proficiency Bonus", model.proficiencyBonus]
+  ].filter(([, value]) => value);
+}
+
+function buildMetaLine(system) {
+  const size = SIZE_LABELS[system.traits?.size] || "Medium";
+  const type = system.details?.type || {};
+  const typeName = String(type.value || "humanoid");
+  const subtype = String(type.subtype || system.details?.race || "").trim();
+  const alignment = String(system.details?.alignment || "").trim();
+  return `${size} ${typeName}${subtype ? ` (${subtype.toLowerCase()})` : ""}${alignment ? `, ${alignment.toLowerCase()}` : ""}`;
+}
+
+function buildArmorClass(attributes, items) {
+  const armor = items
+    .filter((item) => item?.type === "equipment" && item.system?.equipped !== false)
+    .filter((item) => ["light", "medium", "heavy", "shield"].includes(String(item.system?.type?.value || item.system?.armor?.type || "")))
+    .map((item) => item.name.toLowerCase());
+  const value = attributes.ac?.value ?? attributes.ac?.flat ?? 10;
+  return `${value}${armor.length ? ` (${armor.join(", ")})` : ""}`;
+}
+
+function buildHitPoints(hp) {
+  const max = Number(hp?.max ?? hp?.value) || 0;
+  const formula = String(hp?.formula || "").trim();
+  return `${max}${formula ? ` (${formula})` : ""}`;
+}
+
+function buildSpeed(movement) {
+  const units = String(movement?.units || "ft");
+  const parts = MOVEMENT
+    .filter((key) => Number(movement?.[key]) > 0)
+    .map((key) => `${key === "walk" ? "" : `${key} `}${Number(movement[key])} ${units}.`);
+  return parts.join(", ") || `30 ${units}.`;
+}
+
+function buildSenses(senses, passivePerception) {
+  const units = String(senses?.units || "ft");
+  const ranges = senses?.ranges && typeof senses.ranges === "object" ? senses.ranges : senses || {};
+  const parts = SENSES
+    .filter((key) => Number(ranges[key]) > 0)
+    .map((key) => `${key} ${Number(ranges[key])} ${units}.`);
+  if (String(senses?.special || "").trim()) parts.push(String(senses.special).trim());
+  parts.push(`passive Perception ${passivePerception}`);
+  return parts.join(", ");
+}
+
+function buildLanguages(languages) {
+  const value = Array.from(languages?.value || []).map((key) => getLanguageLabel(key));
+  const custom = String(languages?.custom || "").split(";").map((entry) => entry.trim()).filter(Boolean);
+  return [...value, ...custom].join(", ");
+}
+
+function getLanguageLabel(key) {
+  const find = (config) => {
+    for (const [id, entry] of Object.entries(config || {})) {
+      if (id === key) return typeof entry === "string" ? entry : entry?.label;
+      if (entry?.children) {
+        const found = find(entry.children);
+        if (found) return found;
+      }
+    }
+    return "";
+  };
+  const label = find(CONFIG?.DND5E?.languages);
+  return label ? game.i18n?.localize?.(label) || label : capitalize(key);
+}
+
+function getSkillInfo(key, skill) {
+  const config = CONFIG?.DND5E?.skills?.[key];
+  const label = config?.label ? game.i18n?.localize?.(config.label) || config.label : SKILLS[key]?.label || key;
+  return { label, ability: String(skill?.ability || config?.ability || SKILLS[key]?.ability || "dex") };
+}
+
+function getActivationType(item) {
+  const activity = Object.values(item.system?.activities || {})[0];
+  return String(activity?.activation?.type || item.system?.activation?.type || "");
+}
+
+function describeFeature(item) {
+  const text = htmlToParagraphs(item.system?.description?.value).map((paragraph) => paragraph.text);
+  return { name: item.name, text: text.length ? text : ["-"] };
+}
+
+// "Melee Weapon Attack: +5 to hit, reach 5 ft., one target. Hit: 6 (1d6 + 3) slashing damage."
+function describeWeapon(item, mods, prof) {
+  const system = item.system || {};
+  const properties = Array.from(system.properties || []);
+  const ranged = system.actionType === "rwak" || /R$/.test(String(system.type?.value || ""));
+  const thrown = !ranged && properties.includes("thr");
+  const mod = properties.includes("fin") ? Math.max(mods.str, mods.dex) : ranged ? mods.dex : mods.str;
+  const magic = Number(system.magicalBonus) || 0;
+  const longRange = system.range?.long ? `/${system.range.long}` : "";
+  const rangeText = `range ${system.range?.value || 30}${longRange} ${system.range?.units || "ft"}.`;
+  const reachText = `reach ${properties.includes("rch") ? 10 : 5} ft.`;
+  const label = ranged ? "Ranged Weapon Attack" : thrown ? "Melee or Ranged Weapon Attack" : "Melee Weapon Attack";
+  const distance = ranged ? rangeText : thrown ? `${reachText} or ${rangeText}` : reachText;
+
+  const base = system.damage?.base;
+  const legacy = Array.isArray(system.damage?.parts) ? system.damage.parts[0] : null;
+  const number = Number(base?.number) || 0;
+  const faces = Number(base?.denomination) || 0;
+  const dice = number && faces
+    ? `${number}d${faces}`
+    : String(legacy?.[0] || "").replace(/\s*\+\s*@mod/g, "").trim();
+  const damageType = String(Array.from(base?.types || [])[0] || legacy?.[1] || "").trim();
+  const bonus = mod + magic;
+  const diceMatch = dice.match(/^(\d+)d(\d+)$/);
+  const hit = diceMatch
+    ? `${Math.max(1, Math.floor(Number(diceMatch[1]) * (Number(diceMatch[2]) + 1) / 2) + bonus)} (${dice}${bonus ? ` ${bonus > 0 ? "+" : "-"} ${Math.abs(bonus)}` : ""})`
+    : dice;
+  const text = `${label}: ${signed(mod + prof + magic)} to hit, ${distance}, one target.` +
+    (hit ? ` Hit: ${hit}${damageType ? ` ${damageType}` : ""} damage.` : "");
+  return { name: item.name, text: [text] };
+}
+
+// "Cantrips (at will): ...", "At will: ...", "3/day each: ...", "1st level (4 slots): ..."
+function buildSpellLines(items, slots) {
+  const spells = items.filter((item) => item?.type === "spell");
+  if (!spells.length) return [];
+  const names = (list) => list.map((item) => item.name.toLowerCase()).sort().join(", ");
+  const mode = (item) => String(item.system?.method || item.system?.preparation?.mode || "");
+  const lines = [];
+
+  const atWill = spells.filter((item) => mode(item) === "atwill");
+  if (atWill.length) lines.push(`At will: ${names(atWill)}`);
+  const innate = spells.filter((item) => mode(item) === "innate");
+  const perDay = new Map();
+  for (const item of innate) {
+    const uses = Number(item.system?.uses?.max) || 1;
+    perDay.set(uses, [...(perDay.get(uses) || []), item]);
+  }
+  for (const [uses, list] of Array.from(perDay.entries()).sort((a, b) => b[0] - a[0])) {
+    lines.push(`${uses}/day${list.length > 1 ? " each" : ""}: ${names(list)}`);
+  }
+
+  const slotted = spells.filter((item) => !["atwill", "innate"].includes(mode(item)));
+  for (let level = 0; level <= 9; level++) {
+    const list = slotted.filter((item) => (Number(item.system?.level) || 0) === level);
+    if (!list.length) continue;
+    if (level === 0) {
+      lines.push(`Cantrips (at will): ${names(list)}`);
+      continue;
+    }
+    const max = Number(slots?.[`spell${level}`]?.max ?? slots?.[`spell${level}`]?.value) || 0;
+    const slotText = max ? ` (${max} slot${max === 1 ? "" : "s"})` : "";
+    lines.push(`${ordinal(level)} level${slotText}: ${names(list)}`);
+  }
+  return lines;
+}
+
+// Biography / description HTML to paragraphs: plain text, Markdown (bold labels kept) and escaped HTML
+function htmlToParagraphs(html) {
+  const source = stripEnrichers(String(html || ""))
+    .replace(/<li[^>]*>/gi, "\n- ")
+    .replace(/<\/(p|div|h\d|li|tr)>|<br\s*\/?>/gi, "\n");
+  return source
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter((line) => line && stripTags(line).trim())
+    .map((line) => {
+      const text = decodeEntities(stripTags(line)).replace(/\s+/g, " ").trim();
+      const markdown = decodeEntities(
+        stripTags(line.replace(/<(strong|b)>(.*?)<\/\1>/gi, "**$2**").replace(/<(em|i)>(.*?)<\/\1>/gi, "*$2*"))
+      ).replace(/\s+/g, " ").trim();
+      const boldHtml = escapeHtml(markdown).replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>").replace(/\*(.+?)\*/g, "<em>$1</em>");
+      return { text, markdown, html: boldHtml };
+    });
+}
+
+// "@UUID[...]{Name}" -> "Name", "[[/r 1d6]]" -> "1d6"
+function stripEnrichers(text) {
+  return text
+    .replace(/@\w+\[[^\]]*\]\{([^}]*)\}/g, "$1")
+    .replace(/@\w+\[([^\]]*)\]/g, "$1")
+    .replace(/\[\[\/\w+\s+([^\]]*)\]\](?:\{([^}]*)\})?/g, (match, formula, label) => label || formula)
+    .replace(/\[\[([^\]]*)\]\]/g, "$1");
+}
+
+function stripTags(text) {
+  return String(text || "").replace(/<[^>]*>/g, "");
+}
+
+function decodeEntities(text) {
+  return String(text || "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#0?39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function printHtml(html) {
+  const win = globalThis.open?.("", "_blank");
+  if (!win) {
+    ui.notifications?.warn(t("ui.statblockExport.warnPopupBlocked"));
+    return;
+  }
+  win.document.open();
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+function abilityMod(score) {
+  return Math.floor((Number(score) - 10) / 2);
+}
+
+function signed(value) {
+  const num = Number(value) || 0;
+  return num >= 0 ? `+${num}` : String(num);
+}
+
+function capitalize(value) {
+  const text = String(value || "");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function ordinal(level) {
+  const suffix = { 1: "st", 2: "nd", 3: "rd" }[level] || "th";
+  return `${level}${suffix}`;
+}
@@ -0,0 +1,458 @@
+/**
+ * Plain-text statblock import: classic "Armor Class 15 (chain shirt) / Hit Points 27 (5d8 + 5)" layout
+ * copied from PDFs or homebrew sites, turned into the same blueprint shape as imported AI JSON
+ * @module statblock-parser
+ */
+
+// Header labels in statblock order; a line starting with one may hold several when copied from a PDF
+const HEADER_LABELS = [
+  "Armor Class",
+  "Hit Points",
+  "Speed",
+  "Saving Throws",
+  "Skills",
+  "Damage Vulnerabilities",
+  "Damage Resistances",
+  "Damage Immunities",
+  "Condition Immunities",
+  "Senses",
+  "Languages",
+  "Challenge",
+  "Proficiency Bonus"
+];
+
+// Section headings and the activation type of the entries below them
+const SECTION_ACTIVATIONS = {
+  "actions": "action",
+  "bonus actions": "bonus",
+  "reactions": "reaction",
+  "legendary actions": "legendary",
+  "lair actions": "lair",
+  "mythic actions": "mythic"
+};
+
+const SIZE_KEYS = {
+  tiny: "tiny",
+  small: "sm",
+  medium: "med",
+  large: "lg",
+  huge: "huge",
+  gargantuan: "grg"
+};
+
+const SKILL_IDS = {
+  "acrobatics": "acr",
+  "animal handling": "ani",
+  "arcana": "arc",
+  "athletics": "ath",
+  "deception": "dec",
+  "history": "his",
+  "insight": "ins",
+  "intimidation": "itm",
+  "investigation": "inv",
+  "medicine": "med",
+  "nature": "nat",
+  "perception": "prc",
+  "performance": "prf",
+  "persuasion": "per",
+  "religion": "rel",
+  "sleight of hand": "slt",
+  "stealth": "ste",
+  "survival": "sur"
+};
+
+const ABILITY_IDS = {
+  str: "str",
+  strength: "str",
+  dex: "dex",
+  dexterity: "dex",
+  con: "con",
+  constitution: "con",
+  int: "int",
+  intelligence: "int",
+  wis: "wis",
+  wisdom: "wis",
+  cha: "cha",
+  charisma: "cha"
+};
+
+// Spellcasting ability to the class whose spell slots and save proficiencies fit it best
+const CASTER_CLASS_BY_ABILITY = {
+  intelligence: "Wizard",
+  wisdom: "Cleric",
+  charisma: "Sorcerer"
+};
+
+// Natural weapons stay as action text instead of compendium weapon lookups
+const NATURAL_ATTACKS = /^(bite|claws?|slam|tail|gore|horns?|hooves|hoof|talons?|tentacles?|sting|beak|fist|unarmed strike|touch)\b/i;
+
+const SPELL_CLASS_NAMES = ["bard", "cleric", "druid", "paladin", "ranger", "sorcerer", "warlock", "wizard"];
+
+// Lowercase words allowed inside a trait or action name ("Breath of the Dragon")
+const NAME_SMALL_WORDS = new Set(["a", "an", "and", "of", "the", "in", "on", "or", "to", "with", "from", "by"]);
+
+/**
+ * Whether pasted text looks like a plain-text statblock rather than JSON
+ * @param {string} text - Pasted import text
+ * @returns {boolean}
+ */
+export function looksLikeTextStatblock(text) {
+  const value = cleanStatblockText(text);
+  if (!value || /^[[{]/.test(value)) return false;
+  return /^armor class\b/im.test(value) && /^hit points\b|\bhit points\s+\d/im.test(value);
+}
+
+/**
+ * Parse one or more pasted statblocks into import blueprints
+ * @param {string} text - Pasted statblock text; several statblocks may follow each other
+ * @returns {Object[]} Blueprints for validateAndNormalizeImportedBlueprint
+ */
+export function parseTextStatblocks(text) {
+  return splitStatblocks(cleanStatblockText(text).split("\n"))
+    .map((lines) => parseStatblockLines(lines))
+    .filter(Boolean);
+}
+
+/**
+ * Parse a single pasted statblock into an import blueprint
+ * @param {string} text - Statblock text
+ * @returns {Object|null} Blueprint, or null when the text has no statblock header
+ */
+export function parseTextStatblock(text) {
+  return parseTextStatblocks(text)[0] || null;
+}
+
+function cleanStatblockText(text) {
+  return String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/^\s*```\w*\s*$/gm, "")
+    .replace(/ /g, " ")
+    .replace(/[’‘]/g, "'")
+    .replace(/[−–—]/g, "-")
+    .replace(/\*+|__+|\|/g, " ")
+    .replace(/^[ \t]*(?:>[ \t]*)+/gm, "")
+    .replace(/^[ \t]*#+[ \t]*/gm, "")
+    .replace(/^[ \t]*[-•][ \t]+/gm, "")
+    .replace(/^[ \t]*(?:-{3,}|={3,}|_{3,})[ \t]*$/gm, "")
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .trim();
+}
+
+// Each statblock starts at its name line, one or two lines above its "Armor Class" line
+function splitStatblocks(lines) {
+  const content = lines.filter(Boolean);
+  const armorLines = content
+    .map((line, index) => (/^armor class\b/i.test(line) ? index : -1))
+    .filter((index) => index >= 0);
+  if (!armorLines.length) return [];
+
+  const starts = armorLines.map((index) => {
+    let start = index;
+    if (start > 0 && parseTypeLine(content[start - 1])) start -= 1;
+    if (start > 0 && !isHeaderLine(content[start - 1])) start -= 1;
+    return start;
+  });
+  starts[0] = 0;
+  return starts.map((start, i) => content.slice(start, starts[i + 1] ?? content.length));
+}
+
+function parseStatblockLines(rawLines) {
+  const lines = splitHeaderLines(rawLines);
+  const armorIndex = lines.findIndex((line) => /^armor class\b/i.test(line));
+  if (armorIndex < 0) return null;
+
+  const intro = lines.slice(0, armorIndex);
+  const typeLine = intro.map(parseTypeLine).find(Boolean) || null;
+  const nameLine = intro.find((line) => !parseTypeLine(line)) || "";
+
+  const header = {};
+  let bodyStart = lines.length;
+  for (let i = armorIndex; i < lines.length; i++) {
+    const label = HEADER_LABELS.find((entry) => startsWithLabel(lines[i], entry));
+    if (label) {
+      header[label] = lines[i].slice(label.length).trim();
+      bodyStart = i + 1;
+      continue;
+    }
+    if (isAbilityLine(lines[i])) {
+      bodyStart = i + 1;
+      continue;
+    }
+    if (isTraitStart(lines[i]) || getSectionActivation(lines[i]) !== null) break;
+  }
+
+  const abilityText = lines.slice(armorIndex).join("\n");
+  const stats = parseAbilityScores(abilityText);
+  const entries = parseBodyEntries(lines.slice(bodyStart));
+  const spellcasting = entries.filter((entry) => /spellcasting|^spells$/i.test(entry.name));
+  const spells = dedupe(spellcasting.flatMap((entry) => parseSpellNames(entry.description)));
+  const attacks = entries.filter((entry) => /\b(melee|ranged)\s+(weapon|spell)?\s*attack\b|\b(melee|ranged) attack roll\b/i.test(entry.description));
+  const weapons = attacks
+    .filter((entry) => /weapon attack|attack roll/i.test(entry.description))
+    .map((entry) => entry.name.replace(/\s*\([^)]*\)\s*$/, "").trim())
+    .filter((name) => !NATURAL_ATTACKS.test(name));
+  const armor = parseArmorNames(header["Armor Class"]);
+  const cr = parseChallenge(header.Challenge);
+  const prof = parseSignedNumber(header["Proficiency Bonus"]);
+
+  const blueprint = {
+    name: nameLine || "",
+    race: typeLine?.race || "",
+    size: typeLine?.size || "",
+    creatureType: typeLine?.type || "",
+    alignment: typeLine?.alignment || "",
+    ac: parseLeadingNumber(header["Armor Class"]),
+    hp: parseLeadingNumber(header["Hit Points"]),
+    speed: String(header.Speed || "").trim(),
+    stats,
+    saves: parseSaveIds(header["Saving Throws"]),
+    skills: parseSkillIds(header.Skills),
+    damageVulnerabilities: parseTraitList(header["Damage Vulnerabilities"]),
+    damageResistances: parseTraitList(header["Damage Resistances"]),
+    damageImmunities: parseTraitList(header["Damage Immunities"]),
+    conditionImmunities: parseTraitList(header["Condition Immunities"]),
+    senses: String(header.Senses || "").trim(),
+    languages: parseLanguages(header.Languages),
+    className: getCasterClass(spellcasting),
+    attackStyle: getAttackStyle(attacks, spells),
+    items: {
+      weapons: dedupe(weapons),
+      armor
+    },
+    spells,
+    statblockFeatures: entries.map((entry) => ({
+      name: entry.name,
+      description: entry.description,
+      activation: entry.activation
+    }))
+  };
+  if (cr !== null) blueprint.cr = cr;
+  if (prof !== null) blueprint.prof = prof;
+  for (const key of ["ac", "hp"]) {
+    if (blueprint[key] === null) delete blueprint[key];
+  }
+  if (!Object.keys(stats).length) delete blueprint.stats;
+  return blueprint;
+}
+
+// "Armor Class 15 (chain shirt) Hit Points 27 (5d8 + 5) Speed 30 ft." becomes one line per label
+function splitHeaderLines(lines) {
+  const labelPattern = new RegExp(`\\s+(?=(?:${HEADER_LABELS.join("|")})\\b)`, "g");
+  return lines.flatMap((line) => (isHeaderLine(line) ? line.split(labelPattern) : [line]));
+}
+
+function isHeaderLine(line) {
+  return HEADER_LABELS.some((label) => startsWithLabel(line, label));
+}
+
+function startsWithLabel(line, label) {
+  const value = String(line || "");
+  if (!value.toLowerCase().startsWith(label.toLowerCase())) return false;
+  const next = value.charAt(label.length);
+  return !next || /[\s:]/.test(next);
+}
+
+// "Medium humanoid (human), neutral evil" / "Large undead, chaotic evil" / "Small or Medium humanoid (any race), any alignment"
+function parseTypeLine(line) {
+  const match = String(line || "").match(
+    /^(tiny|small|medium|large|huge|gargantuan)(?:\s+or\s+\w+)?\s+([a-z][a-z ]*?)(?:\s*\(([^)]*)\))?\s*(?:,\s*(.+))?$/i
+  );
+  if (!match) return null;
+  const type = match[2].trim().toLowerCase();
+  const subtype = String(match[3] || "").trim();
+  const specificSubtype = subtype && !/\bany\b/i.test(subtype) ? subtype.split(/[,/]/)[0].trim() : "";
+  return {
+    size: SIZE_KEYS[match[1].toLowerCase()],
+    type,
+    race: titleCase(specificSubtype || (type === "humanoid" ? "" : type)),
+    alignment: String(match[4] || "").trim()
+  };
+}
+
+function isAbilityLine(line) {
+  const value = String(line || "");
+  if (/^(str|dex|con|int|wis|cha)(\s+(str|dex|con|int|wis|cha))*$/i.test(value)) return true;
+  return /^(?:(?:str|dex|con|int|wis|cha)?\s*\d{1,2}\s*\(\s*[+-]?\s*\d+\s*\)\s*)+$/i.test(value);
+}
+
+function parseAbilityScores(text) {
+  const start = String(text || "").search(/\bSTR\b/i);
+  if (start < 0) return {};
+  const scores = Array.from(String(text).slice(start).matchAll(/(\d{1,2})\s*\(\s*[+-]?\s*\d+\s*\)/g))
+    .slice(0, 6)
+    .map((match) => Number(match[1]));
+  if (scores.length < 6) return {};
+  return Object.fromEntries(["STR", "DEX", "CON", "INT", "WIS", "CHA"].map((key, i) => [key, scores[i]]));
+}
+
+// Traits, then actions / reactions / legendary actions: "Name. Description" entries with wrapped lines joined
+function parseBodyEntries(lines) {
+  const entries = [];
+  let activation = "";
+  let current = null;
+  for (const line of lines) {
+    // Exported statblocks end with the biography, which is not part of the stat block
+    if (/^description:?$/i.test(line)) break;
+    const sectionActivation = getSectionActivation(line);
+    if (sectionActivation !== null) {
+      activation = sectionActivation;
+      current = null;
+      continue;
+    }
+    // Exported Markdown puts the spell slot lines in a list below a bare "Spells." heading
+    if (/^spells\.?$/i.test(line)) {
+      current = { name: "Spells", description: "", activation };
+      entries.push(current);
+      continue;
+    }
+    const trait = isTraitStart(line);
+    if (trait) {
+      current = { name: trait.name, description: trait.text, activation };
+      entries.push(current);
+      continue;
+    }
+    if (current) {
+      const joiner = isSpellListLine(line) || isSpellListLine(current.description.split("\n").pop()) ? "\n" : " ";
+      current.description = `${current.description}${joiner}${line}`.trim();
+    }
+  }
+  return entries.filter((entry) => entry.name && entry.description);
+}
+
+function getSectionActivation(line) {
+  const key = String(line || "").replace(/:$/, "").trim().toLowerCase();
+  return key in SECTION_ACTIVATIONS ? SECTION_ACTIVATIONS[key] : null;
+}
+
+// "Pack Tactics. The wolf has..." / "Legendary Resistance (3/Day). If..." / "Scimitar. Melee Weapon Attack: ..."
+function isTraitStart(line) {
+  const match = String(line || "").match(/^([A-Z][^.:]{0,60}?)\.\s+(\S.*)$/);
+  if (!match) return null;
+  const name = match[1].trim();
+  const words = name.replace(/\([^)]*\)/g, "").trim().split(/\s+/).filter(Boolean);
+  const titled = words.every((word, i) => /^[A-Z0-9]/.test(word) || (i > 0 && NAME_SMALL_WORDS.has(word)));
+  return titled ? { name, text: match[2].trim() } : null;
+}
+
+function isSpellListLine(line) {
+  return /^(cantrips|\d+(st|nd|rd|th) level|at will|\d+\/day)\b[^:]*:/i.test(String(line || ""));
+}
+
+// "1st level (4 slots): detect magic, magic missile" / "3/day each: fog cloud" -> spell names
+function parseSpellNames(description) {
+  return String(description || "")
+    .split("\n")
+    .filter((line) => isSpellListLine(line))
+    .flatMap((line) => line.slice(line.indexOf(":") + 1).split(","))
+    .map((name) => name.replace(/\([^)]*\)/g, "").replace(/[*†]/g, "").replace(/\.$/, "").trim())
+    .filter(Boolean)
+    .map((name) => titleCase(name));
+}
+
+function getCasterClass(spellcastingEntries) {
+  const text = spellcastingEntries.map((entry) => entry.description).join(" ").toLowerCase();
+  if (!text) return "";
+  const listClass = SPELL_CLASS_NAMES.find((name) => text.includes(`${name}'s spell list`) || text.includes(`${name} spell list`));
+  if (listClass) return titleCase(listClass);
+  const ability = Object.keys(CASTER_CLASS_BY_ABILITY).find((name) => text.includes(`spellcasting ability is ${name}`));
+  return ability ? CASTER_CLASS_BY_ABILITY[ability] : "";
+}
+
+function getAttackStyle(attacks, spells) {
+  if (spells.length) return "caster";
+  const melee = attacks.some((entry) => /\bmelee\b/i.test(entry.description));
+  const ranged = attacks.some((entry) => /\branged\b/i.test(entry.description));
+  if (melee && !ranged) return "melee";
+  if (ranged && !melee) return "ranged";
+  return "mixed";
+}
+
+// "15 (chain shirt, shield)" -> ["Chain Shirt", "Shield"]; natural armor is not an item
+function parseArmorNames(value) {
+  const match = String(value || "").match(/\(([^)]*)\)/);
+  if (!match) return [];
+  return match[1]
+    .split(",")
+    .map((name) => name.replace(/\+\d+/g, "").trim())
+    .filter((name) => name && !/natural armor|mage armor|unarmored/i.test(name))
+    .map((name) => titleCase(name));
+}
+
+function parseSkillIds(value) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.replace(/[+-]\s*\d+/g, "").trim().toLowerCase())
+    .map((entry) => SKILL_IDS[entry])
+    .filter(Boolean);
+}
+
+// "Dex +5, Wis +3" / "Strength +4" -> ["dex", "wis"] / ["str"]
+function parseSaveIds(value) {
+  return dedupe(String(value || "")
+    .split(",")
+    .map((entry) => entry.replace(/[+-]\s*\d+/g, "").trim().toLowerCase())
+    .map((entry) => ABILITY_IDS[entry])
+    .filter(Boolean));
+}
+
+// "fire; bludgeoning, piercing, and slashing from nonmagical attacks" ->
+// ["fire", "bludgeoning from nonmagical attacks", "piercing from ...", "slashing from ..."]
+function parseTraitList(value) {
+  const text = String(value || "").trim();
+  if (!text || /^-+$/.test(text)) return [];
+  return text.split(";").flatMap((group) => {
+    const [, list, qualifier] = group.trim().match(/^(.*?)((?:\s+(?:from|that|while)\b.*)?)$/i);
+    return list
+      .split(/,|\band\b/i)
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry) => `${entry}${qualifier}`.toLowerCase());
+  });
+}
+
+function parseLanguages(value) {
+  const text = String(value || "").trim();
+  if (!text || /^-+$/.test(text)) return [];
+  return text
+    .split(/[,;]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// "2 (450 XP)" / "1/2 (100 XP)" / "CR 1/4"
+function parseChallenge(value) {
+  const match = String(value || "").match(/(\d+)(?:\s*\/\s*(\d+))?/);
+  if (!match) return null;
+  return match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]);
+}
+
+function parseLeadingNumber(value) {
+  const match = String(value || "").match(/^\D*?(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+function parseSignedNumber(value) {
+  const match = String(value || "").match(/[+-]?\s*(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+function titleCase(value) {
+  return String(value || "")
+    .split(" ")
+    .map((word, i) => (i > 0 && NAME_SMALL_WORDS.has(word.toLowerCase())
+      ? word.toLowerCase()
+      : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(" ");
+}
+
+function dedupe(values) {
+  const seen = new Set();
+  return values.filter((value) => {
+    const key = String(value || "").toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
@@ -8,18 +8,24 @@
  * @param {Object} params
  * @param {string} params.archetypeOptionsHtml - Rendered archetype options
  * @param {string} params.cultureOptionsHtml - Rendered culture options
+ * @param {string} params.targetCrOptionsHtml - Rendered target CR options
  * @param {string} params.folderOptionsHtml - Rendered actor folder options
  * @param {string} params.speciesOptionsHtml - Rendered species options
  * @param {boolean} params.aiReady - Whether AI is configured for current GM client
+ * @param {boolean} params.aiTokenReady - Whether the AI provider can also generate token images
  * @param {(key:string, fallback?:string)=>string} params.i18nHtml - Escaped i18n getter
  * @returns {string}
  */
 export function buildNpcDialogContent({
   archetypeOptionsHtml,
   cultureOptionsHtml,
+  targetCrOptionsHtml,
+  factionTypeOptionsHtml,
+  locationTypeOptionsHtml,
   folderOptionsHtml,
   speciesOptionsHtml,
   aiReady,
+  aiTokenReady,
   i18nHtml
 }) {
   return `
@@ -226,6 +232,9 @@ export function buildNpcDialogContent({
         margin: 0;
         font-size: 0.82rem;
       }
+      .npc-btn-tools-strip .npc-btn-seed-field {
+        align-self: stretch;
+      }
 
       .npc-btn-panel {
         display: flex;
@@ -473,6 +482,9 @@ export function buildNpcDialogContent({
             <div class="npc-btn-tabs">
               <button type="button" data-tab="main" class="active">${i18nHtml("ui.dialog.tabMainNpc")}</button>
               <button type="button" data-tab="encounter">${i18nHtml("ui.dialog.tabEncounter")}</button>
+              <button type="button" data-tab="party">${i18nHtml("ui.dialog.tabRivalParty")}</button>
+              <button type="button" data-tab="faction">${i18nHtml("ui.dialog.tabFaction")}</button>
+              <button type="button" data-tab="location">${i18nHtml("ui.dialog.tabLocation")}</button>
               <button type="button" data-tab="shop">${i18nHtml("ui.dialog.tabShop")}</button>
               <button type="button" data-tab="loot">${i18nHtml("ui.dialog.tabLoot")}</button>
               <button type="button" data-tab="questboard" data-quest-tab-button style="display:none;">${i18nHtml("ui.dialog.tabQuestBoard")}</button>
@@ -482,6 +494,13 @@ export function buildNpcDialogContent({
               <label class="checkbox">
                 <input type="checkbox" name="useAi"> ${i18nHtml("ui.dialog.useAiOpenAi")}
               </label>
+              <label class="checkbox">
+                <input type="checkbox" name="previewBeforeCreate"> ${i18nHtml("ui.dialog.previewBeforeCreate")}
+              </label>
+              <label class="npc-btn-field npc-btn-seed-field">
+                <span>${i18nHtml("ui.dialog.fieldSeed")}</span>
+                <input type="text" name="seed" maxlength="64" placeholder="${i18nHtml("ui.dialog.seedPlaceholder")}">
+              </label>
             </div>
 
             <div class="npcx-sidebar-card">
@@ -515,6 +534,21 @@ export function buildNpcDialogContent({
                   <option value="4">${i18nHtml("ui.dialog.tier4")}</option>
                 </select>
               </label>
+              <label class="npc-btn-field" title="${i18nHtml("ui.dialog.targetCrHint")}">
+                <span>${i18nHtml("ui.dialog.fieldTargetCr")}</span>
+                <select name="targetCr">
+                  <option value="">${i18nHtml("ui.dialog.targetCrByTier")}</option>
+                  ${targetCrOptionsHtml}
+                </select>
+              </label>
+              <label class="npc-btn-field" title="${i18nHtml("ui.dialog.spellcastingHint")}">
+                <span>${i18nHtml("ui.dialog.fieldSpellcasting")}</span>
+                <select name="spellcasting">
+                  <option value="archetype">${i18nHtml("ui.dialog.spellcastingArchetype")}</option>
+                  <option value="slots">${i18nHtml("ui.dialog.spellcastingSlots")}</option>
+                  <option value="innate">${i18nHtml("ui.dialog.spellcastingInnate")}</option>
+                </select>
+              </label>
               <label class="npc-btn-field">
                 <span>${i18nHtml("ui.dialog.fieldBudget")}</span>
                 <select name="budget">
@@ -579,6 +613,7 @@ export function buildNpcDialogContent({
                 <label class="checkbox"><input type="checkbox" name="includeSecret" checked> ${i18nHtml("ui.dialog.addonSecret")}</label>
                 <label class="checkbox"><input type="checkbox" name="includeHook" checked> ${i18nHtml("ui.dialog.addonQuestHook")}</label>
                 <label class="checkbox"><input type="checkbox" name="importantNpc"> ${i18nHtml("ui.dialog.addonBoss")}</label>
+                <label class="checkbox"><input type="checkbox" name="linkRelationships"> ${i18nHtml("ui.dialog.addonRelationships")}</label>
               </div>
               <p class="npc-btn-note">${i18nHtml("ui.dialog.noteBoss")}</p>
             </section>
@@ -639,6 +674,95 @@ export function buildNpcDialogContent({
           </div>
         </div>
 
+        <div data-tab-panel="party" class="npc-btn-panel" style="display: none;">
+          <div class="npc-btn-grid">
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardRivalParty")}</h3>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldRivalPartyName")}</span>
+                <input type="text" name="rivalPartyName" maxlength="64" placeholder="${i18nHtml("ui.dialog.rivalPartyNamePlaceholder")}">
+              </label>
+              <div class="npc-btn-row">
+                <label class="npc-btn-field">
+                  <span>${i18nHtml("ui.dialog.fieldRivalPartyLevel")}</span>
+                  <input type="number" name="rivalPartyLevel" value="5" min="1" max="20">
+                </label>
+                <label class="npc-btn-field">
+                  <span>${i18nHtml("ui.dialog.fieldRivalPartySize")}</span>
+                  <input type="number" name="rivalPartySize" value="4" min="2" max="8">
+                </label>
+              </div>
+            </section>
+
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardRivalPartyNotes")}</h3>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteRivalPartyRoles")}</p>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteRivalPartyFolder")}</p>
+            </section>
+          </div>
+        </div>
+
+        <div data-tab-panel="faction" class="npc-btn-panel" style="display: none;">
+          <div class="npc-btn-grid">
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardFaction")}</h3>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldFactionType")}</span>
+                <select name="factionType">
+                  <option value="random">${i18nHtml("common.random")}</option>
+                  ${factionTypeOptionsHtml}
+                </select>
+              </label>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldFactionName")}</span>
+                <input type="text" name="factionName" maxlength="64" placeholder="${i18nHtml("ui.dialog.factionNamePlaceholder")}">
+              </label>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldFactionSize")}</span>
+                <input type="number" name="factionSize" value="8" min="3" max="20">
+              </label>
+            </section>
+
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardFactionNotes")}</h3>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteFactionRoster")}</p>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteFactionJournal")}</p>
+            </section>
+          </div>
+        </div>
+
+        <div data-tab-panel="location" class="npc-btn-panel" style="display: none;">
+          <div class="npc-btn-grid">
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardLocation")}</h3>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldLocationType")}</span>
+                <select name="locationType">
+                  <option value="random">${i18nHtml("common.random")}</option>
+                  ${locationTypeOptionsHtml}
+                </select>
+              </label>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldLocationName")}</span>
+                <input type="text" name="locationName" maxlength="64" placeholder="${i18nHtml("ui.dialog.locationNamePlaceholder")}">
+              </label>
+              <label class="npc-btn-field">
+                <span>${i18nHtml("ui.dialog.fieldLocationPatrons")}</span>
+                <input type="number" name="locationPatrons" value="3" min="0" max="10">
+              </label>
+              <div class="npc-btn-checks">
+                <label class="checkbox"><input type="checkbox" name="locationShop" checked> ${i18nHtml("ui.dialog.locationIncludeShop")}</label>
+              </div>
+            </section>
+
+            <section class="npc-btn-card">
+              <h3>${i18nHtml("ui.dialog.cardLocationNotes")}</h3>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteLocationCast")}</p>
+              <p class="npc-btn-note">${i18nHtml("ui.dialog.noteLocationShop")}</p>
+            </section>
+          </div>
+        </div>
+
         <div data-tab-panel="shop" class="npc-btn-panel" style="display: none;">
           <div class="npc-btn-grid">
             <section class="npc-btn-card">
@@ -821,7 +945,7 @@ export function buildNpcDialogContent({
                 ${i18nHtml("ui.dialog.aiFlavorText")}
               </label>
               <label class="checkbox">
-                <input type="checkbox" name="includeAiToken" ${aiReady ? "" : "disabled"}>
+                <input type="checkbox" name="includeAiToken" ${aiTokenReady ? "" : "disabled"}>
                 ${i18nHtml("ui.dialog.aiTokenImage")}
               </label>
             </div>
@@ -3,18 +3,34 @@
  * @module ui
  */
 
-import { MODULE_ID } from "./constants.js";
+import { MODULE_ID, CR_VALUES, parseCrValue, getTierForCr, formatCrLabel } from "./constants.js";
 import { DATA_CACHE, loadData } from "./data-loader.js";
 import { buildCompendiumCache, getCachedDoc, getPackIndex } from "./cache.js";
 import { t, tf } from "./i18n.js";
 import { buildNpcDialogContent } from "./ui-dialog-template.js";
-import { capitalize, pickRandom, shuffleArray, escapeHtml, randInt, toItemData, getItemPriceValue } from "./utils.js";
+import {
+  capitalize,
+  pickRandom,
+  shuffleArray,
+  escapeHtml,
+  randInt,
+  toItemData,
+  getItemPriceValue,
+  random,
+  normalizeSeed,
+  withSeededRandom,
+  pauseSeededRandom,
+  getContextFolder,
+  isSeededRandomActive,
+  getActiveSeed
+} from "./utils.js";
 import {
   getSpeciesEntries,
   getSpeciesOptions,
   buildSpeciesItem,
   applySpeciesTraitsToActor,
-  applySpeciesAdvancements
+  applySpeciesAdvancements,
+  applySpeciesAbilityScoreIncreases
 } from "./species.js";
 import {
   getAutoTier,
@@ -22,9 +38,13 @@ import {
   buildEncounterPlan,
   ensureEncounterFolder,
   ensureShopFolder,
-  ensureLootFolder
+  ensureLootFolder,
+  ensurePartyFolder,
+  ensureFactionFolder,
+  ensureLocationFolder,
+  ensureFlaggedJournalFolder
 } from "./encounter.js";
-import { generateNpc, buildActorData, buildActorDataFromAiBlueprint, getClassForArchetype } from "./npc-generator.js";
+import { generateNpc, buildActorData, buildActorDataFromAiBlueprint, getClassForArchetype, createUsedNames } from "./npc-generator.js";
 import {
   getPacks,
   cloneItemData,
@@ -33,6 +53,7 @@ import {
 } from "./items.js";
 import {
   isOpenAiConfigured,
+  isAiTokenImageSupported,
   getOpenAiMaxBatch,
   buildManualEncounterNpcPrompt,
   buildManualFullNpcPrompt,
@@ -48,7 +69,43 @@ import {
   normalizeImportedBlueprints,
   validateAndNormalizeImportedBlueprint
 } from "./import-parser.js";
+import { looksLikeTextStatblock, parseTextStatblocks } from "./statblock-parser.js";
 import { runActorCreationPipeline } from "./actor-pipeline.js";
+import { hasCrDrift } from "./cr-calculator.js";
+import { openGenerationPreviewDialog } from "./generation-preview.js";
+import { openStatblockExportDialog } from "./statblock-export.js";
+import { isBlueprintBundle, importBlueprintBundle } from "./blueprint-bundle.js";
+import {
+  PARTY_SIZE_MIN,
+  PARTY_SIZE_MAX,
+  buildPartyName,
+  planRivalPartyMembers,
+  linkPlannedPartyMembers
+} from "./rival-party.js";
+import {
+  FACTION_SIZE_MIN,
+  FACTION_SIZE_MAX,
+  getFactionTypes,
+  resolveFactionType,
+  buildFactionProfile,
+  planFactionMembers,
+  createFactionJournal
+} from "./faction.js";
+import {
+  buildRelationshipWeb,
+  getMemberRelationships,
+  applyRelationshipsToBiography,
+  buildRelationshipMapHtml
+} from "./relationships.js";
+import {
+  LOCATION_PATRONS_MIN,
+  LOCATION_PATRONS_MAX,
+  getLocationTypes,
+  resolveLocationType,
+  buildLocationProfile,
+  planLocationMembers,
+  createLocationJournal
+} from "./location.js";
 
 function i18nText(key, fallback = "") {
   return t(key, fallback);
@@ -222,6 +279,12 @@ async function applySpeciesEntryToActor(actor, speciesEntry) {
   await applySpeciesAdvancements(actor, createdItem);
 }
 
+// Player-rules scores take the species increases before the actor data (and its CR check) is built
+async function applySpeciesEntryAbilityIncreases(npc, speciesEntry) {
+  if (!speciesEntry || !npc?.abilityMethod || npc.abilityMethod === "archetype") return;
+  applySpeciesAbilityScoreIncreases(npc, await buildSpeciesItem(speciesEntry));
+}
+
 /**
  * Get actor folder options as HTML
  * @returns {string}
@@ -548,17 +611,36 @@ export async function openNpcDialog() {
     const lastSpeciesKey = getLastSpeciesKey();
     const lastOptions = getLastNpcOptions();
     const aiReady = isOpenAiConfigured();
+    const aiTokenReady = aiReady && isAiTokenImageSupported();
     const speciesEntries = Array.isArray(DATA_CACHE.speciesEntries) ? DATA_CACHE.speciesEntries : [];
     const cultureOptions = Object.keys(DATA_CACHE.names?.cultures || {})
-      .map((k) => `<option value="${escapeHtml(k)}">${escapeHtml(capitalize(k))}</option>`)
+      .map((k) => {
+        const label = DATA_CACHE.names.cultures[k]?.label || capitalize(k);
+        return `<option value="${escapeHtml(k)}">${escapeHtml(label)}</option>`;
+      })
+      .join("");
+
+    const targetCrOptions = CR_VALUES
+      .map((cr) => `<option value="${cr}">CR ${escapeHtml(formatCrLabel(cr))}</option>`)
+      .join("");
+
+    const factionTypeOptions = getFactionTypes()
+      .map((type) => `<option value="${escapeHtml(type.id)}">${escapeHtml(i18nText(`ui.faction.types.${type.id}`, type.name))}</option>`)
+      .join("");
+    const locationTypeOptions = getLocationTypes()
+      .map((type) => `<option value="${escapeHtml(type.id)}">${escapeHtml(i18nText(`ui.location.types.${type.id}`, type.name))}</option>`)
       .join("");
 
     const content = buildNpcDialogContent({
       archetypeOptionsHtml: options,
       cultureOptionsHtml: cultureOptions,
+      targetCrOptionsHtml: targetCrOptions,
+      factionTypeOptionsHtml: factionTypeOptions,
+      locationTypeOptionsHtml: locationTypeOptions,
       folderOptionsHtml: folderOptions,
       speciesOptionsHtml: speciesOptions,
       aiReady,
+      aiTokenReady,
       i18nHtml
     });
 
@@ -642,6 +724,21 @@ export async function openNpcDialog() {
           createAiButton.text(i18nText("ui.dialog.buttonCreateAiEncounter"));
           return;
         }
+        if (mode === "party") {
+          createButton.text(i18nText("ui.dialog.buttonCreateRivalParty"));
+          createAiButton.text(i18nText("ui.dialog.buttonCreateAiNpc"));
+          return;
+        }
+        if (mode === "faction") {
+          createButton.text(i18nText("ui.dialog.buttonCreateFaction"));
+          createAiButton.text(i18nText("ui.dialog.buttonCreateAiNpc"));
+          return;
+        }
+        if (mode === "location") {
+          createButton.text(i18nText("ui.dialog.buttonCreateLocation"));
+          createAiButton.text(i18nText("ui.dialog.buttonCreateAiNpc"));
+          return;
+        }
         if (mode === "shop") {
           createButton.text(i18nText("ui.dialog.buttonCreateShop"));
           createAiButton.text(i18nText("ui.dialog.buttonCreateAiNpc"));
@@ -669,6 +766,8 @@ export async function openNpcDialog() {
       }
       if (lastOptions) {
         if (lastOptions.tier) form.find("select[name='tier']").val(String(lastOptions.tier));
+        if (lastOptions.targetCr !== undefined) form.find("select[name='targetCr']").val(String(lastOptions.targetCr));
+        if (lastOptions.spellcasting) form.find("select[name='spellcasting']").val(String(lastOptions.spellcasting));
         if (lastOptions.budget) form.find("select[name='budget']").val(String(lastOptions.budget));
         if (lastOptions.culture) form.find("select[name='culture']").val(String(lastOptions.culture));
         if (lastOptions.gender) form.find("select[name='gender']").val(String(lastOptions.gender));
@@ -682,6 +781,17 @@ export async function openNpcDialog() {
         if (lastOptions.partyLevel) form.find("input[name='partyLevel']").val(Number(lastOptions.partyLevel));
         if (lastOptions.partySize) form.find("input[name='partySize']").val(Number(lastOptions.partySize));
         if (lastOptions.count) form.find("input[name='count']").val(Number(lastOptions.count));
+        if (lastOptions.rivalPartyLevel) form.find("input[name='rivalPartyLevel']").val(Number(lastOptions.rivalPartyLevel));
+        if (lastOptions.rivalPartySize) form.find("input[name='rivalPartySize']").val(Number(lastOptions.rivalPartySize));
+        if (lastOptions.factionType) form.find("select[name='factionType']").val(String(lastOptions.factionType));
+        if (lastOptions.factionSize) form.find("input[name='factionSize']").val(Number(lastOptions.factionSize));
+        if (lastOptions.locationType) form.find("select[name='locationType']").val(String(lastOptions.locationType));
+        if (lastOptions.locationPatrons !== undefined) {
+          form.find("input[name='locationPatrons']").val(Number(lastOptions.locationPatrons));
+        }
+        if (typeof lastOptions.locationShop === "boolean") {
+          form.find("input[name='locationShop']").prop("checked", lastOptions.locationShop);
+        }
         if (lastOptions.encounterDifficulty) {
           form.find("select[name='encounterDifficulty']").val(String(lastOptions.encounterDifficulty));
         }
@@ -727,6 +837,12 @@ export async function openNpcDialog() {
         if (typeof lastOptions.importantNpc === "boolean") {
           form.find("input[name='importantNpc']").prop("checked", lastOptions.importantNpc);
         }
+        if (typeof lastOptions.linkRelationships === "boolean") {
+          form.find("input[name='linkRelationships']").prop("checked", lastOptions.linkRelationships);
+        }
+        if (typeof lastOptions.previewBeforeCreate === "boolean") {
+          form.find("input[name='previewBeforeCreate']").prop("checked", lastOptions.previewBeforeCreate);
+        }
         if (typeof lastOptions.useAi === "boolean") {
           form.find("input[name='useAi']").prop("checked", lastOptions.useAi);
         } else if (
@@ -740,11 +856,11 @@ export async function openNpcDialog() {
           form.find("input[name='includeAiFlavor']").prop("checked", lastOptions.includeAiFlavor && aiReady);
         }
         if (typeof lastOptions.includeAiToken === "boolean") {
-          form.find("input[name='includeAiToken']").prop("checked", lastOptions.includeAiToken && aiReady);
+          form.find("input[name='includeAiToken']").prop("checked", lastOptions.includeAiToken && aiTokenReady);
         }
         if (lastOptions.encounterMode) {
           const mode = String(lastOptions.encounterMode);
-          if (["main", "encounter", "shop", "loot", "questboard"].includes(mode)) {
+          if (["main", "encounter", "party", "faction", "location", "shop", "loot", "questboard"].includes(mode)) {
             showTab(mode);
           }
         }
@@ -772,6 +888,8 @@ export async function openNpcDialog() {
       const readChecked = (name) => !!form.find(`input[name='${name}']`).prop("checked");
       const collectDialogOptions = () => ({
         tier: String(form.find("select[name='tier']").val() || "auto"),
+        targetCr: String(form.find("select[name='targetCr']").val() || ""),
+        spellcasting: String(form.find("select[name='spellcasting']").val() || "archetype"),
         budget: String(form.find("select[name='budget']").val() || "normal"),
         culture: String(form.find("select[name='culture']").val() || "random"),
         gender: String(form.find("select[name='gender']").val() || "random"),
@@ -782,6 +900,13 @@ export async function openNpcDialog() {
         partyLevel: Math.max(1, Math.min(20, Number(form.find("input[name='partyLevel']").val()) || 3)),
         partySize: Math.max(1, Math.min(8, Number(form.find("input[name='partySize']").val()) || 4)),
         encounterDifficulty: String(form.find("select[name='encounterDifficulty']").val() || "medium"),
+        rivalPartyLevel: Math.max(1, Math.min(20, Number(form.find("input[name='rivalPartyLevel']").val()) || 5)),
+        rivalPartySize: Math.max(2, Math.min(8, Number(form.find("input[name='rivalPartySize']").val()) || 4)),
+        factionType: String(form.find("select[name='factionType']").val() || "random"),
+        factionSize: Math.max(3, Math.min(20, Number(form.find("input[name='factionSize']").val()) || 8)),
+        locationType: String(form.find("select[name='locationType']").val() || "random"),
+        locationPatrons: clampRangeValue(form.find("input[name='locationPatrons']").val(), 0, 10, 3),
+        locationShop: readChecked("locationShop"),
         encounterMode: String(encounterModeInput.val() || "main"),
         shopType: String(form.find("select[name='shopType']").val() || "market"),
         shopCount: Math.max(1, Math.min(60, Number(form.find("input[name='shopCount']").val()) || 12)),
@@ -805,7 +930,8 @@ export async function openNpcDialog() {
         includeHook: readChecked("includeHook"),
         includeAiFlavor: !!includeAiFlavorInput.prop("checked"),
         includeAiToken: !!includeAiTokenInput.prop("checked"),
-        importantNpc: readChecked("importantNpc")
+        importantNpc: readChecked("importantNpc"),
+        linkRelationships: readChecked("linkRelationships")
       });
       const persistDialogOptionsNow = () => {
         setLastNpcOptions(collectDialogOptions());
@@ -983,19 +1109,7 @@ export async function openNpcDialog() {
       form.find("[data-action='quest-import-json']").on("click", () => {
         openImportQuestBoardJsonDialog({
           onImport: async (payload) => {
-            const normalized = normalizeImportedQuestBoardPayload(payload, collectQuestBoardPromptContext(form));
-            if (!normalized) {
-              throw new Error(i18nText("ui.quest.errorImportInvalidShape"));
-            }
-            const journal = await createQuestBoardJournal(normalized);
-            if (journal) {
-              ui.notifications?.info(
-                i18nFormat("ui.quest.infoBoardCreated", {
-                  name: journal.name || i18nText("common.unnamed"),
-                  count: normalized.quests.length
-                })
-              );
-            }
+            await createQuestBoard({ ...collectQuestBoardPromptContext(form), payload });
           }
         });
       });
@@ -1008,7 +1122,7 @@ export async function openNpcDialog() {
         let shopMode = mode === "shop";
         let lootMode = mode === "loot";
         let questMode = mode === "questboard";
-        let nonNpcMode = shopMode || lootMode;
+        let nonNpcMode = shopMode || lootMode || ["party", "faction", "location"].includes(mode);
         const questTabVisible = useAi;
         questTabButton.css("display", questTabVisible ? "block" : "none");
         if (!questTabVisible && questMode) {
@@ -1057,10 +1171,8 @@ export async function openNpcDialog() {
           createAiButton.attr("title", "");
         }
       };
-      if (!aiReady) {
-        includeAiFlavorInput.prop("disabled", true);
-        includeAiTokenInput.prop("disabled", true);
-      }
+      if (!aiReady) includeAiFlavorInput.prop("disabled", true);
+      if (!aiTokenReady) includeAiTokenInput.prop("disabled", true);
       useAiToggle.on("change", () => {
         updateAiUi();
         persistDialogOptions();
@@ -1090,6 +1202,8 @@ export async function openNpcDialog() {
         "change input",
         [
           "select[name='tier']",
+          "select[name='targetCr']",
+          "select[name='spellcasting']",
           "select[name='budget']",
           "select[name='culture']",
           "select[name='gender']",
@@ -1108,6 +1222,13 @@ export async function openNpcDialog() {
           "select[name='shopFolder']",
           "input[name='partyLevel']",
           "input[name='partySize']",
+          "input[name='rivalPartyLevel']",
+          "input[name='rivalPartySize']",
+          "select[name='factionType']",
+          "input[name='factionSize']",
+          "select[name='locationType']",
+          "input[name='locationPatrons']",
+          "input[name='locationShop']",
           "input[name='count']",
           "input[name='shopCount']",
           "input[name='lootCount']",
@@ -1116,6 +1237,7 @@ export async function openNpcDialog() {
           "input[name='includeSecret']",
           "input[name='includeHook']",
           "input[name='importantNpc']",
+          "input[name='linkRelationships']",
           "input[name='shopAllowMagic']",
           "input[name='lootAllowMagic']",
           "input[name='lootIncludeCoins']",
@@ -1160,20 +1282,14 @@ export async function openNpcDialog() {
  */
 export async function createNpcFromForm(formData, options = {}) {
   try {
-    await loadData();
-
     const useAiRequested = formData.get("useAi") === "on";
     const useAiFullRequested = options?.aiFull === true;
-    const useAiFull = useAiRequested && useAiFullRequested;
 
     const encounterMode = String(formData.get("encounterMode") || "main");
     const tierInput = formData.get("tier");
-    const tier = tierInput === "auto" ? getAutoTier() : Number(tierInput);
     const cultureInput = formData.get("culture");
     const genderInput = normalizeGenderOption(formData.get("gender"));
     const archetypeInput = formData.get("archetype");
-    const folderInput = String(formData.get("folder") || "").trim() || null;
-    let folderId = folderInput;
     const encounterSpeciesKey = String(formData.get("encounterSpecies") || "random");
     const encounterArchetypeKey = String(formData.get("encounterArchetype") || "random");
     const partyLevelInput = Number(formData.get("partyLevel") || 3);
@@ -1195,6 +1311,8 @@ export async function createNpcFromForm(formData, options = {}) {
     const lootUniqOnly = formData.get("lootUniqOnly") === "on";
     setLastNpcOptions({
       tier: String(tierInput || "auto"),
+      targetCr: String(formData.get("targetCr") || ""),
+      spellcasting: String(formData.get("spellcasting") || "archetype"),
       budget: String(formData.get("budget") || "normal"),
       culture: String(cultureInput || "random"),
       gender: genderInput,
@@ -1205,6 +1323,13 @@ export async function createNpcFromForm(formData, options = {}) {
       partyLevel: partyLevelInput,
       partySize: partySizeInput,
       encounterDifficulty,
+      rivalPartyLevel: clampRangeValue(formData.get("rivalPartyLevel"), 1, 20, 5),
+      rivalPartySize: clampRangeValue(formData.get("rivalPartySize"), PARTY_SIZE_MIN, PARTY_SIZE_MAX, 4),
+      factionType: String(formData.get("factionType") || "random"),
+      factionSize: clampRangeValue(formData.get("factionSize"), FACTION_SIZE_MIN, FACTION_SIZE_MAX, 8),
+      locationType: String(formData.get("locationType") || "random"),
+      locationPatrons: clampRangeValue(formData.get("locationPatrons"), LOCATION_PATRONS_MIN, LOCATION_PATRONS_MAX, 3),
+      locationShop: formData.get("locationShop") === "on",
       encounterMode,
       shopType,
       shopBudget,
@@ -1227,7 +1352,9 @@ export async function createNpcFromForm(formData, options = {}) {
       includeAiFlavor: formData.get("includeAiFlavor") === "on",
       includeAiToken: formData.get("includeAiToken") === "on",
       includeAiFull: useAiFullRequested,
-      importantNpc: formData.get("importantNpc") === "on"
+      importantNpc: formData.get("importantNpc") === "on",
+      linkRelationships: formData.get("linkRelationships") === "on",
+      previewBeforeCreate: formData.get("previewBeforeCreate") === "on"
     });
 
     if (encounterMode === "shop") {
@@ -1238,127 +1365,280 @@ export async function createNpcFromForm(formData, options = {}) {
       await createLootFromForm(formData);
       return;
     }
-
-    if (!DATA_CACHE.archetypes?.length) {
-      ui.notifications?.error(i18nText("ui.errorNoArchetypes"));
+    if (encounterMode === "party") {
+      await createRivalPartyFromForm(formData);
       return;
     }
-    let countInput = Math.max(1, Math.min(50, Number(formData.get("count")) || 1));
-    const budgetInput = String(formData.get("budget") || "normal");
-    const speciesKeyInput = String(formData.get("species") || "random");
-    let speciesList = DATA_CACHE.speciesEntries || [];
-    if (!speciesList.length) {
-      speciesList = await getSpeciesEntries();
-    }
-    const fixedSpecies =
-      speciesKeyInput !== "random"
-        ? speciesList.find((entry) => entry.key === speciesKeyInput)
-        : null;
-    const fixedEncounterSpecies =
-      encounterSpeciesKey !== "random"
-        ? speciesList.find((entry) => entry.key === encounterSpeciesKey)
-        : null;
-    setLastSpeciesKey(fixedSpecies?.key || "");
-    if (!fixedSpecies && !speciesList.length) {
-      ui.notifications?.warn(i18nText("ui.warnNoRaceEntries"));
-    }
-    const includeLoot = formData.get("includeLoot") === "on";
-    const includeSecret = formData.get("includeSecret") === "on";
-    const includeHook = formData.get("includeHook") === "on";
-    const includeAiFlavor = useAiRequested && formData.get("includeAiFlavor") === "on";
-    const includeAiToken = useAiRequested && formData.get("includeAiToken") === "on";
-    const manualImportant = formData.get("importantNpc") === "on";
-    const aiReady = isOpenAiConfigured();
-
-    if (useAiFullRequested && !useAiRequested) {
-      ui.notifications?.warn(i18nText("ui.warnEnableUseAiFirst"));
+    if (encounterMode === "faction") {
+      await createFactionFromForm(formData);
       return;
     }
-
-    if (useAiFull && !aiReady) {
-      ui.notifications?.warn(
-        i18nText("ui.warnAiFullRequiresApiKey")
-      );
+    if (encounterMode === "location") {
+      await createLocationFromForm(formData);
       return;
     }
 
-    if (encounterMode === "encounter") {
-      countInput = Math.max(
-        1,
-        Math.min(
-          50,
-          buildEncounterCount({
-            partyLevel: partyLevelInput,
-            partySize: partySizeInput,
-            difficulty: encounterDifficulty
-          })
-        )
-      );
-      folderId = await ensureEncounterFolder();
-    }
-    setLastFolderId(folderId);
-
-    const encounterPlan =
-      encounterMode === "encounter"
-        ? buildEncounterPlan(countInput, {
-            partyLevel: partyLevelInput,
-            partySize: partySizeInput,
-            difficulty: encounterDifficulty
-          })
-        : null;
-
-    const planned = [];
-    const usedNames = new Set();
-    const aiFullMaxBatch = useAiFull ? getOpenAiMaxBatch() : 0;
-    let aiFullApplied = 0;
-    let aiFullFailed = 0;
-    let aiFullSkipped = 0;
-    let archetypePool = shuffleArray(DATA_CACHE.archetypes);
-    const planningProgress = createProgressReporter({
-      label: i18nText("ui.progress.npcPlanning", "NPC: planning generation"),
-      total: countInput
+    await createNpcs({
+      mode: encounterMode,
+      count: formData.get("count"),
+      tier: tierInput,
+      cr: formData.get("targetCr"),
+      spellcasting: formData.get("spellcasting"),
+      archetype: archetypeInput,
+      culture: cultureInput,
+      gender: genderInput,
+      species: formData.get("species"),
+      budget: formData.get("budget"),
+      folder: formData.get("folder"),
+      encounterSpecies: encounterSpeciesKey,
+      encounterArchetype: encounterArchetypeKey,
+      partyLevel: partyLevelInput,
+      partySize: partySizeInput,
+      encounterDifficulty,
+      includeLoot: formData.get("includeLoot") === "on",
+      includeSecret: formData.get("includeSecret") === "on",
+      includeHook: formData.get("includeHook") === "on",
+      importantNpc: formData.get("importantNpc") === "on",
+      relationships: formData.get("linkRelationships") === "on",
+      useAi: useAiRequested,
+      aiFull: useAiFullRequested,
+      includeAiFlavor: formData.get("includeAiFlavor") === "on",
+      includeAiToken: formData.get("includeAiToken") === "on",
+      seed: formData.get("seed"),
+      preview: formData.get("previewBeforeCreate") === "on",
+      rememberSelection: true
     });
-    for (let i = 0; i < countInput; i++) {
-      try {
-        const encounterPool =
-          encounterMode === "encounter" && encounterArchetypeKey !== "random"
-            ? DATA_CACHE.archetypes.filter((a) => a.id === encounterArchetypeKey)
-            : null;
-        const useRandomArchetype = encounterMode === "encounter"
-          ? encounterArchetypeKey === "random"
-          : archetypeInput === "random";
-        if (encounterMode === "encounter" && encounterPool && encounterPool.length) {
-          if (!archetypePool.length || archetypePool.some((a) => !encounterPool.includes(a))) {
-            archetypePool = shuffleArray(encounterPool);
-          }
-        }
-        if (useRandomArchetype && !archetypePool.length) {
-          archetypePool = shuffleArray(encounterPool && encounterPool.length ? encounterPool : DATA_CACHE.archetypes);
+  } catch (err) {
+    console.error("NPC Button: Failed to create NPC(s).", err);
+    ui.notifications?.error(i18nText("ui.errorCreateNpcFailed"));
+  }
+}
+
+/**
+ * Generate and create NPC actors from plain options (main NPC or encounter mode)
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.mode] - "main" or "encounter"
+ * @param {number} [options.count] - NPC count for main mode (1-50)
+ * @param {number|string} [options.tier] - Tier 1-4 or "auto"
+ * @param {number|string} [options.cr] - Explicit target CR 0-30 ("1/4" style allowed); overrides the tier
+ * @param {string} [options.spellcasting] - "archetype" (default), "slots" or "innate" for caster NPCs
+ * @param {string} [options.abilityMethod] - archetype, standard, pointbuy or roll (default: ability method setting)
+ * @param {string} [options.archetype] - Archetype id or "random"
+ * @param {string} [options.culture] - Culture key or "random"
+ * @param {string} [options.gender] - "male", "female" or "random"
+ * @param {string} [options.species] - Species key or "random"
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {string} [options.folder] - Actor folder id (main mode)
+ * @param {string} [options.encounterSpecies] - Species key or "random" (encounter mode)
+ * @param {string} [options.encounterArchetype] - Archetype id or "random" (encounter mode)
+ * @param {number} [options.partyLevel] - Party level (encounter mode)
+ * @param {number} [options.partySize] - Party size (encounter mode)
+ * @param {string} [options.encounterDifficulty] - easy, medium, hard or deadly
+ * @param {boolean} [options.includeLoot] - Add loot to NPC inventory
+ * @param {boolean} [options.includeSecret] - Generate a secret
+ * @param {boolean} [options.includeHook] - Generate a plot hook
+ * @param {boolean} [options.importantNpc] - Boss flag (main mode)
+ * @param {boolean} [options.relationships] - Link the created NPCs with a relationship web and a relationship map journal
+ * @param {boolean} [options.useAi] - Allow AI features
+ * @param {boolean} [options.aiFull] - Generate full NPC blueprints via OpenAI
+ * @param {boolean} [options.includeAiFlavor] - Rewrite flavor text via OpenAI
+ * @param {boolean} [options.includeAiToken] - Generate token images via OpenAI (other providers skip this)
+ * @param {boolean} [options.rememberSelection] - Persist folder/species as dialog defaults
+ * @param {string} [options.seed] - Seed for reproducible local generation (empty = random)
+ * @param {boolean} [options.preview] - Show a reroll/drop preview before creating actors
+ * @returns {Promise<Actor[]>} Created actors
+ */
+export async function createNpcs(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateNpcs(options));
+}
+
+async function runCreateNpcs(options) {
+  await loadData();
+
+  const useAiRequested = options.useAi === true;
+  const useAiFullRequested = options.aiFull === true;
+  const useAiFull = useAiRequested && useAiFullRequested;
+  const rememberSelection = options.rememberSelection === true;
+
+  const encounterMode = options.mode === "encounter" ? "encounter" : "main";
+  const tierInput = String(options.tier ?? "auto");
+  const tier = tierInput === "auto" ? getAutoTier() : clampRangeValue(tierInput, 1, 4, 1);
+  const targetCr = parseCrValue(options.cr);
+  const spellcastingInput = String(options.spellcasting || "archetype");
+  const abilityMethodInput = options.abilityMethod ? String(options.abilityMethod) : undefined;
+  const cultureInput = String(options.culture || "random");
+  const genderInput = normalizeGenderOption(options.gender);
+  const archetypeInput = String(options.archetype || "random");
+  let folderId = String(options.folder || "").trim() || null;
+  const encounterSpeciesKey = String(options.encounterSpecies || "random");
+  const encounterArchetypeKey = String(options.encounterArchetype || "random");
+  const partyLevelInput = clampRangeValue(options.partyLevel, 1, 20, 3);
+  const partySizeInput = clampRangeValue(options.partySize, 1, 8, 4);
+  const encounterDifficulty = String(options.encounterDifficulty || "medium");
+
+  if (!DATA_CACHE.archetypes?.length) {
+    ui.notifications?.error(i18nText("ui.errorNoArchetypes"));
+    return [];
+  }
+  let countInput = clampRangeValue(options.count, 1, 50, 1);
+  const budgetInput = normalizeBudgetOption(options.budget);
+  const speciesKeyInput = String(options.species || "random");
+  let speciesList = DATA_CACHE.speciesEntries || [];
+  if (!speciesList.length) {
+    speciesList = await getSpeciesEntries();
+  }
+  const fixedSpecies =
+    speciesKeyInput !== "random"
+      ? speciesList.find((entry) => entry.key === speciesKeyInput)
+      : null;
+  const fixedEncounterSpecies =
+    encounterSpeciesKey !== "random"
+      ? speciesList.find((entry) => entry.key === encounterSpeciesKey)
+      : null;
+  if (rememberSelection) setLastSpeciesKey(fixedSpecies?.key || "");
+  if (!fixedSpecies && !speciesList.length) {
+    ui.notifications?.warn(i18nText("ui.warnNoRaceEntries"));
+  }
+  const includeLoot = options.includeLoot === true;
+  const includeSecret = options.includeSecret === true;
+  const includeHook = options.includeHook === true;
+  const includeAiFlavor = useAiRequested && options.includeAiFlavor === true;
+  const includeAiToken = useAiRequested && options.includeAiToken === true;
+  const manualImportant = options.importantNpc === true;
+  const linkRelationships = options.relationships === true;
+  const previewBeforeCreate = options.preview === true;
+  const aiReady = isOpenAiConfigured();
+
+  if (useAiFullRequested && !useAiRequested) {
+    ui.notifications?.warn(i18nText("ui.warnEnableUseAiFirst"));
+    return [];
+  }
+
+  if (useAiFull && !aiReady) {
+    ui.notifications?.warn(
+      i18nText("ui.warnAiFullRequiresApiKey")
+    );
+    return [];
+  }
+
+  if (encounterMode === "encounter") {
+    countInput = Math.max(
+      1,
+      Math.min(
+        50,
+        buildEncounterCount({
+          partyLevel: partyLevelInput,
+          partySize: partySizeInput,
+          difficulty: encounterDifficulty
+        })
+      )
+    );
+  }
+
+  const encounterPlan =
+    encounterMode === "encounter"
+      ? buildEncounterPlan(countInput, {
+          partyLevel: partyLevelInput,
+          partySize: partySizeInput,
+          difficulty: encounterDifficulty
+        })
+      : null;
+
+  const planned = [];
+  const usedNames = createUsedNames();
+  const aiFullMaxBatch = useAiFull ? getOpenAiMaxBatch() : 0;
+  let aiFullApplied = 0;
+  let aiFullFailed = 0;
+  let aiFullSkipped = 0;
+  let archetypePool = shuffleArray(DATA_CACHE.archetypes);
+  const planningProgress = createProgressReporter({
+    label: i18nText("ui.progress.npcPlanning", "NPC: planning generation"),
+    total: countInput
+  });
+  for (let i = 0; i < countInput; i++) {
+    try {
+      const encounterPool =
+        encounterMode === "encounter" && encounterArchetypeKey !== "random"
+          ? DATA_CACHE.archetypes.filter((a) => a.id === encounterArchetypeKey)
+          : null;
+      const useRandomArchetype = encounterMode === "encounter"
+        ? encounterArchetypeKey === "random"
+        : archetypeInput === "random";
+      if (encounterMode === "encounter" && encounterPool && encounterPool.length) {
+        if (!archetypePool.length || archetypePool.some((a) => !encounterPool.includes(a))) {
+          archetypePool = shuffleArray(encounterPool);
         }
-        const archetype = useRandomArchetype
-          ? archetypePool.shift()
-          : encounterMode === "encounter"
-            ? (encounterPool?.[0] || DATA_CACHE.archetypes.find((a) => a.id === encounterArchetypeKey))
-            : DATA_CACHE.archetypes.find((a) => a.id === archetypeInput);
-        const resolvedArchetype = archetype || DATA_CACHE.archetypes[0];
-
-        const culture =
-          cultureInput === "random"
-            ? pickRandom(Object.keys(DATA_CACHE.names.cultures))
-            : cultureInput;
-        const gender = genderInput === "random" ? pickRandom(["male", "female"]) : genderInput;
-
-        const speciesEntry =
-          (encounterMode === "encounter" ? fixedEncounterSpecies : fixedSpecies) ||
-          (speciesList.length ? pickRandom(speciesList) : null);
-        const hasFixedSpecies = encounterMode === "encounter" ? !!fixedEncounterSpecies : !!fixedSpecies;
-        const speciesName = speciesEntry?.name || "Unknown";
-
-        const plannedTier = encounterPlan?.[i]?.tier ?? tier;
-        const importantNpc = encounterPlan?.[i]?.importantNpc ?? manualImportant;
-        const localGenerated = generateNpc({
+      }
+      if (useRandomArchetype && !archetypePool.length) {
+        archetypePool = shuffleArray(encounterPool && encounterPool.length ? encounterPool : DATA_CACHE.archetypes);
+      }
+      const archetype = useRandomArchetype
+        ? archetypePool.shift()
+        : encounterMode === "encounter"
+          ? (encounterPool?.[0] || DATA_CACHE.archetypes.find((a) => a.id === encounterArchetypeKey))
+          : DATA_CACHE.archetypes.find((a) => a.id === archetypeInput);
+      const resolvedArchetype = archetype || DATA_CACHE.archetypes[0];
+
+      const culture =
+        cultureInput === "random"
+          ? pickRandom(Object.keys(DATA_CACHE.names.cultures))
+          : cultureInput;
+      const gender = genderInput === "random" ? pickRandom(["male", "female"]) : genderInput;
+
+      const speciesEntry =
+        (encounterMode === "encounter" ? fixedEncounterSpecies : fixedSpecies) ||
+        (speciesList.length ? pickRandom(speciesList) : null);
+      const hasFixedSpecies = encounterMode === "encounter" ? !!fixedEncounterSpecies : !!fixedSpecies;
+      const speciesName = speciesEntry?.name || "Unknown";
+
+      // Encounter plans set their own CR; otherwise an explicit target CR overrides the tier
+      const plannedCr = encounterPlan ? (encounterPlan[i]?.cr ?? null) : targetCr;
+      const plannedTier = plannedCr !== null ? getTierForCr(plannedCr) : (encounterPlan?.[i]?.tier ?? tier);
+      const importantNpc = encounterPlan?.[i]?.importantNpc ?? manualImportant;
+      const localGenerated = generateNpc({
+        tier: plannedTier,
+        cr: plannedCr,
+        archetype: resolvedArchetype,
+        culture,
+        gender,
+        race: speciesName,
+        budget: budgetInput,
+        includeLoot,
+        includeSecret,
+        includeHook,
+        importantNpc,
+        usedNames,
+        spellcasting: spellcastingInput,
+        abilityMethod: abilityMethodInput
+      });
+      const slot = {
+        tier: plannedTier,
+        cr: plannedCr,
+        spellcasting: spellcastingInput,
+        abilityMethod: abilityMethodInput,
+        importantNpc,
+        archetype: useRandomArchetype ? null : resolvedArchetype,
+        archetypePool: encounterPool?.length ? encounterPool : DATA_CACHE.archetypes,
+        culture: cultureInput === "random" ? null : culture,
+        gender: genderInput === "random" ? null : gender,
+        speciesEntry: hasFixedSpecies ? speciesEntry : null
+      };
+
+      if (!useAiFull) {
+        planned.push({ generated: localGenerated, speciesEntry, generationMode: "local", slot });
+        continue;
+      }
+
+      if (i >= aiFullMaxBatch) {
+        aiFullSkipped += 1;
+        planned.push({ generated: localGenerated, speciesEntry, generationMode: "local", slot });
+        continue;
+      }
+
+      try {
+        const aiGenerated = await generateFullNpcWithOpenAi({
           tier: plannedTier,
-          archetype: resolvedArchetype,
+          targetCr: plannedCr === null ? "" : formatCrLabel(plannedCr),
           culture,
           gender,
           race: speciesName,
@@ -1367,218 +1647,811 @@ export async function createNpcFromForm(formData, options = {}) {
           includeSecret,
           includeHook,
           importantNpc,
-          usedNames
+          encounterDifficulty,
+          archetypeName: resolvedArchetype?.name || "",
+          attackStyle: resolvedArchetype?.attackStyle || "",
+          archetypeTags: Array.isArray(resolvedArchetype?.tags) ? resolvedArchetype.tags : [],
+          allowedSkillIds: Object.keys(CONFIG?.DND5E?.skills || {})
         });
 
-        if (!useAiFull) {
-          planned.push({ generated: localGenerated, speciesEntry, generationMode: "local" });
+        if (!aiGenerated || typeof aiGenerated !== "object") {
+          aiFullFailed += 1;
+          planned.push({ generated: localGenerated, speciesEntry, generationMode: "local", slot });
           continue;
         }
 
-        if (i >= aiFullMaxBatch) {
-          aiFullSkipped += 1;
-          planned.push({ generated: localGenerated, speciesEntry, generationMode: "local" });
-          continue;
+        aiGenerated.includeLoot = includeLoot;
+        aiGenerated.includeSecret = includeSecret;
+        aiGenerated.includeHook = includeHook;
+        aiGenerated.importantNpc = importantNpc;
+        aiGenerated.budget = aiGenerated.budget || budgetInput;
+        aiGenerated.tier = Number(aiGenerated.tier || plannedTier) || plannedTier;
+
+        const aiSpeciesEntry = findSpeciesEntryByRace(speciesList, aiGenerated.race);
+        const finalSpeciesEntry = aiSpeciesEntry || (hasFixedSpecies ? speciesEntry : null);
+        if (!aiGenerated.race && finalSpeciesEntry?.name) {
+          aiGenerated.race = finalSpeciesEntry.name;
         }
 
-        try {
-          const aiGenerated = await generateFullNpcWithOpenAi({
-            tier: plannedTier,
-            culture,
-            gender,
-            race: speciesName,
-            budget: budgetInput,
-            includeLoot,
-            includeSecret,
-            includeHook,
-            importantNpc,
-            encounterDifficulty,
-            archetypeName: resolvedArchetype?.name || "",
-            attackStyle: resolvedArchetype?.attackStyle || "",
-            archetypeTags: Array.isArray(resolvedArchetype?.tags) ? resolvedArchetype.tags : [],
-            allowedSkillIds: Object.keys(CONFIG?.DND5E?.skills || {})
-          });
-
-          if (!aiGenerated || typeof aiGenerated !== "object") {
-            aiFullFailed += 1;
-            planned.push({ generated: localGenerated, speciesEntry, generationMode: "local" });
-            continue;
-          }
-
-          aiGenerated.includeLoot = includeLoot;
-          aiGenerated.includeSecret = includeSecret;
-          aiGenerated.includeHook = includeHook;
-          aiGenerated.importantNpc = importantNpc;
-          aiGenerated.budget = aiGenerated.budget || budgetInput;
-          aiGenerated.tier = Number(aiGenerated.tier || plannedTier) || plannedTier;
-
-          const aiSpeciesEntry = findSpeciesEntryByRace(speciesList, aiGenerated.race);
-          const finalSpeciesEntry = aiSpeciesEntry || (hasFixedSpecies ? speciesEntry : null);
-          if (!aiGenerated.race && finalSpeciesEntry?.name) {
-            aiGenerated.race = finalSpeciesEntry.name;
-          }
-
-          aiFullApplied += 1;
-          planned.push({ generated: aiGenerated, speciesEntry: finalSpeciesEntry, generationMode: "ai-full" });
-        } catch (err) {
-          aiFullFailed += 1;
-          console.warn(`NPC Button: OpenAI full NPC generation failed for slot ${i + 1}.`, err);
-          planned.push({ generated: localGenerated, speciesEntry, generationMode: "local" });
-        }
-      } finally {
-        planningProgress.tick();
+        aiFullApplied += 1;
+        planned.push({
+          generated: aiGenerated,
+          speciesEntry: finalSpeciesEntry,
+          generationMode: "ai-full",
+          provenance: { archetypeId: resolvedArchetype?.id, gender }
+        });
+      } catch (err) {
+        aiFullFailed += 1;
+        console.warn(`NPC Button: OpenAI full NPC generation failed for slot ${i + 1}.`, err);
+        planned.push({ generated: localGenerated, speciesEntry, generationMode: "local", slot });
       }
+    } finally {
+      planningProgress.tick();
+    }
+  }
+  planningProgress.finish();
+
+  if (useAiFull) {
+    if (aiFullApplied) {
+      ui.notifications?.info(i18nFormat("ui.infoAiFullGenerated", { count: aiFullApplied }));
+    }
+    if (aiFullFailed) {
+      ui.notifications?.warn(
+        i18nFormat("ui.warnAiFullFailedFallback", { count: aiFullFailed })
+      );
+    }
+    if (aiFullSkipped) {
+      ui.notifications?.info(
+        i18nFormat("ui.infoAiFullSkippedByBatch", { count: aiFullSkipped })
+      );
     }
-    planningProgress.finish();
+  }
 
-    if (useAiFull) {
-      if (aiFullApplied) {
-        ui.notifications?.info(i18nFormat("ui.infoAiFullGenerated", { count: aiFullApplied }));
+  if (!useAiFull && includeAiFlavor) {
+    if (!aiReady) {
+      ui.notifications?.warn(
+        i18nText("ui.warnAiFlavorSkippedNotConfigured")
+      );
+    } else {
+      const aiResult = await applyOpenAiFlavorToPlanned(planned);
+      if (aiResult.applied) {
+        ui.notifications?.info(i18nFormat("ui.infoAiFlavorApplied", { count: aiResult.applied }));
       }
-      if (aiFullFailed) {
+      if (aiResult.failed) {
         ui.notifications?.warn(
-          i18nFormat("ui.warnAiFullFailedFallback", { count: aiFullFailed })
+          i18nFormat("ui.warnAiFlavorFailedFallback", { count: aiResult.failed })
         );
       }
-      if (aiFullSkipped) {
+      if (aiResult.skipped) {
         ui.notifications?.info(
-          i18nFormat("ui.infoAiFullSkippedByBatch", { count: aiFullSkipped })
+          i18nFormat("ui.infoAiFlavorSkippedByBatch", { count: aiResult.skipped })
         );
       }
     }
+  }
 
-    if (!useAiFull && includeAiFlavor) {
-      if (!aiReady) {
+  if (includeAiToken) {
+    if (!aiReady) {
+      ui.notifications?.warn(
+        i18nText("ui.warnAiTokenSkippedNotConfigured")
+      );
+    } else if (!isAiTokenImageSupported()) {
+      ui.notifications?.warn(i18nText("ui.warnAiTokenUnsupportedProvider"));
+    } else {
+      const aiTokenResult = await applyOpenAiTokenToPlanned(planned);
+      if (aiTokenResult.applied) {
+        ui.notifications?.info(i18nFormat("ui.infoAiTokenGenerated", { count: aiTokenResult.applied }));
+      }
+      if (aiTokenResult.failed) {
         ui.notifications?.warn(
-          i18nText("ui.warnAiFlavorSkippedNotConfigured")
+          i18nFormat("ui.warnAiTokenFailedFallback", { count: aiTokenResult.failed })
         );
-      } else {
-        const aiResult = await applyOpenAiFlavorToPlanned(planned);
-        if (aiResult.applied) {
-          ui.notifications?.info(i18nFormat("ui.infoAiFlavorApplied", { count: aiResult.applied }));
-        }
-        if (aiResult.failed) {
-          ui.notifications?.warn(
-            i18nFormat("ui.warnAiFlavorFailedFallback", { count: aiResult.failed })
-          );
-        }
-        if (aiResult.skipped) {
-          ui.notifications?.info(
-            i18nFormat("ui.infoAiFlavorSkippedByBatch", { count: aiResult.skipped })
-          );
-        }
       }
-    }
-
-    if (includeAiToken) {
-      if (!aiReady) {
-        ui.notifications?.warn(
-          i18nText("ui.warnAiTokenSkippedNotConfigured")
+      if (aiTokenResult.skipped) {
+        ui.notifications?.info(
+          i18nFormat("ui.infoAiTokenSkippedByBatch", { count: aiTokenResult.skipped })
         );
-      } else {
-        const aiTokenResult = await applyOpenAiTokenToPlanned(planned);
-        if (aiTokenResult.applied) {
-          ui.notifications?.info(i18nFormat("ui.infoAiTokenGenerated", { count: aiTokenResult.applied }));
-        }
-        if (aiTokenResult.failed) {
-          ui.notifications?.warn(
-            i18nFormat("ui.warnAiTokenFailedFallback", { count: aiTokenResult.failed })
-          );
-        }
-        if (aiTokenResult.skipped) {
-          ui.notifications?.info(
-            i18nFormat("ui.infoAiTokenSkippedByBatch", { count: aiTokenResult.skipped })
-          );
-        }
       }
     }
+  }
+
+  const buildProgress = createProgressReporter({
+    label: i18nText("ui.progress.npcBuilding", "NPC: building actor data"),
+    total: planned.length
+  });
+  // Seeded runs build sequentially so random draws happen in a stable order
+  const buildResults = await mapWithConcurrencyPreserveOrder(
+    planned,
+    isSeededRandomActive() ? 1 : UI_BUILD_MAX_CONCURRENCY,
+    async (entry) => {
+      if (entry.generationMode === "ai-full") {
+        const result = await buildActorDataFromAiBlueprint(entry.generated, folderId, {
+          provenance: { ...entry.provenance, speciesKey: entry.speciesEntry?.key }
+        });
+        return {
+          actorData: result?.actorData,
+          resolvedItems: Number(result?.resolvedItems || 0),
+          missingItems: Number(result?.missingItems || 0)
+        };
+      }
+      await applySpeciesEntryAbilityIncreases(entry.generated, entry.speciesEntry);
+      return {
+        actorData: await buildActorData(entry.generated, folderId, {
+          provenance: { speciesKey: entry.speciesEntry?.key }
+        }),
+        resolvedItems: 0,
+        missingItems: 0
+      };
+    },
+    () => buildProgress.tick()
+  );
+  buildProgress.finish();
+  const resolvedAiItems = buildResults.reduce((sum, entry) => sum + Number(entry.resolvedItems || 0), 0);
+  const missingAiItems = buildResults.reduce((sum, entry) => sum + Number(entry.missingItems || 0), 0);
+  if (useAiFull && resolvedAiItems) {
+    ui.notifications?.info(i18nFormat("ui.infoAiItemsMatched", { count: resolvedAiItems }));
+  }
+  if (useAiFull && missingAiItems) {
+    ui.notifications?.warn(
+      i18nFormat("ui.warnAiItemsMissing", { count: missingAiItems })
+    );
+  }
+
+  let finalPlanned = planned;
+  let finalBuilds = buildResults;
+  if (previewBeforeCreate) {
+    const kept = await openNpcGenerationPreview(planned, buildResults, {
+      speciesList,
+      budget: budgetInput,
+      includeLoot,
+      includeSecret,
+      includeHook,
+      usedNames,
+      folderId
+    });
+    if (!kept?.length) return [];
+    finalPlanned = kept.map((entry) => entry.planned);
+    finalBuilds = kept.map((entry) => entry.build);
+  }
+  if (encounterMode === "encounter") {
+    // Created only now so a cancelled or emptied preview leaves no empty Encounter-N folder
+    folderId = await ensureEncounterFolder();
+    for (const entry of finalBuilds) entry.actorData.folder = folderId || undefined;
+  }
+  if (rememberSelection) setLastFolderId(folderId);
+
+  const actorDataList = finalBuilds.map((entry) => entry.actorData);
+  const creationResult = await runActorCreationPipeline({
+    actorDataList,
+    speciesEntries: finalPlanned.map((plan) => plan.speciesEntry || null),
+    createProgressLabel: i18nText("ui.progress.npcCreating", "NPC: creating actors"),
+    speciesProgressLabel: i18nText("ui.progress.npcSpecies", "NPC: applying species data"),
+    skippedWarnFallback: "Skipped {count} invalid NPC entries before actor creation.",
+    failedWarnFallback: "Failed to create {count} NPC(s).",
+    speciesWarnKey: "ui.warnSpeciesApplyPartial",
+    preferredBatchSize: UI_ACTOR_CREATE_BATCH_SIZE,
+    createProgressReporter,
+    i18nText,
+    i18nFormat,
+    notifyWarn: (text) => ui.notifications?.warn(text),
+    applySpeciesToActor: applySpeciesEntryToActor
+  });
+  const createdActors = creationResult.createdActors;
+  if (!createdActors.length) return createdActors;
+  if (linkRelationships && createdActors.length > 1) {
+    await linkNpcRelationships(createdActors);
+  }
+
+  if (createdActors.length === 1) {
+    ui.notifications?.info(i18nFormat("ui.infoCreatedSingle", { name: createdActors[0]?.name || i18nText("common.unnamed") }));
+    return createdActors;
+  }
+  const names = createdActors.map((a) => a?.name).filter(Boolean);
+  const preview = names.slice(0, 5).join(", ");
+  const extra = names.length > 5 ? i18nFormat("ui.moreSuffix", { count: names.length - 5 }) : "";
+  ui.notifications?.info(i18nFormat("ui.infoCreatedMany", { count: createdActors.length, preview, extra }));
+  return createdActors;
+}
+
+async function openNpcGenerationPreview(planned, buildResults, rerollContext) {
+  const rows = planned.map((entry, index) => buildNpcPreviewRow(entry, buildResults[index]));
+  // The dialog waits on the user outside the seeded run; rerolls take their own unseeded turn
+  return pauseSeededRandom(() => openGenerationPreviewDialog({
+    title: i18nText("ui.generationPreview.titleNpc", "NPC Preview"),
+    description: i18nText("ui.generationPreview.descriptionNpc"),
+    columns: [
+      i18nText("ui.generationPreview.colName", "Name"),
+      i18nText("ui.generationPreview.colArchetype", "Archetype"),
+      i18nText("ui.generationPreview.colTier", "Tier"),
+      i18nText("ui.generationPreview.colCr", "CR"),
+      i18nText("ui.generationPreview.colHp", "HP"),
+      i18nText("ui.generationPreview.colAc", "AC"),
+      i18nText("ui.generationPreview.colSpecies", "Species"),
+      i18nText("ui.generationPreview.colItems", "Items")
+    ],
+    rows,
+    onReroll: async (payload) => {
+      const next = await withSeededRandom("", () => rerollPlannedLocalNpc(payload?.planned, rerollContext));
+      return next ? buildNpcPreviewRow(next.planned, next.build) : null;
+    },
+    onExport: (payload) => openStatblockExportDialog(payload?.build?.actorData)
+  }));
+}
+
+function buildNpcPreviewRow(planned, build) {
+  const actorData = build?.actorData || {};
+  const generated = planned?.generated || {};
+  const attributes = actorData.system?.attributes || {};
+  const itemNames = (Array.isArray(actorData.items) ? actorData.items : [])
+    .filter((item) => item?.name && item.type !== "feat" && item.type !== "spell")
+    .map((item) => item.name);
+  return {
+    cells: [
+      actorData.name || generated.name || i18nText("common.unnamed"),
+      generated.archetype?.name || generated.archetypeName || "",
+      String(generated.tier ?? ""),
+      formatPreviewCrLabel(actorData.system?.details?.cr ?? generated.cr, actorData.flags?.[MODULE_ID]?.crCheck),
+      String(attributes.hp?.max ?? generated.hp ?? ""),
+      String(attributes.ac?.value ?? generated.ac ?? ""),
+      planned?.speciesEntry?.name || generated.race || "",
+      itemNames.join(", ")
+    ],
+    payload: { planned, build },
+    canReroll: planned?.generationMode === "local" && !!planned?.slot
+  };
+}
+
+async function rerollPlannedLocalNpc(entry, context) {
+  const slot = entry?.slot;
+  if (!slot) return null;
+  const speciesList = Array.isArray(context?.speciesList) ? context.speciesList : [];
+  const archetype = slot.archetype || pickRandom(slot.archetypePool) || DATA_CACHE.archetypes[0];
+  const culture = slot.culture || pickRandom(Object.keys(DATA_CACHE.names.cultures));
+  const gender = slot.gender || pickRandom(["male", "female"]);
+  const speciesEntry = slot.speciesEntry || (speciesList.length ? pickRandom(speciesList) : null);
+  const generated = generateNpc({
+    tier: slot.tier,
+    cr: slot.cr,
+    archetype,
+    culture,
+    gender,
+    race: speciesEntry?.name || "Unknown",
+    budget: context.budget,
+    includeLoot: context.includeLoot,
+    includeSecret: context.includeSecret,
+    includeHook: context.includeHook,
+    importantNpc: slot.importantNpc,
+    usedNames: context.usedNames,
+    spellcasting: slot.spellcasting,
+    abilityMethod: slot.abilityMethod
+  });
+  await applySpeciesEntryAbilityIncreases(generated, speciesEntry);
+  const actorData = await buildActorData(generated, context.folderId, {
+    provenance: { speciesKey: speciesEntry?.key }
+  });
+  if (!actorData) return null;
+  return {
+    planned: { generated, speciesEntry, generationMode: "local", slot },
+    build: { actorData, resolvedItems: 0, missingItems: 0 }
+  };
+}
+
+// Declared CR, plus the effective CR when the stat block drifts from it
+function formatPreviewCrLabel(value, crCheck) {
+  const label = formatCrLabel(value);
+  if (!hasCrDrift(crCheck)) return label;
+  return tf(
+    "ui.generationPreview.crDrift",
+    { cr: label, effective: formatCrLabel(crCheck.effectiveCr) },
+    "{cr} (plays like {effective})"
+  );
+}
+
+async function createRivalPartyFromForm(formData) {
+  return createRivalParty({
+    level: formData.get("rivalPartyLevel"),
+    size: formData.get("rivalPartySize"),
+    partyName: formData.get("rivalPartyName"),
+    culture: formData.get("culture"),
+    gender: formData.get("gender"),
+    species: formData.get("species"),
+    budget: formData.get("budget"),
+    folder: formData.get("folder"),
+    includeLoot: formData.get("includeLoot") === "on",
+    includeSecret: formData.get("includeSecret") === "on",
+    includeHook: formData.get("includeHook") === "on",
+    seed: formData.get("seed"),
+    rememberSelection: true
+  });
+}
+
+/**
+ * Create a rival adventuring party: one NPC per role (tank, healer, striker, controller, extras)
+ * built with class levels and player-style ability scores, linked to each other and filed in
+ * a folder named after the party
+ * @param {Object} [options] - Party options
+ * @param {number} [options.level] - Class level of every member (1-20)
+ * @param {number} [options.size] - Member count (2-8)
+ * @param {string} [options.partyName] - Party name (defaults to a random name)
+ * @param {string} [options.culture] - Culture key or "random"
+ * @param {string} [options.gender] - "male", "female" or "random"
+ * @param {string} [options.species] - Species key or "random"
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {string} [options.abilityMethod] - standard, pointbuy or roll (default: ability method setting, standard array for "archetype")
+ * @param {string} [options.folder] - Actor folder the party folder is created in (also the fallback target)
+ * @param {boolean} [options.includeLoot] - Add loot to member inventories
+ * @param {boolean} [options.includeSecret] - Generate secrets
+ * @param {boolean} [options.includeHook] - Generate plot hooks
+ * @param {boolean} [options.rememberSelection] - Persist species as dialog default
+ * @param {string} [options.seed] - Seed for reproducible generation (empty = random)
+ * @returns {Promise<Actor[]>} Created party members
+ */
+export async function createRivalParty(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateRivalParty(options));
+}
+
+async function runCreateRivalParty(options) {
+  await loadData();
+  if (!DATA_CACHE.archetypes?.length) {
+    ui.notifications?.error(i18nText("ui.errorNoArchetypes"));
+    return [];
+  }
+
+  const partyName = String(options.partyName || "").trim() || buildPartyName();
+  const specs = planRivalPartyMembers({
+    size: clampRangeValue(options.size, PARTY_SIZE_MIN, PARTY_SIZE_MAX, 4),
+    level: clampRangeValue(options.level, 1, 20, 5),
+    archetypes: DATA_CACHE.archetypes,
+    abilityMethod: options.abilityMethod
+  });
+  const planned = await planGroupMembers(options, specs);
+  linkPlannedPartyMembers(planned, partyName);
+
+  const parentFolderId = String(options.folder || "").trim() || null;
+  const folderId = (await ensurePartyFolder(partyName, parentFolderId)) || parentFolderId;
+  const createdActors = await createGroupActors(planned, folderId);
+  if (!createdActors.length) return createdActors;
 
-    const buildProgress = createProgressReporter({
-      label: i18nText("ui.progress.npcBuilding", "NPC: building actor data"),
-      total: planned.length
+  ui.notifications?.info(
+    i18nFormat("ui.infoCreatedRivalParty", {
+      name: partyName,
+      count: createdActors.length,
+      preview: createdActors.map((a) => a?.name).filter(Boolean).join(", ")
+    })
+  );
+  return createdActors;
+}
+
+// Plan -> build -> create steps shared by the group generators (rival party, faction, location).
+// Mode modules plan member specs ({npc: generateNpc options, flags: module flags, ...}); these add the
+// common species, culture, gender, budget and add-on options and run the actor pipeline.
+
+async function resolveGroupSpecies(options) {
+  const speciesKeyInput = String(options.species || "random");
+  let speciesList = DATA_CACHE.speciesEntries || [];
+  if (!speciesList.length) {
+    speciesList = await getSpeciesEntries();
+  }
+  const fixedSpecies =
+    speciesKeyInput !== "random"
+      ? speciesList.find((entry) => entry.key === speciesKeyInput)
+      : null;
+  if (options.rememberSelection === true) setLastSpeciesKey(fixedSpecies?.key || "");
+  if (!fixedSpecies && !speciesList.length) {
+    ui.notifications?.warn(i18nText("ui.warnNoRaceEntries"));
+  }
+  return { speciesList, fixedSpecies };
+}
+
+async function planGroupMembers(options, specs) {
+  const { speciesList, fixedSpecies } = await resolveGroupSpecies(options);
+  const cultureInput = String(options.culture || "random");
+  const genderInput = normalizeGenderOption(options.gender);
+  const budget = normalizeBudgetOption(options.budget);
+  const usedNames = createUsedNames();
+  return specs.map((spec) => {
+    const speciesEntry = fixedSpecies || (speciesList.length ? pickRandom(speciesList) : null);
+    const generated = generateNpc({
+      culture: cultureInput === "random" ? pickRandom(Object.keys(DATA_CACHE.names.cultures)) : cultureInput,
+      gender: genderInput === "random" ? pickRandom(["male", "female"]) : genderInput,
+      race: speciesEntry?.name || "Unknown",
+      budget,
+      includeLoot: options.includeLoot === true,
+      includeSecret: options.includeSecret === true,
+      includeHook: options.includeHook === true,
+      importantNpc: false,
+      usedNames,
+      ...spec.npc
     });
-    const buildResults = await mapWithConcurrencyPreserveOrder(
-      planned,
-      UI_BUILD_MAX_CONCURRENCY,
-      async (entry) => {
-        if (entry.generationMode === "ai-full") {
-          const result = await buildActorDataFromAiBlueprint(entry.generated, folderId);
-          return {
-            actorData: result?.actorData,
-            resolvedItems: Number(result?.resolvedItems || 0),
-            missingItems: Number(result?.missingItems || 0)
-          };
+    return { ...spec, generated, speciesEntry };
+  });
+}
+
+async function createGroupActors(planned, folderId) {
+  const buildProgress = createProgressReporter({
+    label: i18nText("ui.progress.npcBuilding", "NPC: building actor data"),
+    total: planned.length
+  });
+  const actorDataList = await mapWithConcurrencyPreserveOrder(
+    planned,
+    isSeededRandomActive() ? 1 : UI_BUILD_MAX_CONCURRENCY,
+    async (entry) => {
+      await applySpeciesEntryAbilityIncreases(entry.generated, entry.speciesEntry);
+      const actorData = await buildActorData(entry.generated, folderId, {
+        provenance: { speciesKey: entry.speciesEntry?.key }
+      });
+      if (actorData && entry.flags) {
+        actorData.flags = actorData.flags || {};
+        actorData.flags[MODULE_ID] = { ...(actorData.flags[MODULE_ID] || {}), ...entry.flags };
+      }
+      return actorData;
+    },
+    () => buildProgress.tick()
+  );
+  buildProgress.finish();
+
+  const creationResult = await runActorCreationPipeline({
+    actorDataList,
+    speciesEntries: planned.map((entry) => entry.speciesEntry || null),
+    createProgressLabel: i18nText("ui.progress.npcCreating", "NPC: creating actors"),
+    speciesProgressLabel: i18nText("ui.progress.npcSpecies", "NPC: applying species data"),
+    skippedWarnFallback: "Skipped {count} invalid NPC entries before actor creation.",
+    failedWarnFallback: "Failed to create {count} NPC(s).",
+    speciesWarnKey: "ui.warnSpeciesApplyPartial",
+    preferredBatchSize: UI_ACTOR_CREATE_BATCH_SIZE,
+    createProgressReporter,
+    i18nText,
+    i18nFormat,
+    notifyWarn: (text) => ui.notifications?.warn(text),
+    applySpeciesToActor: applySpeciesEntryToActor
+  });
+  return creationResult.createdActors;
+}
+
+async function createFactionFromForm(formData) {
+  return createFaction({
+    factionType: formData.get("factionType"),
+    factionName: formData.get("factionName"),
+    size: formData.get("factionSize"),
+    tier: formData.get("tier"),
+    culture: formData.get("culture"),
+    gender: formData.get("gender"),
+    species: formData.get("species"),
+    budget: formData.get("budget"),
+    folder: formData.get("folder"),
+    includeLoot: formData.get("includeLoot") === "on",
+    includeSecret: formData.get("includeSecret") === "on",
+    includeHook: formData.get("includeHook") === "on",
+    seed: formData.get("seed"),
+    rememberSelection: true
+  });
+}
+
+/**
+ * Create a faction: a journal entry describing it (goals, resources, secrets, headquarters) and a
+ * ranked roster of NPC actors (leader as a boss, lieutenants, rank-and-file) linked from the journal
+ * @param {Object} [options] - Faction options
+ * @param {string} [options.factionType] - Faction type id from data/factions.json or "random"
+ * @param {string} [options.factionName] - Faction name (defaults to a random name for the type)
+ * @param {number} [options.size] - Roster size (3-20)
+ * @param {number|string} [options.tier] - Faction tier 1-4 or "auto"; the leader is one tier higher, rank-and-file one lower
+ * @param {string} [options.culture] - Culture key or "random"
+ * @param {string} [options.gender] - "male", "female" or "random"
+ * @param {string} [options.species] - Species key or "random"
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {string} [options.folder] - Actor folder the roster folder is created in (also the fallback target)
+ * @param {boolean} [options.includeLoot] - Add loot to member inventories
+ * @param {boolean} [options.includeSecret] - Generate secrets
+ * @param {boolean} [options.includeHook] - Generate plot hooks
+ * @param {boolean} [options.rememberSelection] - Persist species as dialog default
+ * @param {string} [options.seed] - Seed for reproducible generation (empty = random)
+ * @returns {Promise<{journal: JournalEntry|null, actors: Actor[]}>} Faction journal and created members
+ */
+export async function createFaction(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateFaction(options));
+}
+
+async function runCreateFaction(options) {
+  await loadData();
+  if (!DATA_CACHE.archetypes?.length) {
+    ui.notifications?.error(i18nText("ui.errorNoArchetypes"));
+    return { journal: null, actors: [] };
+  }
+  const type = resolveFactionType(String(options.factionType || "random"));
+  if (!type) {
+    ui.notifications?.error(i18nText("ui.faction.errorNoTypes"));
+    return { journal: null, actors: [] };
+  }
+
+  const profile = buildFactionProfile(type, options.factionName);
+  const tierInput = String(options.tier ?? "auto");
+  const specs = planFactionMembers(type, profile, {
+    size: clampRangeValue(options.size, FACTION_SIZE_MIN, FACTION_SIZE_MAX, 8),
+    tier: tierInput === "auto" ? getAutoTier() : clampRangeValue(tierInput, 1, 4, 1),
+    archetypes: DATA_CACHE.archetypes
+  });
+  const planned = await planGroupMembers(options, specs);
+
+  const parentFolderId = String(options.folder || "").trim() || null;
+  const folderId = (await ensureFactionFolder(profile.name, parentFolderId)) || parentFolderId;
+  const createdActors = await createGroupActors(planned, folderId);
+  if (!createdActors.length) return { journal: null, actors: createdActors };
+
+  const journal = await createFactionJournal(profile, createdActors);
+  ui.notifications?.info(
+    i18nFormat("ui.faction.infoCreated", {
+      name: profile.name,
+      count: createdActors.length
+    })
+  );
+  return { journal, actors: createdActors };
+}
+
+/**
+ * Link the generated NPCs in an actor folder with a relationship web (replaces earlier links)
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Actor folder id
+ * @returns {Promise<{journal: JournalEntry|null, actors: Actor[]}>} Relationship map journal and linked actors
+ */
+export async function linkFolderRelationships(options = {}) {
+  return withSeededRandom("", () => runLinkFolderRelationships(options));
+}
+
+/**
+ * Register the "Link NPC Relationships" entry in the actor folder context menu (GM only)
+ */
+export function registerRelationshipFolderHooks() {
+  const addEntry = (options) => {
+    if (!Array.isArray(options) || options.some((entry) => entry?.name === "npc-button-5e.ui.relationships.contextMenu")) return;
+    options.push({
+      name: "npc-button-5e.ui.relationships.contextMenu",
+      icon: '<i class="fas fa-people-arrows"></i>',
+      condition: (li) => game.user?.isGM && getContextFolder(li)?.type === "Actor",
+      callback: async (li) => {
+        const folder = getContextFolder(li);
+        try {
+          const { actors } = await linkFolderRelationships({ folder: folder?.id });
+          if (actors.length) {
+            ui.notifications?.info(i18nFormat("ui.relationships.infoLinked", { count: actors.length, name: folder.name }));
+          }
+        } catch (err) {
+          console.error("NPC Button: Failed to link folder relationships.", err);
+          ui.notifications?.error(i18nText("ui.relationships.errorLinkFailed"));
         }
+      }
+    });
+  };
+  // v11/v12 actor sidebar, and the v13 folder menu shared by every directory
+  Hooks.on("getActorDirectoryFolderContext", (html, options) => addEntry(options));
+  Hooks.on("getFolderContextOptions", (app, options) => addEntry(options));
+}
+
+async function runLinkFolderRelationships(options) {
+  const folderId = String(options.folder || "").trim();
+  const folder = folderId ? game.folders?.get(folderId) : null;
+  const actors = (game.actors || []).filter(
+    (actor) => folder && actor.folder?.id === folder.id && actor.flags?.[MODULE_ID]?.npc
+  );
+  if (actors.length < 2) {
+    ui.notifications?.warn(i18nText("ui.relationships.warnNotEnoughNpcs"));
+    return { journal: null, actors: [] };
+  }
+  const journal = await linkNpcRelationships(actors, folder.name);
+  return { journal, actors };
+}
+
+async function linkNpcRelationships(actors, title = "") {
+  const members = actors.map((actor) => ({ name: actor.name, uuid: actor.uuid }));
+  const links = buildRelationshipWeb(members.length);
+  try {
+    await Actor.updateDocuments(
+      actors.map((actor, index) => {
+        const relationships = getMemberRelationships(links, index, members);
         return {
-          actorData: await buildActorData(entry.generated, folderId),
-          resolvedItems: 0,
-          missingItems: 0
+          _id: actor.id,
+          "system.details.biography.value": applyRelationshipsToBiography(
+            actor.system?.details?.biography?.value,
+            relationships
+          ),
+          [`flags.${MODULE_ID}.npc.relationships`]: relationships
         };
-      },
-      () => buildProgress.tick()
+      })
     );
-    buildProgress.finish();
-    const actorDataList = buildResults.map((entry) => entry.actorData);
-    const resolvedAiItems = buildResults.reduce((sum, entry) => sum + Number(entry.resolvedItems || 0), 0);
-    const missingAiItems = buildResults.reduce((sum, entry) => sum + Number(entry.missingItems || 0), 0);
-    if (useAiFull && resolvedAiItems) {
-      ui.notifications?.info(i18nFormat("ui.infoAiItemsMatched", { count: resolvedAiItems }));
-    }
-    if (useAiFull && missingAiItems) {
-      ui.notifications?.warn(
-        i18nFormat("ui.warnAiItemsMissing", { count: missingAiItems })
-      );
-    }
+  } catch (err) {
+    console.error("NPC Button: Failed to write NPC relationships.", err);
+    ui.notifications?.error(i18nText("ui.relationships.errorLinkFailed"));
+    return null;
+  }
 
-    const creationResult = await runActorCreationPipeline({
-      actorDataList,
-      speciesEntries: planned.map((plan) => plan.speciesEntry || null),
-      createProgressLabel: i18nText("ui.progress.npcCreating", "NPC: creating actors"),
-      speciesProgressLabel: i18nText("ui.progress.npcSpecies", "NPC: applying species data"),
-      skippedWarnFallback: "Skipped {count} invalid NPC entries before actor creation.",
-      failedWarnFallback: "Failed to create {count} NPC(s).",
-      speciesWarnKey: "ui.warnSpeciesApplyPartial",
-      preferredBatchSize: UI_ACTOR_CREATE_BATCH_SIZE,
-      createProgressReporter,
-      i18nText,
-      i18nFormat,
-      notifyWarn: (text) => ui.notifications?.warn(text),
-      applySpeciesToActor: applySpeciesEntryToActor
+  const name = i18nFormat(
+    "ui.relationships.journalNameFor",
+    { name: title || members.slice(0, 3).map((member) => member.name).join(", ") },
+    "Relationship Map: {name}"
+  );
+  try {
+    const folderId = await ensureFlaggedJournalFolder(
+      "relationshipFolder",
+      i18nText("ui.relationships.folderName", "Relationship Maps")
+    );
+    return await JournalEntry.create({
+      name,
+      folder: folderId || null,
+      flags: {
+        [MODULE_ID]: {
+          relationshipMap: { links, memberUuids: members.map((member) => member.uuid) }
+        }
+      },
+      pages: [
+        {
+          name: i18nText("ui.relationships.pageName", "Relationship Map"),
+          type: "text",
+          text: { format: 1, content: buildRelationshipMapHtml(links, members) }
+        }
+      ]
     });
-    const createdActors = creationResult.createdActors;
-    if (!createdActors.length) return;
-
-    if (createdActors.length === 1) {
-      ui.notifications?.info(i18nFormat("ui.infoCreatedSingle", { name: createdActors[0]?.name || i18nText("common.unnamed") }));
-      return;
-    }
-    const names = createdActors.map((a) => a?.name).filter(Boolean);
-    const preview = names.slice(0, 5).join(", ");
-    const extra = names.length > 5 ? i18nFormat("ui.moreSuffix", { count: names.length - 5 }) : "";
-    ui.notifications?.info(i18nFormat("ui.infoCreatedMany", { count: createdActors.length, preview, extra }));
   } catch (err) {
-    console.error("NPC Button: Failed to create NPC(s).", err);
-    ui.notifications?.error(i18nText("ui.errorCreateNpcFailed"));
+    console.error("NPC Button: Failed to create the relationship map journal.", err);
+    ui.notifications?.error(i18nText("ui.relationships.errorJournalFailed"));
+    return null;
+  }
+}
+
+async function createLocationFromForm(formData) {
+  return createLocation({
+    locationType: formData.get("locationType"),
+    locationName: formData.get("locationName"),
+    patrons: formData.get("locationPatrons"),
+    includeShop: formData.get("locationShop") === "on",
+    shopItemCount: formData.get("shopCount"),
+    shopAllowMagic: formData.get("shopAllowMagic") === "on",
+    shopkeeperTier: formData.get("shopkeeperTier"),
+    tier: formData.get("tier"),
+    culture: formData.get("culture"),
+    gender: formData.get("gender"),
+    species: formData.get("species"),
+    budget: formData.get("budget"),
+    folder: formData.get("folder"),
+    includeLoot: formData.get("includeLoot") === "on",
+    includeSecret: formData.get("includeSecret") === "on",
+    includeHook: formData.get("includeHook") === "on",
+    seed: formData.get("seed"),
+    rememberSelection: true
+  });
+}
+
+/**
+ * Create a location (tavern, temple, market square or village): its staff and patrons as NPC actors,
+ * an optional shop, one actor folder for all of them and a journal entry that links everything
+ * @param {Object} [options] - Location options
+ * @param {string} [options.locationType] - Location type id from data/locations.json or "random"
+ * @param {string} [options.locationName] - Location name (defaults to a random name for the type)
+ * @param {number} [options.patrons] - Patron count (0-10); staff roles come from the type
+ * @param {boolean} [options.includeShop] - Also create a shopkeeper with stock for the type's shop
+ * @param {string} [options.shopType] - Shop type override (default: the location type's shop)
+ * @param {number} [options.shopItemCount] - Shop stock size (1-60)
+ * @param {boolean} [options.shopAllowMagic] - Allow magic items in shop stock
+ * @param {number} [options.shopkeeperTier] - Shopkeeper tier (1-4)
+ * @param {number|string} [options.tier] - Tier 1-4 or "auto"
+ * @param {string} [options.culture] - Culture key or "random"
+ * @param {string} [options.gender] - "male", "female" or "random"
+ * @param {string} [options.species] - Species key or "random"
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {string} [options.folder] - Actor folder the location folder is created in (also the fallback target)
+ * @param {boolean} [options.includeLoot] - Add loot to NPC inventories
+ * @param {boolean} [options.includeSecret] - Generate secrets
+ * @param {boolean} [options.includeHook] - Generate plot hooks
+ * @param {boolean} [options.rememberSelection] - Persist species as dialog default
+ * @param {string} [options.seed] - Seed for reproducible generation (empty = random)
+ * @returns {Promise<{journal: JournalEntry|null, actors: Actor[], shop: Actor|null}>} Location journal, cast and shopkeeper
+ */
+export async function createLocation(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateLocation(options));
+}
+
+async function runCreateLocation(options) {
+  await loadData();
+  if (!DATA_CACHE.archetypes?.length) {
+    ui.notifications?.error(i18nText("ui.errorNoArchetypes"));
+    return { journal: null, actors: [], shop: null };
+  }
+  const type = resolveLocationType(String(options.locationType || "random"));
+  if (!type) {
+    ui.notifications?.error(i18nText("ui.location.errorNoTypes"));
+    return { journal: null, actors: [], shop: null };
   }
+
+  const profile = buildLocationProfile(type, options.locationName);
+  const tierInput = String(options.tier ?? "auto");
+  const specs = planLocationMembers(type, profile, {
+    patrons: clampRangeValue(options.patrons, LOCATION_PATRONS_MIN, LOCATION_PATRONS_MAX, 3),
+    tier: tierInput === "auto" ? getAutoTier() : clampRangeValue(tierInput, 1, 4, 1),
+    archetypes: DATA_CACHE.archetypes
+  });
+  const planned = await planGroupMembers(options, specs);
+
+  // The location folder goes inside the chosen folder; the chosen folder itself is the fallback
+  const parentFolderId = String(options.folder || "").trim() || null;
+  const folderId = (await ensureLocationFolder(profile.name, parentFolderId)) || parentFolderId;
+  const createdActors = await createGroupActors(planned, folderId);
+
+  let shop = null;
+  if (options.includeShop === true) {
+    shop = await runCreateShop({
+      shopType: options.shopType || type.shopType,
+      itemCount: options.shopItemCount,
+      budget: normalizeBudgetOption(options.budget),
+      shopName: profile.name,
+      allowMagic: options.shopAllowMagic === true,
+      shopkeeperTier: options.shopkeeperTier,
+      targetFolder: folderId,
+      folder: options.folder
+    });
+  }
+  if (!createdActors.length && !shop) return { journal: null, actors: createdActors, shop };
+
+  const journal = await createLocationJournal(profile, createdActors, shop);
+  ui.notifications?.info(
+    i18nFormat("ui.location.infoCreated", {
+      name: profile.name,
+      count: createdActors.length + (shop ? 1 : 0)
+    })
+  );
+  return { journal, actors: createdActors, shop };
 }
 
 async function createShopFromForm(formData) {
-  const shopType = normalizeShopType(formData.get("shopType"));
-  const itemCount = clampRangeValue(formData.get("shopCount"), 1, 60, 12);
-  const budget = normalizeBudgetOption(formData.get("shopBudget") || formData.get("budget"));
-  const shopNameInput = String(formData.get("shopName") || "").trim();
-  const allowMagic = formData.get("shopAllowMagic") === "on";
-  const shopkeeperTier = clampRangeValue(formData.get("shopkeeperTier"), 1, 4, 1);
-  const fallbackFolderId = String(formData.get("shopFolder") || formData.get("folder") || "").trim() || null;
+  return createShop({
+    shopType: formData.get("shopType"),
+    itemCount: formData.get("shopCount"),
+    budget: formData.get("shopBudget") || formData.get("budget"),
+    shopName: formData.get("shopName"),
+    allowMagic: formData.get("shopAllowMagic") === "on",
+    shopkeeperTier: formData.get("shopkeeperTier"),
+    folder: formData.get("shopFolder") || formData.get("folder"),
+    importPayload: parseShopImportPayload(formData.get("shopImportPayload")),
+    seed: formData.get("seed"),
+    preview: formData.get("previewBeforeCreate") === "on",
+    rememberSelection: true
+  });
+}
+
+/**
+ * Create a shopkeeper actor with generated (or imported) stock from plain options
+ * @param {Object} [options] - Shop options
+ * @param {string} [options.shopType] - market, general, alchemy, scrolls, weapons, armor or food
+ * @param {number} [options.itemCount] - Stock size (1-60)
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {string} [options.shopName] - Shop name (defaults to a localized name by type)
+ * @param {boolean} [options.allowMagic] - Allow magic items in stock
+ * @param {number} [options.shopkeeperTier] - Shopkeeper tier (1-4)
+ * @param {string} [options.folder] - Fallback actor folder id
+ * @param {string} [options.targetFolder] - Actor folder id for the shopkeeper instead of the per-type shop folder
+ * @param {Object|Array} [options.importPayload] - Shop import payload in the JSON import shape (replaces generated stock)
+ * @param {boolean} [options.rememberSelection] - Persist folder as dialog default
+ * @param {string} [options.seed] - Seed for reproducible stock and shopkeeper (empty = random)
+ * @param {boolean} [options.preview] - Show a reroll/drop preview of the stock before creating the actor
+ * @returns {Promise<Actor|null>} Created shopkeeper actor
+ */
+export async function createShop(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateShop(options));
+}
+
+async function runCreateShop(options) {
+  await loadData();
+  const shopType = normalizeShopType(options.shopType);
+  const itemCount = clampRangeValue(options.itemCount, 1, 60, 12);
+  const budget = normalizeBudgetOption(options.budget);
+  const shopNameInput = String(options.shopName || "").trim();
+  const allowMagic = options.allowMagic === true;
+  const shopkeeperTier = clampRangeValue(options.shopkeeperTier, 1, 4, 1);
+  const fallbackFolderId = String(options.folder || "").trim() || null;
   const typeLabel = getShopTypeLabel(shopType);
-  const importPayload = parseShopImportPayload(formData.get("shopImportPayload"));
+  const importPayload = options.importPayload ? normalizeImportedShopPayload(options.importPayload) : null;
   const importedShopName = String(importPayload?.shopName || "").trim();
   const shopName = importedShopName || shopNameInput || i18nFormat("ui.shop.defaultNameByType", { type: typeLabel });
   const hasImportPayload = !!importPayload;
 
-  let folderId = fallbackFolderId;
-  folderId = (await ensureShopFolder(shopType)) || fallbackFolderId;
-  setLastFolderId(folderId || "");
+  const targetFolderId = String(options.targetFolder || "").trim() || null;
 
   let stockItems = [];
   let importStats = null;
@@ -1599,6 +2472,19 @@ async function createShopFromForm(formData) {
     });
   }
 
+  if (options.preview === true && stockItems.length) {
+    const kept = await openStockGenerationPreview({
+      title: i18nFormat("ui.generationPreview.titleShop", { name: shopName }, "Shop Preview: {name}"),
+      items: stockItems,
+      reroll: (item, seen) => rerollShopStockItem(item, { shopType, budget, allowMagic, seen })
+    });
+    if (!kept?.length) return null;
+    stockItems = kept;
+  }
+
+  // Folder comes after the preview so a cancelled run leaves nothing behind
+  const folderId = targetFolderId || (await ensureShopFolder(shopType)) || fallbackFolderId;
+  if (options.rememberSelection === true) setLastFolderId(folderId || "");
   const actor = await createShopkeeperActor({
     shopName,
     budget,
@@ -1610,7 +2496,7 @@ async function createShopFromForm(formData) {
 
   if (!actor) {
     ui.notifications?.warn(i18nText("ui.shop.warnCreationFailed"));
-    return;
+    return null;
   }
 
   if (Number(importStats?.missing || 0) > 0) {
@@ -1629,32 +2515,65 @@ async function createShopFromForm(formData) {
       preview: actor?.name || i18nText("common.unnamed")
     })
   );
+  return actor;
 }
 
 async function createLootFromForm(formData) {
-  const importPayload = parseLootImportPayload(formData.get("lootImportPayload"));
+  return createLoot({
+    lootType: formData.get("lootType"),
+    itemCount: formData.get("lootCount"),
+    budget: formData.get("lootBudget") || formData.get("budget"),
+    tier: formData.get("lootTier"),
+    allowMagic: formData.get("lootAllowMagic") === "on",
+    includeCoins: formData.get("lootIncludeCoins") === "on",
+    uniqueOnly: formData.get("lootUniqOnly") === "on",
+    importPayload: parseLootImportPayload(formData.get("lootImportPayload")),
+    seed: formData.get("seed"),
+    preview: formData.get("previewBeforeCreate") === "on",
+    rememberSelection: true
+  });
+}
+
+/**
+ * Create a loot container actor with generated (or imported) items and coins from plain options
+ * @param {Object} [options] - Loot options
+ * @param {string} [options.lootType] - mixed, coins, gear, consumables, weapons, armor or scrolls
+ * @param {number} [options.itemCount] - Item count (1-60)
+ * @param {string} [options.budget] - Budget tier (poor, normal, well, elite)
+ * @param {number|string} [options.tier] - Tier 1-4 or "auto"
+ * @param {boolean} [options.allowMagic] - Allow magic items
+ * @param {boolean} [options.includeCoins] - Roll coins by tier and budget
+ * @param {boolean} [options.uniqueOnly] - Avoid duplicate items
+ * @param {Object|Array} [options.importPayload] - Loot import payload in the JSON import shape (overrides the fields above)
+ * @param {boolean} [options.rememberSelection] - Persist folder as dialog default
+ * @param {string} [options.seed] - Seed for reproducible items and coins (empty = random)
+ * @param {boolean} [options.preview] - Show a reroll/drop preview of the items before creating the actor
+ * @returns {Promise<Actor|null>} Created loot container actor
+ */
+export async function createLoot(options = {}) {
+  return withSeededRandom(normalizeSeed(options.seed), () => runCreateLoot(options));
+}
+
+async function runCreateLoot(options) {
+  await loadData();
+  const importPayload = options.importPayload ? normalizeImportedLootPayload(options.importPayload) : null;
   const hasImportPayload = !!importPayload;
 
-  const fallbackType = normalizeLootType(formData.get("lootType"));
+  const fallbackType = normalizeLootType(options.lootType);
   const lootType = normalizeLootType(importPayload?.lootType || fallbackType);
-  const fallbackCount = clampRangeValue(formData.get("lootCount"), 1, 60, 12);
+  const fallbackCount = clampRangeValue(options.itemCount, 1, 60, 12);
   const itemCount = clampRangeValue(importPayload?.itemCount, 1, 60, fallbackCount);
-  const fallbackBudget = normalizeBudgetOption(formData.get("lootBudget") || formData.get("budget"));
+  const fallbackBudget = normalizeBudgetOption(options.budget);
   const budget = normalizeBudgetOption(importPayload?.lootBudget || fallbackBudget);
-  const fallbackTierInput = String(formData.get("lootTier") || "auto");
+  const fallbackTierInput = String(options.tier ?? "auto");
   const resolvedTierInput = String(importPayload?.lootTier ?? fallbackTierInput ?? "auto");
   const tier =
     resolvedTierInput === "auto"
       ? getAutoTier()
       : clampRangeValue(resolvedTierInput, 1, 4, getAutoTier());
-  const fallbackAllowMagic = formData.get("lootAllowMagic") === "on";
-  const fallbackIncludeCoins = formData.get("lootIncludeCoins") === "on";
-  const fallbackUniqOnly = formData.get("lootUniqOnly") === "on";
-  const allowMagic = parseBooleanLoose(importPayload?.lootAllowMagic, fallbackAllowMagic);
-  const includeCoins = parseBooleanLoose(importPayload?.lootIncludeCoins, fallbackIncludeCoins);
-  const uniqOnly = parseBooleanLoose(importPayload?.lootUniqOnly, fallbackUniqOnly);
-  let folderId = await ensureLootFolder(lootType);
-  setLastFolderId(folderId || "");
+  const allowMagic = parseBooleanLoose(importPayload?.lootAllowMagic, options.allowMagic === true);
+  const includeCoins = parseBooleanLoose(importPayload?.lootIncludeCoins, options.includeCoins !== false);
+  const uniqOnly = parseBooleanLoose(importPayload?.lootUniqOnly, options.uniqueOnly !== false);
 
   let stockItems = [];
   let importStats = null;
@@ -1681,6 +2600,20 @@ async function createLootFromForm(formData) {
   const coinsFromImport = normalizeImportedLootCurrency(importPayload?.coins);
   const coins = coinsFromImport || buildLootCoins({ tier, budget, includeCoins });
   const lootName = i18nFormat("ui.loot.defaultNameByType", { type: getLootTypeLabel(lootType) });
+
+  if (options.preview === true && stockItems.length) {
+    const kept = await openStockGenerationPreview({
+      title: i18nFormat("ui.generationPreview.titleLoot", { name: lootName }, "Loot Preview: {name}"),
+      summary: i18nFormat("ui.generationPreview.summaryCoins", { coins: formatCoinsLabel(coins) }, "Coins: {coins}"),
+      items: stockItems,
+      reroll: (item, seen) => rerollLootStockItem(item, { lootType, budget, allowMagic, seen })
+    });
+    if (!kept?.length) return null;
+    stockItems = kept;
+  }
+  // Folder comes after the preview so a cancelled run leaves nothing behind
+  const folderId = await ensureLootFolder(lootType);
+  if (options.rememberSelection === true) setLastFolderId(folderId || "");
   const actor = await createLootContainerActor({
     lootName,
     lootType,
@@ -1688,12 +2621,13 @@ async function createLootFromForm(formData) {
     tier,
     folderId,
     stockItems,
-    coins
+    coins,
+    generationMode: hasImportPayload ? "import" : "local"
   });
 
   if (!actor) {
     ui.notifications?.warn(i18nText("ui.loot.warnCreationFailed"));
-    return;
+    return null;
   }
 
   if (Number(importStats?.missing || 0) > 0) {
@@ -1712,17 +2646,79 @@ async function createLootFromForm(formData) {
       preview: actor?.name || i18nText("common.unnamed")
     })
   );
+  return actor;
+}
+
+async function openStockGenerationPreview({ title, summary = "", items, reroll }) {
+  const current = items.slice();
+  return pauseSeededRandom(() => openGenerationPreviewDialog({
+    title,
+    summary,
+    description: i18nText("ui.generationPreview.descriptionStock"),
+    columns: [
+      i18nText("ui.generationPreview.colItem", "Item"),
+      i18nText("ui.generationPreview.colType", "Type"),
+      i18nText("ui.generationPreview.colQuantity", "Qty"),
+      i18nText("ui.generationPreview.colPrice", "Price")
+    ],
+    rows: current.map((item) => buildStockPreviewRow(item)),
+    onReroll: async (item, index) => {
+      const seen = new Set(current.map((entry) => normalizeShopSearchKey(entry?.name)).filter(Boolean));
+      const next = await withSeededRandom("", () => reroll(item, seen));
+      if (!next?.name) return null;
+      current[index] = next;
+      return buildStockPreviewRow(next);
+    }
+  }));
+}
+
+function buildStockPreviewRow(item) {
+  const price = item?.system?.price;
+  const priceValue = Number(price?.value ?? price);
+  return {
+    cells: [
+      item?.name || i18nText("common.unnamed"),
+      String(item?.type || ""),
+      String(item?.system?.quantity ?? 1),
+      Number.isFinite(priceValue) && priceValue > 0 ? `${priceValue} ${price?.denomination || "gp"}` : ""
+    ],
+    payload: item
+  };
+}
+
+async function rerollShopStockItem(item, { shopType, budget, allowMagic, seen }) {
+  const pools = await getShopPoolsForPacks(getInventoryPackNames(), allowMagic);
+  const category = inferShopCategoryFromDoc(item, shopType);
+  const shopSeen = new Set(Array.from(seen || []).map((key) => String(key || "").trim().toLowerCase()));
+  const doc =
+    pickShopDocFromPool(pools[category], shopSeen, budget, allowMagic) ||
+    pickShopDocFromPool(pools.general, shopSeen, budget, allowMagic) ||
+    pickShopDocFromPool(pools.market, shopSeen, budget, allowMagic);
+  return doc ? toShopItemData(doc, category, budget, allowMagic) : null;
+}
+
+async function rerollLootStockItem(item, { lootType, budget, allowMagic, seen }) {
+  const pools = await getLootPoolsForPacks(getInventoryPackNames(), allowMagic);
+  const category = inferLootCategoryFromDoc(item, lootType);
+  const doc =
+    pickLootDocFromPool(pools[category], seen, budget, allowMagic) ||
+    pickLootDocFromPool(pools.gear, seen, budget, allowMagic) ||
+    pickLootDocFromPool(pools.mixed, seen, budget, allowMagic);
+  return doc ? toLootItemData(doc, category) : null;
+}
+
+function formatCoinsLabel(coins) {
+  const parts = ["pp", "gp", "ep", "sp", "cp"]
+    .filter((denom) => Number(coins?.[denom] || 0) > 0)
+    .map((denom) => `${Number(coins[denom])} ${denom}`);
+  return parts.length ? parts.join(", ") : "0";
 }
 
 async function buildLootInventory({ lootType, itemCount, budget, allowMagic, uniqueOnly = true }) {
   const desired = clampRangeValue(itemCount, 1, 60, 12);
   const type = normalizeLootType(lootType);
   if (type === "coins") return [];
-  const packs = uniquePackNames([
-    ...getPacks("weapons"),
-    ...getPacks("loot"),
-    ...getPacks("spells")
-  ]);
+  const packs = getInventoryPackNames();
   const pools = await getLootPoolsForPacks(packs, allowMagic);
   if (!pools.mixed.length) return [];
 
@@ -1774,11 +2770,7 @@ async function buildLootInventoryFromImport({
     return { items, resolved: 0, missing: 0 };
   }
 
-  const packs = uniquePackNames([
-    ...getPacks("weapons"),
-    ...getPacks("loot"),
-    ...getPacks("spells")
-  ]);
+  const packs = getInventoryPackNames();
   const pools = await getLootPoolsForPacks(packs, allowMagic);
   if (!pools.mixed.length) return { items: [], resolved: 0, missing: refs.length };
 
@@ -1813,11 +2805,7 @@ async function buildLootInventoryFromImport({
 async function buildShopInventory({ shopType, itemCount, budget, allowMagic }) {
   const desired = clampRangeValue(itemCount, 1, 60, 12);
   const type = normalizeShopType(shopType);
-  const packs = uniquePackNames([
-    ...getPacks("weapons"),
-    ...getPacks("loot"),
-    ...getPacks("spells")
-  ]);
+  const packs = getInventoryPackNames();
   const pools = await getShopPoolsForPacks(packs, allowMagic);
   if (!pools.market.length) return [];
   const result = [];
@@ -1852,11 +2840,7 @@ async function buildShopInventoryFromImport({ importPayload, shopType, budget, a
 
   const desired = refs.length;
   const type = normalizeShopType(shopType);
-  const packs = uniquePackNames([
-    ...getPacks("weapons"),
-    ...getPacks("loot"),
-    ...getPacks("spells")
-  ]);
+  const packs = getInventoryPackNames();
   const pools = await getShopPoolsForPacks(packs, allowMagic);
   if (!pools.market.length) return { items: [], resolved: 0, missing: refs.length };
 
@@ -2176,7 +3160,7 @@ function buildLootCategoryPlan(lootType, desired) {
 function pickWeightedShopCategory() {
   const total = SHOP_TYPE_WEIGHTS.reduce((sum, entry) => sum + Number(entry.weight || 0), 0);
   if (!total) return "general";
-  let roll = Math.random() * total;
+  let roll = random() * total;
   for (const entry of SHOP_TYPE_WEIGHTS) {
     roll -= Number(entry.weight || 0);
     if (roll <= 0) return entry.type;
@@ -2187,7 +3171,7 @@ function pickWeightedShopCategory() {
 function pickWeightedLootCategory() {
   const total = LOOT_TYPE_WEIGHTS.reduce((sum, entry) => sum + Number(entry.weight || 0), 0);
   if (!total) return "gear";
-  let roll = Math.random() * total;
+  let roll = random() * total;
   for (const entry of LOOT_TYPE_WEIGHTS) {
     roll -= Number(entry.weight || 0);
     if (roll <= 0) return entry.type;
@@ -2365,7 +3349,7 @@ function buildLootCoins({ tier, budget, includeCoins = true }) {
   return out;
 }
 
-async function createLootContainerActor({ lootName, lootType, budget, tier, folderId, stockItems, coins }) {
+async function createLootContainerActor({ lootName, lootType, budget, tier, folderId, stockItems, coins, generationMode = "local" }) {
   const normalizedCoins = normalizeImportedLootCurrency(coins) || { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
   const stock = (stockItems || []).map((item) => cloneItemData(item)).filter(Boolean);
   const coinSummary = ["pp", "gp", "ep", "sp", "cp"]
@@ -2393,7 +3377,14 @@ async function createLootContainerActor({ lootName, lootType, budget, tier, fold
         lootContainer: true,
         lootType: normalizeLootType(lootType),
         lootBudget: normalizeBudgetOption(budget),
-        lootTier: clampRangeValue(tier, 1, 4, 1)
+        lootTier: clampRangeValue(tier, 1, 4, 1),
+        provenance: {
+          tier: clampRangeValue(tier, 1, 4, 1),
+          budget: normalizeBudgetOption(budget),
+          mode: generationMode === "import" ? "import" : "local",
+          seed: getActiveSeed(),
+          moduleVersion: String(game.modules?.get(MODULE_ID)?.version || "")
+        }
       }
     },
     system: {
@@ -2485,7 +3476,7 @@ function getSourceUuidForShopDoc(doc) {
 function applyShopPriceVariance(item, sourceDoc, budget = "normal", allowMagic = false) {
   const baseCp = resolveShopBasePriceCp(sourceDoc, item, budget, allowMagic);
   if (!Number.isFinite(baseCp) || baseCp <= 0) return;
-  const multiplier = 0.7 + Math.random() * 0.6;
+  const multiplier = 0.7 + random() * 0.6;
   const rolledCp = Math.max(1, Math.round(baseCp * multiplier));
   setItemPriceFromCp(item, rolledCp);
 
@@ -2542,7 +3533,7 @@ async function createShopkeeperActor({ shopName, budget, tier, folderId, stockIt
     includeSecret: false,
     includeHook: false,
     importantNpc: false,
-    usedNames: new Set()
+    usedNames: createUsedNames()
   });
 
   generated.name = i18nFormat("ui.shop.shopkeeperNameByShop", { shop: shopName });
@@ -2553,7 +3544,11 @@ async function createShopkeeperActor({ shopName, budget, tier, folderId, stockIt
   generated.motivation = i18nFormat("ui.shop.shopkeeperMotivation", { shop: shopName });
   generated.speech = i18nText("ui.shop.shopkeeperSpeech");
 
-  const actorData = await buildActorData(generated, folderId || null);
+  const actorData = await buildActorData(generated, folderId || null, {
+    provenance: { mode: replaceGeneratedItems ? "import" : "local" }
+  });
+  // Shopkeeper name and biography are derived from the shop, so keep it out of in-place rerolls
+  if (actorData.flags?.[MODULE_ID]) delete actorData.flags[MODULE_ID].npc;
   actorData.name = i18nFormat("ui.shop.shopkeeperActorName", { shop: shopName });
   actorData.img = SHOPKEEPER_ICON_PATH;
   actorData.prototypeToken = actorData.prototypeToken && typeof actorData.prototypeToken === "object"
@@ -2826,6 +3821,14 @@ function uniquePackNames(packs) {
   return Array.from(new Set((packs || []).filter(Boolean)));
 }
 
+function getInventoryPackNames() {
+  return uniquePackNames([
+    ...getPacks("weapons"),
+    ...getPacks("loot"),
+    ...getPacks("spells")
+  ]);
+}
+
 function collectShopPromptContext(form) {
   const shopType = normalizeShopType(form.find("select[name='shopType']").val());
   const shopBudget = normalizeBudgetOption(form.find("select[name='shopBudget']").val());
@@ -3017,13 +4020,64 @@ async function createQuestBoardFromForm(form) {
     ui.notifications?.warn(i18nText("ui.warnEnableUseAiFirst"));
     return null;
   }
+  return createQuestBoard(collectQuestBoardPromptContext(formRef));
+}
+
+/**
+ * Create a quest board journal from plain options, generated via OpenAI or from a ready payload
+ * @param {Object} [options] - Quest board options
+ * @param {Object} [options.payload] - Quest board payload in the JSON import shape (skips OpenAI)
+ * @param {number} [options.count] - Quest count (1-20)
+ * @param {number} [options.partyLevel] - Party level (1-20)
+ * @param {number} [options.partySize] - Party size (1-8)
+ * @param {string} [options.difficulty] - Difficulty hint
+ * @param {string} [options.location] - Location hint
+ * @param {string} [options.tone] - Tone hint
+ * @param {string} [options.boardTitle] - Preferred board title
+ * @param {string} [options.customInstruction] - Extra GM instruction for the prompt
+ * @returns {Promise<JournalEntry|null>} Created journal entry
+ */
+export async function createQuestBoard(options = {}) {
+  return withSeededRandom("", () => runCreateQuestBoard(options));
+}
+
+async function runCreateQuestBoard(options) {
+  const context = {
+    ...options,
+    count: clampRangeValue(options.count, 1, 20, 3),
+    partyLevel: clampRangeValue(options.partyLevel, 1, 20, 3),
+    partySize: clampRangeValue(options.partySize, 1, 8, 4),
+    difficulty: String(options.difficulty || "medium"),
+    location: String(options.location || ""),
+    tone: String(options.tone || "adventure-ready"),
+    boardTitle: String(options.boardTitle || ""),
+    customInstruction: String(options.customInstruction || "").replace(/\s+/g, " ").trim().slice(0, 800)
+  };
+  delete context.payload;
+
+  if (options.payload) {
+    const normalized = normalizeImportedQuestBoardPayload(options.payload, context);
+    if (!normalized) {
+      throw new Error(i18nText("ui.quest.errorImportInvalidShape"));
+    }
+    const journal = await createQuestBoardJournal(normalized);
+    if (journal) {
+      ui.notifications?.info(
+        i18nFormat("ui.quest.infoBoardCreated", {
+          name: journal.name || i18nText("common.unnamed"),
+          count: normalized.quests.length
+        })
+      );
+    }
+    return journal;
+  }
+
   const aiReady = isOpenAiConfigured();
   if (!aiReady) {
     ui.notifications?.warn(i18nText("ui.quest.warnApiUnavailableUsePrompt"));
     return null;
   }
 
-  const context = collectQuestBoardPromptContext(formRef);
   const generationProgress = createProgressReporter({
     label: i18nText("ui.quest.progressGenerating"),
     total: 3
@@ -4079,6 +5133,10 @@ function openImportAiNpcDialog({ form, encounterModeInput, speciesEntries }) {
           ${i18nHtml("ui.dialog.importJsonDescription")}
         </p>
         <textarea name="aiNpcJson" style="width:100%;min-height:18rem;" placeholder='${i18nHtml("ui.dialog.importJsonPlaceholder")}'></textarea>
+        <label style="display:flex;align-items:center;gap:0.5rem;font-size:0.82rem;">
+          <span style="white-space:nowrap;">${i18nHtml("ui.dialog.importLoadFile", "Load from file")}</span>
+          <input type="file" name="aiNpcFile" accept=".json,.txt,.md" />
+        </label>
       </div>
     `,
     buttons: {
@@ -4109,6 +5167,17 @@ function openImportAiNpcDialog({ form, encounterModeInput, speciesEntries }) {
     },
     default: "import",
     render: (html) => {
+      html.find("input[name='aiNpcFile']").on("change", async (event) => {
+        const file = event.currentTarget?.files?.[0];
+        if (!file) return;
+        try {
+          html.find("textarea[name='aiNpcJson']").val(await file.text());
+        } catch (err) {
+          console.warn("NPC Button: Failed to read import file.", err);
+          ui.notifications?.warn(i18nText("ui.warnImportFileRead"));
+        }
+      });
+
       const app = html.closest(".app.window-app.dialog");
       const dialogButtons = app.find(".dialog-buttons");
       if (!dialogButtons.length || dialogButtons.find(".npc-btn-import-preview-toggle").length) return;
@@ -4131,10 +5200,19 @@ function openImportAiNpcDialog({ form, encounterModeInput, speciesEntries }) {
   }).render(true);
 }
 
-async function importNpcFromChatGptJson(rawJson, { form, encounterModeInput, speciesEntries, showImportPreview = false }) {
+async function importNpcFromChatGptJson(rawJson, options) {
   await loadData();
-  const parsed = parseLooseJsonObject(rawJson);
-  const blueprints = normalizeImportedBlueprints(parsed);
+  const parsed = looksLikeTextStatblock(rawJson) ? null : parseLooseJsonObject(rawJson);
+  if (isBlueprintBundle(parsed)) {
+    await importNpcBundle(parsed);
+    return;
+  }
+  // Building draws random alignments and picks, so it takes its turn like any other generation
+  await withSeededRandom("", () => importNpcBlueprints(rawJson, parsed, options));
+}
+
+async function importNpcBlueprints(rawJson, parsed, { form, encounterModeInput, speciesEntries, showImportPreview = false }) {
+  const blueprints = parsed ? normalizeImportedBlueprints(parsed) : parseTextStatblocks(rawJson);
   if (!blueprints.length) {
     throw new Error(i18nText("ui.importErrorEmptyJson"));
   }
@@ -4198,14 +5276,18 @@ async function importNpcFromChatGptJson(rawJson, { form, encounterModeInput, spe
         parsedBlueprint.race = selectedSpecies.name;
       }
 
-      const result = await buildActorDataFromAiBlueprint(parsedBlueprint, folderId, { collectMatchDetails: true });
+      const speciesEntry = findSpeciesEntryByRace(speciesList, parsedBlueprint.race) || selectedSpecies || null;
+      const result = await buildActorDataFromAiBlueprint(parsedBlueprint, folderId, {
+        collectMatchDetails: true,
+        provenance: { mode: "import", speciesKey: speciesEntry?.key }
+      });
       if (!result?.actorData) {
         throw new Error(i18nText("ui.importErrorBuildActorData"));
       }
       return {
         sourceName: String(parsedBlueprint?.name || result?.actorData?.name || "").trim(),
         actorData: result.actorData,
-        speciesEntry: findSpeciesEntryByRace(speciesList, parsedBlueprint.race) || selectedSpecies || null,
+        speciesEntry,
         resolvedItems: Number(result.resolvedItems || 0),
         missingItems: Number(result.missingItems || 0),
         matchDetails: Array.isArray(result.matchDetails) ? result.matchDetails : []
@@ -4220,7 +5302,7 @@ async function importNpcFromChatGptJson(rawJson, { form, encounterModeInput, spe
   }
 
   if (showImportPreview) {
-    const confirmed = await openNpcImportPreviewDialog(buildResults);
+    const confirmed = await pauseSeededRandom(() => openNpcImportPreviewDialog(buildResults));
     if (!confirmed) return;
   }
 
@@ -4270,6 +5352,20 @@ async function importNpcFromChatGptJson(rawJson, { form, encounterModeInput, spe
   ui.notifications?.info(i18nFormat("ui.infoImportedMany", { count }));
 }
 
+async function importNpcBundle(bundle) {
+  const result = await importBlueprintBundle(bundle);
+  if (!result.actors.length) return;
+  ui.notifications?.info(
+    i18nFormat("ui.bundle.infoImported", {
+      count: result.actors.length,
+      name: String(bundle.name || "").trim() || i18nText("common.unnamed"),
+      resolved: result.resolved,
+      embedded: result.embedded,
+      missing: result.missing
+    })
+  );
+}
+
 async function openNpcImportPreviewDialog(buildResults) {
   const rows = buildNpcImportPreviewRows(buildResults);
   const viewportWidth = Number(globalThis?.innerWidth || 1400);
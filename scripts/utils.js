@@ -4,6 +4,7 @@
  */
 
 import { BUDGET_RANGES } from "./constants.js";
+import { t } from "./i18n.js";
 
 const LOOKUP_ALIAS_GROUPS = [
   [
@@ -36,6 +37,151 @@ const LOOKUP_ALIAS_GROUPS = [
 
 const LOOKUP_ALIAS_MAP = buildLookupAliasMap(LOOKUP_ALIAS_GROUPS);
 const SEARCH_STRINGS_CACHE = new WeakMap();
+const SEED_MAX_LENGTH = 64;
+
+/** Seeded generator used by random helpers while a seeded run is active */
+let ACTIVE_SEEDED_RANDOM = null;
+let ACTIVE_SEED = "";
+// Tail of the withSeededRandom queue and the release function of the run holding it
+let RANDOM_SCOPE_TAIL = Promise.resolve();
+let ACTIVE_SCOPE_RELEASE = null;
+// Run stepped out by pauseSeededRandom: its generator, open pauses and the pending re-acquire
+let PAUSED_SCOPE = null;
+
+// ========== Seedable RNG ==========
+
+/**
+ * Get a random float in [0, 1) from the active seeded generator or Math.random
+ * @returns {number}
+ */
+export function random() {
+  return ACTIVE_SEEDED_RANDOM ? ACTIVE_SEEDED_RANDOM() : Math.random();
+}
+
+/**
+ * Normalize a user-provided seed value
+ * @param {*} value - Raw seed (string or number)
+ * @returns {string} Trimmed seed or empty string when not set
+ */
+export function normalizeSeed(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim().slice(0, SEED_MAX_LENGTH);
+}
+
+/**
+ * Create a deterministic random generator from a seed (xmur3 hash + mulberry32)
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  const text = normalizeSeed(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  let state = (h ^= h >>> 16) >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check whether a seeded run is active
+ * @returns {boolean}
+ */
+export function isSeededRandomActive() {
+  return !!ACTIVE_SEEDED_RANDOM;
+}
+
+/**
+ * Get the seed of the active seeded run
+ * @returns {string} Seed or empty string when not seeded
+ */
+export function getActiveSeed() {
+  return ACTIVE_SEEDED_RANDOM ? ACTIVE_SEED : "";
+}
+
+/**
+ * Run a (possibly async) callback with all random helpers driven by the given seed.
+ * Without a seed the callback runs on Math.random as usual.
+ * Runs take turns: a run waits until the previous one settles. Random draws outside any run
+ * would land in whichever seeded stream is active, so every entry point that generates content
+ * goes through this, unseeded ones with an empty seed.
+ * Do not nest calls; hand user interaction and network requests to pauseSeededRandom instead.
+ * @param {string|number} seed - Seed value
+ * @param {Function} callback - Work to run
+ * @returns {Promise<*>} Callback result
+ */
+export async function withSeededRandom(seed, callback) {
+  const normalized = normalizeSeed(seed);
+  ACTIVE_SCOPE_RELEASE = await acquireRandomScope();
+  ACTIVE_SEEDED_RANDOM = normalized ? createSeededRandom(normalized) : null;
+  ACTIVE_SEED = normalized;
+  try {
+    return await callback();
+  } finally {
+    const release = ACTIVE_SCOPE_RELEASE;
+    ACTIVE_SEEDED_RANDOM = null;
+    ACTIVE_SEED = "";
+    ACTIVE_SCOPE_RELEASE = null;
+    release?.();
+  }
+}
+
+/**
+ * Step out of the active withSeededRandom run while waiting on the user (preview dialogs) or the network
+ * (AI requests). Other runs may proceed meanwhile; the seeded stream resumes where it stopped afterwards.
+ * Concurrent pauses of one run share a single release and re-acquire.
+ * @param {Function} callback - Work to run outside the run
+ * @returns {Promise<*>} Callback result
+ */
+export async function pauseSeededRandom(callback) {
+  let scope = PAUSED_SCOPE;
+  if (ACTIVE_SCOPE_RELEASE) {
+    scope = { generator: ACTIVE_SEEDED_RANDOM, seed: ACTIVE_SEED, resumed: null };
+    PAUSED_SCOPE = scope;
+    const release = ACTIVE_SCOPE_RELEASE;
+    ACTIVE_SEEDED_RANDOM = null;
+    ACTIVE_SEED = "";
+    ACTIVE_SCOPE_RELEASE = null;
+    release();
+  }
+  if (!scope) return callback();
+  try {
+    return await callback();
+  } finally {
+    if (!scope.resumed) {
+      scope.resumed = acquireRandomScope().then((release) => {
+        if (PAUSED_SCOPE === scope) PAUSED_SCOPE = null;
+        ACTIVE_SCOPE_RELEASE = release;
+        ACTIVE_SEEDED_RANDOM = scope.generator;
+        ACTIVE_SEED = scope.seed;
+      });
+    }
+    await scope.resumed;
+  }
+}
+
+// Promise-chain lock: resolves with the release function once every earlier holder released
+function acquireRandomScope() {
+  let release;
+  const turn = new Promise((resolve) => {
+    release = resolve;
+  });
+  const ready = RANDOM_SCOPE_TAIL;
+  RANDOM_SCOPE_TAIL = ready.then(() => turn);
+  return ready.then(() => release);
+}
+
+// ========== Random helpers ==========
 
 /**
  * Pick a random element from an array
@@ -44,7 +190,7 @@ const SEARCH_STRINGS_CACHE = new WeakMap();
  */
 export function pickRandom(arr) {
   if (!arr || !arr.length) return null;
-  return arr[Math.floor(Math.random() * arr.length)];
+  return arr[Math.floor(random() * arr.length)];
 }
 
 /**
@@ -55,7 +201,7 @@ export function pickRandom(arr) {
 export function shuffleArray(arr) {
   const out = Array.isArray(arr) ? [...arr] : [];
   for (let i = out.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [out[i], out[j]] = [out[j], out[i]];
   }
   return out;
@@ -73,7 +219,7 @@ export function pickRandomN(arr, n) {
   const pool = [...arr];
   const out = [];
   while (out.length < n && pool.length) {
-    const idx = Math.floor(Math.random() * pool.length);
+    const idx = Math.floor(random() * pool.length);
     out.push(pool.splice(idx, 1)[0]);
   }
   return out;
@@ -97,7 +243,7 @@ export function pickRandomOr(arr, fallback) {
  * @returns {number} Random integer
  */
 export function randInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -106,7 +252,7 @@ export function randInt(min, max) {
  * @returns {boolean}
  */
 export function chance(probability) {
-  return Math.random() < probability;
+  return random() < probability;
 }
 
 /**
@@ -169,6 +315,49 @@ export function generateId() {
   return foundry?.utils?.randomID?.() || Math.random().toString(36).slice(2, 10);
 }
 
+/**
+ * Folder a sidebar folder context menu was opened on (jQuery element in v11/v12, HTMLElement in v13)
+ * @param {jQuery|HTMLElement} li - Context menu target
+ * @returns {Folder|null}
+ */
+export function getContextFolder(li) {
+  const element = li?.[0] || li;
+  const id = element?.closest?.("[data-folder-id]")?.dataset?.folderId || element?.dataset?.folderId || "";
+  return id ? game.folders?.get(id) || null : null;
+}
+
+/**
+ * Offer text as a file download through Foundry's saveDataToFile
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type
+ * @param {string} fileName - Download file name
+ * @returns {boolean} False when file downloads are unavailable (the user is notified)
+ */
+export function saveTextFile(content, mimeType, fileName) {
+  const save = foundry?.utils?.saveDataToFile || globalThis.saveDataToFile;
+  if (typeof save !== "function") {
+    ui.notifications?.error(t("ui.errorSaveUnavailable"));
+    return false;
+  }
+  save(content, mimeType, fileName);
+  return true;
+}
+
+/**
+ * Turn a name into a lowercase ASCII file name stem ("The Iron Wolves" -> "the-iron-wolves")
+ * @param {string} name - Display name
+ * @param {string} fallback - Stem used when nothing is left of the name
+ * @returns {string}
+ */
+export function slugifyFileName(name, fallback) {
+  return String(name || fallback)
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "-")
+    .toLowerCase() || fallback;
+}
+
 /**
  * Parse a price string like "5 gp" into value and denomination
  * @param {string} text - Price string